@@ -0,0 +1,79 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const profileService = require('./services/profileService');
+
+/**
+ * Backfill existing bugs
+ *
+ * Usage: node backfill.js --jql "QUERY" [options]   (npm run backfill -- [options])
+ *   --jql QUERY            Bugs to backfill (e.g. project = QA AND issuetype = Bug AND created >= -30d)
+ *   --profile NAME         Profile whose JIRA, test management system and workflow rules to use
+ *   --dry-run              Only show what would run
+ *   --fresh                Start over instead of resuming an unfinished backfill of the same JQL
+ *   --force                Also run bugs the workflow already ran for
+ *   --limit N              Stop after N bugs (run again to resume)
+ *   --rate-limit MS        Pause after each bug (default BACKFILL_RATE_LIMIT_MS)
+ */
+
+const { values: args } = parseArgs({
+  options: {
+    jql: { type: 'string' },
+    profile: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    fresh: { type: 'boolean', default: false },
+    force: { type: 'boolean', default: false },
+    limit: { type: 'string' },
+    'rate-limit': { type: 'string' }
+  }
+});
+
+/**
+ * Print one row of the preview/report table
+ * @param {Array<string>} cells - Issue key, status, workflow, outcome, detail
+ */
+function printRow([issueKey, status, workflow, outcome, detail]) {
+  console.log(`${issueKey.padEnd(12)} ${status.slice(0, 24).padEnd(24)} ${workflow.padEnd(13)} ${outcome.padEnd(10)} ${detail}`);
+}
+
+async function run() {
+  if (!args.jql) {
+    throw new Error('--jql is required');
+  }
+
+  profileService.load();
+  await profileService.initialize();
+  const services = profileService.getServices(args.profile || undefined);
+
+  console.log(`\n${args['dry-run'] ? 'Previewing' : 'Backfilling'} "${args.jql}" (profile ${services.profile})\n`);
+  printRow(['Bug', 'Status', 'Workflow', 'Outcome', 'Detail']);
+
+  const report = await services.backfillService.run({
+    jql: args.jql,
+    dryRun: args['dry-run'],
+    resume: !args.fresh,
+    force: args.force,
+    limit: args.limit ? parseInt(args.limit) : null,
+    rateLimitMs: args['rate-limit'] !== undefined ? parseInt(args['rate-limit']) : undefined,
+    onProgress: row => printRow([row.issueKey, row.status || '-', row.workflow || '-', row.outcome, row.detail || ''])
+  });
+
+  const { summary } = report;
+  console.log(`\n${report.status} - ${summary.scanned} bug(s) scanned (${report.position} of ${report.total} in the query)`);
+  console.log(report.dryRun
+    ? `Would run: ${summary.wouldRun}  Skipped: ${summary.skipped}`
+    : `Processed: ${summary.processed}  Failed: ${summary.failed}  Skipped: ${summary.skipped}`);
+  Object.entries(summary.byWorkflow).forEach(([workflow, count]) => console.log(`  ${workflow}: ${count}`));
+  if (report.status === 'paused') {
+    console.log('\nRun the same command again to continue.');
+  }
+  if (!report.dryRun) {
+    console.log(`\nReport: ${path.join(services.backfillService.dataDir, `${report.id}.json`)}`);
+  }
+
+  services.learningService.close();
+}
+
+run().catch(error => {
+  console.error(`Backfill failed: ${error.message}`);
+  process.exit(1);
+});
@@ -1,9 +1,13 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   // Test Management System Selection
   testManagement: {
-    system: process.env.TEST_MANAGEMENT_SYSTEM || 'testrail', // 'testrail' or 'xray'
+    system: process.env.TEST_MANAGEMENT_SYSTEM || 'testrail', // 'testrail', 'xray' or 'zephyrscale'
+    mode: process.env.TEST_MANAGEMENT_MODE || 'single', // 'single', 'dual' (write both) or 'shadow' (log the other)
+    secondary: process.env.TEST_MANAGEMENT_SECONDARY, // System for dual/shadow mode (default: xray for testrail, else testrail)
+    mappingFile: process.env.TEST_MAPPING_FILE // CSV/JSON TestRail case ID <-> Xray test key table (dual/shadow)
   },
   jira: {
     baseUrl: process.env.JIRA_BASE_URL,
@@ -16,40 +20,167 @@ module.exports = {
     statusReadyForDev: process.env.STATUS_READY_FOR_DEV || 'Ready for Dev',
     statusDeployedToQA: process.env.STATUS_DEPLOYED_TO_QA || 'Deployed to QA',
     statusQAInProgress: process.env.STATUS_QA_IN_PROGRESS || 'QA In Progress',
-    statusQueuedMerged: process.env.STATUS_QUEUED_MERGED || 'Queued Merged to Release'
+    statusQueuedMerged: process.env.STATUS_QUEUED_MERGED || 'Queued Merged to Release',
+    searchBatchSize: parseInt(process.env.JIRA_SEARCH_BATCH_SIZE) || 50, // Issue keys per "key in (...)" search when looking up several bugs
+    searchCacheTtlSeconds: process.env.JIRA_SEARCH_CACHE_TTL_SECONDS !== undefined ? parseInt(process.env.JIRA_SEARCH_CACHE_TTL_SECONDS) : 60 // Reuse looked-up issues this long (0 disables)
   },
   testRail: {
     baseUrl: process.env.TESTRAIL_BASE_URL,
     username: process.env.TESTRAIL_USERNAME,
     password: process.env.TESTRAIL_PASSWORD || process.env.TESTRAIL_API_KEY,
     apiKey: process.env.TESTRAIL_API_KEY,
-    rateLimitMs: parseInt(process.env.TESTRAIL_RATE_LIMIT_MS) || 250,
+    fetchConcurrency: parseInt(process.env.TESTRAIL_FETCH_CONCURRENCY) || 4, // Parallel get_case requests when loading a run's case details
     statusPassed: parseInt(process.env.TESTRAIL_STATUS_PASSED) || 1,
     statusFailed: parseInt(process.env.TESTRAIL_STATUS_FAILED) || 5,
     statusRetest: parseInt(process.env.TESTRAIL_STATUS_RETEST) || 4
   },
   xray: {
+    deployment: process.env.XRAY_DEPLOYMENT || 'server', // 'server' (Server/Data Center rest/raven/1.0) or 'cloud' (GraphQL and REST v2 on the Xray Cloud API)
     baseUrl: process.env.XRAY_BASE_URL || process.env.JIRA_BASE_URL,
     email: process.env.XRAY_EMAIL || process.env.JIRA_EMAIL,
     apiToken: process.env.XRAY_API_TOKEN || process.env.JIRA_API_TOKEN,
+    cloudBaseUrl: process.env.XRAY_CLOUD_BASE_URL || 'https://xray.cloud.getxray.app', // Xray Cloud API (cloud deployment)
+    clientId: process.env.XRAY_CLIENT_ID, // Xray Cloud API key client ID (cloud deployment)
+    clientSecret: process.env.XRAY_CLIENT_SECRET, // Xray Cloud API key client secret (cloud deployment)
     rateLimitMs: parseInt(process.env.XRAY_RATE_LIMIT_MS) || 250,
     executionKeyField: process.env.XRAY_EXECUTION_KEY_FIELD, // Custom field for Test Execution key
-    statusPass: process.env.XRAY_STATUS_PASS || 'PASS',
-    statusFail: process.env.XRAY_STATUS_FAIL || 'FAIL',
+    statusPass: process.env.XRAY_STATUS_PASS || (process.env.XRAY_DEPLOYMENT === 'cloud' ? 'PASSED' : 'PASS'),
+    statusFail: process.env.XRAY_STATUS_FAIL || (process.env.XRAY_DEPLOYMENT === 'cloud' ? 'FAILED' : 'FAIL'),
     statusTodo: process.env.XRAY_STATUS_TODO || 'TODO'
   },
+  zephyrScale: {
+    baseUrl: process.env.ZEPHYR_BASE_URL || 'https://api.zephyrscale.smartbear.com/v2',
+    apiToken: process.env.ZEPHYR_API_TOKEN,
+    projectKey: process.env.ZEPHYR_PROJECT_KEY, // Defaults to the test case key's project
+    cycleKeyField: process.env.ZEPHYR_CYCLE_KEY_FIELD, // Custom field on the parent task holding the Test Cycle key
+    rateLimitMs: parseInt(process.env.ZEPHYR_RATE_LIMIT_MS) || 250,
+    statusPass: process.env.ZEPHYR_STATUS_PASS || 'Pass',
+    statusFail: process.env.ZEPHYR_STATUS_FAIL || 'Fail',
+    statusNotExecuted: process.env.ZEPHYR_STATUS_NOT_EXECUTED || 'Not Executed' // Restored by a rollback when the earlier status is unknown
+  },
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL, // OpenAI-compatible endpoint (e.g. the mock server); defaults to api.openai.com
     model: process.env.OPENAI_MODEL || 'gpt-4o',
     confidenceThreshold: parseFloat(process.env.AI_CONFIDENCE_THRESHOLD) || 0.7,
     learningEnabled: process.env.ENABLE_AI_LEARNING !== 'false',
     enableMultiMatch: process.env.ENABLE_MULTI_MATCH === 'true',
     multiMatchThreshold: parseFloat(process.env.MULTI_MATCH_THRESHOLD) || 0.75
   },
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai', // 'openai', 'azure', 'anthropic', 'local' or 'fake'
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120000,
+    azure: {
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT, // https://<resource>.openai.azure.com
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT // Defaults to OPENAI_MODEL
+    },
+    anthropic: {
+      baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      apiVersion: process.env.ANTHROPIC_API_VERSION || '2023-06-01',
+      model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+      maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 4096
+    },
+    local: {
+      baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1', // Ollama; llama.cpp uses :8080/v1
+      apiKey: process.env.LOCAL_LLM_API_KEY,
+      model: process.env.LOCAL_LLM_MODEL, // Defaults to OPENAI_MODEL
+      jsonMode: process.env.LOCAL_LLM_JSON_MODE === 'true'
+    },
+    fake: {
+      fixturesFile: process.env.LLM_FAKE_FIXTURES // JSON fixture of canned responses (offline testing)
+    }
+  },
+  retrieval: {
+    enabled: process.env.RETRIEVAL_ENABLED !== 'false',
+    embeddingProvider: process.env.EMBEDDING_PROVIDER || 'tfidf', // 'tfidf' (local), 'openai' or 'local' (Ollama etc.)
+    embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 100,
+    topK: parseInt(process.env.RETRIEVAL_TOP_K) || 30, // Test cases sent to the LLM
+    minTests: parseInt(process.env.RETRIEVAL_MIN_TESTS) || 60 // Smaller runs send every test case
+  },
+  prompts: {
+    dir: process.env.PROMPTS_DIR || path.join(__dirname, 'prompts'),
+    version: process.env.PROMPT_VERSION || 'v1', // Template used for matching
+    candidate: process.env.PROMPT_CANDIDATE, // A/B test: template tried on a share of bugs
+    candidateShare: parseFloat(process.env.PROMPT_CANDIDATE_SHARE) || 0 // 0-1 share of bugs routed to the candidate
+  },
+  learning: {
+    dataDir: process.env.LEARNING_DATA_DIR || path.join(__dirname, 'learning-data'),
+    similarityThreshold: parseFloat(process.env.LEARNING_SIMILARITY_THRESHOLD) || 0.6, // Reuse a correction without AI (single-match)
+    multiSimilarityThreshold: parseFloat(process.env.LEARNING_MULTI_SIMILARITY_THRESHOLD) || 0.5, // Suggest to the AI (multi-match)
+    calibrate: process.env.LEARNING_CALIBRATE !== 'false', // Derive thresholds from stored corrections when there are enough
+    embeddingWeight: parseFloat(process.env.LEARNING_EMBEDDING_WEIGHT) || 0 // 0-1 share of embedding similarity (EMBEDDING_PROVIDER) in the score
+  },
+  evaluation: {
+    dir: process.env.EVALUATION_DIR || path.join(__dirname, 'evaluation') // Run snapshots, cached LLM responses and reports
+  },
+  cache: {
+    dir: process.env.CACHE_DIR || path.join(__dirname, 'cache')
+  },
+  profiles: {
+    file: process.env.PROFILES_FILE // JSON/YAML file with per-project profiles (optional)
+  },
+  workflow: {
+    rulesFile: process.env.WORKFLOW_RULES_FILE // JSON/YAML rules; defaults to the STATUS_* mappings above
+  },
+  queue: {
+    dir: process.env.QUEUE_DIR || path.join(__dirname, 'queue'),
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+    backoffMs: parseInt(process.env.QUEUE_BACKOFF_MS) || 5000,
+    maxBackoffMs: parseInt(process.env.QUEUE_MAX_BACKOFF_MS) || 5 * 60 * 1000,
+    triggerWaitSeconds: parseInt(process.env.QUEUE_TRIGGER_WAIT_SECONDS) || 60, // Manual triggers answer 202 with the job ID after this
+    retentionHours: process.env.QUEUE_RETENTION_HOURS !== undefined ? parseInt(process.env.QUEUE_RETENTION_HOURS) : 168, // Completed and dead jobs are removed after this (0 keeps them)
+  },
+  approval: {
+    enabled: process.env.APPROVAL_MODE === 'true', // Hold low-confidence matches for a reviewer instead of writing them
+    dir: process.env.APPROVAL_DIR || path.join(__dirname, 'approvals'),
+    expiryHours: parseInt(process.env.APPROVAL_EXPIRY_HOURS) || 72,
+    reminderHours: parseInt(process.env.APPROVAL_REMINDER_HOURS) || 24, // Reminder comment while still pending
+    candidates: parseInt(process.env.APPROVAL_CANDIDATES) || 5, // Ranked candidates offered to the reviewer
+    checkIntervalMinutes: parseInt(process.env.APPROVAL_CHECK_INTERVAL_MINUTES) || 15
+  },
+  audit: {
+    enabled: process.env.AUDIT_ENABLED !== 'false', // Append every write to JIRA and the test management system to the audit log
+    captureBefore: process.env.AUDIT_CAPTURE_BEFORE !== 'false' // Read the object's state before writing (one extra API call per write)
+  },
+  backfill: {
+    dir: process.env.BACKFILL_DIR || path.join(__dirname, 'backfill'), // Checkpoints and reports
+    pageSize: parseInt(process.env.BACKFILL_PAGE_SIZE) || 50, // Issues per JIRA search request
+    rateLimitMs: process.env.BACKFILL_RATE_LIMIT_MS !== undefined ? parseInt(process.env.BACKFILL_RATE_LIMIT_MS) : 2000 // Pause after each bug a workflow ran for
+  },
+  reconciliation: {
+    intervalMinutes: parseInt(process.env.RECONCILE_INTERVAL_MINUTES) || 0, // 0 = only on request (POST /api/reconciliation)
+    mode: process.env.RECONCILE_MODE || 'report', // report: list the drift, fix: also correct the test results
+    reportIssue: process.env.RECONCILE_REPORT_ISSUE || null, // JIRA issue the drift report is posted to as a comment
+    runs: (process.env.RECONCILE_RUNS || '').split(',').map(run => run.trim()).filter(run => run), // Always reconciled, besides runs with recent activity
+    activeDays: parseInt(process.env.RECONCILE_ACTIVE_DAYS) || 14 // Runs the workflows touched within this many days are active
+  },
+  http: {
+    timeoutMs: parseInt(process.env.HTTP_TIMEOUT_MS) || 30000, // Per request to JIRA and the test management system
+    maxRetries: process.env.HTTP_MAX_RETRIES !== undefined ? parseInt(process.env.HTTP_MAX_RETRIES) : 3, // Retries after a 429/503, or a network error/5xx of an idempotent call
+    retryBaseMs: parseInt(process.env.HTTP_RETRY_BASE_MS) || 500, // First backoff; doubles per retry, with jitter
+    retryMaxMs: parseInt(process.env.HTTP_RETRY_MAX_MS) || 30000, // Longest backoff; a longer Retry-After fails the request instead
+    maxConcurrency: parseInt(process.env.HTTP_MAX_CONCURRENCY) || 4, // Requests in flight per host
+    requestsPerSecond: parseFloat(process.env.HTTP_REQUESTS_PER_SECOND) || 10, // Token-bucket rate per host
+    hostLimits: process.env.HTTP_HOST_LIMITS || '', // Per-host overrides: "host=requestsPerSecond/maxConcurrency,..."
+    circuitFailureThreshold: parseInt(process.env.HTTP_CIRCUIT_FAILURES) || 5, // Consecutive failures (network errors/5xx) that open a host's circuit
+    circuitResetMs: parseInt(process.env.HTTP_CIRCUIT_RESET_MS) || 60000 // How long an open circuit fails fast before a trial request
+  },
+  idempotency: {
+    dir: process.env.IDEMPOTENCY_DIR || path.join(__dirname, 'idempotency'),
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 72
+  },
   server: {
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
     dryRunMode: process.env.DRY_RUN_MODE === 'true',
-    webhookSecret: process.env.WEBHOOK_SECRET || process.env.JIRA_WEBHOOK_SECRET
+    webhookSecret: process.env.WEBHOOK_SECRET || process.env.JIRA_WEBHOOK_SECRET,
+    webhookSecretPrevious: process.env.WEBHOOK_SECRET_PREVIOUS, // Still accepted while rotating secrets
+    webhookMaxAgeSeconds: process.env.WEBHOOK_MAX_AGE_SECONDS !== undefined ? parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS) : 300, // 0 disables replay protection
+    webhookAllowLegacySecret: process.env.WEBHOOK_ALLOW_LEGACY_SECRET !== 'false' // Accept plain X-Webhook-Secret header (deprecated)
   }
 };
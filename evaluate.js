@@ -0,0 +1,107 @@
+const { parseArgs } = require('util');
+const profileService = require('./services/profileService');
+
+/**
+ * Offline matching evaluation
+ *
+ * Usage: node evaluate.js [options]   (npm run evaluate -- [options])
+ *   --profile NAME         Profile whose learning data and test management system to use
+ *   --run ID               Run/execution/cycle for corrections stored without one
+ *   --limit N              Only the N most recent corrected bugs
+ *   --bug KEY              Only this bug (repeatable)
+ *   --provider NAME        LLM provider to evaluate (default LLM_PROVIDER)
+ *   --fixtures FILE        Fixture file for --provider fake
+ *   --prompt VERSION       Prompt template to evaluate (default PROMPT_VERSION)
+ *   --multi | --single     Force multi- or single-match mode
+ *   --include-matches      Also use uncorrected AI matches as labels
+ *   --offline              Only use saved run snapshots
+ *   --refresh-snapshots    Fetch run test cases again
+ *   --no-cache             Do not reuse or store LLM responses
+ *   --baseline FILE        Earlier report.json to compare against
+ *   --out DIR              Report directory
+ */
+
+const { values: args } = parseArgs({
+  options: {
+    profile: { type: 'string' },
+    run: { type: 'string' },
+    limit: { type: 'string' },
+    bug: { type: 'string', multiple: true },
+    provider: { type: 'string' },
+    fixtures: { type: 'string' },
+    prompt: { type: 'string' },
+    multi: { type: 'boolean' },
+    single: { type: 'boolean' },
+    'include-matches': { type: 'boolean', default: false },
+    offline: { type: 'boolean', default: false },
+    'refresh-snapshots': { type: 'boolean', default: false },
+    'no-cache': { type: 'boolean', default: false },
+    baseline: { type: 'string' },
+    out: { type: 'string' }
+  }
+});
+
+/**
+ * Format a 0-1 value as a percentage
+ * @param {number|null} value - Value
+ * @returns {string} Percentage or "-"
+ */
+function percent(value) {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Print one metrics line
+ * @param {string} label - Row label
+ * @param {Object} m - Metrics
+ */
+function printMetrics(label, m) {
+  console.log(`${label.padEnd(18)} bugs ${String(m.evaluated).padStart(4)}  precision ${percent(m.precision).padStart(6)}  recall ${percent(m.recall).padStart(6)}` +
+    `  top-1 ${percent(m.topK[1]).padStart(6)}  top-3 ${percent(m.topK[3]).padStart(6)}  calibration error ${percent(m.calibration.expectedCalibrationError).padStart(6)}`);
+}
+
+async function run() {
+  profileService.load();
+  const services = profileService.getServices(args.profile || undefined);
+  await services.learningService.initialize();
+  await services.cacheService.initialize();
+
+  const EvaluationService = require('./services/evaluationService').constructor;
+  const evaluation = new EvaluationService(services.config, services);
+  const { report, files } = await evaluation.run({
+    runId: args.run,
+    limit: args.limit ? parseInt(args.limit) : null,
+    bugKeys: args.bug || null,
+    provider: args.provider,
+    fixtures: args.fixtures,
+    promptVersion: args.prompt,
+    multiMatch: args.multi ? true : args.single ? false : undefined,
+    includeMatches: args['include-matches'],
+    offline: args.offline,
+    refreshSnapshots: args['refresh-snapshots'],
+    cache: !args['no-cache'],
+    baseline: args.baseline,
+    outputDir: args.out
+  });
+
+  console.log(`\n${report.provider} / ${report.model} / prompt ${report.promptVersion} - ${report.overall.evaluated} of ${report.overall.examples} bugs evaluated (${report.overall.skipped} skipped)\n`);
+  printMetrics('overall', report.overall);
+  Object.entries(report.byIssueType).forEach(([issueType, metrics]) => printMetrics(issueType, metrics));
+
+  if (report.comparison) {
+    const { overall, baseline } = report.comparison;
+    console.log(`\nCompared with ${baseline.provider} / ${baseline.model}${baseline.promptVersion ? ` / prompt ${baseline.promptVersion}` : ''}: ` +
+      ['precision', 'recall', 'top1'].map(name => `${name} ${overall[name].delta === null ? '-' : `${overall[name].delta >= 0 ? '+' : ''}${(overall[name].delta * 100).toFixed(1)} pts`}`).join(', '));
+  }
+  if (report.llmCache) {
+    console.log(`\nLLM cache: ${report.llmCache.hits} hits, ${report.llmCache.misses} misses`);
+  }
+  console.log(`\nReport: ${files.html}\n        ${files.json}`);
+
+  services.learningService.close();
+}
+
+run().catch(error => {
+  console.error(`Evaluation failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,341 @@
+const express = require('express');
+const path = require('path');
+const MockStore = require('./mockStore');
+
+const DEFAULT_FIXTURES = [path.join(__dirname, 'fixtures', 'checkout-audit.json')];
+
+// Items per page of a TestRail list endpoint (as in TestRail)
+const TESTRAIL_PAGE_SIZE = 250;
+
+// Words ignored when the mock OpenAI endpoint scores test cases against a bug
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'not', 'with', 'when', 'from', 'that', 'this', 'has', 'have',
+  'into', 'each', 'its', 'was', 'does', 'before', 'after', 'only', 'one', 'all', 'page'
+]);
+
+/**
+ * Create the mock server app
+ * Implements the JIRA, TestRail and Xray REST endpoints the services call,
+ * plus an OpenAI-compatible chat completions endpoint for the AI matcher.
+ * @param {MockStore} store - Store holding the mock data
+ * @returns {Object} Express app
+ */
+function createMockServer(store) {
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.use((req, res, next) => {
+    if (!req.path.startsWith('/__mock')) {
+      store.logRequest(req.method, req.originalUrl, req.body);
+    }
+    next();
+  });
+
+  // ---------- JIRA ----------
+
+  app.get('/rest/api/3/myself', (req, res) => {
+    res.json(store.myself || { accountId: 'mock', displayName: 'Mock User', emailAddress: 'mock@example.com' });
+  });
+
+  app.get('/rest/api/3/issue/:key', (req, res) => {
+    const issue = store.getIssue(req.params.key);
+    if (!issue) {
+      return jiraNotFound(res);
+    }
+    res.json(issue);
+  });
+
+  app.get('/rest/api/3/search', (req, res) => {
+    let issues;
+    try {
+      issues = store.searchIssues(String(req.query.jql || ''));
+    } catch (error) {
+      return res.status(400).json({ errorMessages: [error.message], errors: {} });
+    }
+    const startAt = parseInt(req.query.startAt) || 0;
+    const maxResults = parseInt(req.query.maxResults) || 50;
+    res.json({ startAt, maxResults, total: issues.length, issues: issues.slice(startAt, startAt + maxResults) });
+  });
+
+  app.get('/rest/api/3/issue/:key/comment', (req, res) => {
+    if (!store.issues.has(req.params.key)) {
+      return jiraNotFound(res);
+    }
+    const comments = store.issues.get(req.params.key).comments;
+    res.json({ startAt: 0, maxResults: comments.length, total: comments.length, comments });
+  });
+
+  app.post('/rest/api/3/issue/:key/comment', (req, res) => {
+    if (!req.body || !req.body.body) {
+      return res.status(400).json({ errorMessages: [], errors: { comment: 'Comment body can not be empty!' } });
+    }
+    const comment = store.addComment(req.params.key, req.body.body);
+    if (!comment) {
+      return jiraNotFound(res);
+    }
+    res.status(201).json(comment);
+  });
+
+  app.post('/rest/api/3/issueLink', (req, res) => {
+    const { type, inwardIssue, outwardIssue } = req.body || {};
+    const missing = [inwardIssue, outwardIssue].find(ref => !ref || !store.issues.has(ref.key));
+    if (!type || !type.name || missing !== undefined) {
+      return res.status(404).json({ errorMessages: ['Issue link type or one of the issues does not exist'], errors: {} });
+    }
+    store.addIssueLink(type.name, inwardIssue.key, outwardIssue.key);
+    res.status(201).end();
+  });
+
+  app.delete('/rest/api/3/issueLink/:linkId', (req, res) => {
+    if (!store.deleteIssueLink(req.params.linkId)) {
+      return res.status(404).json({ errorMessages: [`No issue link with id '${req.params.linkId}' exists.`], errors: {} });
+    }
+    res.status(204).end();
+  });
+
+  // ---------- TestRail ----------
+  // TestRail routes through the query string: /index.php?/api/v2/get_run/42&suite_id=1
+
+  const testRailHandlers = {
+    'GET get_run': (res, runId) => {
+      const run = store.runs.get(runId);
+      return run ? res.json(run) : res.status(400).json({ error: 'Field :run_id is not a valid test run.' });
+    },
+    'GET get_tests': (res, runId, options) => {
+      if (!store.runs.has(runId)) {
+        return res.status(400).json({ error: 'Field :run_id is not a valid test run.' });
+      }
+      sendPage(res, `get_tests/${runId}`, 'tests', store.getTests(runId), options);
+    },
+    'GET get_test': (res, testId) => {
+      const test = store.tests.get(testId);
+      return test ? res.json(test) : res.status(400).json({ error: 'Field :test_id is not a valid test.' });
+    },
+    'GET get_case': (res, caseId) => {
+      const testCase = store.cases.get(caseId);
+      return testCase ? res.json(testCase) : res.status(400).json({ error: 'Field :case_id is not a valid test case.' });
+    },
+    'GET get_results': (res, testId, options) => {
+      if (!store.tests.has(testId)) {
+        return res.status(400).json({ error: 'Field :test_id is not a valid test.' });
+      }
+      sendPage(res, `get_results/${testId}`, 'results', store.getResults(testId), options);
+    },
+    'POST add_result': (res, testId, options, body) => {
+      if (!store.tests.has(testId)) {
+        return res.status(400).json({ error: 'Field :test_id is not a valid test.' });
+      }
+      if (!body.status_id && !body.comment && !body.defects) {
+        return res.status(400).json({ error: 'Field :status_id, :comment or :defects is required.' });
+      }
+      res.json(store.addResult(testId, body));
+    },
+    'GET get_section': (res, sectionId) => {
+      const section = store.sections.find(s => s.id === sectionId);
+      return section ? res.json(section) : res.status(400).json({ error: 'Field :section_id is not a valid section.' });
+    },
+    'GET get_sections': (res, projectId, options) => {
+      const sections = store.sections.filter(s => s.project_id === projectId &&
+        (!options.suite_id || s.suite_id === parseInt(options.suite_id)));
+      sendPage(res, `get_sections/${projectId}`, 'sections', sections, options);
+    },
+    'GET get_cases': (res, projectId, options) => {
+      const suiteSections = store.sections.filter(s => s.project_id === projectId &&
+        (!options.suite_id || s.suite_id === parseInt(options.suite_id)));
+      const sectionIds = options.section_id ? [parseInt(options.section_id)] : suiteSections.map(s => s.id);
+      const cases = [...store.cases.values()].filter(testCase => sectionIds.includes(testCase.section_id));
+      sendPage(res, `get_cases/${projectId}`, 'cases', cases, options);
+    }
+  };
+
+  /**
+   * Send one page of a TestRail list, linking the next page like TestRail does
+   * @param {Object} res - Express response
+   * @param {string} endpoint - API method and ID (e.g., "get_tests/42")
+   * @param {string} key - Property holding the items
+   * @param {Array} items - Every item
+   * @param {Object} options - Query options (offset, limit and filters)
+   */
+  function sendPage(res, endpoint, key, items, options) {
+    const { offset: rawOffset, limit: rawLimit, ...filters } = options;
+    const offset = parseInt(rawOffset) || 0;
+    const limit = Math.min(parseInt(rawLimit) || TESTRAIL_PAGE_SIZE, TESTRAIL_PAGE_SIZE);
+    const page = items.slice(offset, offset + limit);
+    const link = start => `/api/v2/${endpoint}${Object.entries(filters).map(([name, value]) => `&${name}=${value}`).join('')}&limit=${limit}&offset=${start}`;
+    res.json({
+      offset,
+      limit,
+      size: page.length,
+      _links: {
+        next: offset + limit < items.length ? link(offset + limit) : null,
+        prev: offset > 0 ? link(Math.max(offset - limit, 0)) : null
+      },
+      [key]: page
+    });
+  }
+
+  app.all('/index.php', (req, res) => {
+    const query = req.originalUrl.split('?').slice(1).join('?');
+    const [route, ...params] = query.split('&');
+    const match = route.match(/^\/api\/v2\/(\w+)\/(\d+)$/);
+    if (!match) {
+      return res.status(400).json({ error: `Unknown method '${route}'` });
+    }
+
+    const [, method, id] = match;
+    const options = Object.fromEntries(params.map(param => param.split('=')));
+    const handler = testRailHandlers[`${req.method} ${method}`];
+    if (!handler) {
+      return res.status(400).json({ error: `Unknown method '${method}'` });
+    }
+    handler(res, parseInt(id), options, req.body || {});
+  });
+
+  // ---------- Xray ----------
+
+  app.get('/rest/raven/1.0/api/testexec/:key/test', (req, res) => {
+    const testKeys = store.testExecutions.get(req.params.key);
+    if (!testKeys) {
+      return res.status(404).json({ error: `Test Execution ${req.params.key} not found` });
+    }
+    res.json(testKeys);
+  });
+
+  app.get('/rest/raven/1.0/api/testrun', (req, res) => {
+    const { testIssueKey, testExecIssueKey } = req.query;
+    if (!testIssueKey || !testExecIssueKey) {
+      return res.status(400).json({ error: 'testIssueKey and testExecIssueKey are required' });
+    }
+    const run = store.getTestRun(testIssueKey, testExecIssueKey);
+    if (!run) {
+      return res.status(404).json({ error: `No test run for ${testIssueKey} in ${testExecIssueKey}` });
+    }
+    res.json(run);
+  });
+
+  app.post('/rest/raven/1.0/import/execution', (req, res) => {
+    const { testExecutionKey, tests } = req.body || {};
+    if (!testExecutionKey || !Array.isArray(tests) || tests.some(test => !test.testKey || !test.status)) {
+      return res.status(400).json({ error: 'testExecutionKey and tests[{ testKey, status }] are required' });
+    }
+    store.importExecution(testExecutionKey, tests);
+    const execution = store.issues.get(testExecutionKey);
+    res.json({ testExecIssue: { id: execution ? execution.id : null, key: testExecutionKey } });
+  });
+
+  // ---------- OpenAI ----------
+
+  app.post('/v1/chat/completions', (req, res) => {
+    const prompt = (req.body.messages || []).map(message => message.content).join('\n');
+    const content = JSON.stringify(matchTestCases(prompt));
+    res.json({
+      id: `chatcmpl-mock-${store.nextId++}`,
+      object: 'chat.completion',
+      created: store.tick(),
+      model: req.body.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    });
+  });
+
+  // ---------- Mock control ----------
+
+  app.get('/__mock/state', (req, res) => {
+    res.json(store.getState());
+  });
+
+  app.get('/__mock/requests', (req, res) => {
+    res.json({ count: store.requests.length, requests: store.requests });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    store.reset();
+    res.json({ success: true, fixtures: store.fixtureFiles });
+  });
+
+  // Change an issue's status without notifying the integration (the cycle script sends the webhook)
+  app.post('/__mock/issue/:key/status', (req, res) => {
+    if (!req.body || !req.body.status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
+    const change = store.setStatus(req.params.key, req.body.status);
+    if (!change) {
+      return jiraNotFound(res);
+    }
+    res.json({ issueKey: req.params.key, ...change });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `Mock server does not implement ${req.method} ${req.originalUrl}` });
+  });
+
+  return app;
+}
+
+/**
+ * Send JIRA's response for an unknown issue
+ * @param {Object} res - Express response
+ */
+function jiraNotFound(res) {
+  res.status(404).json({ errorMessages: ['Issue does not exist or you do not have permission to see it.'], errors: {} });
+}
+
+/**
+ * Split text into lower-case words worth comparing
+ * @param {string} text - Text
+ * @returns {Set<string>} Words
+ */
+function tokenize(text) {
+  return new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Stand-in for the AI matcher: pick the test case sharing the most words with the bug
+ * Reads the bug and test case list out of the prompt rendered from prompts/v1.yml
+ * @param {string} prompt - Chat messages joined together
+ * @returns {Object} Match in the single- or multi-match response format the prompt asks for
+ */
+function matchTestCases(prompt) {
+  const bugSection = prompt.split('**Bug Details:**')[1] || '';
+  const bugWords = tokenize(bugSection.split('**CRITICAL')[0]);
+
+  const candidates = [...prompt.matchAll(/Test ID: (\S+) \| Case ID: (\S+)\nTitle: (.*)/g)]
+    .map(([, testId, caseId, title]) => ({
+      test_id: testId,
+      case_id: caseId,
+      title,
+      shared: [...tokenize(title)].filter(word => bugWords.has(word))
+    }))
+    .sort((a, b) => b.shared.length - a.shared.length);
+
+  const best = candidates[0];
+  const match = best
+    ? {
+        test_id: best.test_id,
+        case_id: best.case_id,
+        title: best.title,
+        confidence: Math.min(0.95, 0.5 + best.shared.length * 0.15),
+        reasoning: best.shared.length > 0
+          ? `Mock match on shared words: ${best.shared.join(', ')}`
+          : 'Mock match: no words in common, picked the first test case'
+      }
+    : { test_id: null, case_id: null, title: null, confidence: 0, reasoning: 'No test cases in prompt' };
+
+  return prompt.includes('"matches"') ? { matches: best ? [match] : [] } : match;
+}
+
+module.exports = { createMockServer, MockStore };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_SERVER_PORT) || 4010;
+  const fixtures = process.env.MOCK_SERVER_FIXTURES
+    ? process.env.MOCK_SERVER_FIXTURES.split(',').map(file => file.trim()).filter(file => file)
+    : DEFAULT_FIXTURES;
+
+  const store = new MockStore(fixtures);
+  createMockServer(store).listen(port, () => {
+    console.log(`Mock JIRA/TestRail/Xray/OpenAI server on http://localhost:${port}`);
+    console.log(`Seeded from: ${store.fixtureFiles.join(', ')}`);
+    console.log(`Issues: ${store.issues.size} | TestRail tests: ${store.tests.size} | Xray executions: ${store.testExecutions.size}`);
+  });
+}
@@ -0,0 +1,377 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mock Store - In-memory JIRA, TestRail and Xray data for the mock server
+ * Seeded from fixture files (see mock-server/fixtures) and changed by the
+ * requests the integration makes, so a whole bug cycle can be replayed offline.
+ */
+class MockStore {
+  /**
+   * @param {Array<string>} fixtureFiles - Paths of fixture files to seed from (merged in order)
+   */
+  constructor(fixtureFiles = []) {
+    this.fixtureFiles = fixtureFiles.map(file => path.resolve(file));
+    this.reset();
+  }
+
+  /**
+   * Discard all changes and re-seed from the fixture files
+   */
+  reset() {
+    this.issues = new Map();
+    this.issueLinks = [];
+    this.runs = new Map();
+    this.sections = [];
+    this.cases = new Map();
+    this.tests = new Map();
+    this.results = [];
+    this.testExecutions = new Map();
+    this.testRuns = [];
+    this.requests = [];
+    this.myself = null;
+    this.nextId = 1;
+    this.clock = Date.parse('2026-01-05T09:00:00Z');
+
+    this.fixtureFiles.forEach(file => this.seed(JSON.parse(fs.readFileSync(file, 'utf8'))));
+  }
+
+  /**
+   * Add the contents of one fixture to the store
+   * @param {Object} fixture - Parsed fixture ({ jira, testrail, xray })
+   */
+  seed(fixture) {
+    const jira = fixture.jira || {};
+    const testrail = fixture.testrail || {};
+    const xray = fixture.xray || {};
+
+    if (jira.myself) this.myself = jira.myself;
+    (jira.issues || []).forEach(issue => {
+      this.issues.set(issue.key, {
+        id: String(10000 + this.issues.size + 1),
+        key: issue.key,
+        fields: { ...issue.fields },
+        comments: (issue.comments || []).map(text => this.createComment(this.toAdf(text)))
+      });
+    });
+    (jira.issueLinks || []).forEach(link => this.addIssueLink(link.type, link.inward, link.outward));
+
+    (testrail.runs || []).forEach(run => this.runs.set(run.id, run));
+    this.sections.push(...(testrail.sections || []));
+    (testrail.cases || []).forEach(testCase => this.cases.set(testCase.id, testCase));
+    (testrail.tests || []).forEach(test => this.tests.set(test.id, test));
+    (testrail.results || []).forEach(result => {
+      this.results.push({ id: this.nextId++, created_on: this.tick(), ...result });
+    });
+
+    Object.entries(xray.testExecutions || {}).forEach(([key, testKeys]) => this.testExecutions.set(key, [...testKeys]));
+    (xray.testRuns || []).forEach(run => this.testRuns.push({ id: this.nextId++, ...run }));
+  }
+
+  /**
+   * Advance the mock clock (keeps result ordering stable between runs)
+   * @returns {number} Unix timestamp in seconds
+   */
+  tick() {
+    this.clock += 60 * 1000;
+    return Math.floor(this.clock / 1000);
+  }
+
+  /**
+   * Record an incoming request for GET /__mock/requests
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {Object} body - Parsed body
+   */
+  logRequest(method, url, body) {
+    this.requests.push({ method, url, body: body && Object.keys(body).length > 0 ? body : undefined });
+  }
+
+  /**
+   * Wrap plain text in a minimal Atlassian Document Format document (one paragraph per line)
+   * @param {string} text - Plain text
+   * @returns {Object} ADF document
+   */
+  toAdf(text) {
+    return {
+      type: 'doc',
+      version: 1,
+      content: String(text).split('\n').map(line => ({
+        type: 'paragraph',
+        content: line ? [{ type: 'text', text: line }] : []
+      }))
+    };
+  }
+
+  /**
+   * Build a comment record
+   * @param {Object} body - ADF body
+   * @returns {Object} Comment
+   */
+  createComment(body) {
+    return {
+      id: String(this.nextId++),
+      author: { displayName: this.myself ? this.myself.displayName : 'Mock User' },
+      body,
+      created: new Date(this.tick() * 1000).toISOString()
+    };
+  }
+
+  // ---------- JIRA ----------
+
+  /**
+   * Get an issue in the shape the JIRA REST API v3 returns
+   * @param {string} key - Issue key
+   * @returns {Object|null} Issue or null if unknown
+   */
+  getIssue(key) {
+    const issue = this.issues.get(key);
+    if (!issue) return null;
+
+    const { summary, description, issuetype, status, parent, ...customFields } = issue.fields;
+    return {
+      id: issue.id,
+      key: issue.key,
+      fields: {
+        ...customFields,
+        summary,
+        description: description ? this.toAdf(description) : null,
+        issuetype: { name: issuetype },
+        status: { name: status },
+        project: { key: issue.key.split('-')[0] },
+        parent: parent ? this.getIssueReference(parent) : undefined,
+        issuelinks: this.getIssueLinks(key),
+        subtasks: [],
+        labels: issue.fields.labels || [],
+        components: issue.fields.components || []
+      }
+    };
+  }
+
+  /**
+   * Find issues with a small subset of JQL
+   * Supports clauses joined by AND: field = value, field != value and field in (a, b)
+   * on project, key, issuetype, status and labels. ORDER BY is ignored (issues stay in key order).
+   * @param {string} jql - JQL query
+   * @returns {Array<Object>} Issues in the REST API shape
+   */
+  searchIssues(jql) {
+    const where = jql.replace(/\border\s+by\b.*$/i, '').trim();
+    const clauses = where ? where.split(/\s+and\s+/i).map(clause => {
+      const match = clause.trim().match(/^(\w+)\s*(=|!=|\bin\b|\bnot in\b)\s*(.+)$/i);
+      if (!match) {
+        throw new Error(`Mock JQL does not support "${clause.trim()}"`);
+      }
+      const values = match[3].trim().replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^["']|["']$/g, '').toLowerCase());
+      return { field: match[1].toLowerCase(), negate: /^(!=|not in)$/i.test(match[2].trim()), values };
+    }) : [];
+
+    const fieldValues = (issue, field) => ({
+      project: [issue.fields.project.key],
+      key: [issue.key],
+      issuetype: [issue.fields.issuetype.name],
+      type: [issue.fields.issuetype.name],
+      status: [issue.fields.status.name],
+      labels: issue.fields.labels
+    }[field] || []).map(v => String(v).toLowerCase());
+
+    return Array.from(this.issues.keys())
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(key => this.getIssue(key))
+      .filter(issue => clauses.every(({ field, negate, values }) =>
+        fieldValues(issue, field).some(v => values.includes(v)) !== negate));
+  }
+
+  /**
+   * Get the short form of an issue used inside links and parent fields
+   * @param {string} key - Issue key
+   * @returns {Object} Issue reference
+   */
+  getIssueReference(key) {
+    const issue = this.issues.get(key);
+    return {
+      id: issue ? issue.id : null,
+      key,
+      fields: issue
+        ? { summary: issue.fields.summary, status: { name: issue.fields.status }, issuetype: { name: issue.fields.issuetype } }
+        : { summary: '', status: { name: 'Unknown' }, issuetype: { name: 'Unknown' } }
+    };
+  }
+
+  /**
+   * Get the links of an issue as they appear in fields.issuelinks
+   * @param {string} key - Issue key
+   * @returns {Array} Issue links
+   */
+  getIssueLinks(key) {
+    return this.issueLinks
+      .filter(link => link.inward === key || link.outward === key)
+      .map(link => (link.inward === key
+        ? { id: link.id, type: { name: link.type }, outwardIssue: this.getIssueReference(link.outward) }
+        : { id: link.id, type: { name: link.type }, inwardIssue: this.getIssueReference(link.inward) }));
+  }
+
+  /**
+   * Link two issues
+   * @param {string} type - Link type name
+   * @param {string} inward - Inward issue key
+   * @param {string} outward - Outward issue key
+   * @returns {Object} Link
+   */
+  addIssueLink(type, inward, outward) {
+    const link = { id: String(this.nextId++), type, inward, outward };
+    this.issueLinks.push(link);
+    return link;
+  }
+
+  /**
+   * Delete an issue link
+   * @param {string} linkId - Link ID
+   * @returns {boolean} True if the link existed
+   */
+  deleteIssueLink(linkId) {
+    const before = this.issueLinks.length;
+    this.issueLinks = this.issueLinks.filter(link => link.id !== String(linkId));
+    return this.issueLinks.length < before;
+  }
+
+  /**
+   * Add a comment to an issue
+   * @param {string} key - Issue key
+   * @param {Object|string} body - ADF document or plain text
+   * @returns {Object|null} Comment or null if the issue is unknown
+   */
+  addComment(key, body) {
+    const issue = this.issues.get(key);
+    if (!issue) return null;
+
+    const comment = this.createComment(typeof body === 'string' ? this.toAdf(body) : body);
+    issue.comments.push(comment);
+    return comment;
+  }
+
+  /**
+   * Change the status of an issue (what a JIRA transition would do)
+   * @param {string} key - Issue key
+   * @param {string} status - New status name
+   * @returns {Object|null} { fromStatus, toStatus } or null if the issue is unknown
+   */
+  setStatus(key, status) {
+    const issue = this.issues.get(key);
+    if (!issue) return null;
+
+    const fromStatus = issue.fields.status;
+    issue.fields.status = status;
+    return { fromStatus, toStatus: status };
+  }
+
+  // ---------- TestRail ----------
+
+  /**
+   * Get the tests of a run with their current status
+   * @param {number} runId - Run ID
+   * @returns {Array} Tests
+   */
+  getTests(runId) {
+    return [...this.tests.values()].filter(test => test.run_id === runId);
+  }
+
+  /**
+   * Get the results of a test, newest first (as TestRail returns them)
+   * @param {number} testId - Test ID
+   * @returns {Array} Results
+   */
+  getResults(testId) {
+    return this.results
+      .filter(result => result.test_id === testId)
+      .sort((a, b) => b.created_on - a.created_on || b.id - a.id);
+  }
+
+  /**
+   * Add a result to a test and update the test's status
+   * @param {number} testId - Test ID
+   * @param {Object} data - { status_id, comment, defects }
+   * @returns {Object} Result
+   */
+  addResult(testId, data) {
+    const result = {
+      id: this.nextId++,
+      test_id: testId,
+      status_id: data.status_id,
+      comment: data.comment || '',
+      defects: data.defects || '',
+      created_on: this.tick()
+    };
+    this.results.push(result);
+    this.tests.get(testId).status_id = data.status_id;
+    return result;
+  }
+
+  // ---------- Xray ----------
+
+  /**
+   * Record test results imported into a Test Execution
+   * @param {string} executionKey - Test Execution key
+   * @param {Array} tests - [{ testKey, status, comment }]
+   * @returns {Array} Test runs created
+   */
+  importExecution(executionKey, tests) {
+    if (!this.testExecutions.has(executionKey)) {
+      this.testExecutions.set(executionKey, []);
+    }
+    const executionTests = this.testExecutions.get(executionKey);
+
+    return tests.map(test => {
+      if (!executionTests.includes(test.testKey)) {
+        executionTests.push(test.testKey);
+      }
+      const run = {
+        id: this.nextId++,
+        testKey: test.testKey,
+        testExecKey: executionKey,
+        status: test.status,
+        comment: test.comment || '',
+        defects: test.defects || [],
+        finishedOn: new Date(this.tick() * 1000).toISOString()
+      };
+      this.testRuns.push(run);
+      return run;
+    });
+  }
+
+  /**
+   * Get the latest run of a test in a Test Execution
+   * @param {string} testKey - Test key
+   * @param {string} executionKey - Test Execution key
+   * @returns {Object|null} Test run or null
+   */
+  getTestRun(testKey, executionKey) {
+    const runs = this.testRuns.filter(run => run.testKey === testKey && run.testExecKey === executionKey);
+    return runs.length > 0 ? runs[runs.length - 1] : null;
+  }
+
+  /**
+   * Get a snapshot of everything in the store
+   * @returns {Object} State
+   */
+  getState() {
+    return {
+      fixtures: this.fixtureFiles,
+      issues: [...this.issues.keys()].map(key => ({
+        ...this.getIssue(key),
+        comments: this.issues.get(key).comments
+      })),
+      testrail: {
+        runs: [...this.runs.values()],
+        tests: [...this.tests.values()],
+        results: this.results
+      },
+      xray: {
+        testExecutions: Object.fromEntries(this.testExecutions),
+        testRuns: this.testRuns
+      }
+    };
+  }
+}
+
+module.exports = MockStore;
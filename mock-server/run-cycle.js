@@ -0,0 +1,126 @@
+const axios = require('axios');
+const config = require('../config');
+const webhookSignatureService = require('../services/webhookSignatureService');
+
+/**
+ * Replay a bug's created → resolved → reopened cycle against the mock server
+ *
+ * Usage: node mock-server/run-cycle.js [ISSUE-KEY]
+ * Expects the mock server (npm run mock-server) and the integration (npm start,
+ * pointed at the mock server) to be running. For each step it changes the bug's
+ * status in the mock, sends the JIRA webhook the transition would produce, waits
+ * for the job queue to drain and prints the comments the workflow added.
+ */
+
+const issueKey = process.argv[2] || 'QA-101';
+const mockUrl = process.env.MOCK_SERVER_URL || `http://localhost:${parseInt(process.env.MOCK_SERVER_PORT) || 4010}`;
+const integrationUrl = process.env.INTEGRATION_URL || `http://localhost:${config.server.port}`;
+const jobTimeoutMs = parseInt(process.env.CYCLE_JOB_TIMEOUT_MS) || 120000;
+
+const steps = [
+  { name: 'Bug Created', toStatus: config.jira.statusReadyForDev },
+  { name: 'Bug Resolved', toStatus: config.jira.statusQueuedMerged },
+  { name: 'Back to QA', toStatus: config.jira.statusQAInProgress, silent: true },
+  { name: 'Bug Reopened', toStatus: config.jira.statusReadyForDev }
+];
+
+/**
+ * Send a status-change webhook the way JIRA does (signed if a secret is configured)
+ * @param {Object} issue - Issue from the mock server
+ * @param {string} fromStatus - Previous status
+ * @param {string} toStatus - New status
+ */
+async function sendWebhook(issue, fromStatus, toStatus) {
+  const body = JSON.stringify({
+    webhookEvent: 'jira:issue_updated',
+    timestamp: Date.now(),
+    issue,
+    changelog: {
+      id: String(Date.now()),
+      items: [{ field: 'status', fromString: fromStatus, toString: toStatus }]
+    }
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.server.webhookSecret) {
+    headers['X-Hub-Signature'] = `sha256=${webhookSignatureService.sign(Buffer.from(body), config.server.webhookSecret).toString('hex')}`;
+  }
+
+  const response = await axios.post(`${integrationUrl}/webhook/jira`, body, { headers });
+  return response.data;
+}
+
+/**
+ * Wait until the integration has no pending or running jobs
+ */
+async function waitForJobs() {
+  const deadline = Date.now() + jobTimeoutMs;
+
+  while (Date.now() < deadline) {
+    const { data } = await axios.get(`${integrationUrl}/api/jobs`);
+    if (data.stats.pending === 0 && data.stats.running === 0) {
+      return data.stats;
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  throw new Error(`Jobs still running after ${jobTimeoutMs}ms - check GET ${integrationUrl}/api/jobs`);
+}
+
+/**
+ * Get the plain text of an ADF comment body
+ * @param {Object} body - ADF document
+ * @returns {string} Text
+ */
+function commentText(body) {
+  return (body.content || [])
+    .map(paragraph => (paragraph.content || []).map(node => node.text || '').join(''))
+    .join('\n');
+}
+
+async function run() {
+  console.log(`Replaying bug cycle for ${issueKey}`);
+  console.log(`Mock server: ${mockUrl} | Integration: ${integrationUrl}\n`);
+
+  for (const step of steps) {
+    const before = await axios.get(`${mockUrl}/rest/api/3/issue/${issueKey}/comment`);
+    const change = (await axios.post(`${mockUrl}/__mock/issue/${issueKey}/status`, { status: step.toStatus })).data;
+    console.log(`=== ${step.name}: ${change.fromStatus} → ${change.toStatus}`);
+
+    if (step.silent) {
+      console.log('(no workflow for this transition)\n');
+      continue;
+    }
+
+    const issue = (await axios.get(`${mockUrl}/rest/api/3/issue/${issueKey}`)).data;
+    const accepted = await sendWebhook(issue, change.fromStatus, change.toStatus);
+    console.log(`Webhook accepted (job ${accepted.jobId || 'n/a'})`);
+
+    const stats = await waitForJobs();
+    if (stats.dead > 0) {
+      console.log(`⚠️  ${stats.dead} dead job(s) - see GET ${integrationUrl}/api/jobs?status=dead`);
+    }
+
+    const after = await axios.get(`${mockUrl}/rest/api/3/issue/${issueKey}/comment`);
+    after.data.comments.slice(before.data.comments.length).forEach(comment => {
+      console.log(`\n--- comment ---\n${commentText(comment.body)}`);
+    });
+    console.log('');
+  }
+
+  const state = (await axios.get(`${mockUrl}/__mock/state`)).data;
+  console.log('=== TestRail results');
+  state.testrail.results.forEach(result => {
+    console.log(`test ${result.test_id}: status ${result.status_id}${result.defects ? ` defects ${result.defects}` : ''} - ${result.comment}`);
+  });
+
+  console.log('\n=== Xray test runs');
+  state.xray.testRuns.forEach(run => {
+    console.log(`${run.testKey} in ${run.testExecKey}: ${run.status} - ${run.comment}`);
+  });
+}
+
+run().catch(error => {
+  console.error(`Cycle failed: ${error.response ? JSON.stringify(error.response.data) : error.message}`);
+  process.exit(1);
+});
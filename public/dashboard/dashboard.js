@@ -0,0 +1,281 @@
+/**
+ * Dashboard - matches, corrections, pending reviews and run health
+ * Plain browser script (no build step); all data comes from /api/dashboard/*.
+ * Routes: #/ (overview) and #/bugs/<issue key> (history of one bug).
+ */
+(function () {
+  const state = { profile: null };
+
+  const $ = id => document.getElementById(id);
+
+  /**
+   * Escape text for use in HTML
+   * @param {*} value - Value to show
+   * @returns {string} Escaped text
+   */
+  function esc(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  /**
+   * Format an ISO timestamp for display
+   * @param {string} iso - Timestamp
+   * @returns {string} Local date and time
+   */
+  function time(iso) {
+    return iso ? new Date(iso).toLocaleString() : '-';
+  }
+
+  /**
+   * Format a 0-1 rate as a percentage
+   * @param {number|null} rate - Rate
+   * @returns {string} Percentage
+   */
+  function percent(rate) {
+    return rate === null || rate === undefined ? '-' : `${(rate * 100).toFixed(1)}%`;
+  }
+
+  /**
+   * Link to a bug's history view
+   * @param {string|null} key - Issue key
+   * @returns {string} HTML
+   */
+  function bugLink(key) {
+    return key ? `<a href="#/bugs/${encodeURIComponent(key)}">${esc(key)}</a>` : '<span class="muted">-</span>';
+  }
+
+  /**
+   * Fetch JSON from the API for the selected profile
+   * @param {string} path - API path
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response body
+   */
+  async function api(path, params = {}) {
+    const query = new URLSearchParams({ ...params, ...(state.profile ? { profile: state.profile } : {}) });
+    const response = await fetch(`${path}?${query}`);
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || `${path} returned ${response.status}`);
+    }
+    return body;
+  }
+
+  /**
+   * Render an HTML table
+   * @param {Array<string>} headers - Column headers
+   * @param {Array<Array<string>>} rows - Cell HTML per row
+   * @param {string} empty - Text shown when there are no rows
+   * @returns {string} HTML
+   */
+  function table(headers, rows, empty = 'No data yet') {
+    if (rows.length === 0) {
+      return `<p class="muted">${esc(empty)}</p>`;
+    }
+    return `<table><thead><tr>${headers.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+  }
+
+  /**
+   * Show or clear the error banner
+   * @param {Error|null} error - Error to show
+   */
+  function showError(error) {
+    $('error').hidden = !error;
+    $('error').textContent = error ? error.message : '';
+  }
+
+  /**
+   * Render the headline cards
+   * @param {Object} overview - /api/dashboard/overview response
+   */
+  function renderCards(overview) {
+    const learning = overview.learning || {};
+    const cards = [
+      ['AI matches', learning.total_matches ?? 0],
+      ['Corrections', learning.total_corrections ?? 0],
+      ['Correction rate', learning.correction_rate || '0%'],
+      ['Bugs', learning.total_bugs ?? 0],
+      ['Pending reviews', overview.approvals.enabled ? overview.approvals.pending : 'off'],
+      ['Jobs queued / running', `${overview.queue.pending} / ${overview.queue.running}`],
+      ['Dead jobs', overview.queue.dead],
+      ['Cache entries', overview.cache.totalCached]
+    ];
+    $('cards').innerHTML = cards.map(([label, value]) =>
+      `<div class="card"><div class="value">${esc(value)}</div><div class="label">${esc(label)}</div></div>`).join('') +
+      (overview.dryRunMode ? '<div class="card"><div class="value">Dry run</div><div class="label">No writes</div></div>' : '');
+  }
+
+  /**
+   * Render the correction-rate trend as an SVG bar chart
+   * @param {Array} trend - [{ period, matchedBugs, correctedBugs, correctionRate }]
+   */
+  function renderTrend(trend) {
+    if (trend.length === 0) {
+      $('trend').innerHTML = '<p class="muted">No matches yet</p>';
+      return;
+    }
+
+    const width = 480;
+    const height = 180;
+    const barWidth = Math.min(40, (width - 40) / trend.length - 8);
+    const maxRate = Math.max(0.1, ...trend.map(row => row.correctionRate || 0));
+
+    const bars = trend.map((row, idx) => {
+      const x = 40 + idx * (barWidth + 8);
+      const barHeight = ((row.correctionRate || 0) / maxRate) * (height - 40);
+      const y = height - 20 - barHeight;
+      return `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="#ff991f">
+          <title>${esc(row.period)}: ${row.correctedBugs} of ${row.matchedBugs} matched bugs corrected</title></rect>
+        <text x="${x}" y="${height - 6}">${esc(row.period.slice(-5))}</text>
+        <text x="${x}" y="${y - 4}">${percent(row.correctionRate)}</text>`;
+    }).join('');
+
+    $('trend').innerHTML = `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Correction rate per period">
+      <line x1="36" y1="${height - 20}" x2="${width}" y2="${height - 20}" stroke="#dfe1e6"/>${bars}</svg>`;
+  }
+
+  /**
+   * Load and render the overview
+   */
+  async function loadOverview() {
+    const [overview, trend, tests, executions, runs] = await Promise.all([
+      api('/api/dashboard/overview'),
+      api('/api/dashboard/corrections/trend', { period: $('trend-period').value }),
+      api('/api/dashboard/corrections/tests'),
+      api('/api/dashboard/executions', { limit: 50 }),
+      api('/api/dashboard/runs')
+    ]);
+
+    renderCards(overview);
+    renderTrend(trend);
+
+    $('corrected-tests').innerHTML = table(
+      ['Test', 'Title', 'Wrong AI pick', 'Corrected to'],
+      tests.map(t => [esc(t.testId), esc(t.title || ''), esc(t.correctedFrom), esc(t.correctedTo)]),
+      'No corrections yet'
+    );
+
+    const active = executions.active.map(job => [
+      time(job.createdAt), bugLink(job.issueKey), esc(job.workflow), '-',
+      `<span class="muted">${esc(job.status)}${job.attempts ? ` (attempt ${job.attempts})` : ''}</span>`,
+      esc(job.lastError || '')
+    ]);
+    const finished = executions.executions.map(e => [
+      time(e.finishedAt), bugLink(e.bugKey), esc(e.workflow), esc(e.runId || '-'),
+      e.success ? '<span class="ok">success</span>' : '<span class="failed">failed</span>',
+      esc(e.error || e.result?.message || (e.result?.matches ? `${e.result.matches.length} match(es)` : ''))
+    ]);
+    $('executions').innerHTML = table(['Time', 'Bug', 'Workflow', 'Run', 'Outcome', 'Details'], [...active, ...finished], 'No workflow executions yet');
+
+    $('runs').innerHTML = table(
+      ['Run', 'Bugs', 'Linked bugs', 'Failed tests', 'Tests touched', 'Last activity'],
+      runs.map(r => [esc(r.runId), esc(r.bugs), esc(r.linkedBugs), esc(r.failedTests), esc(r.tests), time(r.lastActivity)]),
+      'No test results written yet'
+    );
+
+    $('cache').innerHTML = table(
+      ['Key', 'Cached', 'Expires', 'Size'],
+      overview.cache.caches.map(c => [
+        esc(c.key), time(c.cachedAt),
+        c.expired ? `<span class="failed">${time(c.expiresAt)} (expired)</span>` : time(c.expiresAt),
+        `${(c.dataSize / 1024).toFixed(1)} KB`
+      ]),
+      'Nothing cached'
+    );
+  }
+
+  /**
+   * Render one timeline entry's details
+   * @param {Object} entry - { type, data }
+   * @returns {string} HTML
+   */
+  function entryDetails(entry) {
+    const data = entry.data;
+    if (entry.type === 'ai') {
+      return `<details><summary>Prompt${data.durationMs !== null ? ` (${(data.durationMs / 1000).toFixed(1)}s)` : ''}</summary>
+          ${data.system ? `<pre>${esc(data.system)}</pre>` : ''}<pre>${esc(data.prompt)}</pre></details>
+        <details><summary>${data.error ? 'Error' : 'Response'}</summary><pre>${esc(data.error || JSON.stringify(data.response, null, 2))}</pre></details>`;
+    }
+    if (entry.type === 'comment') {
+      return `<details><summary>Comment</summary><pre>${esc(data.body)}</pre></details>`;
+    }
+    if (entry.type === 'match' || entry.type === 'correction') {
+      return `<div class="muted">Run ${esc(data.runId || '-')}${data.confidence !== undefined && data.confidence !== null ? ` · confidence ${esc(data.confidence)}` : ''}${data.promptVersion ? ` · prompt ${esc(data.promptVersion)}` : ''}</div>
+        ${data.reasoning ? `<div>${esc(data.reasoning)}</div>` : ''}`;
+    }
+    return `<details><summary>Details</summary><pre>${esc(JSON.stringify(data, null, 2))}</pre></details>`;
+  }
+
+  /**
+   * Load and render the history of one bug
+   * @param {string} issueKey - Issue key
+   */
+  async function loadBug(issueKey) {
+    $('bug-title').textContent = issueKey;
+    $('bug-summary').textContent = 'Loading...';
+    $('bug-timeline').innerHTML = '';
+
+    const history = await api(`/api/dashboard/bugs/${encodeURIComponent(issueKey)}`);
+    $('bug-summary').textContent = history.bug.summary || '';
+
+    const pending = history.activeJobs.map(job => `<li class="execution"><strong>${esc(job.workflow)}</strong> ${esc(job.status)}
+      <span class="muted">queued ${time(job.createdAt)}</span>${job.lastError ? `<div class="failed">${esc(job.lastError)}</div>` : ''}</li>`);
+    const entries = history.timeline.map(entry => `<li class="${esc(entry.type)}">
+      <span class="muted">${time(entry.at)}</span> <strong>${esc(entry.title)}</strong>${entryDetails(entry)}</li>`);
+
+    $('bug-timeline').innerHTML = entries.length + pending.length > 0
+      ? `<ul class="timeline">${[...entries, ...pending].join('')}</ul>`
+      : '<p class="muted">Nothing recorded for this bug</p>';
+  }
+
+  /**
+   * Show the view for the current location hash
+   */
+  async function route() {
+    const match = location.hash.match(/^#\/bugs\/(.+)$/);
+    $('overview-view').hidden = !!match;
+    $('bug-view').hidden = !match;
+
+    try {
+      showError(null);
+      if (match) {
+        await loadBug(decodeURIComponent(match[1]));
+      } else {
+        await loadOverview();
+      }
+    } catch (error) {
+      showError(error);
+    }
+  }
+
+  /**
+   * Fill the profile selector and show the first view
+   */
+  async function start() {
+    try {
+      const profiles = await api('/api/profiles');
+      const params = new URLSearchParams(location.search);
+      state.profile = params.get('profile') || (profiles.find(p => p.default) || profiles[0] || {}).name || null;
+      $('profile').innerHTML = profiles.map(p =>
+        `<option value="${esc(p.name)}"${p.name === state.profile ? ' selected' : ''}>${esc(p.name)}</option>`).join('');
+    } catch (error) {
+      showError(error);
+    }
+
+    $('profile').addEventListener('change', event => {
+      state.profile = event.target.value;
+      route();
+    });
+    $('trend-period').addEventListener('change', route);
+    $('bug-search').addEventListener('submit', event => {
+      event.preventDefault();
+      const key = $('bug-key').value.trim().toUpperCase();
+      if (key) location.hash = `#/bugs/${encodeURIComponent(key)}`;
+    });
+    window.addEventListener('hashchange', route);
+
+    await route();
+  }
+
+  start();
+})();
@@ -28,6 +28,14 @@ try {
     
     Write-Host "Correction Rate: " -NoNewline -ForegroundColor White
     Write-Host $stats.correction_rate -ForegroundColor Yellow
+
+    Write-Host "Bugs / Runs: " -NoNewline -ForegroundColor White
+    Write-Host "$($stats.total_bugs) / $($stats.total_runs)" -ForegroundColor Yellow
+
+    if ($stats.outcomes) {
+        Write-Host "Outcomes: " -NoNewline -ForegroundColor White
+        Write-Host (($stats.outcomes.PSObject.Properties | ForEach-Object { "$($_.Name) $($_.Value)" }) -join ", ") -ForegroundColor Yellow
+    }
     
     Write-Host ""
     Write-Host "Last Match: " -NoNewline -ForegroundColor White
@@ -1,28 +1,57 @@
 const express = require('express');
-const workflowService = require('./services/workflowService');
-const learningService = require('./services/learningService');
-const cacheService = require('./services/cacheService');
-const jiraService = require('./services/jiraService');
-const testMgmt = require('./services/testManagementAdapter');
+const path = require('path');
+const profileService = require('./services/profileService');
+const jobQueue = require('./services/jobQueueService');
+const httpClient = require('./services/httpClient');
+const idempotencyService = require('./services/idempotencyService');
+const webhookSignatureService = require('./services/webhookSignatureService');
 const config = require('./config');
 const logger = require('./logger');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body - webhook signatures are computed over the exact bytes sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+/**
+ * Get the services of the profile a request targets
+ * Uses the "profile" query/body parameter, else the issue key's project, else the default profile
+ * @param {Object} req - Express request
+ * @returns {Object} Profile services
+ */
+function getProfileServices(req) {
+  const name = profileService.resolveProfileName({
+    profile: req.query.profile || req.body?.profile,
+    issueKey: req.params.issueKey || req.body?.issueKey
+  });
+  return profileService.getServices(name);
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const { testMgmt } = profileService.getServices();
   res.json({ 
     status: 'ok', 
     service: `JIRA-${testMgmt.getSystemName()} Integration`,
     testManagementSystem: testMgmt.getSystemName(),
-    dryRunMode: config.server.dryRunMode
+    testManagementMode: testMgmt.getMode(),
+    dryRunMode: config.server.dryRunMode,
+    profiles: profileService.getProfileNames()
   });
 });
 
+// Profiles endpoint
+app.get('/api/profiles', (req, res) => {
+  res.json(profileService.getSummary());
+});
+
 // Statistics endpoint
 app.get('/api/stats', async (req, res) => {
   try {
+    const { learningService } = getProfileServices(req);
     const stats = await learningService.getStatistics();
     res.json(stats);
   } catch (error) {
@@ -31,18 +60,82 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
-// JIRA Webhook endpoint
-app.post('/webhook/jira', async (req, res) => {
+// Retrieval metrics (candidate narrowing before AI matching)
+app.get('/api/retrieval/metrics', async (req, res) => {
+  try {
+    const { retrievalService } = getProfileServices(req);
+    res.json(await retrievalService.getMetrics());
+  } catch (error) {
+    logger.error(`Failed to get retrieval metrics: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Explain which past bugs the learning data considers similar to a bug
+app.post('/api/learning/explain', async (req, res) => {
+  try {
+    const { issueKey, summary, description, limit } = req.body || {};
+    if (!issueKey && !summary) {
+      return res.status(400).json({ error: 'issueKey or summary is required' });
+    }
+
+    const { jiraService, learningService } = getProfileServices(req);
+    let bugData = { summary, description };
+    if (issueKey) {
+      const issue = await jiraService.getIssue(issueKey);
+      bugData = {
+        key: issue.key,
+        summary: issue.fields.summary,
+        description: jiraService.extractTextFromDescription(issue.fields.description)
+      };
+    }
+
+    res.json(await learningService.explainSimilarity(bugData, parseInt(limit) || 5));
+  } catch (error) {
+    logger.error(`Failed to explain similarity: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Similarity thresholds calibrated from corrections
+app.get('/api/learning/calibration', async (req, res) => {
+  try {
+    const { learningService } = getProfileServices(req);
+    res.json(await learningService.getCalibration());
+  } catch (error) {
+    logger.error(`Failed to get similarity calibration: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Prompt templates, A/B configuration and correction rate per version
+app.get('/api/prompts', async (req, res) => {
+  try {
+    const { profile, promptService, learningService } = getProfileServices(req);
+    const stats = await learningService.getStatistics();
+    res.json({ profile, ...promptService.getStatus(), correctionRates: stats ? stats.prompt_versions : {} });
+  } catch (error) {
+    logger.error(`Failed to get prompt templates: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// JIRA Webhook endpoint (optionally scoped to a profile: /webhook/jira/:profile)
+app.post('/webhook/jira/:profile?', async (req, res) => {
   try {
-    logger.info('Received JIRA webhook');
+    const profile = req.params.profile || null;
+    logger.info(`Received JIRA webhook${profile ? ` for profile ${profile}` : ''}`);
+
+    if (profile && !profileService.hasProfile(profile)) {
+      logger.warn(`Webhook for unknown profile "${profile}"`);
+      return res.status(404).json({ error: `Unknown profile "${profile}"` });
+    }
     
-    // Validate webhook secret if configured
-    if (config.server.webhookSecret) {
-      const receivedSecret = req.headers['x-webhook-secret'];
-      if (receivedSecret !== config.server.webhookSecret) {
-        logger.warn('Invalid webhook secret');
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+    // Verify webhook signature if a secret is configured
+    const verification = webhookSignatureService.verify(req);
+    if (!verification.valid) {
+      logger.warn(`Rejected webhook from ${req.ip}: ${verification.reason}`);
+      return res.status(401).json({ error: 'Unauthorized', reason: verification.reason });
     }
 
     const webhookEvent = req.body;
@@ -50,11 +143,41 @@ app.post('/webhook/jira', async (req, res) => {
 
     logger.info(`Webhook event type: ${eventType}`);
 
-    // Respond quickly to avoid timeout
-    res.status(202).json({ message: 'Webhook received, processing...' });
+    // The issue changed: status checks must not answer from a cached copy
+    if (webhookEvent.issue?.key) {
+      for (const name of profileService.getProfileNames()) {
+        profileService.getServices(name).jiraService.forgetIssue(webhookEvent.issue.key);
+      }
+    }
 
-    // Process webhook asynchronously
-    processWebhook(webhookEvent, eventType);
+    // Ignore redeliveries and duplicate events for the same transition
+    const deliveryKeys = idempotencyService.getDeliveryKeys(webhookEvent, req.headers);
+    const deliveryKey = deliveryKeys[0] || null;
+    if (deliveryKey) {
+      const { duplicate, record } = idempotencyService.checkAndReserve(deliveryKeys, webhookEvent.issue?.key);
+      if (duplicate) {
+        return res.status(200).json({
+          message: 'Duplicate webhook ignored',
+          duplicate: true,
+          jobId: record.jobId,
+          outcomes: record.outcomes
+        });
+      }
+    }
+
+    // Persist the webhook before acknowledging so it survives a restart
+    let job;
+    try {
+      job = await jobQueue.enqueue('webhook', { webhookEvent, eventType, deliveryKey, profile });
+    } catch (error) {
+      // Let JIRA's redelivery be accepted next time
+      if (deliveryKey) await idempotencyService.release(deliveryKey);
+      throw error;
+    }
+    if (deliveryKey) await idempotencyService.recordJob(deliveryKey, job.id);
+
+    // Respond quickly to avoid timeout
+    res.status(202).json({ message: 'Webhook received, processing...', jobId: job.id });
 
   } catch (error) {
     logger.error(`Webhook processing error: ${error.message}`);
@@ -62,6 +185,36 @@ app.post('/webhook/jira', async (req, res) => {
   }
 });
 
+// Webhook signature verification statistics
+app.get('/api/webhook/stats', (req, res) => {
+  res.json(webhookSignatureService.getStats());
+});
+
+// Workflow rules - list loaded rules
+app.get('/api/workflow-rules', (req, res) => {
+  try {
+    const { profile, workflowRules } = getProfileServices(req);
+    res.json({ profile, ...workflowRules.getRules() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Workflow rules - show which rule a sample webhook event would match
+app.post('/api/workflow-rules/explain', (req, res) => {
+  try {
+    if (!req.body || !req.body.issue) {
+      return res.status(400).json({ error: 'Request body must be a JIRA webhook event with an issue and changelog' });
+    }
+    const name = profileService.resolveProfileName({ profile: req.query.profile, issueKey: req.body.issue.key });
+    const { workflowRules } = profileService.getServices(name);
+    res.json({ profile: name, ...workflowRules.explain(req.body) });
+  } catch (error) {
+    logger.error(`Failed to explain workflow rules: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Manual trigger endpoint - Bug Created workflow
 app.post('/api/trigger/bug-created', async (req, res) => {
   try {
@@ -72,9 +225,7 @@ app.post('/api/trigger/bug-created', async (req, res) => {
     }
 
     logger.info(`Manual trigger: Bug Created for ${issueKey}`);
-    const result = await workflowService.handleBugCreated(issueKey);
-    
-    res.json(result);
+    await sendWorkflowJob(res, 'bug-created', { issueKey, profile: getProfileServices(req).profile, actor: 'manual' });
   } catch (error) {
     logger.error(`Manual trigger failed: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -91,9 +242,7 @@ app.post('/api/trigger/bug-resolved', async (req, res) => {
     }
 
     logger.info(`Manual trigger: Bug Resolved for ${issueKey}`);
-    const result = await workflowService.handleBugResolved(issueKey);
-    
-    res.json(result);
+    await sendWorkflowJob(res, 'bug-resolved', { issueKey, profile: getProfileServices(req).profile, actor: 'manual' });
   } catch (error) {
     logger.error(`Manual trigger failed: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -110,19 +259,184 @@ app.post('/api/trigger/correction', async (req, res) => {
     }
 
     logger.info(`Manual trigger: Correction for ${issueKey}`);
-    const result = await workflowService.handleCorrection(issueKey, comment);
-    
-    res.json(result);
+    await sendWorkflowJob(res, 'correction', { issueKey, comment, profile: getProfileServices(req).profile, actor: 'manual' });
   } catch (error) {
     logger.error(`Manual trigger failed: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Rollback - preview (GET) or undo (POST, { dryRun } posts the preview on the bug) everything done for a bug
+app.get('/api/rollback/:issueKey', async (req, res) => {
+  try {
+    const { profile, rollbackService } = getProfileServices(req);
+    res.json({ profile, ...await rollbackService.plan(req.params.issueKey), dryRun: true });
+  } catch (error) {
+    logger.error(`Failed to plan rollback: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/rollback/:issueKey', async (req, res) => {
+  try {
+    const { issueKey } = req.params;
+    const dryRun = req.body?.dryRun === true;
+
+    logger.info(`Manual trigger: Rollback${dryRun ? ' preview' : ''} for ${issueKey}`);
+    await sendWorkflowJob(res, 'rollback', { issueKey, dryRun, profile: getProfileServices(req).profile, actor: 'manual' });
+  } catch (error) {
+    logger.error(`Rollback failed: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Backfill - run Bug Created/Resolved for existing bugs found by JQL ({ jql, dryRun, force, limit })
+// A dry run returns the preview; a real backfill runs as a job and resumes from its checkpoint if interrupted
+app.post('/api/backfill', async (req, res) => {
+  try {
+    const { jql, dryRun = false, force = false, limit = null } = req.body || {};
+
+    if (!jql) {
+      return res.status(400).json({ error: 'jql is required' });
+    }
+
+    const { profile, backfillService } = getProfileServices(req);
+    if (dryRun) {
+      return res.json(await backfillService.run({ jql, dryRun: true, force: !!force, limit: limit ? parseInt(limit) : null }));
+    }
+
+    logger.info(`Manual trigger: Backfill for "${jql}"`);
+    const job = await jobQueue.enqueue('backfill', { jql, force: !!force, limit: limit ? parseInt(limit) : null, profile, actor: 'manual' });
+    res.status(202).json({ message: 'Backfill queued', jobId: job.id, backfillId: backfillService.getId(jql) });
+  } catch (error) {
+    logger.error(`Backfill failed: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/backfill', async (req, res) => {
+  try {
+    const { profile, backfillService } = getProfileServices(req);
+    res.json({ profile, backfills: await backfillService.list() });
+  } catch (error) {
+    logger.error(`Failed to list backfills: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/backfill/:backfillId', async (req, res) => {
+  let backfillService;
+  try {
+    ({ backfillService } = getProfileServices(req));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const report = await backfillService.load(req.params.backfillId);
+    if (!report) {
+      return res.status(404).json({ error: `Backfill ${req.params.backfillId} not found` });
+    }
+    res.json(report);
+  } catch (error) {
+    logger.error(`Failed to load backfill ${req.params.backfillId}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reconciliation - compare test results with their bugs' JIRA status ({ runKey, fix, dryRun })
+// Without runKey every active run is reconciled; fix defaults to RECONCILE_MODE=fix
+app.post('/api/reconciliation', async (req, res) => {
+  try {
+    const { runKey = null, fix, dryRun = false } = req.body || {};
+    const { profile } = getProfileServices(req);
+
+    logger.info(`Manual trigger: Reconciliation${runKey ? ` of ${runKey}` : ''}`);
+    await sendWorkflowJob(res, 'reconciliation', {
+      runKey,
+      fix: fix === undefined ? undefined : !!fix,
+      dryRun: !!dryRun,
+      profile,
+      actor: 'manual'
+    });
+  } catch (error) {
+    logger.error(`Reconciliation failed: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/reconciliation', (req, res) => {
+  try {
+    const { profile, config: profileConfig, reconciliationService } = getProfileServices(req);
+    const { intervalMinutes, mode, reportIssue } = profileConfig.reconciliation;
+    res.json({ profile, scheduled: reconciliationService.isScheduled(), intervalMinutes, mode, reportIssue, lastReport: reconciliationService.getLastReport() });
+  } catch (error) {
+    logger.error(`Failed to get reconciliation report: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approval queue - low-confidence matches held for a reviewer (APPROVAL_MODE)
+app.get('/api/approvals', (req, res) => {
+  try {
+    const { profile, approvalService } = getProfileServices(req);
+    res.json({
+      profile,
+      ...approvalService.getStats(),
+      approvals: approvalService.list({ status: req.query.status || null, issueKey: req.query.issueKey || null })
+    });
+  } catch (error) {
+    logger.error(`Failed to list approvals: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/approvals/:approvalId', (req, res) => {
+  try {
+    const profile = req.query.profile || null;
+    if (profile && !profileService.hasProfile(profile)) {
+      return res.status(404).json({ error: `Unknown profile "${profile}"` });
+    }
+
+    const approval = getProfileServices(req).approvalService.get(req.params.approvalId);
+    if (!approval) {
+      return res.status(404).json({ error: 'Approval not found' });
+    }
+    res.json(approval);
+  } catch (error) {
+    logger.error(`Failed to get approval ${req.params.approvalId}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve candidates by rank ({ ranks: [2] } or { rank: 2 }, default 1) or reject them all
+app.post('/api/approvals/:approvalId/:action(approve|reject)', async (req, res) => {
+  try {
+    const { profile, approvalService } = getProfileServices(req);
+    const approval = approvalService.get(req.params.approvalId);
+    if (!approval) {
+      return res.status(404).json({ error: 'Approval not found' });
+    }
+
+    const { rank, ranks, reviewer } = req.body || {};
+    const decision = {
+      action: req.params.action,
+      ranks: req.params.action === 'approve' ? (ranks || [rank || 1]).map(Number) : [],
+      approvalId: approval.id
+    };
+
+    logger.info(`Manual ${decision.action} of approval ${approval.id} for ${approval.issueKey}`);
+    await sendWorkflowJob(res, 'approval', { issueKey: approval.issueKey, decision, reviewer: reviewer || null, profile, actor: 'manual' });
+  } catch (error) {
+    logger.error(`Approval failed: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Cache management endpoints
 app.get('/api/cache/stats', async (req, res) => {
   try {
-    const cacheService = require('./services/cacheService');
+    const { cacheService } = getProfileServices(req);
     const stats = cacheService.getStats();
     res.json(stats);
   } catch (error) {
@@ -133,7 +447,7 @@ app.get('/api/cache/stats', async (req, res) => {
 
 app.post('/api/cache/clear', async (req, res) => {
   try {
-    const cacheService = require('./services/cacheService');
+    const { cacheService } = getProfileServices(req);
     const { runId } = req.body;
     
     if (runId) {
@@ -161,8 +475,8 @@ app.post('/api/cache/refresh', async (req, res) => {
     }
 
     logger.info(`Refreshing cache for run ${runId}`);
-    const testRailService = require('./services/testRailService');
-    const tests = await testRailService.getTestsWithDetails(runId, true); // Force refresh
+    const { testMgmt } = getProfileServices(req);
+    const tests = await testMgmt.getTestsWithDetails(runId, true); // Force refresh
     
     res.json({ 
       success: true, 
@@ -175,11 +489,183 @@ app.post('/api/cache/refresh', async (req, res) => {
   }
 });
 
+// Job queue endpoints
+app.get('/api/jobs', (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const jobs = jobQueue.list({ status, type });
+
+    res.json({
+      stats: jobQueue.getStats(),
+      paused: jobQueue.getPause(),
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    logger.error(`Failed to list jobs: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/deliveries', (req, res) => {
+  res.json(idempotencyService.getStats());
+});
+
+// Per-host HTTP statistics (latency, errors, retries, circuit state)
+app.get('/api/http/stats', (req, res) => {
+  res.json({
+    queuePaused: jobQueue.getPause(),
+    hosts: httpClient.getStats()
+  });
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found` });
+  }
+  res.json(job);
+});
+
+app.post('/api/jobs/retry', async (req, res) => {
+  try {
+    const { jobId } = req.body;
+
+    if (jobId) {
+      // Retry a specific job
+      const job = await jobQueue.retry(jobId);
+      if (!job) {
+        return res.status(404).json({ error: `Job ${jobId} not found` });
+      }
+      res.json({ success: true, message: `Job ${jobId} re-queued`, job });
+    } else {
+      // Retry the whole dead-letter list
+      const count = await jobQueue.retryDead();
+      res.json({ success: true, message: `${count} dead job(s) re-queued` });
+    }
+  } catch (error) {
+    logger.error(`Failed to retry job: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/jobs/purge', async (req, res) => {
+  try {
+    const { status = 'completed' } = req.body;
+    const count = await jobQueue.purge(status);
+    res.json({ success: true, message: `${count} ${status} job(s) purged` });
+  } catch (error) {
+    logger.error(`Failed to purge jobs: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Audit log of writes to JIRA and the test management systems (JSON, or CSV with format=csv)
+app.get('/api/audit', async (req, res) => {
+  try {
+    const { issueKey, system, correlationId, actor, since, until, format } = req.query;
+    const name = profileService.resolveProfileName({ profile: req.query.profile, issueKey });
+    const { auditService } = profileService.getServices(name);
+    const entries = await auditService.query({
+      issueKey: issueKey || null,
+      system: system || null,
+      correlationId: correlationId || null,
+      actor: actor || null,
+      since: since || null,
+      until: until || null,
+      limit: parseInt(req.query.limit) || 1000
+    });
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.attachment(`audit-${issueKey || name}.csv`);
+      return res.send(auditService.toCsv(entries));
+    }
+    res.json({ profile: name, count: entries.length, entries });
+  } catch (error) {
+    logger.error(`Failed to query audit log: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dashboard - static single-page app backed by the /api/dashboard endpoints
+app.use('/dashboard', express.static(path.join(__dirname, 'public', 'dashboard')));
+
+app.get('/api/dashboard/overview', async (req, res) => {
+  try {
+    const { dashboardService } = getProfileServices(req);
+    res.json(await dashboardService.getOverview());
+  } catch (error) {
+    logger.error(`Failed to get dashboard overview: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/dashboard/executions', async (req, res) => {
+  try {
+    const { dashboardService } = getProfileServices(req);
+    const { workflow, issueKey } = req.query;
+    res.json(await dashboardService.getExecutions({
+      limit: parseInt(req.query.limit) || 50,
+      workflow: workflow || null,
+      issueKey: issueKey || null
+    }));
+  } catch (error) {
+    logger.error(`Failed to get executions: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/dashboard/runs', async (req, res) => {
+  try {
+    const { dashboardService } = getProfileServices(req);
+    res.json(await dashboardService.getRuns(parseInt(req.query.limit) || 20));
+  } catch (error) {
+    logger.error(`Failed to get run summary: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/dashboard/corrections/trend', async (req, res) => {
+  try {
+    const { dashboardService } = getProfileServices(req);
+    res.json(await dashboardService.getCorrectionTrend(req.query.period || 'week', parseInt(req.query.limit) || 12));
+  } catch (error) {
+    logger.error(`Failed to get correction trend: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/dashboard/corrections/tests', async (req, res) => {
+  try {
+    const { dashboardService } = getProfileServices(req);
+    res.json(await dashboardService.getMostCorrectedTests(parseInt(req.query.limit) || 10));
+  } catch (error) {
+    logger.error(`Failed to get most corrected tests: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/dashboard/bugs/:issueKey', async (req, res) => {
+  try {
+    const { dashboardService } = getProfileServices(req);
+    const history = await dashboardService.getBugHistory(req.params.issueKey);
+    if (!history) {
+      return res.status(404).json({ error: `No history for ${req.params.issueKey}` });
+    }
+    res.json(history);
+  } catch (error) {
+    logger.error(`Failed to get bug history: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Test endpoint - Find Run ID for an issue
 app.get('/api/test/find-run/:issueKey', async (req, res) => {
   try {
     const { issueKey } = req.params;
-    const runId = await jiraService.findRunId(issueKey);
+    const { testMgmt } = getProfileServices(req);
+    const runId = await testMgmt.findRunOrExecutionKey(issueKey);
     
     res.json({ 
       issueKey, 
@@ -196,7 +682,8 @@ app.get('/api/test/find-run/:issueKey', async (req, res) => {
 app.get('/api/test/run/:runId/tests', async (req, res) => {
   try {
     const { runId } = req.params;
-    const tests = await testRailService.getTests(runId);
+    const { testMgmt } = getProfileServices(req);
+    const tests = await testMgmt.getTests(runId);
     
     res.json({ 
       runId, 
@@ -210,91 +697,298 @@ app.get('/api/test/run/:runId/tests', async (req, res) => {
 });
 
 /**
- * Process JIRA webhook asynchronously
+ * Enqueue a workflow job and reply with its outcome
+ * Used by the manual trigger endpoints so they still return the workflow result. A job that
+ * has not finished after QUEUE_TRIGGER_WAIT_SECONDS (e.g. waiting out a retry backoff) is
+ * answered with 202 and its ID, to be polled at /api/jobs/:jobId.
+ * @param {Object} res - Express response
+ * @param {string} type - Job type
+ * @param {Object} payload - Job payload
+ */
+async function sendWorkflowJob(res, type, payload) {
+  const job = await jobQueue.enqueue(type, payload);
+  const finished = await jobQueue.waitFor(job.id, config.queue.triggerWaitSeconds * 1000);
+
+  if (finished.status === 'dead') {
+    throw new Error(`Job ${finished.id} failed after ${finished.attempts} attempt(s): ${finished.lastError}`);
+  }
+  if (finished.status !== 'completed') {
+    return res.status(202).json({ jobId: job.id, status: finished.status, poll: `/api/jobs/${job.id}` });
+  }
+
+  res.json(finished.result);
+}
+
+// Job type queued for each workflow rule action
+const RULE_ACTION_JOBS = {
+  create: 'bug-created',
+  resolve: 'bug-resolved',
+  reopen: 'bug-reopened',
+  custom: 'custom-action'
+};
+
+/**
+ * Process a queued JIRA webhook
+ * Turns the webhook into one workflow job per triggered workflow
  * @param {Object} webhookEvent - Webhook payload
  * @param {string} eventType - Event type
+ * @param {string|null} deliveryKey - Dedup key of the webhook delivery
+ * @param {string|null} profileName - Profile from the webhook path (null to choose by project)
+ * @param {string|null} correlationId - Audit correlation ID passed on to the workflow jobs (the webhook's job ID)
+ * @returns {Promise<Object>} IDs of the workflow jobs created
  */
-async function processWebhook(webhookEvent, eventType) {
-  try {
-    // Handle issue updated event
-    if (eventType === 'jira:issue_updated') {
-      const issue = webhookEvent.issue;
-      const issueKey = issue.key;
-      const changelog = webhookEvent.changelog;
+async function processWebhook(webhookEvent, eventType, deliveryKey = null, profileName = null, correlationId = null) {
+  const jobIds = [];
+  const profile = profileService.resolveProfileName({
+    profile: profileName,
+    projectKey: webhookEvent.issue?.fields?.project?.key,
+    issueKey: webhookEvent.issue?.key
+  });
+  const { jiraService, workflowRules, workflowService } = profileService.getServices(profile);
 
-      // Check if status changed
-      const statusChange = changelog.items.find(item => item.field === 'status');
-      
-      if (statusChange) {
-        const newStatus = statusChange.toString;
-        const fromStatus = statusChange.fromString;
-        logger.info(`Status changed from "${fromStatus}" to "${newStatus}"`);
-
-        // Bug Re-opened workflow (moved back to Ready for Dev from QA In Progress)
-        if (newStatus === config.jira.statusReadyForDev && fromStatus === config.jira.statusQAInProgress) {
-          logger.info(`Triggering Bug Re-opened workflow for ${issueKey}`);
-          await workflowService.handleBugReopened(issueKey, fromStatus);
-        }
-        // Bug Created workflow (new bug moved to Ready for Dev)
-        else if (newStatus === config.jira.statusReadyForDev) {
-          logger.info(`Triggering Bug Created workflow for ${issueKey}`);
-          await workflowService.handleBugCreated(issueKey);
-        }
+  // Handle issue updated event - status transitions are mapped to workflows by the rules
+  if (eventType === 'jira:issue_updated') {
+    const event = workflowRules.extractEvent(webhookEvent);
 
-        // Bug Resolved workflow
-        if (newStatus === config.jira.statusQueuedMerged) {
-          logger.info(`Triggering Bug Resolved workflow for ${issueKey}`);
-          await workflowService.handleBugResolved(issueKey);
-        }
+    if (event) {
+      const { issueKey, fromStatus, toStatus } = event;
+      logger.info(`Status changed from "${fromStatus}" to "${toStatus}"`);
+
+      const rule = workflowRules.findMatchingRule(event);
+      if (!rule) {
+        logger.info(`No workflow rule matches ${issueKey} (${event.project}/${event.issueType}: "${fromStatus}" → "${toStatus}")`);
+      } else if (rule.action === 'ignore') {
+        logger.info(`Workflow rule "${rule.name}" ignores this transition for ${issueKey}`);
+      } else {
+        const jobType = RULE_ACTION_JOBS[rule.action];
+        logger.info(`Workflow rule "${rule.name}" matched, queuing ${jobType} for ${issueKey}`);
+        const job = await jobQueue.enqueue(jobType, {
+          issueKey,
+          fromStatus,
+          rule: rule.name,
+          event,
+          profile,
+          actor: 'webhook',
+          deliveryKey,
+          correlationId
+        });
+        jobIds.push(job.id);
       }
     }
+  }
 
-    // Handle comment added event
-    if (eventType === 'comment_created' || eventType === 'jira:issue_updated') {
-      logger.info('Comment event detected, checking for comment object...');
-      const comment = webhookEvent.comment;
+  // Handle comment added event
+  if (eventType === 'comment_created' || eventType === 'jira:issue_updated') {
+    logger.info('Comment event detected, checking for comment object...');
+    const comment = webhookEvent.comment;
+    
+    if (!comment) {
+      logger.warn('No comment object found in webhook event');
+      logger.debug(`Webhook keys: ${Object.keys(webhookEvent).join(', ')}`);
+    } else {
+      logger.info('Comment object found, extracting text...');
+      logger.info(`Comment body structure: ${JSON.stringify(comment.body, null, 2)}`);
+      const commentText = jiraService.extractTextFromComment(comment.body);
+      logger.info(`Comment text extracted: "${commentText}"`);
       
-      if (!comment) {
-        logger.warn('No comment object found in webhook event');
-        logger.debug(`Webhook keys: ${Object.keys(webhookEvent).join(', ')}`);
-      } else {
-        logger.info('Comment object found, extracting text...');
-        logger.info(`Comment body structure: ${JSON.stringify(comment.body, null, 2)}`);
-        const commentText = jiraService.extractTextFromComment(comment.body);
-        logger.info(`Comment text extracted: "${commentText}"`);
-        
+      const approvalCommand = workflowService.parseApprovalCommand(commentText);
+      const undoCommand = workflowService.parseUndoCommand(commentText);
+      const author = comment.author?.displayName || comment.author?.name || null;
+
+      // Reviewer decision on held low-confidence matches
+      if (approvalCommand) {
+        const issueKey = webhookEvent.issue.key;
+        logger.info(`Detected ${approvalCommand.action} comment on ${issueKey}`);
+        const job = await jobQueue.enqueue('approval', { issueKey, decision: approvalCommand, reviewer: author, profile, actor: 'webhook', deliveryKey, correlationId });
+        jobIds.push(job.id);
+      } else if (undoCommand) {
+        // Roll back everything the integration did for the bug
+        const issueKey = webhookEvent.issue.key;
+        logger.info(`Detected UNDO${undoCommand.preview ? ' PREVIEW' : ''} comment on ${issueKey}`);
+        const job = await jobQueue.enqueue('rollback', { issueKey, dryRun: undoCommand.preview, author, profile, actor: 'webhook', deliveryKey, correlationId });
+        jobIds.push(job.id);
+      } else if (commentText.includes('CORRECT:')) {
         // Check for correction format
-        if (commentText.includes('CORRECT:')) {
-          const issueKey = webhookEvent.issue.key;
-          logger.info(`Detected correction comment on ${issueKey}`);
-          await workflowService.handleCorrection(issueKey, commentText);
-        } else {
-          logger.info('Comment does not contain "CORRECT:" keyword');
-        }
+        const issueKey = webhookEvent.issue.key;
+        logger.info(`Detected correction comment on ${issueKey}`);
+        const job = await jobQueue.enqueue('correction', { issueKey, comment: commentText, author, profile, actor: 'webhook', deliveryKey, correlationId });
+        jobIds.push(job.id);
+      } else {
+        logger.info('Comment does not contain "CORRECT:", "APPROVE", "REJECT" or "UNDO"');
       }
     }
+  }
 
-  } catch (error) {
-    logger.error(`Async webhook processing failed: ${error.message}`);
+  return { jobIds };
+}
+
+/**
+ * Wrap a workflow as a job handler
+ * Workflows are serialized per issue key, and a replayed delivery returns the earlier result.
+ * Every attempt is recorded in the bug's history for the dashboard, and its writes
+ * are audited under the job's actor and correlation ID. A workflow that throws counts
+ * as a failed attempt; after the last one the error is posted on the bug.
+ * @param {string} workflow - Workflow type
+ * @param {Function} run - Function receiving the profile services and the job payload
+ * @returns {Function} Job handler
+ */
+function workflowHandler(workflow, run) {
+  return job => {
+    const services = profileService.getServices(job.payload.profile || undefined);
+    return idempotencyService.runOnce(
+      job.payload.deliveryKey || null,
+      workflow,
+      job.payload.issueKey,
+      async () => {
+        const execution = { bugKey: job.payload.issueKey || null, workflow, jobId: job.id, actor: job.payload.actor, startedAt: new Date().toISOString() };
+        const auditContext = {
+          actor: job.payload.actor || 'system',
+          workflow,
+          user: job.payload.reviewer || job.payload.author || null,
+          issueKey: job.payload.issueKey || null,
+          correlationId: job.payload.correlationId || job.id,
+          jobId: job.id
+        };
+
+        try {
+          const result = await services.auditService.runInContext(auditContext, () => run(services, job.payload));
+          await services.learningService.recordExecution({
+            ...execution,
+            runId: result?.runKey || null,
+            success: result?.success !== false,
+            error: result?.error,
+            result,
+            finishedAt: new Date().toISOString()
+          });
+          return result;
+        } catch (error) {
+          await services.learningService.recordExecution({ ...execution, success: false, error: error.message, finishedAt: new Date().toISOString() });
+          if (job.attempts >= job.maxAttempts && !error.circuitOpen && job.payload.issueKey) {
+            await reportDeadJob(services, job, error);
+          }
+          throw error;
+        }
+      }
+    );
+  };
+}
+
+/**
+ * Tell the bug's reporter that a workflow gave up after its last attempt
+ * @param {Object} services - Profile services
+ * @param {Object} job - Job on its last attempt
+ * @param {Error} error - Error of the last attempt
+ */
+async function reportDeadJob(services, job, error) {
+  try {
+    await services.jiraService.addComment(job.payload.issueKey, `❌ Error: ${error.message}\n\nGave up after ${job.attempts} attempt(s) (job ${job.id}).`);
+  } catch (commentError) {
+    logger.error(`Failed to report dead job ${job.id} on ${job.payload.issueKey}: ${commentError.message}`);
   }
 }
 
+// Job handlers - every workflow runs through the durable queue
+jobQueue.registerHandler('webhook', job => processWebhook(job.payload.webhookEvent, job.payload.eventType, job.payload.deliveryKey, job.payload.profile, job.id));
+jobQueue.registerHandler('bug-created', workflowHandler('bug-created', (s, p) => s.workflowService.handleBugCreated(p.issueKey)));
+jobQueue.registerHandler('bug-resolved', workflowHandler('bug-resolved', (s, p) => s.workflowService.handleBugResolved(p.issueKey)));
+jobQueue.registerHandler('bug-reopened', workflowHandler('bug-reopened', (s, p) => s.workflowService.handleBugReopened(p.issueKey, p.fromStatus)));
+jobQueue.registerHandler('custom-action', workflowHandler('custom-action', (s, p) => s.workflowRules.runCustomAction(p.rule, p.event, {
+  jiraService: s.jiraService,
+  testMgmt: s.testMgmt,
+  workflowService: s.workflowService
+})));
+jobQueue.registerHandler('correction', workflowHandler('correction', (s, p) => s.workflowService.handleCorrection(p.issueKey, p.comment)));
+jobQueue.registerHandler('approval', workflowHandler('approval', (s, p) => s.workflowService.handleApproval(p.issueKey, p.decision, p.reviewer)));
+jobQueue.registerHandler('rollback', workflowHandler('rollback', (s, p) => s.workflowService.handleRollback(p.issueKey, p.dryRun)));
+jobQueue.registerHandler('backfill', async job => {
+  const { backfillService } = profileService.getServices(job.payload.profile || undefined);
+  const { rows, ...report } = await backfillService.run({ jql: job.payload.jql, force: job.payload.force, limit: job.payload.limit, resume: true });
+  return report;
+});
+
+jobQueue.registerHandler('reconciliation', job => {
+  const { auditService, reconciliationService } = profileService.getServices(job.payload.profile || undefined);
+  const auditContext = { actor: job.payload.actor || 'scheduler', workflow: 'reconciliation', user: null, issueKey: null, correlationId: job.id, jobId: job.id };
+  return auditService.runInContext(auditContext, () => reconciliationService.run({
+    runKey: job.payload.runKey || null,
+    fix: job.payload.fix,
+    dryRun: !!job.payload.dryRun
+  }));
+});
+
+// Hold the queue while a backend's circuit is open; a half-open circuit lets a job send the trial request
+httpClient.on('circuit-open', ({ host }) => jobQueue.pause(`${host} is unavailable`));
+['circuit-half-open', 'circuit-closed'].forEach(event => httpClient.on(event, () => {
+  if (!httpClient.hasOpenCircuit()) jobQueue.resume();
+}));
+
+// Load profiles and validate their workflow rules before accepting webhooks
+try {
+  profileService.load();
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
 // Initialize services on startup
 async function initializeServices() {
-  await learningService.initialize();
-  logger.info('Learning service initialized');
-  
-  await cacheService.initialize();
-  logger.info('Cache service initialized');
+  await profileService.initialize();
+  logger.info('Learning and cache services initialized');
+
+  await idempotencyService.initialize();
+
+  await jobQueue.initialize();
+  jobQueue.start();
+
+  setInterval(processApprovalTimeouts, config.approval.checkIntervalMinutes * 60 * 1000).unref();
+
+  for (const name of profileService.getProfileNames()) {
+    const { intervalMinutes } = profileService.getServices(name).config.reconciliation;
+    if (intervalMinutes > 0) {
+      setInterval(() => scheduleReconciliation(name), intervalMinutes * 60 * 1000).unref();
+      logger.info(`Reconciliation for profile ${name} every ${intervalMinutes} minute(s)`);
+    }
+  }
 }
 
-initializeServices().catch(error => {
-  logger.error(`Failed to initialize services: ${error.message}`);
-});
+/**
+ * Queue a scheduled reconciliation for a profile unless one is still waiting or running
+ * @param {string} name - Profile name
+ */
+async function scheduleReconciliation(name) {
+  const queued = ['pending', 'running'].some(status => jobQueue.list({ status, type: 'reconciliation' })
+    .some(job => job.payload.profile === name));
+  if (queued) {
+    logger.info(`Skipping scheduled reconciliation for profile ${name}: the previous one has not finished`);
+    return;
+  }
+
+  try {
+    await jobQueue.enqueue('reconciliation', { profile: name, actor: 'scheduler' });
+  } catch (error) {
+    logger.error(`Failed to queue reconciliation for profile ${name}: ${error.message}`);
+  }
+}
 
-// Start server
+/**
+ * Post approval reminders and expire overdue approvals for every profile
+ */
+async function processApprovalTimeouts() {
+  for (const name of profileService.getProfileNames()) {
+    const { approvalService, auditService, workflowService } = profileService.getServices(name);
+    if (!approvalService.isEnabled()) continue;
+
+    try {
+      await auditService.runInContext({ actor: 'scheduler', workflow: 'approval-timeout' }, () => workflowService.processApprovalTimeouts());
+    } catch (error) {
+      logger.error(`Failed to process approval timeouts for profile ${name}: ${error.message}`);
+    }
+  }
+}
+
+// Start server once the queue and services are ready
 const PORT = config.server.port;
-app.listen(PORT, () => {
+initializeServices().then(() => app.listen(PORT, () => {
   logger.info(`=================================================`);
   logger.info(`JIRA-TestRail Integration Service`);
   logger.info(`=================================================`);
@@ -303,7 +997,11 @@ app.listen(PORT, () => {
   logger.info(`Health check: http://localhost:${PORT}/health`);
   logger.info(`Statistics: http://localhost:${PORT}/api/stats`);
   logger.info(`Cache stats: http://localhost:${PORT}/api/cache/stats`);
+  logger.info(`Job queue: http://localhost:${PORT}/api/jobs`);
   logger.info(`=================================================`);
+})).catch(error => {
+  logger.error(`Failed to initialize services: ${error.message}`);
+  process.exit(1);
 });
 
 module.exports = app;
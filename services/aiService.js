@@ -1,17 +1,27 @@
-const OpenAI = require('openai');
 const config = require('../config');
 const logger = require('../logger');
 const learningService = require('./learningService');
+const llmProviders = require('./llm');
+const retrievalService = require('./retrievalService');
+const promptService = require('./promptService');
 
 /**
- * AI Service - Uses OpenAI to match bugs to test cases
+ * AI Service - Uses an LLM provider (OpenAI, Azure OpenAI, Anthropic, local) to match bugs to test cases
  */
 class AIService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
-    this.model = config.openai.model;
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} learning - Learning service instance for this profile
+   * @param {Object} provider - LLM provider (defaults to the profile's llm.provider)
+   * @param {Object} retrieval - Retrieval service instance for this profile
+   * @param {Object} prompts - Prompt template service for this profile
+   */
+  constructor(profileConfig = config, learning = learningService, provider = null, retrieval = retrievalService, prompts = promptService) {
+    this.config = profileConfig;
+    this.learningService = learning;
+    this.llm = provider || llmProviders.create(this.config.llm.provider, this.config);
+    this.retrieval = retrieval;
+    this.prompts = prompts;
   }
 
   /**
@@ -25,9 +35,9 @@ class AIService {
       logger.info(`AI matching bug "${bugData.summary}" against ${testCases.length} test cases`);
 
       // Check learning data
-      if (!config.openai.enableMultiMatch) {
+      if (!this.config.openai.enableMultiMatch) {
         // Single match mode - use existing learning logic
-        const learnedMatch = await learningService.findSimilarMatch(bugData);
+        const learnedMatch = await this.learningService.findSimilarMatch(bugData);
         if (learnedMatch) {
           logger.info(`Found similar match in learning data with confidence ${learnedMatch.confidence}`);
           return {
@@ -41,7 +51,7 @@ class AIService {
         }
       } else {
         // Multi-match mode - get learning context but always use AI for intelligent matching
-        const learnedMatches = await learningService.findSimilarMatches(bugData);
+        const learnedMatches = await this.learningService.findSimilarMatches(bugData);
         if (learnedMatches.length > 0) {
           logger.info(`Found ${learnedMatches.length} similar bugs in learning data - providing as context to AI`);
           // Verify learned matches exist in current test cases
@@ -57,18 +67,27 @@ class AIService {
             logger.info(`No learned matches are valid in this run, AI will match from scratch`);
           }
         }
-      }      // Prepare test cases for AI
-      logger.info(`Sending ${testCases.length} test cases to AI`);
+      }
+
+      // Large runs: only send the test cases closest to the bug (learned matches always included)
+      const candidates = await this.retrieval.retrieve(
+        bugData,
+        testCases,
+        (bugData.learnedContext || []).map(lm => lm.test_id)
+      );
+
+      // Prepare test cases for AI
+      logger.info(`Sending ${candidates.length} test cases to AI`);
       
       // Log a few examples with their IDs for debugging
-      if (testCases.length > 0) {
-        const examples = testCases.slice(0, 3).map(tc => 
+      if (candidates.length > 0) {
+        const examples = candidates.slice(0, 3).map(tc => 
           `"${tc.title}" (Test ID: ${tc.test_id}, Case ID: C${tc.case_id})`
         );
         logger.info(`Sample test cases: ${examples.join(' | ')}`);
       }
       
-      const testCasesFormatted = testCases.map((tc, index) => ({
+      const testCasesFormatted = candidates.map((tc, index) => ({
         index: index,
         test_id: tc.test_id,
         case_id: tc.case_id,
@@ -78,44 +97,37 @@ class AIService {
         expected: tc.custom_expected || ''
       }));
 
-      // Create AI prompt
-      const prompt = this.createMatchingPrompt(bugData, testCasesFormatted);
-
-      // Determine system prompt based on multi-match mode
-      const enableMultiMatch = config.openai.enableMultiMatch;
-      const systemPrompt = enableMultiMatch
-        ? 'You are an expert in 508c accessibility testing. For each UNIQUE test case that would fail, return it ONCE. If multiple issues in the bug would cause the SAME test case to fail, group them together and return that test case only once with all issues in the reasoning. Match based on: 1) Test case title testing that specific issue type, 2) Bug description details. NEVER match a focus issue to a page title test or vice versa.'
-        : 'You are an expert in 508c accessibility testing. Match based on: 1) Issue type alignment (focus→focus, title→title, form→form, etc.), 2) Test case title/steps testing that specific issue, 3) Bug description details. Focus on which test case would have caught this specific bug type during testing.';
+      // Create AI prompt (versioned template, A/B routed by bug key)
+      const enableMultiMatch = this.config.openai.enableMultiMatch;
+      const { version: promptVersion, system: systemPrompt, prompt } = this.createMatchingPrompt(bugData, testCasesFormatted);
 
-      logger.info(`Calling OpenAI with ${enableMultiMatch ? 'multi-match' : 'single-match'} mode`);
+      logger.info(`Calling ${this.llm.displayName} (${this.llm.model}) with ${enableMultiMatch ? 'multi-match' : 'single-match'} mode (prompt ${promptVersion})`);
       const startTime = Date.now();
 
-      // Call OpenAI with timeout
-      const response = await Promise.race([
-        this.openai.chat.completions.create({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.3,
-          response_format: { type: 'json_object' }
-        }),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('OpenAI API timeout after 120 seconds')), 120000)
-        )
-      ]);
+      // Prompt and response are kept in the bug's history, failed calls too
+      const exchange = { bugKey: bugData.key, provider: this.llm.name, model: this.llm.model, promptVersion, system: systemPrompt, prompt };
+      let response;
+      try {
+        response = await this.llm.completeJson({
+          system: systemPrompt,
+          prompt,
+          temperature: 0.3
+        });
+      } catch (error) {
+        await this.learningService.recordAiExchange({ ...exchange, error: error.message, durationMs: Date.now() - startTime });
+        throw error;
+      }
       
       const elapsed = Date.now() - startTime;
-      logger.info(`OpenAI responded in ${elapsed}ms`);
+      logger.info(`${this.llm.displayName} responded in ${elapsed}ms`);
+      await this.learningService.recordAiExchange({ ...exchange, response, durationMs: elapsed });
+
+      const result = this.normalizeMatchResponse(response, enableMultiMatch);
 
-      const result = JSON.parse(response.choices[0].message.content);
+      // Record which prompt produced the match(es), so correction rates can be compared per version
+      for (const match of enableMultiMatch ? result.matches : [result]) {
+        match.prompt_version = promptVersion;
+      }
       
       // Validate result structure and test_id existence
       const validateMatch = (match, testCases) => {
@@ -135,7 +147,7 @@ class AIService {
       };
       
       // Check if multi-match is enabled and result has matches array
-      if (config.openai.enableMultiMatch && result.matches && Array.isArray(result.matches)) {
+      if (this.config.openai.enableMultiMatch && result.matches && Array.isArray(result.matches)) {
         // Log what AI returned
         logger.info(`AI returned ${result.matches.length} matches:`);
         result.matches.forEach(m => {
@@ -145,7 +157,7 @@ class AIService {
         // Validate and filter matches
         const validMatches = result.matches.filter(m => {
           const isValid = validateMatch(m, testCases);
-          const meetsThreshold = m.confidence >= config.openai.multiMatchThreshold;
+          const meetsThreshold = m.confidence >= this.config.openai.multiMatchThreshold;
           if (!isValid) {
             logger.warn(`Invalid match filtered out: Test ID ${m.test_id}, Title: "${m.title}"`);
           }
@@ -178,9 +190,14 @@ class AIService {
           throw new Error('AI returned no valid matches. Please check AI prompt and response format.');
         }
         
-        // Store all matches for learning
+        if (bugData.key) {
+          await this.retrieval.recordOutcome(bugData.key, deduplicatedMatches.map(m => m.test_id), 'match');
+        }
+
+        // Store all matches for learning (held matches are stored when a reviewer approves them)
         for (const match of deduplicatedMatches) {
-          await learningService.storeMatch({
+          if (this.isHeldForApproval(match)) continue;
+          await this.learningService.storeMatch({
             bug: bugData,
             match: match,
             timestamp: new Date().toISOString()
@@ -196,13 +213,19 @@ class AIService {
         }
         
         logger.info(`AI match result: Test ${result.test_id} with confidence ${result.confidence}`);
+
+        if (bugData.key) {
+          await this.retrieval.recordOutcome(bugData.key, [result.test_id], 'match');
+        }
         
-        // Store match for learning
-        await learningService.storeMatch({
-          bug: bugData,
-          match: result,
-          timestamp: new Date().toISOString()
-        });
+        // Store match for learning (a held match is stored when a reviewer approves it)
+        if (!this.isHeldForApproval(result)) {
+          await this.learningService.storeMatch({
+            bug: bugData,
+            match: result,
+            timestamp: new Date().toISOString()
+          });
+        }
         
         return result;
       }
@@ -214,108 +237,73 @@ class AIService {
 
   /**
    * Create the AI prompt for bug-to-test-case matching
+   * The wording lives in the prompt templates (PROMPTS_DIR); this only supplies the variables.
    * @param {Object} bugData - Bug information
    * @param {Array} testCases - Formatted test cases
-   * @returns {string} Prompt text
+   * @returns {{ version: string, system: string, prompt: string }} Template version and rendered prompts
    */
   createMatchingPrompt(bugData, testCases) {
-    const enableMultiMatch = config.openai.enableMultiMatch;
-    const wcagInfo = bugData.wcagCategory 
-      ? `\nWCAG Issue Category: ${bugData.wcagCategory}\n**Note:** This bug is categorized as "${bugData.wcagCategory}". Prioritize test cases related to this category.`
-      : '';
-    
-    // Add learned context if available
-    const learnedContext = bugData.learnedContext && bugData.learnedContext.length > 0
-      ? `\n\n**Learning Context (Previous Similar Bugs):**
-${bugData.learnedContext.map(lm => `- "${lm.reasoning}" → Test ID: ${lm.test_id}, Title: "${lm.title}"`).join('\n')}
-
-**Note:** These are suggestions from similar bugs, but YOU must verify they match the CURRENT bug's specific issue type. Do NOT blindly accept these - analyze if the current bug's issue type (e.g., heading-level vs heading-missing) matches these suggestions.`
-      : '';
-      
-    const instructionText = enableMultiMatch 
-      ? 'I need you to match this accessibility bug to ALL relevant test cases. The bug may describe multiple distinct issues.'
-      : 'I need you to match this accessibility bug to the most relevant test case.';
-      
-    return `
-${instructionText}
-
-**Bug Details:**
-Title: ${bugData.summary}
-Description: ${bugData.description || 'No detailed description provided'}${wcagInfo}${learnedContext}
+    return this.prompts.render(bugData, testCases.map(tc => ({
+      ...tc,
+      steps: JSON.stringify(tc.steps).substring(0, 500)
+    })), { multiMatch: this.config.openai.enableMultiMatch });
+  }
 
-**CRITICAL: PRIORITIZE BUG DESCRIPTION OVER TITLE**
-The bug DESCRIPTION contains the detailed issues - this is your PRIMARY source for matching. The TITLE provides general context and WCAG category only.
+  /**
+   * Normalize a provider's JSON into the shape the matcher expects
+   * Models don't all follow the response format exactly: some return a bare array,
+   * wrap a single match ({ "match": {...} }), use numeric IDs or give confidence
+   * as a percentage ("92%" or 92).
+   * @param {Object|Array} response - Parsed provider response
+   * @param {boolean} multiMatch - Whether a { matches: [...] } response is expected
+   * @returns {Object} { matches: [...] } in multi-match mode, a single match otherwise
+   */
+  normalizeMatchResponse(response, multiMatch) {
+    let matches;
+    if (Array.isArray(response)) {
+      matches = response;
+    } else if (response && Array.isArray(response.matches)) {
+      matches = response.matches;
+    } else if (response && response.match && typeof response.match === 'object') {
+      matches = [response.match];
+    } else {
+      matches = [response || {}];
+    }
 
-**Important:** ${enableMultiMatch ? 'Parse the description for EACH specific issue (numbered items, separate paragraphs). Match EACH issue to test cases that would specifically catch that issue.' : 'Read the description carefully to understand the specific failure, then match to a test case that would catch this exact issue.'}
+    matches = matches.filter(m => m && typeof m === 'object').map(m => this.normalizeMatch(m));
 
-**Test Cases:**
-${testCases.map(tc => `
-[${tc.index}] Test ID: ${tc.test_id} | Case ID: ${tc.case_id}
-Title: ${tc.title}
-Steps: ${JSON.stringify(tc.steps).substring(0, 500)}
-Preconditions: ${tc.preconditions}
-Expected Result: ${tc.expected}
----
-`).join('\n')}
+    if (multiMatch) {
+      return { matches };
+    }
 
-**Matching Instructions:**
-1. **Read bug DESCRIPTION first**: Identify each specific issue described (numbered items, distinct problems)
-2. **Understand the specific failure type**:
-   - "heading NOT PROVIDED" / "missing heading" / "not programmatically identified" → Test A (missing heading tags)
-   - "INCORRECT heading level" / "wrong level" / "h2 should be h3" → Test B (wrong heading level)
-   - These are DIFFERENT issues - do not match a level issue to a missing heading test!
-3. **Group similar issues**: If multiple issues in the description would fail the SAME test case, group them together - only return that test case ONCE
-4. **Match issue TYPE correctly**: 
-   - Focus issues → ONLY focus management tests (keywords: focus, keyboard navigation, tab order)
-   - Page title issues → ONLY page title tests
-   - Language issues → ONLY language/lang attribute tests
-   - Form issues → ONLY form/input tests
-   - Image issues → ONLY alt text/image tests
-   - Heading LEVEL issues → Test B (programmatically identified heading levels)
-   - Heading MISSING issues → Test A (visually apparent headings not programmatically identified)
-   - DO NOT match focus issues to page title tests or vice versa!
-   - DO NOT match heading level issues to missing heading tests!
-5. **Match to SPECIFIC test cases**: Find test cases whose titles/steps directly test the SAME issue type
-6. **Use title for category context**: Extract WCAG criteria from title to validate matches are in correct category
-7. **Quote ALL grouped issues**: In reasoning, quote all specific issues from the description that this test case would catch
-8. **Assign confidence**: 
-   - 0.9-1.0: Test case title/steps directly test the EXACT SAME issue type from description
-   - 0.7-0.89: Test would likely catch the issue and is the SAME issue type
-   - 0.5-0.69: Same category but different specific issue type (AVOID THESE - wrong issue type)
-   - Below 0.5: Wrong issue type (e.g., focus issue matched to page title test, heading level matched to missing heading)
+    // Single-match mode: take the most confident if the model returned several
+    const [best] = [...matches].sort((a, b) => b.confidence - a.confidence);
+    return best || {};
+  }
 
-**Response Format (JSON):**
-${enableMultiMatch ? `{
-  "matches": [
-    {
-      "test_id": "<test_id>",
-      "case_id": "<case_id>",
-      "title": "<test case title>",
-      "confidence": <float between 0.0 and 1.0>,
-      "reasoning": "'<QUOTE all specific issues from description that this test catches>'"
+  /**
+   * Normalize one match's field types
+   * @param {Object} match - Match from the provider
+   * @returns {Object} Match with string IDs and a 0-1 confidence
+   */
+  normalizeMatch(match) {
+    const normalized = { ...match };
+    for (const field of ['test_id', 'case_id']) {
+      if (normalized[field] !== undefined && normalized[field] !== null) {
+        normalized[field] = String(normalized[field]).trim();
+      }
     }
-  ]
-}
-
-**CRITICAL:** 
-- You MUST return the EXACT test_id and case_id from the [Test Cases] list above
-- DO NOT make up or guess test IDs
-- If a test case title is "Verify errors are Clearly Identified" with Test ID: 31834485, you MUST return test_id: "31834485" (the exact ID shown)
-- Return each test case ONLY ONCE, even if it catches multiple issues from the description
-- If multiple issues would fail the same test case, group them in the reasoning and return that test case once
-- Quote all grouped issue texts in reasoning
-- Only include matches >= 0.75 confidence` : `{
-  "test_id": "<the test_id>",
-  "case_id": "<the case_id>",
-  "title": "<test case title>",
-  "confidence": <float between 0.0 and 1.0>,
-  "reasoning": "Catches issue: '<QUOTE specific issue from description>'"
-}
 
-**CRITICAL:** You MUST return the EXACT test_id and case_id from the [Test Cases] list above. DO NOT make up or guess test IDs.`}
+    let confidence = normalized.confidence;
+    if (typeof confidence === 'string') {
+      confidence = parseFloat(confidence.replace('%', '')) / (confidence.includes('%') ? 100 : 1);
+    }
+    if (typeof confidence === 'number' && confidence > 1 && confidence <= 100) {
+      confidence = confidence / 100;
+    }
+    normalized.confidence = Number.isFinite(confidence) ? confidence : 0;
 
-Respond with ONLY the JSON object, no additional text.
-`;
+    return normalized;
   }
 
   /**
@@ -324,7 +312,16 @@ Respond with ONLY the JSON object, no additional text.
    * @returns {boolean} True if confidence meets threshold
    */
   isConfidentMatch(matchResult) {
-    return matchResult.confidence >= config.openai.confidenceThreshold;
+    return matchResult.confidence >= this.config.openai.confidenceThreshold;
+  }
+
+  /**
+   * Check whether a match will be held for a reviewer (approval mode, below the threshold)
+   * @param {Object} matchResult - AI match result
+   * @returns {boolean} True if the match waits for approval
+   */
+  isHeldForApproval(matchResult) {
+    return !!this.config.approval?.enabled && !this.isConfidentMatch(matchResult);
   }
 }
 
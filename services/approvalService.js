@@ -0,0 +1,282 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const CALIBRATION_BINS = [0, 0.3, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+/**
+ * Approval Service - Pending-approval queue for low-confidence matches
+ * With APPROVAL_MODE on, matches below AI_CONFIDENCE_THRESHOLD are held here
+ * instead of being written to the test management system. A reviewer picks a
+ * ranked candidate (APPROVE <n> comment or REST), rejects them, or the item
+ * expires after APPROVAL_EXPIRY_HOURS. Decisions are kept so reviewer approval
+ * rates can be compared with the AI's confidence.
+ */
+class ApprovalService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig = config) {
+    this.config = profileConfig;
+    this.settings = profileConfig.approval;
+    this.items = new Map(); // Approval ID -> approval
+    this.dataDir = this.settings.dir;
+    this.storeFile = path.join(this.dataDir, 'approvals.json');
+    this.saving = Promise.resolve(); // Serializes writes to the store file
+  }
+
+  /**
+   * Initialize storage and load approvals
+   */
+  async initialize() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.storeFile, 'utf8'));
+        this.items = new Map(data.map(item => [item.id, item]));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error(`Failed to load approvals: ${error.message}`);
+        }
+      }
+
+      logger.info(`Approval service initialized (${this.list({ status: 'pending' }).length} pending)`);
+    } catch (error) {
+      logger.error(`Failed to initialize approval service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether low-confidence matches are held for approval
+   * @returns {boolean} True if approval mode is on
+   */
+  isEnabled() {
+    return !!this.settings.enabled;
+  }
+
+  /**
+   * Hold ranked candidates for a bug until a reviewer decides
+   * A pending approval for the same bug is superseded.
+   * @param {Object} details - { issueKey, runKey, bug: { key, summary, description, wcagCategory }, candidates: [{ test_id, case_id, title, confidence, reasoning, source }] }
+   * @returns {Object} Approval
+   */
+  create({ issueKey, runKey, bug, candidates }) {
+    const now = Date.now();
+
+    const previous = this.getPending(issueKey);
+    if (previous) {
+      this.resolve(previous.id, 'superseded', { reviewer: null });
+    }
+
+    const approval = {
+      id: now.toString(36) + Math.random().toString(36).substr(2),
+      issueKey,
+      runKey: String(runKey),
+      bug: { key: bug.key, summary: bug.summary, description: bug.description || '', wcagCategory: bug.wcagCategory || null },
+      candidates: candidates.map((candidate, idx) => ({ rank: idx + 1, ...candidate })),
+      status: 'pending',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.settings.expiryHours * HOUR_MS).toISOString(),
+      remindedAt: null,
+      resolvedAt: null,
+      reviewer: null,
+      approvedRanks: []
+    };
+
+    this.items.set(approval.id, approval);
+    this.save();
+    logger.info(`Holding ${approval.candidates.length} candidate(s) for ${issueKey} until approved (approval ${approval.id})`);
+    return approval;
+  }
+
+  /**
+   * Get an approval by ID
+   * @param {string} id - Approval ID
+   * @returns {Object|null} Approval
+   */
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  /**
+   * Get the pending approval of a bug
+   * @param {string} issueKey - JIRA issue key
+   * @returns {Object|null} Approval
+   */
+  getPending(issueKey) {
+    return this.list({ status: 'pending', issueKey })[0] || null;
+  }
+
+  /**
+   * List approvals, newest first
+   * @param {Object} filter - { status, issueKey }
+   * @returns {Array} Approvals
+   */
+  list({ status = null, issueKey = null } = {}) {
+    return Array.from(this.items.values())
+      .filter(item => (!status || item.status === status) && (!issueKey || item.issueKey === issueKey))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Get the AI matches held for a bug that no reviewer approved
+   * They were stored as matches in the learning data but never written.
+   * @param {string} issueKey - JIRA issue key
+   * @returns {Array<string>} Test IDs
+   */
+  getUnapprovedTestIds(issueKey) {
+    const approvals = this.list({ issueKey });
+    const approved = new Set(approvals
+      .filter(approval => approval.status === 'approved')
+      .flatMap(approval => approval.candidates.filter(c => approval.approvedRanks.includes(c.rank)).map(c => c.test_id)));
+
+    const held = approvals.flatMap(approval => approval.candidates.filter(c => c.source !== 'retrieval').map(c => c.test_id));
+    return [...new Set(held)].filter(testId => !approved.has(testId));
+  }
+
+  /**
+   * Settle a pending approval
+   * Check and update happen synchronously, so a reviewer's decision and an
+   * expiry sweep cannot both settle the same approval.
+   * @param {string} id - Approval ID
+   * @param {string} status - 'approved', 'rejected', 'expired' or 'superseded'
+   * @param {Object} decision - { reviewer, ranks: approved candidate ranks }
+   * @returns {Object|null} Approval, or null if it was not pending
+   */
+  resolve(id, status, { reviewer = null, ranks = [] } = {}) {
+    const approval = this.items.get(id);
+    if (!approval || approval.status !== 'pending') {
+      return null;
+    }
+
+    approval.status = status;
+    approval.resolvedAt = new Date().toISOString();
+    approval.reviewer = reviewer;
+    approval.approvedRanks = ranks;
+    this.save();
+    return approval;
+  }
+
+  /**
+   * Put an approval back to pending after its decision could not be carried out
+   * (e.g. the test management write failed), so the reviewer or a retry can decide again.
+   * @param {string} id - Approval ID
+   * @param {string} status - Status the approval must still have (the decision being undone)
+   * @param {string} error - Why the decision could not be carried out
+   * @returns {Object|null} Approval, or null if it no longer has that status
+   */
+  reopen(id, status, error) {
+    const approval = this.items.get(id);
+    if (!approval || approval.status !== status) {
+      return null;
+    }
+
+    approval.status = 'pending';
+    approval.resolvedAt = null;
+    approval.reviewer = null;
+    approval.approvedRanks = [];
+    approval.lastError = error;
+    this.save();
+    return approval;
+  }
+
+  /**
+   * Record that a reminder was posted
+   * @param {string} id - Approval ID
+   */
+  markReminded(id) {
+    const approval = this.items.get(id);
+    if (!approval) return;
+
+    approval.remindedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Find pending approvals that are due a reminder or have expired
+   * @param {number} now - Current time (ms)
+   * @returns {{ remind: Array, expire: Array }} Due approvals
+   */
+  getDue(now = Date.now()) {
+    const remind = [];
+    const expire = [];
+
+    for (const approval of this.list({ status: 'pending' })) {
+      if (Date.parse(approval.expiresAt) <= now) {
+        expire.push(approval);
+      } else if (!approval.remindedAt && this.settings.reminderHours > 0 &&
+          Date.parse(approval.createdAt) + this.settings.reminderHours * HOUR_MS <= now) {
+        remind.push(approval);
+      }
+    }
+
+    return { remind, expire };
+  }
+
+  /**
+   * Get queue statistics and reviewer calibration
+   * Calibration groups reviewed approvals by the top candidate's AI confidence
+   * and shows how often reviewers approved that candidate.
+   * @returns {Object} Stats
+   */
+  getStats() {
+    const items = Array.from(this.items.values());
+    const byStatus = {};
+    items.forEach(item => { byStatus[item.status] = (byStatus[item.status] || 0) + 1; });
+
+    const reviewed = items.filter(item => item.status === 'approved' || item.status === 'rejected');
+    const calibration = CALIBRATION_BINS.map((from, idx) => {
+      const to = CALIBRATION_BINS[idx + 1] || 1;
+      const inBin = reviewed.filter(item => {
+        const confidence = item.candidates[0]?.confidence;
+        return typeof confidence === 'number' && confidence >= from && (confidence < to || to === 1);
+      });
+      const topApproved = inBin.filter(item => item.status === 'approved' && item.approvedRanks.includes(1)).length;
+      return {
+        from,
+        to,
+        reviewed: inBin.length,
+        topApproved,
+        approvalRate: inBin.length > 0 ? topApproved / inBin.length : null
+      };
+    }).filter(bin => bin.reviewed > 0);
+
+    return {
+      enabled: this.isEnabled(),
+      threshold: this.config.openai.confidenceThreshold,
+      expiryHours: this.settings.expiryHours,
+      reminderHours: this.settings.reminderHours,
+      byStatus,
+      pending: byStatus.pending || 0,
+      calibration
+    };
+  }
+
+  /**
+   * Persist approvals to disk (writes are queued one after another)
+   * @returns {Promise<void>}
+   */
+  save() {
+    this.saving = this.saving.then(() => this.writeItems());
+    return this.saving;
+  }
+
+  /**
+   * Write approvals to the store file
+   */
+  async writeItems() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const tmpFile = `${this.storeFile}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(Array.from(this.items.values()), null, 2));
+      await fs.rename(tmpFile, this.storeFile);
+    } catch (error) {
+      logger.error(`Failed to save approvals: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ApprovalService();
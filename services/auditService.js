@@ -0,0 +1,134 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const logger = require('../logger');
+const learningService = require('./learningService');
+
+const CSV_COLUMNS = [
+  'id', 'recordedAt', 'correlationId', 'jobId', 'actor', 'workflow', 'user', 'issueKey',
+  'system', 'operation', 'target', 'success', 'error', 'before', 'after', 'request', 'response'
+];
+
+// Who started the current work - shared by every profile's audit service
+const context = new AsyncLocalStorage();
+
+/**
+ * Audit Service - Append-only log of every write to JIRA and the test management systems
+ * Services call record() after each write with the request and response. The
+ * actor, workflow, issue key and correlation ID come from the context the job
+ * handler opened with runInContext(), so they need not be passed down through
+ * the workflow. Entries live in the profile's learning database, where
+ * triggers reject updates and deletes.
+ */
+class AuditService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} learning - Learning service whose database holds the log
+   */
+  constructor(profileConfig = config, learning = learningService) {
+    this.config = profileConfig;
+    this.settings = profileConfig.audit || { enabled: false };
+    this.learningService = learning;
+  }
+
+  /**
+   * Check whether writes are audited
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return !!this.settings.enabled;
+  }
+
+  /**
+   * Run a function with an audit context; writes made inside it are attributed to it
+   * @param {Object} auditContext - { actor, workflow, user, issueKey, correlationId, jobId }
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of fn
+   */
+  runInContext(auditContext, fn) {
+    return context.run({ ...this.getContext(), ...auditContext }, fn);
+  }
+
+  /**
+   * Get the current audit context
+   * @returns {Object} Context (actor "system" outside any job)
+   */
+  getContext() {
+    return context.getStore() || { actor: 'system' };
+  }
+
+  /**
+   * Read an object's state before it is written
+   * @param {Function} read - Async function returning the current state
+   * @returns {Promise<*>} State, or null if capture is off or the read failed
+   */
+  async snapshot(read) {
+    if (!this.isEnabled() || !this.settings.captureBefore) {
+      return null;
+    }
+
+    try {
+      return await read();
+    } catch (error) {
+      logger.warn(`Failed to read state before write: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Append a write to the audit log (never throws - auditing must not fail the write)
+   * @param {Object} entry - { system, operation, target, issueKey, before, after, request, response, error }
+   */
+  async record(entry) {
+    if (!this.isEnabled()) return;
+
+    const { actor, workflow, user, issueKey, correlationId, jobId } = this.getContext();
+    try {
+      const store = await this.learningService.getStore();
+      store.insertAuditEntry({
+        actor,
+        workflow,
+        user,
+        correlationId,
+        jobId,
+        ...entry,
+        issueKey: entry.issueKey || issueKey,
+        response: entry.response === undefined && entry.error ? entry.error.response?.data : entry.response,
+        success: !entry.error,
+        error: entry.error ? entry.error.message : null
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit entry for ${entry.system} ${entry.operation} ${entry.target}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query the audit log
+   * @param {Object} filter - { issueKey, system, correlationId, actor, since, until, limit }
+   * @returns {Promise<Array>} Entries, oldest first
+   */
+  async query(filter = {}) {
+    const store = await this.learningService.getStore();
+    return store.getAuditEntries(filter);
+  }
+
+  /**
+   * Format entries as CSV (JSON columns are serialized)
+   * @param {Array} entries - Audit entries
+   * @returns {string} CSV with a header row
+   */
+  toCsv(entries) {
+    const cell = value => {
+      let text = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+      // Keep spreadsheets from evaluating comment text as a formula
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      CSV_COLUMNS.join(','),
+      ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','))
+    ].join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,78 @@
+const TestManagementBackend = require('./testManagementBackend');
+const TestRailBackend = require('./testRailBackend');
+const XrayBackend = require('./xrayBackend');
+const ZephyrScaleBackend = require('./zephyrScaleBackend');
+
+const CONTRACT = [
+  'findRun', 'getTests', 'getTestsWithDetails', 'getTestDetails', 'getResults', 'recordResult',
+  'isBugAlreadyLinked', 'findTestsWithBug', 'linkIssue', 'unlinkIssue', 'getMappingKey', 'findTestByMappingKey'
+];
+
+/**
+ * Backend Registry - Test management backends by name (TEST_MANAGEMENT_SYSTEM)
+ * Register a factory to add a system: registry.register('name', (profileConfig, services) => backend)
+ */
+class BackendRegistry {
+  constructor() {
+    this.factories = new Map(); // Name -> factory(profileConfig, services)
+  }
+
+  /**
+   * Register a backend
+   * @param {string} name - System name used in configuration (lowercase)
+   * @param {Function} factory - (profileConfig, services) => backend instance
+   */
+  register(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Backend "${name}" must be registered with a factory function`);
+    }
+    this.factories.set(name.toLowerCase(), factory);
+  }
+
+  /**
+   * Create a backend for a profile
+   * @param {string} name - System name
+   * @param {Object} profileConfig - Profile configuration
+   * @param {Object} services - Service instances for the profile
+   * @returns {TestManagementBackend} Backend
+   */
+  create(name, profileConfig, services = {}) {
+    const factory = this.factories.get(String(name).toLowerCase());
+    if (!factory) {
+      throw new Error(`Unsupported test management system: ${name}. Use one of: ${this.getNames().join(', ')}.`);
+    }
+
+    const backend = factory(profileConfig, services);
+    const missing = CONTRACT.filter(method => typeof backend[method] !== 'function');
+    if (missing.length > 0 || !backend.displayName) {
+      throw new Error(`Backend "${name}" does not implement the backend contract (missing: ${missing.join(', ') || 'displayName'})`);
+    }
+    return backend;
+  }
+
+  /**
+   * Check whether a backend is registered
+   * @param {string} name - System name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.factories.has(String(name).toLowerCase());
+  }
+
+  /**
+   * Get registered backend names
+   * @returns {Array<string>} Names
+   */
+  getNames() {
+    return Array.from(this.factories.keys());
+  }
+}
+
+const registry = new BackendRegistry();
+registry.register('testrail', (profileConfig, services) => new TestRailBackend(profileConfig, services));
+registry.register('xray', (profileConfig, services) => new XrayBackend(profileConfig, services));
+registry.register('zephyrscale', (profileConfig, services) => new ZephyrScaleBackend(profileConfig, services));
+
+registry.TestManagementBackend = TestManagementBackend;
+
+module.exports = registry;
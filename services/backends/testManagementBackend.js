@@ -0,0 +1,229 @@
+/**
+ * Test Management Backend - Contract every test management system implements
+ * The adapter only talks to this interface, so a new system is added by writing
+ * a backend and registering it in ./index.js - no adapter or workflow changes.
+ *
+ * Terms used by the contract:
+ * - run:  the container bugs are tested in (TestRail Run, Xray Test Execution, Zephyr Scale Test Cycle)
+ * - test: one test inside a run (TestRail Test ID, Xray Test Key, Zephyr Scale Test Case Key)
+ * - status: 'Passed' or 'Failed' - backends translate to their own status names
+ */
+class TestManagementBackend {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} labels - Display names ({ name, displayName, runLabel, testLabel })
+   */
+  constructor(profileConfig, labels) {
+    this.config = profileConfig;
+    this.name = labels.name;
+    this.displayName = labels.displayName;
+    this.runLabel = labels.runLabel;
+    this.testLabel = labels.testLabel;
+  }
+
+  /**
+   * Find the run a bug should be recorded in (usually configured on the parent task)
+   * @param {string} issueKey - Bug key
+   * @returns {Promise<string|null>} Run identifier or null
+   */
+  async findRun(issueKey) {
+    throw this.notImplemented('findRun');
+  }
+
+  /**
+   * List the tests in a run (basic info)
+   * @param {string} runKey - Run identifier
+   * @returns {Promise<Array>} Tests
+   */
+  async getTests(runKey) {
+    throw this.notImplemented('getTests');
+  }
+
+  /**
+   * List the tests in a run with the details used for AI matching
+   * Each test has at least { test_id, case_id, title, description }
+   * @param {string} runKey - Run identifier
+   * @param {boolean} forceRefresh - Bypass the cache
+   * @returns {Promise<Array>} Tests with details
+   */
+  async getTestsWithDetails(runKey, forceRefresh = false) {
+    throw this.notImplemented('getTestsWithDetails');
+  }
+
+  /**
+   * Get a single test's details
+   * @param {string} testId - Test identifier
+   * @returns {Promise<Object>} Test details
+   */
+  async getTestDetails(testId) {
+    throw this.notImplemented('getTestDetails');
+  }
+
+  /**
+   * Get the result history of a test, newest first
+   * @param {string} testId - Test identifier
+   * @param {string} runKey - Run identifier (required by some systems)
+   * @returns {Promise<Array>} Results
+   */
+  async getResults(testId, runKey = null) {
+    throw this.notImplemented('getResults');
+  }
+
+  /**
+   * Read the status and the bugs of one result from getResults()
+   * @param {Object} result - Result
+   * @returns {Object} { status, defects } - status is 'Passed', 'Failed' or the system's own name; defects are bug keys
+   */
+  summarizeResult(result) {
+    const defects = typeof result.defects === 'string'
+      ? result.defects.split(',')
+      : (result.defects || []).map(defect => defect.key || defect);
+    return {
+      status: result.status?.name || result.status || null,
+      defects: defects.map(defect => String(defect).trim()).filter(defect => defect)
+    };
+  }
+
+  /**
+   * Get each test's current status and every bug recorded against it (used by reconciliation)
+   * @param {string} runKey - Run identifier
+   * @returns {Promise<Array>} [{ testId, title, status, defects }] - status is 'Passed', 'Failed' or the system's own name
+   */
+  async getTestStates(runKey) {
+    throw this.notImplemented('getTestStates');
+  }
+
+  /**
+   * Record a result with the defects that caused it
+   * @param {string} testId - Test identifier
+   * @param {string} runKey - Run identifier
+   * @param {string} status - 'Passed' or 'Failed'
+   * @param {string} comment - Result comment
+   * @param {Array<string>} defects - Bug keys
+   * @returns {Promise<Object>} Result ({ dry_run: true, ... } in dry-run mode)
+   */
+  async recordResult(testId, runKey, status, comment, defects) {
+    throw this.notImplemented('recordResult');
+  }
+
+  /**
+   * Check if a bug is already recorded against a test
+   * @param {string} testId - Test identifier
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<boolean>} True if linked
+   */
+  async isBugAlreadyLinked(testId, bugKey) {
+    throw this.notImplemented('isBugAlreadyLinked');
+  }
+
+  /**
+   * Find the tests in a run a bug is recorded against
+   * @param {string} runKey - Run identifier
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<Array<string>>} Test identifiers
+   */
+  async findTestsWithBug(runKey, bugKey) {
+    throw this.notImplemented('findTestsWithBug');
+  }
+
+  /**
+   * Link a bug to a test (systems without links return null)
+   * @param {string} testId - Test identifier
+   * @param {string} bugKey - Bug key
+   * @param {string} linkType - Link type
+   * @returns {Promise<Object|null>} Link result
+   */
+  async linkIssue(testId, bugKey, linkType = 'Blocks') {
+    return null;
+  }
+
+  /**
+   * Remove a bug link from a test (systems without links return null)
+   * @param {string} testId - Test identifier
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<Object|null>} Unlink result
+   */
+  async unlinkIssue(testId, bugKey) {
+    return null;
+  }
+
+  /**
+   * Work out how to undo this system's writes for a bug (used by rollback)
+   * Systems that cannot revert return a skipped step per write, to be undone by hand.
+   * @param {Array} entries - Successful audit log entries of this system for the bug, oldest first
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<Array>} Steps ({ action, target, testId, runKey, description, skipped, ... }) for applyRevert()
+   */
+  async planRevert(entries, bugKey) {
+    return entries.map(entry => ({
+      action: 'manual',
+      target: entry.target,
+      description: `Undo ${entry.operation} on ${entry.target}`,
+      skipped: `${this.displayName} backend cannot revert writes`
+    }));
+  }
+
+  /**
+   * Apply one step of a revert plan
+   * @param {Object} step - Step from planRevert()
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<Object>} Write result
+   */
+  async applyRevert(step, bugKey) {
+    throw this.notImplemented('applyRevert');
+  }
+
+  /**
+   * Group audit entries by a key, keeping their order
+   * @param {Array} entries - Audit entries
+   * @param {Function} keyOf - Entry => group key
+   * @returns {Map<string, Array>} Entries per key
+   */
+  groupEntries(entries, keyOf) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = keyOf(entry);
+      groups.set(key, [...(groups.get(key) || []), entry]);
+    }
+    return groups;
+  }
+
+  /**
+   * Comment written on the results a rollback restores
+   * @param {string} bugKey - Bug key
+   * @returns {string} Comment
+   */
+  getRevertComment(bugKey) {
+    return `Rolled back ${bugKey}: restored the result from before the integration updated this test`;
+  }
+
+  /**
+   * Get the identifier used for this test in the dual-write mapping table
+   * @param {string} testId - Test identifier
+   * @returns {Promise<string>} Mapping key (TestRail case ID or test key)
+   */
+  async getMappingKey(testId) {
+    throw this.notImplemented('getMappingKey');
+  }
+
+  /**
+   * Find the test in a run for a mapping-table identifier
+   * @param {string} runKey - Run identifier
+   * @param {string} mappingKey - Identifier from the mapping table
+   * @returns {Promise<string|null>} Test identifier or null if not in the run
+   */
+  async findTestByMappingKey(runKey, mappingKey) {
+    throw this.notImplemented('findTestByMappingKey');
+  }
+
+  /**
+   * Build the error for a missing contract method
+   * @param {string} method - Method name
+   * @returns {Error} Error
+   */
+  notImplemented(method) {
+    return new Error(`${this.displayName} backend does not implement ${method}()`);
+  }
+}
+
+module.exports = TestManagementBackend;
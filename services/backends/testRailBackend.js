@@ -0,0 +1,154 @@
+const TestManagementBackend = require('./testManagementBackend');
+
+const STATUS_UNTESTED = 3;
+
+/**
+ * TestRail Backend - Runs and tests in TestRail
+ * The Run ID comes from the bug's parent task in JIRA; defects are stored on results.
+ */
+class TestRailBackend extends TestManagementBackend {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} services - Service instances for the profile ({ jiraService, testRailService })
+   */
+  constructor(profileConfig, services = {}) {
+    super(profileConfig, { name: 'testrail', displayName: 'TestRail', runLabel: 'Run', testLabel: 'Test ID' });
+    this.jiraService = services.jiraService || require('../jiraService');
+    this.testRailService = services.testRailService || require('../testRailService');
+  }
+
+  async findRun(issueKey) {
+    return await this.jiraService.findRunId(issueKey);
+  }
+
+  async getTests(runId) {
+    return await this.testRailService.getTests(runId);
+  }
+
+  async getTestsWithDetails(runId, forceRefresh = false) {
+    return await this.testRailService.getTestsWithDetails(runId, forceRefresh);
+  }
+
+  async getTestDetails(caseId) {
+    return await this.testRailService.getCase(caseId);
+  }
+
+  async getResults(testId) {
+    return await this.testRailService.getResults(testId);
+  }
+
+  summarizeResult(result) {
+    return { status: this.getStatusName(result.status_id), defects: splitDefects(result.defects) };
+  }
+
+  /**
+   * Status from the test, defects from all of its results (as checkForOpenBugs reads them)
+   */
+  async getTestStates(runId) {
+    const tests = await this.testRailService.getTests(runId);
+    const states = [];
+    for (const test of tests) {
+      const results = test.status_id === STATUS_UNTESTED ? [] : await this.testRailService.getResults(test.id);
+      states.push({
+        testId: String(test.id),
+        title: test.title,
+        status: this.getStatusName(test.status_id),
+        defects: [...new Set(results.flatMap(result => splitDefects(result.defects)))]
+      });
+    }
+    return states;
+  }
+
+  async recordResult(testId, runId, status, comment, defects = []) {
+    // TestRail expects a comma-separated defects string and no run ID
+    const defectsString = defects.join(',');
+    return status === 'Failed'
+      ? await this.testRailService.markAsFailed(testId, comment, defectsString)
+      : await this.testRailService.markAsPassed(testId, comment, defectsString);
+  }
+
+  async isBugAlreadyLinked(testId, bugKey) {
+    return await this.testRailService.isBugAlreadyLinked(testId, bugKey);
+  }
+
+  async findTestsWithBug(runId, bugKey) {
+    return await this.testRailService.findTestsWithBug(runId, bugKey);
+  }
+
+  /**
+   * Restore each test's result from before the first write for the bug
+   * TestRail keeps every result, so the revert adds a result with the earlier
+   * status and defects (without the bug). Untested or unknown earlier states
+   * become Retest, as a result cannot be set back to Untested.
+   */
+  async planRevert(entries, bugKey) {
+    const steps = [];
+    const writes = entries.filter(entry => entry.operation === 'add-result');
+
+    for (const [target, results] of this.groupEntries(writes, entry => entry.target)) {
+      const testId = target.replace(/^test /, '');
+      const original = results[0].before;
+      const last = results[results.length - 1];
+      const statusId = original && original.status_id !== STATUS_UNTESTED ? original.status_id : this.config.testRail.statusRetest;
+      const defects = splitDefects(original?.defects).filter(d => d !== bugKey).join(',');
+
+      if (last.after?.status_id === statusId && splitDefects(last.after.defects).join(',') === defects) {
+        continue; // Already restored
+      }
+
+      const [current] = await this.testRailService.getResults(testId);
+      const changed = current && (current.status_id !== last.after?.status_id ||
+        splitDefects(current.defects).join(',') !== splitDefects(last.after?.defects).join(','));
+      steps.push({
+        action: 'restore-result',
+        target,
+        testId,
+        statusId,
+        defects,
+        description: `Add a ${this.getStatusName(statusId)} result to test ${testId}${defects ? ` with defects ${defects}` : ''}${original ? '' : ' (earlier result unknown)'}`,
+        skipped: changed ? `Test ${testId} has a newer result than the one written at ${last.recordedAt}` : null
+      });
+    }
+    return steps;
+  }
+
+  async applyRevert(step, bugKey) {
+    return await this.testRailService.addResult(step.testId, step.statusId, this.getRevertComment(bugKey), step.defects);
+  }
+
+  /**
+   * Get a display name for a status ID
+   * @param {number} statusId - TestRail status ID
+   * @returns {string} Status name
+   */
+  getStatusName(statusId) {
+    const names = {
+      [this.config.testRail.statusPassed]: 'Passed',
+      [this.config.testRail.statusFailed]: 'Failed',
+      [this.config.testRail.statusRetest]: 'Retest'
+    };
+    return names[statusId] || `status ${statusId}`;
+  }
+
+  async getMappingKey(testId) {
+    const test = await this.testRailService.getTestDetails(testId);
+    return `C${test.case_id}`;
+  }
+
+  async findTestByMappingKey(runId, caseId) {
+    const tests = await this.testRailService.getTests(runId);
+    const test = tests.find(t => String(t.case_id) === String(caseId).replace(/^C/i, ''));
+    return test ? test.id : null;
+  }
+}
+
+/**
+ * Split a TestRail defects string into sorted bug keys
+ * @param {string} defects - Comma-separated bug keys
+ * @returns {Array<string>} Bug keys
+ */
+function splitDefects(defects) {
+  return String(defects || '').split(',').map(d => d.trim()).filter(d => d).sort();
+}
+
+module.exports = TestRailBackend;
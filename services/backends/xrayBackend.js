@@ -0,0 +1,167 @@
+const TestManagementBackend = require('./testManagementBackend');
+
+/**
+ * Xray Backend - Test Executions and Test issues in Xray (Jira)
+ * Bugs are linked to the Test issue in addition to being recorded on the test run.
+ */
+class XrayBackend extends TestManagementBackend {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} services - Service instances for the profile ({ xrayService })
+   */
+  constructor(profileConfig, services = {}) {
+    super(profileConfig, { name: 'xray', displayName: 'Xray', runLabel: 'Test Execution', testLabel: 'Test Key' });
+    this.xrayService = services.xrayService || require('../xrayService');
+  }
+
+  async findRun(issueKey) {
+    return await this.xrayService.findTestExecutionKey(issueKey);
+  }
+
+  async getTests(executionKey) {
+    return await this.xrayService.getTests(executionKey);
+  }
+
+  async getTestsWithDetails(executionKey, forceRefresh = false) {
+    return await this.xrayService.getTestsWithDetails(executionKey, forceRefresh);
+  }
+
+  async getTestDetails(testKey) {
+    return await this.xrayService.getTestDetails(testKey);
+  }
+
+  async getResults(testKey, executionKey = null) {
+    if (!executionKey) {
+      throw new Error('Execution key is required for Xray');
+    }
+    // Xray Server returns the test run itself, Xray Cloud a list
+    const runs = await this.xrayService.getTestRuns(testKey, executionKey);
+    return Array.isArray(runs) ? runs : [runs];
+  }
+
+  summarizeResult(result) {
+    const { statusPass, statusFail } = this.config.xray;
+    const summary = super.summarizeResult(result);
+    return { ...summary, status: summary.status === statusPass ? 'Passed' : summary.status === statusFail ? 'Failed' : summary.status };
+  }
+
+  /**
+   * Status from the latest test run; defects from that run and the Bugs linked to the Test issue
+   */
+  async getTestStates(executionKey) {
+    const { statusPass, statusFail } = this.config.xray;
+    const tests = await this.xrayService.getTests(executionKey);
+    const states = [];
+    for (const test of tests) {
+      const runs = await this.xrayService.getTestRuns(test.key, executionKey);
+      const run = Array.isArray(runs) ? runs[0] : runs;
+      const status = run?.status?.name || run?.status || null;
+      const details = await this.xrayService.getTestDetails(test.key);
+      const linkedBugs = (details.fields?.issuelinks || [])
+        .map(link => link.inwardIssue || link.outwardIssue)
+        .filter(issue => issue && /bug/i.test(issue.fields?.issuetype?.name || ''))
+        .map(issue => issue.key);
+
+      states.push({
+        testId: test.key,
+        title: test.title,
+        status: status === statusPass ? 'Passed' : status === statusFail ? 'Failed' : status,
+        defects: [...new Set([...(run?.defects || []).map(defect => defect.key || defect), ...linkedBugs])]
+      });
+    }
+    return states;
+  }
+
+  async recordResult(testKey, executionKey, status, comment, defects = []) {
+    return status === 'Failed'
+      ? await this.xrayService.markAsFailed(testKey, executionKey, comment, defects)
+      : await this.xrayService.markAsPassed(testKey, executionKey, comment, defects);
+  }
+
+  async isBugAlreadyLinked(testKey, bugKey) {
+    return await this.xrayService.isBugAlreadyLinked(testKey, bugKey);
+  }
+
+  async findTestsWithBug(executionKey, bugKey) {
+    return await this.xrayService.findTestsWithBug(executionKey, bugKey);
+  }
+
+  async linkIssue(testKey, bugKey, linkType = 'Blocks') {
+    return await this.xrayService.linkIssue(testKey, bugKey, linkType);
+  }
+
+  async unlinkIssue(testKey, bugKey) {
+    return await this.xrayService.unlinkIssue(testKey, bugKey);
+  }
+
+  /**
+   * Restore each test run's status from before the first write for the bug
+   * (TODO if unknown) and undo the links the integration created or removed
+   */
+  async planRevert(entries, bugKey) {
+    const steps = [];
+    const runs = entries.filter(entry => entry.operation === 'import-execution');
+
+    for (const [target, writes] of this.groupEntries(runs, entry => entry.target)) {
+      const { testKey } = writes[0].request.tests[0];
+      const executionKey = writes[0].request.testExecutionKey;
+      const original = writes[0].before;
+      const last = writes[writes.length - 1];
+      const status = original?.status || this.config.xray.statusTodo;
+      if (last.after?.status === status) {
+        continue; // Already restored
+      }
+
+      const current = await this.xrayService.getTestRuns(testKey, executionKey);
+      const latest = Array.isArray(current) ? current[0] : current;
+      steps.push({
+        action: 'restore-result',
+        target,
+        testId: testKey,
+        runKey: executionKey,
+        status,
+        description: `Set test ${testKey} in ${executionKey} back to ${status}${original ? '' : ' (earlier status unknown)'}`,
+        skipped: latest && latest.status !== last.after?.status ? `Test ${testKey} has a newer status than the one written at ${last.recordedAt}` : null
+      });
+    }
+
+    // A link counts by its first and last change: created and still there, or removed and still gone
+    const links = entries.filter(entry => entry.operation === 'link-issue' || entry.operation === 'unlink-issue');
+    const linkKey = entry => (entry.operation === 'link-issue' ? entry.request.inwardIssue.key : entry.before.testKey);
+    for (const [testKey, changes] of this.groupEntries(links, linkKey)) {
+      const first = changes[0];
+      const last = changes[changes.length - 1];
+      if (first.operation !== last.operation) {
+        continue;
+      }
+      steps.push(first.operation === 'link-issue'
+        ? { action: 'unlink', target: `test ${testKey}`, testId: testKey, description: `Remove the link between test ${testKey} and ${bugKey}`, skipped: null }
+        : { action: 'relink', target: `test ${testKey}`, testId: testKey, linkType: first.before.linkType || 'Blocks', description: `Link ${bugKey} to test ${testKey} again`, skipped: null });
+    }
+    return steps;
+  }
+
+  async applyRevert(step, bugKey) {
+    switch (step.action) {
+      case 'restore-result':
+        return await this.xrayService.addTestRun(step.testId, step.runKey, step.status, this.getRevertComment(bugKey), []);
+      case 'unlink':
+        return await this.xrayService.unlinkIssue(step.testId, bugKey);
+      case 'relink':
+        return await this.xrayService.linkIssue(step.testId, bugKey, step.linkType);
+      default:
+        throw new Error(`Unknown revert action: ${step.action}`);
+    }
+  }
+
+  async getMappingKey(testKey) {
+    return testKey;
+  }
+
+  async findTestByMappingKey(executionKey, testKey) {
+    const tests = await this.xrayService.getTests(executionKey);
+    return tests.some(t => t.key === testKey) ? testKey : null;
+  }
+}
+
+module.exports = XrayBackend;
@@ -0,0 +1,165 @@
+const TestManagementBackend = require('./testManagementBackend');
+
+/**
+ * Zephyr Scale Backend - Test Cycles and Test Cases in Zephyr Scale Cloud
+ * Each result is a new Test Execution in the cycle; bugs are linked to the execution.
+ */
+class ZephyrScaleBackend extends TestManagementBackend {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} services - Service instances for the profile ({ zephyrScaleService })
+   */
+  constructor(profileConfig, services = {}) {
+    super(profileConfig, { name: 'zephyrscale', displayName: 'Zephyr Scale', runLabel: 'Test Cycle', testLabel: 'Test Case Key' });
+    this.zephyrScaleService = services.zephyrScaleService || require('../zephyrScaleService');
+  }
+
+  async findRun(issueKey) {
+    return await this.zephyrScaleService.findTestCycleKey(issueKey);
+  }
+
+  async getTests(cycleKey) {
+    return await this.zephyrScaleService.getTests(cycleKey);
+  }
+
+  async getTestsWithDetails(cycleKey, forceRefresh = false) {
+    return await this.zephyrScaleService.getTestsWithDetails(cycleKey, forceRefresh);
+  }
+
+  async getTestDetails(testCaseKey) {
+    return await this.zephyrScaleService.getTestCase(testCaseKey);
+  }
+
+  async getResults(testCaseKey, cycleKey = null) {
+    return await this.zephyrScaleService.getResults(testCaseKey, cycleKey);
+  }
+
+  summarizeResult(result) {
+    const { statusPass, statusFail } = this.config.zephyrScale;
+    const summary = super.summarizeResult(result);
+    return { ...summary, status: summary.status === statusPass ? 'Passed' : summary.status === statusFail ? 'Failed' : summary.status };
+  }
+
+  /**
+   * Status from each test case's latest execution in the cycle, defects from all of them
+   */
+  async getTestStates(cycleKey) {
+    const { statusPass, statusFail } = this.config.zephyrScale;
+    const executions = await this.zephyrScaleService.getTestExecutions({ testCycle: cycleKey });
+    const byTestCase = this.groupEntries(executions, execution => this.zephyrScaleService.getTestCaseKey(execution));
+    const states = [];
+    for (const [testCaseKey, testExecutions] of byTestCase) {
+      if (!testCaseKey) continue;
+      const defects = [];
+      for (const execution of testExecutions) {
+        defects.push(...await this.zephyrScaleService.getExecutionDefects(execution.id));
+      }
+
+      // Executions come newest first
+      const status = await this.zephyrScaleService.getStatusName(testExecutions[0].testExecutionStatus?.id);
+      states.push({
+        testId: testCaseKey,
+        title: null,
+        status: status === statusPass ? 'Passed' : status === statusFail ? 'Failed' : status,
+        defects: [...new Set(defects)]
+      });
+    }
+    return states;
+  }
+
+  async recordResult(testCaseKey, cycleKey, status, comment, defects = []) {
+    return status === 'Failed'
+      ? await this.zephyrScaleService.markAsFailed(testCaseKey, cycleKey, comment, defects)
+      : await this.zephyrScaleService.markAsPassed(testCaseKey, cycleKey, comment, defects);
+  }
+
+  async isBugAlreadyLinked(testCaseKey, bugKey) {
+    return await this.zephyrScaleService.isBugAlreadyLinked(testCaseKey, bugKey);
+  }
+
+  async findTestsWithBug(cycleKey, bugKey) {
+    return await this.zephyrScaleService.findTestsWithBug(cycleKey, bugKey);
+  }
+
+  async linkIssue(testCaseKey, bugKey) {
+    return await this.zephyrScaleService.linkIssue(testCaseKey, bugKey);
+  }
+
+  async unlinkIssue(testCaseKey, bugKey) {
+    return await this.zephyrScaleService.unlinkIssue(testCaseKey, bugKey);
+  }
+
+  /**
+   * Restore each test case's status from before the first write for the bug
+   * with a new execution (Not Executed if unknown), delete the links the
+   * integration created and restore the test case links it removed
+   */
+  async planRevert(entries, bugKey) {
+    const steps = [];
+    const executions = entries.filter(entry => entry.operation === 'add-execution');
+
+    for (const [target, writes] of this.groupEntries(executions, entry => entry.target)) {
+      const { testCaseKey, testCycleKey } = writes[0].request;
+      const original = writes[0].before;
+      const last = writes[writes.length - 1];
+      const status = original?.status || this.config.zephyrScale.statusNotExecuted;
+      if (last.after?.status === status) {
+        continue; // Already restored
+      }
+
+      const [current] = await this.zephyrScaleService.getResults(testCaseKey, testCycleKey);
+      steps.push({
+        action: 'restore-result',
+        target,
+        testId: testCaseKey,
+        runKey: testCycleKey,
+        status,
+        description: `Record ${status} for test case ${testCaseKey} in ${testCycleKey}${original ? '' : ' (earlier status unknown)'}`,
+        skipped: current && current.status !== last.after?.status ? `Test case ${testCaseKey} has a newer execution than the one written at ${last.recordedAt}` : null
+      });
+    }
+
+    // Links the integration created and has not deleted since, unless they replaced one it removed
+    const deletedLinks = new Set(entries
+      .filter(entry => entry.operation === 'unlink-issue' || entry.operation === 'delete-link')
+      .map(entry => String(entry.request.linkId)));
+    const removedFrom = entry => (entry.operation === 'unlink-issue' && entry.before?.testCaseKey ? `test case ${entry.before.testCaseKey}` : null);
+    entries.forEach((entry, index) => {
+      if (entry.operation !== 'link-issue' || !entry.response?.id || deletedLinks.has(String(entry.response.id))) return;
+      if (entries.slice(0, index).some(earlier => removedFrom(earlier) === entry.target)) return;
+      steps.push({ action: 'delete-link', target: entry.target, linkId: entry.response.id, description: `Remove the link between ${entry.target} and ${bugKey}`, skipped: null });
+    });
+
+    // Test case links the integration removed, unless it linked them again later
+    entries.forEach((entry, index) => {
+      const target = removedFrom(entry);
+      if (!target || entries.slice(index + 1).some(later => later.operation === 'link-issue' && later.target === target)) return;
+      steps.push({ action: 'relink', target, testId: entry.before.testCaseKey, description: `Link ${bugKey} to ${target} again`, skipped: null });
+    });
+    return steps;
+  }
+
+  async applyRevert(step, bugKey) {
+    switch (step.action) {
+      case 'restore-result':
+        return await this.zephyrScaleService.addTestExecution(step.testId, step.runKey, step.status, this.getRevertComment(bugKey), []);
+      case 'delete-link':
+        return await this.zephyrScaleService.deleteLink(step.linkId, { target: step.target, issueKey: bugKey });
+      case 'relink':
+        return await this.zephyrScaleService.linkIssue(step.testId, bugKey);
+      default:
+        throw new Error(`Unknown revert action: ${step.action}`);
+    }
+  }
+
+  async getMappingKey(testCaseKey) {
+    return testCaseKey;
+  }
+
+  async findTestByMappingKey(cycleKey, testCaseKey) {
+    const tests = await this.zephyrScaleService.getTests(cycleKey);
+    return tests.some(t => t.key === testCaseKey) ? testCaseKey : null;
+  }
+}
+
+module.exports = ZephyrScaleBackend;
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+
+// Workflow run for each workflow rule action; other actions need a transition and are not backfilled
+const BACKFILL_WORKFLOWS = {
+  create: 'bug-created',
+  resolve: 'bug-resolved'
+};
+
+/**
+ * Backfill Service - Run the workflows for bugs that never got a webhook
+ * Bugs filed before the service was deployed, or while it was down, are found
+ * with a JQL query. Each bug's current status is matched against the workflow
+ * rules as if it had just moved there, and Bug Created or Bug Resolved runs
+ * for it. Progress is checkpointed after every bug so an interrupted backfill
+ * resumes where it stopped, and bugs the workflow already ran for are skipped.
+ */
+class BackfillService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} services - Service instances for the profile ({ jiraService, workflowService, workflowRules, learningService, auditService })
+   */
+  constructor(profileConfig = config, services = {}) {
+    this.config = profileConfig;
+    this.settings = profileConfig.backfill;
+    this.dataDir = this.settings.dir;
+    this.jiraService = services.jiraService || require('./jiraService');
+    this.workflowService = services.workflowService || require('./workflowService');
+    this.workflowRules = services.workflowRules || require('./workflowRulesService');
+    this.learningService = services.learningService || require('./learningService');
+    this.auditService = services.auditService || require('./auditService');
+  }
+
+  /**
+   * Backfill the bugs a JQL query finds
+   * @param {Object} options - { jql, dryRun, resume, force, limit, rateLimitMs, onProgress }
+   *   dryRun: only list what would run; resume: continue an unfinished backfill of the same JQL;
+   *   force: run bugs the workflow already ran for; limit: stop after this many bugs (resume later);
+   *   rateLimitMs: pause after each bug (default BACKFILL_RATE_LIMIT_MS); onProgress: called with each bug's row
+   * @returns {Promise<Object>} Report { id, jql, dryRun, status, position, total, rows, summary, ... }
+   */
+  async run({ jql, dryRun = false, resume = true, force = false, limit = null, rateLimitMs = this.settings.rateLimitMs, onProgress = null }) {
+    if (!jql || !jql.trim()) {
+      throw new Error('jql is required');
+    }
+
+    const id = this.getId(jql);
+    const checkpoint = !dryRun && resume ? await this.load(id) : null;
+    const report = checkpoint && checkpoint.status !== 'completed'
+      ? { ...checkpoint, status: 'running', error: null }
+      : { id, jql, profile: this.config.profile || 'default', dryRun, status: 'running', position: 0, total: null, rows: [], startedAt: new Date().toISOString() };
+
+    if (report.position > 0) {
+      logger.info(`Resuming backfill ${id} at bug ${report.position + 1} of ${report.total}`);
+    }
+
+    const done = new Set(report.rows.map(row => row.issueKey));
+    let handled = 0;
+
+    try {
+      while (report.total === null || report.position < report.total) {
+        const page = await this.jiraService.searchIssues(this.orderedJql(jql), { startAt: report.position, maxResults: this.settings.pageSize });
+        report.total = page.total;
+        if (page.issues.length === 0) break;
+
+        for (const issue of page.issues) {
+          if (limit !== null && handled >= limit) {
+            report.status = 'paused';
+            return await this.finish(report);
+          }
+
+          if (done.has(issue.key)) {
+            report.position++;
+            continue;
+          }
+
+          const row = await this.processIssue(issue, { dryRun, force, backfillId: id });
+          report.position++;
+          report.rows.push(row);
+          done.add(issue.key);
+          if (onProgress) onProgress(row, report);
+
+          if (row.outcome === 'skipped') continue;
+          handled++;
+          if (!dryRun) {
+            await this.save(report);
+            await this.pause(rateLimitMs);
+          }
+        }
+      }
+
+      report.status = 'completed';
+      return await this.finish(report);
+    } catch (error) {
+      logger.error(`Failed to backfill "${jql}": ${error.message}`);
+      report.status = 'failed';
+      report.error = error.message;
+      await this.finish(report);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide what to do with one bug and do it
+   * @param {Object} issue - JIRA issue from the search
+   * @param {Object} options - { dryRun, force, backfillId }
+   * @returns {Promise<Object>} Row { issueKey, summary, status, workflow, rule, outcome, detail }
+   */
+  async processIssue(issue, { dryRun, force, backfillId }) {
+    const event = this.workflowRules.extractIssueState(issue);
+    const row = {
+      issueKey: issue.key,
+      summary: issue.fields?.summary || '',
+      status: event.toStatus,
+      workflow: null,
+      rule: null,
+      outcome: 'skipped',
+      detail: null
+    };
+
+    const rule = this.workflowRules.findMatchingRule(event);
+    if (!rule) {
+      row.detail = `No workflow rule for status "${event.toStatus}"`;
+      return row;
+    }
+
+    row.rule = rule.name;
+    row.workflow = BACKFILL_WORKFLOWS[rule.action] || null;
+    if (!row.workflow) {
+      row.detail = `Rule "${rule.name}" (${rule.action}) is not backfilled`;
+      return row;
+    }
+
+    const previous = await this.findPreviousRun(issue.key, row.workflow);
+    if (previous && !force) {
+      row.detail = `Already ran on ${previous.finishedAt}`;
+      return row;
+    }
+
+    if (dryRun) {
+      row.outcome = 'would-run';
+      row.detail = previous ? `Runs again (last ran on ${previous.finishedAt})` : null;
+      return row;
+    }
+
+    const result = await this.runWorkflow(row.workflow, issue.key, backfillId);
+    row.outcome = result.success === false ? 'failed' : 'processed';
+    row.detail = this.describeResult(row.workflow, result);
+    return row;
+  }
+
+  /**
+   * Find the last successful run of a workflow for a bug
+   * @param {string} issueKey - Bug key
+   * @param {string} workflow - Workflow type
+   * @returns {Promise<Object|null>} Execution or null
+   */
+  async findPreviousRun(issueKey, workflow) {
+    const store = await this.learningService.getStore();
+    return store.getExecutions({ bugKey: issueKey, workflow, limit: 20 }).find(execution => execution.success) || null;
+  }
+
+  /**
+   * Run a workflow for a bug, audited and recorded like a queued job
+   * @param {string} workflow - 'bug-created' or 'bug-resolved'
+   * @param {string} issueKey - Bug key
+   * @param {string} backfillId - Backfill ID (audit correlation ID)
+   * @returns {Promise<Object>} Workflow result
+   */
+  async runWorkflow(workflow, issueKey, backfillId) {
+    const execution = { bugKey: issueKey, workflow, jobId: null, actor: 'backfill', startedAt: new Date().toISOString() };
+    const auditContext = { actor: 'backfill', workflow, user: null, issueKey, correlationId: `backfill-${backfillId}`, jobId: null };
+
+    let result;
+    try {
+      result = await this.auditService.runInContext(auditContext, () => (workflow === 'bug-created'
+        ? this.workflowService.handleBugCreated(issueKey)
+        : this.workflowService.handleBugResolved(issueKey)));
+    } catch (error) {
+      if (error.circuitOpen) throw error; // Stop at this bug; the queued backfill resumes here once the backend is back
+      result = { success: false, error: error.message };
+    }
+
+    await this.learningService.recordExecution({
+      ...execution,
+      runId: result?.runKey || null,
+      success: result?.success !== false,
+      error: result?.error,
+      result,
+      finishedAt: new Date().toISOString()
+    });
+    return result || {};
+  }
+
+  /**
+   * Describe what a workflow changed, in one line
+   * @param {string} workflow - Workflow type
+   * @param {Object} result - Workflow result
+   * @returns {string} Description
+   */
+  describeResult(workflow, result) {
+    if (result.success === false) {
+      return result.error || 'Workflow failed';
+    }
+    if (result.pendingApproval) {
+      return `Held for approval (${result.pendingApproval})`;
+    }
+
+    const results = result.results || [];
+    if (workflow === 'bug-created') {
+      const linked = results.filter(r => !r.skipped).length;
+      return `${linked} test(s) failed, ${results.length - linked} already linked${result.runKey ? ` in ${result.runKey}` : ''}`;
+    }
+
+    const count = check => results.filter(r => check(r.result || {})).length;
+    return `${count(r => !r.skipped && r.status !== 'Failed')} test(s) passed, ${count(r => r.status === 'Failed')} still failed, ` +
+      `${count(r => r.skipped)} already passed${result.runKey ? ` in ${result.runKey}` : ''}`;
+  }
+
+  /**
+   * Count the rows per outcome and workflow
+   * @param {Array} rows - Report rows
+   * @returns {Object} { scanned, processed, failed, skipped, wouldRun, byWorkflow }
+   */
+  summarize(rows) {
+    const count = outcome => rows.filter(row => row.outcome === outcome).length;
+    const byWorkflow = {};
+    for (const row of rows.filter(r => r.outcome !== 'skipped')) {
+      byWorkflow[row.workflow] = (byWorkflow[row.workflow] || 0) + 1;
+    }
+
+    return {
+      scanned: rows.length,
+      processed: count('processed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      wouldRun: count('would-run'),
+      byWorkflow
+    };
+  }
+
+  /**
+   * Add the summary and save the final report
+   * @param {Object} report - Report
+   * @returns {Promise<Object>} Report
+   */
+  async finish(report) {
+    report.summary = this.summarize(report.rows);
+    report.finishedAt = report.status === 'running' ? null : new Date().toISOString();
+
+    if (!report.dryRun) {
+      await this.save(report);
+    }
+
+    const { processed, failed, skipped, wouldRun } = report.summary;
+    logger.info(`Backfill ${report.id} ${report.status}: ${report.dryRun ? `${wouldRun} would run` : `${processed} processed, ${failed} failed`}, ${skipped} skipped`);
+    return report;
+  }
+
+  /**
+   * List saved backfills, most recent first (without their rows)
+   * @returns {Promise<Array>} Reports
+   */
+  async list() {
+    let files;
+    try {
+      files = (await fs.readdir(this.dataDir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const reports = [];
+    for (const file of files) {
+      const report = await this.load(path.basename(file, '.json'));
+      if (report) {
+        const { rows, ...rest } = report;
+        reports.push(rest);
+      }
+    }
+    return reports.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+  }
+
+  /**
+   * Load a saved backfill
+   * @param {string} id - Backfill ID
+   * @returns {Promise<Object|null>} Report or null
+   */
+  async load(id) {
+    if (!/^[0-9a-f]+$/.test(id)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dataDir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load backfill ${id}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save a backfill's checkpoint (atomic rename so a crash never leaves half a file)
+   * @param {Object} report - Report
+   */
+  async save(report) {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const file = path.join(this.dataDir, `${report.id}.json`);
+      await fs.writeFile(`${file}.tmp`, JSON.stringify({ ...report, updatedAt: new Date().toISOString() }, null, 2));
+      await fs.rename(`${file}.tmp`, file);
+    } catch (error) {
+      logger.error(`Failed to save backfill ${report.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the ID of a backfill - the same JQL resumes the same backfill
+   * @param {string} jql - JQL query
+   * @returns {string} ID
+   */
+  getId(jql) {
+    return crypto.createHash('sha1').update(jql.trim()).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Order the results by key so pages stay stable while the backfill runs
+   * @param {string} jql - JQL query
+   * @returns {string} JQL with an ORDER BY
+   */
+  orderedJql(jql) {
+    return /\border\s+by\b/i.test(jql) ? jql : `${jql.trim()} ORDER BY key ASC`;
+  }
+
+  /**
+   * Wait between bugs
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  pause(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+}
+
+module.exports = new BackfillService();
@@ -6,9 +6,12 @@ const logger = require('../logger');
  * Cache Service - Handles caching of TestRail test cases
  */
 class CacheService {
-  constructor() {
+  /**
+   * @param {string} cacheDir - Directory for cache files (one per profile)
+   */
+  constructor(cacheDir = path.join(__dirname, '..', 'cache')) {
     this.cache = new Map(); // In-memory cache
-    this.cacheDir = path.join(__dirname, '..', 'cache');
+    this.cacheDir = cacheDir;
     this.defaultTTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
   }
 
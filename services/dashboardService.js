@@ -0,0 +1,144 @@
+const config = require('../config');
+
+const ACTIVE_JOB_STATUSES = ['pending', 'running'];
+
+/**
+ * Dashboard Service - Read models behind the web dashboard (/dashboard)
+ * Combines the bug history kept in the learning database with the job queue,
+ * approval queue and cache of one profile.
+ */
+class DashboardService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} services - Service instances for the profile (defaults to the module singletons)
+   */
+  constructor(profileConfig = config, services = {}) {
+    this.config = profileConfig;
+    this.profile = profileConfig.profile || 'default';
+    this.learningService = services.learningService || require('./learningService');
+    this.cacheService = services.cacheService || require('./cacheService');
+    this.approvalService = services.approvalService || require('./approvalService');
+    this.jobQueue = services.jobQueue || require('./jobQueueService');
+  }
+
+  /**
+   * Headline numbers: learning statistics, queue, approvals and cache
+   * @returns {Promise<Object>} Overview
+   */
+  async getOverview() {
+    const { caches, totalCached } = this.cacheService.getStats();
+    const approvals = this.approvalService.getStats();
+
+    return {
+      profile: this.profile,
+      dryRunMode: this.config.server.dryRunMode,
+      learning: await this.learningService.getStatistics(),
+      queue: this.jobQueue.getStats(),
+      approvals: { enabled: approvals.enabled, pending: approvals.pending, byStatus: approvals.byStatus },
+      cache: {
+        totalCached,
+        caches: caches.map(cache => ({ ...cache, expired: Date.parse(cache.expiresAt) < Date.now() }))
+      }
+    };
+  }
+
+  /**
+   * Recent workflow executions, with jobs of this profile still queued or running first
+   * @param {Object} filter - { limit, workflow, issueKey }
+   * @returns {Promise<Object>} { active: [...jobs], executions: [...] }
+   */
+  async getExecutions({ limit = 50, workflow = null, issueKey = null } = {}) {
+    const store = await this.learningService.getStore();
+    return {
+      active: this.getActiveJobs(issueKey).filter(job => !workflow || job.workflow === workflow),
+      executions: store.getExecutions({ limit, workflow, bugKey: issueKey })
+    };
+  }
+
+  /**
+   * Linked-bug counts per run
+   * @param {number} limit - Runs to return
+   * @returns {Promise<Array>} Runs, most recent activity first
+   */
+  async getRuns(limit = 20) {
+    const store = await this.learningService.getStore();
+    return store.getRunSummary(limit);
+  }
+
+  /**
+   * Correction rate over time
+   * @param {string} period - 'day', 'week' or 'month'
+   * @param {number} limit - Periods to return
+   * @returns {Promise<Array>} [{ period, matchedBugs, correctedBugs, correctionRate }] oldest first
+   */
+  async getCorrectionTrend(period = 'week', limit = 12) {
+    const store = await this.learningService.getStore();
+    return store.getCorrectionTrend(period, limit).map(row => ({
+      ...row,
+      correctionRate: row.matchedBugs > 0 ? row.correctedBugs / row.matchedBugs : null
+    }));
+  }
+
+  /**
+   * Test cases most often involved in corrections
+   * @param {number} limit - Test cases to return
+   * @returns {Promise<Array>} [{ testId, title, correctedFrom, correctedTo }]
+   */
+  async getMostCorrectedTests(limit = 10) {
+    const store = await this.learningService.getStore();
+    return store.getMostCorrectedTests(limit);
+  }
+
+  /**
+   * Full history of one bug as a timeline
+   * @param {string} issueKey - JIRA issue key
+   * @returns {Promise<Object|null>} { bug, timeline, activeJobs, approvals, ...stored records } or null if unknown
+   */
+  async getBugHistory(issueKey) {
+    const store = await this.learningService.getStore();
+    const history = store.getBugHistory(issueKey);
+    const activeJobs = this.getActiveJobs(issueKey);
+    const approvals = this.approvalService.list({ issueKey });
+
+    if (!history && activeJobs.length === 0 && approvals.length === 0) {
+      return null;
+    }
+
+    const records = history || { bug: { key: issueKey }, matches: [], corrections: [], outcomes: [], executions: [], aiExchanges: [], comments: [] };
+    const timeline = [
+      ...records.executions.map(e => ({ at: e.finishedAt, type: 'execution', title: `${e.workflow} ${e.success ? 'succeeded' : 'failed'}`, data: e })),
+      ...records.aiExchanges.map(x => ({ at: x.recordedAt, type: 'ai', title: `${x.provider || 'LLM'} ${x.model || ''} (prompt ${x.promptVersion || '-'})${x.error ? ' failed' : ''}`, data: x })),
+      ...records.matches.map(m => ({ at: m.storedAt, type: 'match', title: `${m.learned ? 'Learned' : 'AI'} match: ${m.title || m.testId}`, data: m })),
+      ...records.corrections.map(c => ({ at: c.correctedAt, type: 'correction', title: `Corrected to ${c.title || c.testId}`, data: c })),
+      ...records.outcomes.map(o => ({ at: o.recordedAt, type: 'write', title: `Test ${o.testId}: ${o.outcome}`, data: o })),
+      ...records.comments.map(c => ({ at: c.postedAt, type: 'comment', title: c.body.split('\n')[0], data: c })),
+      ...approvals.map(a => ({ at: a.createdAt, type: 'approval', title: `Approval ${a.status}`, data: a }))
+    ].sort((a, b) => a.at.localeCompare(b.at));
+
+    return { ...records, approvals, activeJobs, timeline };
+  }
+
+  /**
+   * Jobs of this profile that are waiting or running
+   * @param {string|null} issueKey - Only jobs for this issue
+   * @returns {Array} [{ id, workflow, issueKey, status, attempts, lastError, createdAt, nextRunAt }]
+   */
+  getActiveJobs(issueKey = null) {
+    return this.jobQueue.list()
+      .filter(job => ACTIVE_JOB_STATUSES.includes(job.status) && job.type !== 'webhook')
+      .filter(job => (job.payload.profile || 'default') === this.profile)
+      .filter(job => !issueKey || job.payload.issueKey === issueKey)
+      .map(job => ({
+        id: job.id,
+        workflow: job.type,
+        issueKey: job.payload.issueKey || null,
+        status: job.status,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        createdAt: job.createdAt,
+        nextRunAt: new Date(job.nextRunAt).toISOString()
+      }));
+  }
+}
+
+module.exports = new DashboardService();
@@ -0,0 +1,93 @@
+/**
+ * Embedding Provider - Contract every embedding provider implements
+ * RetrievalService only calls these methods, so a new provider is added by
+ * writing a subclass and registering it in ./index.js.
+ *
+ * Vectors are unit length, so similarity is a dot product. Dense providers
+ * return number arrays; sparse ones (TF-IDF) return { term: weight } objects.
+ * Providers whose vectors depend on the corpus keep what they learned from it
+ * in the index "state" that embedQuery() receives back.
+ */
+class EmbeddingProvider {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} labels - Display names ({ name, displayName })
+   */
+  constructor(profileConfig, labels) {
+    this.config = profileConfig;
+    this.name = labels.name;
+    this.displayName = labels.displayName;
+  }
+
+  /**
+   * Model identifier - part of the index cache key, so changing it rebuilds indexes
+   * @returns {string} Model name
+   */
+  get model() {
+    return this.name;
+  }
+
+  /**
+   * Embed the documents of a new index
+   * @param {Array<string>} texts - Documents
+   * @returns {Promise<{ state: Object, vectors: Array }>} Index state and one vector per document
+   */
+  async index(texts) {
+    throw new Error(`${this.displayName} embeddings do not implement index()`);
+  }
+
+  /**
+   * Embed a query against an index
+   * @param {string} text - Query text
+   * @param {Object} state - State returned by index()
+   * @returns {Promise<Array|Object>} Query vector
+   */
+  async embedQuery(text, state) {
+    throw new Error(`${this.displayName} embeddings do not implement embedQuery()`);
+  }
+
+  /**
+   * Similarity of two unit vectors (cosine)
+   * @param {Array|Object} a - Vector
+   * @param {Array|Object} b - Vector
+   * @returns {number} Similarity (-1 to 1, 0 to 1 for sparse vectors)
+   */
+  similarity(a, b) {
+    if (Array.isArray(a)) {
+      let dot = 0;
+      for (let i = 0; i < a.length; i++) {
+        dot += a[i] * (b[i] || 0);
+      }
+      return dot;
+    }
+
+    // Sparse: iterate the smaller vector
+    const [small, large] = Object.keys(a).length <= Object.keys(b).length ? [a, b] : [b, a];
+    let dot = 0;
+    for (const [term, weight] of Object.entries(small)) {
+      if (large[term]) {
+        dot += weight * large[term];
+      }
+    }
+    return dot;
+  }
+
+  /**
+   * Scale a vector to unit length
+   * @param {Array|Object} vector - Vector
+   * @returns {Array|Object} Unit vector (unchanged if all zero)
+   */
+  normalize(vector) {
+    const values = Array.isArray(vector) ? vector : Object.values(vector);
+    const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+    if (norm === 0) {
+      return vector;
+    }
+    if (Array.isArray(vector)) {
+      return vector.map(v => v / norm);
+    }
+    return Object.fromEntries(Object.entries(vector).map(([term, v]) => [term, v / norm]));
+  }
+}
+
+module.exports = EmbeddingProvider;
@@ -0,0 +1,71 @@
+const EmbeddingProvider = require('./embeddingProvider');
+const TfidfEmbeddings = require('./tfidfEmbeddings');
+const OpenAIEmbeddings = require('./openaiEmbeddings');
+
+/**
+ * Embedding Provider Registry - Embedding providers by name (EMBEDDING_PROVIDER)
+ * Register a factory to add a provider: registry.register('name', profileConfig => provider)
+ */
+class EmbeddingRegistry {
+  constructor() {
+    this.factories = new Map(); // Name -> factory(profileConfig)
+  }
+
+  /**
+   * Register a provider
+   * @param {string} name - Provider name used in configuration (lowercase)
+   * @param {Function} factory - profileConfig => provider instance
+   */
+  register(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Embedding provider "${name}" must be registered with a factory function`);
+    }
+    this.factories.set(name.toLowerCase(), factory);
+  }
+
+  /**
+   * Create a provider for a profile
+   * @param {string} name - Provider name
+   * @param {Object} profileConfig - Profile configuration
+   * @returns {EmbeddingProvider} Provider
+   */
+  create(name, profileConfig) {
+    const factory = this.factories.get(String(name).toLowerCase());
+    if (!factory) {
+      throw new Error(`Unsupported embedding provider: ${name}. Use one of: ${this.getNames().join(', ')}.`);
+    }
+
+    const provider = factory(profileConfig);
+    const missing = ['index', 'embedQuery', 'similarity'].filter(method => typeof provider[method] !== 'function');
+    if (missing.length > 0 || !provider.displayName) {
+      throw new Error(`Embedding provider "${name}" does not implement the provider contract (missing: ${missing.join(', ') || 'displayName'})`);
+    }
+    return provider;
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {string} name - Provider name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.factories.has(String(name).toLowerCase());
+  }
+
+  /**
+   * Get registered provider names
+   * @returns {Array<string>} Names
+   */
+  getNames() {
+    return Array.from(this.factories.keys());
+  }
+}
+
+const registry = new EmbeddingRegistry();
+registry.register('tfidf', profileConfig => new TfidfEmbeddings(profileConfig));
+registry.register('openai', profileConfig => new OpenAIEmbeddings(profileConfig));
+registry.register('local', profileConfig => new OpenAIEmbeddings(profileConfig, { name: 'local', displayName: 'Local embeddings' }));
+
+registry.EmbeddingProvider = EmbeddingProvider;
+
+module.exports = registry;
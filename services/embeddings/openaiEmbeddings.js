@@ -0,0 +1,52 @@
+const OpenAI = require('openai');
+const EmbeddingProvider = require('./embeddingProvider');
+
+/**
+ * OpenAI Embeddings - Dense vectors from an /embeddings endpoint
+ * Used for api.openai.com (or OPENAI_BASE_URL) and, as "local", for
+ * OpenAI-compatible servers such as Ollama (e.g. EMBEDDING_MODEL=nomic-embed-text).
+ */
+class OpenAIEmbeddings extends EmbeddingProvider {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} labels - Display names (the local variant overrides)
+   */
+  constructor(profileConfig, labels = { name: 'openai', displayName: 'OpenAI embeddings' }) {
+    super(profileConfig, labels);
+    this.batchSize = profileConfig.retrieval.batchSize;
+    this.client = labels.name === 'local'
+      ? new OpenAI({ apiKey: profileConfig.llm.local.apiKey || 'local', baseURL: profileConfig.llm.local.baseUrl })
+      : new OpenAI({ apiKey: profileConfig.openai.apiKey, baseURL: profileConfig.openai.baseUrl });
+  }
+
+  get model() {
+    return this.config.retrieval.embeddingModel;
+  }
+
+  /**
+   * Embed texts in batches
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} Unit vectors in input order
+   */
+  async embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize).map(text => text || ' '); // Empty input is rejected
+      const response = await this.client.embeddings.create({ model: this.model, input: batch });
+      const ordered = [...response.data].sort((a, b) => a.index - b.index);
+      vectors.push(...ordered.map(item => this.normalize(item.embedding)));
+    }
+    return vectors;
+  }
+
+  async index(texts) {
+    return { state: {}, vectors: await this.embed(texts) };
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embed([text]);
+    return vector;
+  }
+}
+
+module.exports = OpenAIEmbeddings;
@@ -0,0 +1,108 @@
+const EmbeddingProvider = require('./embeddingProvider');
+
+// Common English words plus words every test case shares ("verify", "test")
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'when', 'not', 'no', 'all',
+  'each', 'should', 'can', 'does', 'do', 'if', 'then', 'there', 'into', 'verify', 'ensure', 'test',
+  'check', 'user', 'step', 'expected', 'result'
+]);
+
+/**
+ * TF-IDF Embeddings - Local, pure-JS sparse vectors (no API calls)
+ * The vocabulary and inverse document frequencies come from the indexed test
+ * cases; query words the run never uses are ignored.
+ */
+class TfidfEmbeddings extends EmbeddingProvider {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig) {
+    super(profileConfig, { name: 'tfidf', displayName: 'TF-IDF' });
+  }
+
+  /**
+   * Split text into normalized terms
+   * @param {string} text - Text
+   * @returns {Array<string>} Terms
+   */
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/aria-/g, 'aria')
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+      .map(word => this.stem(word));
+  }
+
+  /**
+   * Light suffix stripping so "errors"/"error" and "announced"/"announce" share a term
+   * @param {string} word - Lowercase word
+   * @returns {string} Stem
+   */
+  stem(word) {
+    if (word.length <= 3) return word;
+    return word
+      .replace(/ies$/, 'y')
+      .replace(/(ing|ed)$/, '')
+      .replace(/([^s])s$/, '$1')
+      .replace(/e$/, '');
+  }
+
+  /**
+   * Count terms
+   * @param {Array<string>} terms - Terms
+   * @returns {Map<string, number>} Term frequencies
+   */
+  termFrequencies(terms) {
+    const counts = new Map();
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Weight term frequencies by IDF (sublinear TF) and normalize
+   * @param {Map<string, number>} counts - Term frequencies
+   * @param {Object} idf - { term: idf }
+   * @returns {Object} Sparse unit vector
+   */
+  weigh(counts, idf) {
+    const vector = {};
+    for (const [term, count] of counts) {
+      if (idf[term]) {
+        vector[term] = (1 + Math.log(count)) * idf[term];
+      }
+    }
+    return this.normalize(vector);
+  }
+
+  async index(texts) {
+    const documents = texts.map(text => this.termFrequencies(this.tokenize(text)));
+
+    const documentFrequency = new Map();
+    for (const counts of documents) {
+      for (const term of counts.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    // Smoothed IDF: terms in every document still count a little
+    const idf = {};
+    for (const [term, df] of documentFrequency) {
+      idf[term] = Math.log((documents.length + 1) / (df + 1)) + 1;
+    }
+
+    return {
+      state: { idf },
+      vectors: documents.map(counts => this.weigh(counts, idf))
+    };
+  }
+
+  async embedQuery(text, state) {
+    return this.weigh(this.termFrequencies(this.tokenize(text)), state.idf);
+  }
+}
+
+module.exports = TfidfEmbeddings;
@@ -0,0 +1,127 @@
+/**
+ * HTML Report - Renders an evaluation report as a single self-contained page
+ */
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escape(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Format a 0-1 value as a percentage
+ * @param {number|null} value - Value
+ * @returns {string} Percentage or "-"
+ */
+function percent(value) {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format a change in a 0-1 value as percentage points
+ * @param {number|null} delta - Change
+ * @param {boolean} lowerIsBetter - True for error metrics
+ * @returns {string} HTML
+ */
+function deltaCell(delta, lowerIsBetter = false) {
+  if (delta === null || delta === undefined) return '<td>-</td>';
+  const better = lowerIsBetter ? delta < 0 : delta > 0;
+  const cls = Math.abs(delta) < 0.0005 ? '' : (better ? 'good' : 'bad');
+  return `<td class="${cls}">${delta > 0 ? '+' : ''}${(delta * 100).toFixed(1)} pts</td>`;
+}
+
+/**
+ * Metrics row for the summary tables
+ * @param {string} label - Row label
+ * @param {Object} m - Metrics from computeMetrics()
+ * @returns {string} HTML
+ */
+function metricsRow(label, m) {
+  return `<tr><th>${escape(label)}</th><td>${m.evaluated}</td><td>${m.errors}</td><td>${percent(m.precision)}</td><td>${percent(m.recall)}</td>` +
+    `<td>${percent(m.f1)}</td><td>${percent(m.topK[1])}</td><td>${percent(m.topK[3])}</td><td>${percent(m.topK[5])}</td>` +
+    `<td>${percent(m.calibration.averageConfidence)}</td><td>${percent(m.calibration.expectedCalibrationError)}</td></tr>`;
+}
+
+/**
+ * Render a report
+ * @param {Object} report - Report from EvaluationService.run()
+ * @returns {string} HTML document
+ */
+function renderHtml(report) {
+  const header = '<tr><th></th><th>Bugs</th><th>Errors</th><th>Precision</th><th>Recall</th><th>F1</th><th>Top-1</th><th>Top-3</th><th>Top-5</th><th>Avg confidence</th><th>Calibration error</th></tr>';
+  const { overall } = report;
+
+  const calibrationRows = overall.calibration.bins.filter(bin => bin.count > 0).map(bin =>
+    `<tr><td>${percent(bin.from)} - ${percent(bin.to)}</td><td>${bin.count}</td><td>${percent(bin.averageConfidence)}</td><td>${percent(bin.accuracy)}</td>` +
+    `<td><div class="bar"><span style="width:${(bin.accuracy * 100).toFixed(0)}%"></span></div></td></tr>`).join('\n');
+
+  const comparison = report.comparison ? `
+  <h2>Compared with ${escape(report.comparison.baseline.provider)} / ${escape(report.comparison.baseline.model)}${report.comparison.baseline.promptVersion ? `, prompt ${escape(report.comparison.baseline.promptVersion)}` : ''} (${escape(report.comparison.baseline.generatedAt)})</h2>
+  <table>
+    <tr><th></th><th>Precision</th><th>Recall</th><th>F1</th><th>Top-1</th><th>Top-3</th><th>Calibration error</th></tr>
+    ${[['Overall', report.comparison.overall], ...Object.entries(report.comparison.byIssueType)].map(([label, d]) =>
+    `<tr><th>${escape(label)}</th>${deltaCell(d.precision.delta)}${deltaCell(d.recall.delta)}${deltaCell(d.f1.delta)}` +
+    `${deltaCell(d.top1.delta)}${deltaCell(d.top3.delta)}${deltaCell(d.expectedCalibrationError.delta, true)}</tr>`).join('\n    ')}
+  </table>` : '';
+
+  const exampleRows = report.examples.map(example => {
+    const expected = new Set(example.expected.map(String));
+    const predicted = example.predicted.map(p =>
+      `<span class="${expected.has(String(p.test_id)) ? 'hit' : 'miss'}">${escape(p.test_id)} ${escape(p.title)} (${percent(p.confidence)})</span>`).join('<br>');
+    const outcome = example.skipped ? `Skipped: ${escape(example.skipped)}`
+      : example.error ? `Error: ${escape(example.error)}`
+        : predicted;
+    return `<tr><td>${escape(example.bugKey)}</td><td>${escape(example.issueType)}</td><td>${escape(example.summary)}</td>` +
+      `<td>${example.expected.map(escape).join(', ')}</td><td>${outcome}</td></tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Matching evaluation - ${escape(report.provider)} / ${escape(report.model)} / prompt ${escape(report.promptVersion)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+  .good { color: #17652b; } .bad { color: #a4161a; }
+  .hit { color: #17652b; } .miss { color: #a4161a; }
+  .bar { width: 120px; background: #eee; } .bar span { display: block; height: 10px; background: #3b6fb6; }
+</style>
+</head>
+<body>
+  <h1>Matching evaluation</h1>
+  <p>${escape(report.generatedAt)} - profile <strong>${escape(report.profile)}</strong>, ${escape(report.provider)} / ${escape(report.model)}, prompt ${escape(report.promptVersion)},
+    ${report.multiMatch ? 'multi-match' : 'single-match'}, labels from ${escape(report.labels.join(' and '))}.
+    ${overall.evaluated} of ${overall.examples} bugs evaluated (${overall.skipped} skipped).</p>
+
+  <h2>Summary</h2>
+  <table>
+    ${header}
+    ${metricsRow('Overall', overall)}
+    ${Object.entries(report.byIssueType).map(([issueType, m]) => metricsRow(issueType, m)).join('\n    ')}
+  </table>
+  <p>At the confidence threshold (${percent(overall.aboveThreshold.threshold)}), ${percent(overall.aboveThreshold.share)} of predictions are accepted without verification, with ${percent(overall.aboveThreshold.precision)} precision.</p>
+${comparison}
+  <h2>Confidence calibration</h2>
+  <table>
+    <tr><th>Stated confidence</th><th>Predictions</th><th>Avg confidence</th><th>Actually correct</th><th></th></tr>
+    ${calibrationRows}
+  </table>
+  <p>Brier score ${overall.calibration.brierScore === null ? '-' : overall.calibration.brierScore.toFixed(3)} (0 is perfect).</p>
+
+  <h2>Bugs</h2>
+  <table>
+    <tr><th>Bug</th><th>Issue type</th><th>Summary</th><th>Correct test(s)</th><th>Predicted</th></tr>
+    ${exampleRows}
+  </table>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtml };
@@ -0,0 +1,182 @@
+/**
+ * Evaluation Metrics - Scores replayed matches against their labels
+ *
+ * Each result is { expected: [test IDs], predicted: [{ test_id, confidence }] }
+ * with predictions ordered most confident first. Precision and recall are
+ * micro-averaged over predictions; top-k accuracy counts bugs where one of
+ * the first k predictions was right; calibration compares stated confidence
+ * with how often predictions at that confidence were right.
+ */
+
+const TOP_K = [1, 3, 5];
+const CALIBRATION_BINS = 10;
+
+/**
+ * Divide, or null when there is nothing to divide
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} Ratio
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Confidence as a number in 0-1
+ * @param {*} confidence - Confidence from a match
+ * @returns {number} Confidence
+ */
+function toConfidence(confidence) {
+  const value = Number(confidence);
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+}
+
+/**
+ * Reliability of confidence values
+ * @param {Array<Object>} predictions - [{ confidence, correct }]
+ * @returns {Object} { bins, expectedCalibrationError, brierScore, averageConfidence, accuracy }
+ */
+function calibrate(predictions) {
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    from: i / CALIBRATION_BINS,
+    to: (i + 1) / CALIBRATION_BINS,
+    count: 0,
+    confidenceSum: 0,
+    correct: 0
+  }));
+
+  for (const prediction of predictions) {
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(prediction.confidence * CALIBRATION_BINS))];
+    bin.count++;
+    bin.confidenceSum += prediction.confidence;
+    bin.correct += prediction.correct ? 1 : 0;
+  }
+
+  const total = predictions.length;
+  const expectedCalibrationError = total > 0
+    ? bins.reduce((sum, bin) => sum + (bin.count > 0 ? (bin.count / total) * Math.abs(bin.confidenceSum / bin.count - bin.correct / bin.count) : 0), 0)
+    : null;
+
+  return {
+    bins: bins.map(bin => ({
+      from: bin.from,
+      to: bin.to,
+      count: bin.count,
+      averageConfidence: ratio(bin.confidenceSum, bin.count),
+      accuracy: ratio(bin.correct, bin.count)
+    })),
+    expectedCalibrationError,
+    brierScore: ratio(predictions.reduce((sum, p) => sum + (p.confidence - (p.correct ? 1 : 0)) ** 2, 0), total),
+    averageConfidence: ratio(predictions.reduce((sum, p) => sum + p.confidence, 0), total),
+    accuracy: ratio(predictions.filter(p => p.correct).length, total)
+  };
+}
+
+/**
+ * Score a set of evaluation results
+ * @param {Array<Object>} results - Per-bug results from EvaluationService.evaluateExample()
+ * @param {number} confidenceThreshold - AI_CONFIDENCE_THRESHOLD (matches below it ask for verification)
+ * @returns {Object} Metrics
+ */
+function computeMetrics(results, confidenceThreshold) {
+  const evaluated = results.filter(result => !result.skipped);
+  const topK = Object.fromEntries(TOP_K.map(k => [k, 0]));
+  const predictions = [];
+  let truePositives = 0;
+  let predictedCount = 0;
+  let expectedCount = 0;
+  let exactMatches = 0;
+
+  for (const result of evaluated) {
+    const gold = new Set(result.expected.map(String));
+    const ids = result.predicted.map(p => String(p.test_id));
+    const hits = ids.filter(id => gold.has(id)).length;
+
+    truePositives += hits;
+    predictedCount += ids.length;
+    expectedCount += gold.size;
+    if (hits === gold.size && ids.length === gold.size) exactMatches++;
+    for (const k of TOP_K) {
+      if (ids.slice(0, k).some(id => gold.has(id))) topK[k]++;
+    }
+    for (const prediction of result.predicted) {
+      predictions.push({ confidence: toConfidence(prediction.confidence), correct: gold.has(String(prediction.test_id)) });
+    }
+  }
+
+  const precision = ratio(truePositives, predictedCount);
+  const recall = ratio(truePositives, expectedCount);
+  const confident = predictions.filter(p => p.confidence >= confidenceThreshold);
+  const latencies = evaluated.filter(r => typeof r.durationMs === 'number').map(r => r.durationMs);
+
+  return {
+    examples: results.length,
+    evaluated: evaluated.length,
+    skipped: results.length - evaluated.length,
+    errors: evaluated.filter(result => result.error).length,
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0 ? 2 * precision * recall / (precision + recall) : null,
+    exactMatch: ratio(exactMatches, evaluated.length),
+    topK: Object.fromEntries(TOP_K.map(k => [k, ratio(topK[k], evaluated.length)])),
+    predictionsPerBug: ratio(predictedCount, evaluated.length),
+    aboveThreshold: {
+      threshold: confidenceThreshold,
+      share: ratio(confident.length, predictions.length),
+      precision: ratio(confident.filter(p => p.correct).length, confident.length)
+    },
+    calibration: calibrate(predictions),
+    averageLatencyMs: ratio(latencies.reduce((sum, ms) => sum + ms, 0), latencies.length)
+  };
+}
+
+/**
+ * Score results overall and per issue type
+ * @param {Array<Object>} results - Per-bug results (with issueType)
+ * @param {number} confidenceThreshold - AI_CONFIDENCE_THRESHOLD
+ * @returns {{ overall: Object, byIssueType: Object }} Metrics
+ */
+function summarize(results, confidenceThreshold) {
+  const groups = new Map();
+  for (const result of results) {
+    if (!groups.has(result.issueType)) groups.set(result.issueType, []);
+    groups.get(result.issueType).push(result);
+  }
+
+  return {
+    overall: computeMetrics(results, confidenceThreshold),
+    byIssueType: Object.fromEntries(Array.from(groups.keys()).sort()
+      .map(issueType => [issueType, computeMetrics(groups.get(issueType), confidenceThreshold)]))
+  };
+}
+
+/**
+ * Compare a report with an earlier one (e.g. before a prompt or model change)
+ * @param {Object} report - Current report
+ * @param {Object} baseline - Earlier report
+ * @returns {Object} { baseline: { generatedAt, provider, model, promptVersion }, overall: { metric: { before, after, delta } }, byIssueType }
+ */
+function compare(report, baseline) {
+  const pick = metrics => metrics && {
+    precision: metrics.precision,
+    recall: metrics.recall,
+    f1: metrics.f1,
+    top1: metrics.topK[1],
+    top3: metrics.topK[3],
+    expectedCalibrationError: metrics.calibration.expectedCalibrationError
+  };
+  const diff = (after, before) => Object.fromEntries(Object.keys(after).map(name => [name, {
+    before: before ? before[name] : null,
+    after: after[name],
+    delta: before && before[name] !== null && after[name] !== null ? after[name] - before[name] : null
+  }]));
+
+  return {
+    baseline: { generatedAt: baseline.generatedAt, provider: baseline.provider, model: baseline.model, promptVersion: baseline.promptVersion || null },
+    overall: diff(pick(report.overall), pick(baseline.overall)),
+    byIssueType: Object.fromEntries(Object.entries(report.byIssueType)
+      .map(([issueType, metrics]) => [issueType, diff(pick(metrics), pick(baseline.byIssueType?.[issueType]))]))
+  };
+}
+
+module.exports = { computeMetrics, summarize, compare, calibrate, TOP_K };
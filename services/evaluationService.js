@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+const llmProviders = require('./llm');
+const CachedProvider = require('./llm/cachedProvider');
+const { summarize, compare } = require('./evaluation/metrics');
+const { renderHtml } = require('./evaluation/htmlReport');
+
+// Replays must not see the corrections they are scored against
+const NO_LEARNING = {
+  findSimilarMatch: async () => null,
+  findSimilarMatches: async () => [],
+  storeMatch: async () => {},
+  recordAiExchange: async () => {}
+};
+
+/**
+ * Evaluation Service - Measures matching accuracy on the corrections history
+ *
+ * Every correction is a labelled example: the bug and the test case(s) a user
+ * said were right. Each bug is replayed through AIService.matchBugToTestCase
+ * (without learning data, so it cannot look up its own answer) against a
+ * snapshot of its run's test cases, and the predictions are scored overall and
+ * per issue type. Reports are written as JSON and HTML so prompt or model
+ * changes can be compared before they are deployed.
+ */
+class EvaluationService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile to evaluate
+   * @param {Object} services - Profile services ({ profile, learningService, testMgmt, cacheService })
+   */
+  constructor(profileConfig = config, services = {}) {
+    this.config = profileConfig;
+    this.profile = services.profile || 'default';
+    this.learningService = services.learningService || require('./learningService');
+    this.testMgmt = services.testMgmt || require('./testManagementAdapter');
+    this.cacheService = services.cacheService || require('./cacheService');
+    this.dir = profileConfig.evaluation.dir;
+    this.snapshots = new Map(); // Run ID -> test cases (per run)
+  }
+
+  /**
+   * Build labelled examples from the learning data, oldest first
+   * @param {Object} options - { includeMatches: also use uncorrected AI matches as labels, bugKeys, limit: most recent N }
+   * @returns {Promise<Array<Object>>} [{ bugKey, bug, runId, expected: [test IDs], source }]
+   */
+  async loadExamples({ includeMatches = false, bugKeys = null, limit = null } = {}) {
+    const examples = new Map();
+    const add = (record, testId, source) => {
+      const key = record.bug.key;
+      if (!key || (bugKeys && !bugKeys.includes(key))) return;
+      if (!examples.has(key)) {
+        examples.set(key, { bugKey: key, bug: record.bug, runId: null, expected: [], source });
+      }
+      const example = examples.get(key);
+      if (example.source !== source) return; // Corrections replace the AI's matches as labels
+      example.bug = record.bug;
+      example.runId = record.run_id || example.runId;
+      if (!example.expected.includes(String(testId))) example.expected.push(String(testId));
+    };
+
+    for (const correction of await this.learningService.loadCorrections()) {
+      add(correction, correction.correct_test_id, 'correction');
+    }
+    if (includeMatches) {
+      for (const match of await this.learningService.loadMatches()) {
+        if (match.match && !match.match.learned) add(match, match.match.test_id, 'match');
+      }
+    }
+
+    const all = Array.from(examples.values());
+    return limit ? all.slice(-limit) : all;
+  }
+
+  /**
+   * Get the test cases of a run, from the snapshot taken on the first evaluation
+   * Snapshots keep later evaluations comparable even after the run changes.
+   * @param {string} runId - Run, execution or cycle key
+   * @param {Object} options - { offline: never fetch, refresh: fetch again }
+   * @returns {Promise<Array>} Test cases with details
+   */
+  async getTestSnapshot(runId, { offline = false, refresh = false } = {}) {
+    if (this.snapshots.has(runId) && !refresh) {
+      return this.snapshots.get(runId);
+    }
+
+    const file = path.join(this.dir, 'snapshots', `${this.profile}-${String(runId).replace(/[^\w.-]/g, '_')}.json`);
+    let tests = null;
+    if (!refresh) {
+      try {
+        tests = JSON.parse(await fs.readFile(file, 'utf8')).tests;
+      } catch (error) {
+        // No snapshot yet
+      }
+    }
+
+    if (!tests) {
+      if (offline) {
+        throw new Error(`No snapshot of run ${runId} (${file})`);
+      }
+      tests = await this.testMgmt.getTestsWithDetails(runId);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ runId, profile: this.profile, capturedAt: new Date().toISOString(), tests }, null, 2));
+      logger.info(`Saved snapshot of run ${runId} (${tests.length} test cases) to ${file}`);
+    }
+
+    this.snapshots.set(runId, tests);
+    return tests;
+  }
+
+  /**
+   * Create the LLM provider to evaluate
+   * @param {Object} options - { provider: name (default LLM_PROVIDER), fixtures: fake provider fixture file, cache: reuse stored responses }
+   * @returns {LLMProvider} Provider
+   */
+  createProvider({ provider = null, fixtures = null, cache = true } = {}) {
+    const providerConfig = fixtures
+      ? { ...this.config, llm: { ...this.config.llm, fake: { ...this.config.llm.fake, fixturesFile: fixtures } } }
+      : this.config;
+    const llm = llmProviders.create(provider || this.config.llm.provider, providerConfig);
+    return cache && llm.name !== 'fake' ? new CachedProvider(llm, path.join(this.dir, 'llm-cache')) : llm;
+  }
+
+  /**
+   * Replay one bug
+   * @param {AIService} ai - Matcher
+   * @param {Object} example - Labelled example
+   * @param {Object} options - { runId: fallback run, offline, refresh }
+   * @returns {Promise<Object>} { bugKey, summary, issueType, runId, source, expected, predicted, error, skipped, durationMs }
+   */
+  async evaluateExample(ai, example, { runId = null, offline = false, refresh = false } = {}) {
+    const bug = example.bug;
+    const result = {
+      bugKey: example.bugKey,
+      summary: bug.summary,
+      issueType: this.learningService.detectIssueType(`${bug.summary || ''} ${bug.description || ''}`),
+      runId: example.runId || runId,
+      source: example.source,
+      expected: example.expected,
+      predicted: []
+    };
+
+    if (!result.runId) {
+      return { ...result, skipped: 'No run recorded for this bug (pass a fallback run)' };
+    }
+
+    let tests;
+    try {
+      tests = await this.getTestSnapshot(result.runId, { offline, refresh });
+    } catch (error) {
+      return { ...result, skipped: `Could not load run ${result.runId}: ${error.message}` };
+    }
+
+    const testIds = new Set(tests.map(test => String(test.test_id)));
+    if (!example.expected.some(id => testIds.has(id))) {
+      return { ...result, skipped: `Correct test case(s) not in run ${result.runId}` };
+    }
+
+    const startTime = Date.now();
+    try {
+      const matches = await ai.matchBugToTestCase({
+        key: example.bugKey,
+        summary: bug.summary,
+        description: bug.description || '',
+        wcagCategory: bug.wcagCategory || null
+      }, tests);
+
+      result.predicted = (Array.isArray(matches) ? matches : [matches])
+        .map(match => ({ test_id: String(match.test_id), title: match.title, confidence: match.confidence }))
+        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.durationMs = Date.now() - startTime;
+    return result;
+  }
+
+  /**
+   * Run an evaluation and write the report
+   * @param {Object} options - { runId, limit, bugKeys, includeMatches, provider, fixtures, cache, offline, refreshSnapshots, multiMatch, promptVersion, outputDir, baseline: earlier report.json }
+   * @returns {Promise<{ report: Object, files: { json: string, html: string } }>} Report and written files
+   */
+  async run(options = {}) {
+    const multiMatch = options.multiMatch ?? this.config.openai.enableMultiMatch;
+    const promptVersion = options.promptVersion || this.config.prompts.version;
+    const evalConfig = {
+      ...this.config,
+      openai: { ...this.config.openai, enableMultiMatch: multiMatch },
+      prompts: { ...this.config.prompts, version: promptVersion, candidate: null, candidateShare: 0 } // One version per report
+    };
+    const provider = this.createProvider(options);
+    const startedAt = new Date();
+    const outputDir = options.outputDir || path.join(this.dir, 'reports',
+      `${startedAt.toISOString().replace(/[:.]/g, '-')}-${provider.name}-${String(provider.model).replace(/[^\w.-]/g, '_')}-${promptVersion}`);
+
+    // Retrieval is part of matching; its recall metrics go to the report directory
+    const RetrievalService = require('./retrievalService').constructor;
+    const retrieval = new RetrievalService({ ...evalConfig, learning: { ...evalConfig.learning, dataDir: outputDir } }, this.cacheService);
+    const PromptService = require('./promptService').constructor;
+    const AIService = require('./aiService').constructor;
+    const ai = new AIService(evalConfig, NO_LEARNING, provider, retrieval, new PromptService(evalConfig));
+
+    const examples = await this.loadExamples(options);
+    logger.info(`Evaluating ${examples.length} bugs with ${provider.displayName} (${provider.model}), prompt ${promptVersion}`);
+
+    const results = [];
+    for (const example of examples) {
+      const result = await this.evaluateExample(ai, example, {
+        runId: options.runId,
+        offline: options.offline,
+        refresh: options.refreshSnapshots
+      });
+      results.push(result);
+      logger.info(`Evaluated ${result.bugKey}: ${result.skipped || result.error || result.predicted.map(p => p.test_id).join(', ')}`);
+    }
+
+    const report = {
+      generatedAt: startedAt.toISOString(),
+      profile: this.profile,
+      provider: provider.displayName,
+      providerName: provider.name,
+      model: provider.model,
+      promptVersion,
+      multiMatch,
+      labels: options.includeMatches ? ['corrections', 'uncorrected matches'] : ['corrections'],
+      confidenceThreshold: this.config.openai.confidenceThreshold,
+      retrieval: { enabled: evalConfig.retrieval.enabled, topK: evalConfig.retrieval.topK, minTests: evalConfig.retrieval.minTests },
+      llmCache: provider instanceof CachedProvider ? { hits: provider.hits, misses: provider.misses } : null,
+      ...summarize(results, this.config.openai.confidenceThreshold),
+      examples: results
+    };
+
+    if (options.baseline) {
+      report.comparison = compare(report, JSON.parse(await fs.readFile(options.baseline, 'utf8')));
+    }
+
+    const files = await this.writeReport(report, outputDir);
+    return { report, files };
+  }
+
+  /**
+   * Write a report as JSON and HTML
+   * @param {Object} report - Report
+   * @param {string} outputDir - Directory
+   * @returns {Promise<{ json: string, html: string }>} Written files
+   */
+  async writeReport(report, outputDir) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const files = { json: path.join(outputDir, 'report.json'), html: path.join(outputDir, 'report.html') };
+    await fs.writeFile(files.json, JSON.stringify(report, null, 2));
+    await fs.writeFile(files.html, renderHtml(report));
+    logger.info(`Evaluation report written to ${files.html}`);
+    return files;
+  }
+}
+
+module.exports = new EvaluationService();
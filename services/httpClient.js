@@ -0,0 +1,463 @@
+const axios = require('axios');
+const EventEmitter = require('events');
+const config = require('../config');
+const logger = require('../logger');
+
+// Retried for any method: the server did not process the request and may say when to come back
+const THROTTLE_STATUSES = [429, 503];
+// Retried only for idempotent methods, where sending the request twice is harmless
+const TRANSIENT_STATUSES = [408, 500, 502, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+// Latencies kept per host for the percentiles in getStats()
+const LATENCY_SAMPLES = 100;
+
+/**
+ * HTTP Client - Shared HTTP layer for the JIRA, TestRail, Xray and Zephyr Scale services
+ * Requests go through axios with a timeout; each host gets a concurrency limit and a
+ * token-bucket rate limit. 429/503 responses are retried after their Retry-After, and
+ * network errors and 5xx responses of idempotent calls with exponential backoff and jitter.
+ * After HTTP_CIRCUIT_FAILURES consecutive failures a host's circuit opens: requests fail
+ * fast until HTTP_CIRCUIT_RESET_MS has passed, then one trial request decides whether it
+ * closes again. Circuit changes are emitted as "circuit-open", "circuit-half-open" and
+ * "circuit-closed" events ({ host }), so the job queue can pause while a backend is down.
+ */
+class HttpClient extends EventEmitter {
+  /**
+   * @param {Object} settings - HTTP settings (config.http)
+   */
+  constructor(settings = config.http) {
+    super();
+    this.settings = settings;
+    this.hostLimits = this.parseHostLimits(settings.hostLimits);
+    this.hosts = new Map(); // Host -> { limits, active, waiting, tokens, circuit, stats, ... }
+  }
+
+  /**
+   * Parse HTTP_HOST_LIMITS ("host=requestsPerSecond/maxConcurrency,...")
+   * @param {string} value - Host limits
+   * @returns {Map} Host -> { requestsPerSecond, maxConcurrency }
+   */
+  parseHostLimits(value) {
+    const limits = new Map();
+    for (const entry of String(value || '').split(',').map(e => e.trim()).filter(e => e)) {
+      const [host, limit] = entry.split('=');
+      const [requestsPerSecond, maxConcurrency] = String(limit || '').split('/').map(n => parseFloat(n));
+      if (!host || !(requestsPerSecond > 0)) {
+        logger.warn(`Ignoring HTTP_HOST_LIMITS entry "${entry}" (expected host=requestsPerSecond/maxConcurrency)`);
+        continue;
+      }
+      limits.set(host.toLowerCase(), { requestsPerSecond, maxConcurrency: maxConcurrency > 0 ? maxConcurrency : this.settings.maxConcurrency });
+    }
+    return limits;
+  }
+
+  /**
+   * Create a client with its own defaults (baseURL, headers) that sends through this layer
+   * @param {Object} defaults - axios defaults
+   * @returns {Object} Client with get/post/put/delete/request and the underlying axios `defaults`
+   */
+  create(defaults = {}) {
+    const instance = axios.create(defaults);
+    return {
+      defaults: instance.defaults,
+      request: requestConfig => this.request(requestConfig, instance),
+      get: (url, requestConfig = {}) => this.request({ ...requestConfig, method: 'get', url }, instance),
+      delete: (url, requestConfig = {}) => this.request({ ...requestConfig, method: 'delete', url }, instance),
+      post: (url, data, requestConfig = {}) => this.request({ ...requestConfig, method: 'post', url, data }, instance),
+      put: (url, data, requestConfig = {}) => this.request({ ...requestConfig, method: 'put', url, data }, instance)
+    };
+  }
+
+  /**
+   * GET a URL
+   * @param {string} url - URL
+   * @param {Object} requestConfig - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  get(url, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'get', url });
+  }
+
+  /**
+   * POST to a URL
+   * @param {string} url - URL
+   * @param {*} data - Request body
+   * @param {Object} requestConfig - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  post(url, data, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'post', url, data });
+  }
+
+  /**
+   * PUT to a URL
+   * @param {string} url - URL
+   * @param {*} data - Request body
+   * @param {Object} requestConfig - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  put(url, data, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'put', url, data });
+  }
+
+  /**
+   * DELETE a URL
+   * @param {string} url - URL
+   * @param {Object} requestConfig - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  delete(url, requestConfig = {}) {
+    return this.request({ ...requestConfig, method: 'delete', url });
+  }
+
+  /**
+   * Send a request with the host's limits, retries and circuit breaker
+   * @param {Object} requestConfig - axios request config ({ method, url, ... })
+   * @param {Object} instance - axios instance to send with (default: the global axios)
+   * @returns {Promise<Object>} axios response
+   * @throws The last error once retries are used up, or an error with code ECIRCUITOPEN
+   */
+  async request(requestConfig, instance = axios) {
+    const method = (requestConfig.method || 'get').toLowerCase();
+    const host = this.getHostName(requestConfig, instance);
+    const state = this.getHostState(host);
+
+    for (let attempt = 0; ; attempt++) {
+      this.checkCircuit(state);
+      await this.acquire(state);
+
+      const startedAt = Date.now();
+      let error = null;
+      try {
+        const response = await instance.request({ timeout: this.settings.timeoutMs, ...requestConfig, method });
+        this.recordSuccess(state, Date.now() - startedAt);
+        return response;
+      } catch (requestError) {
+        error = requestError;
+        this.recordFailure(state, error, Date.now() - startedAt);
+      } finally {
+        this.release(state);
+      }
+
+      const delay = this.getRetryDelay(method, error, attempt, state);
+      if (delay === null) {
+        throw error;
+      }
+      state.stats.retries++;
+      logger.warn(`${method.toUpperCase()} ${host} failed (${this.describeError(error)}), retry ${attempt + 1}/${this.settings.maxRetries} in ${delay}ms`);
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * Get the host a request goes to
+   * @param {Object} requestConfig - axios request config
+   * @param {Object} instance - axios instance (its baseURL applies to relative URLs)
+   * @returns {string} Host (with port), lower case
+   */
+  getHostName(requestConfig, instance) {
+    try {
+      return new URL(requestConfig.url, requestConfig.baseURL || instance.defaults?.baseURL).host.toLowerCase();
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Get (or create) the limiter, circuit and statistics of a host
+   * @param {string} host - Host
+   * @returns {Object} Host state
+   */
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      const limits = this.hostLimits.get(host) || { requestsPerSecond: this.settings.requestsPerSecond, maxConcurrency: this.settings.maxConcurrency };
+      this.hosts.set(host, {
+        host,
+        limits,
+        active: 0,
+        waiting: [], // Resolvers of requests waiting for a concurrency slot
+        tokens: limits.requestsPerSecond,
+        refilledAt: Date.now(),
+        blockedUntil: 0, // Retry-After of the last 429/503
+        circuit: { state: 'closed', failures: 0, openedAt: null, retryAt: null, probing: false, timer: null },
+        stats: { requests: 0, errors: 0, retries: 0, throttled: 0, rejected: 0, latencies: [], lastError: null, lastErrorAt: null }
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Wait for a concurrency slot and a rate-limit token
+   * @param {Object} state - Host state
+   */
+  async acquire(state) {
+    if (state.active >= state.limits.maxConcurrency) {
+      await new Promise(resolve => state.waiting.push(resolve)); // release() hands over its slot
+    } else {
+      state.active++;
+    }
+
+    for (;;) {
+      const now = Date.now();
+      if (state.blockedUntil > now) {
+        await this.sleep(state.blockedUntil - now);
+        continue;
+      }
+
+      const { requestsPerSecond } = state.limits;
+      state.tokens = Math.min(requestsPerSecond, state.tokens + (now - state.refilledAt) / 1000 * requestsPerSecond);
+      state.refilledAt = now;
+      if (state.tokens >= 1) {
+        state.tokens--;
+        return;
+      }
+      await this.sleep(Math.ceil((1 - state.tokens) / requestsPerSecond * 1000));
+    }
+  }
+
+  /**
+   * Free a concurrency slot for the next waiting request
+   * @param {Object} state - Host state
+   */
+  release(state) {
+    const next = state.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      state.active--;
+    }
+  }
+
+  /**
+   * Fail fast while a host's circuit is open; let one trial request through once it is half-open
+   * @param {Object} state - Host state
+   * @throws {Error} Error with code ECIRCUITOPEN
+   */
+  checkCircuit(state) {
+    const { circuit } = state;
+    if (circuit.state === 'open' && Date.now() >= circuit.retryAt) {
+      this.setCircuitState(state, 'half-open');
+    }
+
+    if (circuit.state === 'closed' || (circuit.state === 'half-open' && !circuit.probing)) {
+      circuit.probing = circuit.state === 'half-open';
+      return;
+    }
+
+    state.stats.rejected++;
+    const error = new Error(`${state.host} is unavailable (circuit open after ${circuit.failures} consecutive failures, next attempt after ${new Date(circuit.retryAt || Date.now()).toISOString()})`);
+    error.code = 'ECIRCUITOPEN';
+    error.circuitOpen = true;
+    throw error;
+  }
+
+  /**
+   * Record a successful request (closes a half-open circuit)
+   * @param {Object} state - Host state
+   * @param {number} latencyMs - Request duration
+   */
+  recordSuccess(state, latencyMs) {
+    this.recordLatency(state, latencyMs);
+    state.circuit.failures = 0;
+    if (state.circuit.state !== 'closed') {
+      this.setCircuitState(state, 'closed');
+    }
+  }
+
+  /**
+   * Record a failed request
+   * Only failures that suggest the host is down count towards the circuit breaker;
+   * 4xx responses (including 429) mean the host is up and answering.
+   * @param {Object} state - Host state
+   * @param {Error} error - axios error
+   * @param {number} latencyMs - Request duration
+   */
+  recordFailure(state, error, latencyMs) {
+    this.recordLatency(state, latencyMs);
+    state.stats.errors++;
+    state.stats.lastError = this.describeError(error);
+    state.stats.lastErrorAt = new Date().toISOString();
+
+    const status = error.response?.status;
+    if (THROTTLE_STATUSES.includes(status)) {
+      state.stats.throttled++;
+    }
+
+    const hostDown = status ? status >= 500 : TRANSIENT_CODES.includes(error.code);
+    const { circuit } = state;
+    if (!hostDown) {
+      if (circuit.state === 'half-open') circuit.probing = false;
+      return;
+    }
+
+    circuit.failures++;
+    if (circuit.state === 'half-open' || (circuit.state === 'closed' && circuit.failures >= this.settings.circuitFailureThreshold)) {
+      this.setCircuitState(state, 'open');
+    }
+  }
+
+  /**
+   * Keep a latency sample
+   * @param {Object} state - Host state
+   * @param {number} latencyMs - Request duration
+   */
+  recordLatency(state, latencyMs) {
+    state.stats.requests++;
+    state.stats.latencies.push(latencyMs);
+    if (state.stats.latencies.length > LATENCY_SAMPLES) {
+      state.stats.latencies.shift();
+    }
+  }
+
+  /**
+   * Move a host's circuit to a new state and emit the change
+   * An open circuit turns half-open by itself after HTTP_CIRCUIT_RESET_MS, so a paused
+   * job queue gets to send the trial request.
+   * @param {Object} state - Host state
+   * @param {string} circuitState - "closed", "open" or "half-open"
+   */
+  setCircuitState(state, circuitState) {
+    const { circuit, host } = state;
+    circuit.state = circuitState;
+    circuit.probing = false;
+    if (circuit.timer) {
+      clearTimeout(circuit.timer);
+      circuit.timer = null;
+    }
+
+    if (circuitState === 'open') {
+      circuit.openedAt = new Date().toISOString();
+      circuit.retryAt = Date.now() + this.settings.circuitResetMs;
+      circuit.timer = setTimeout(() => this.setCircuitState(state, 'half-open'), this.settings.circuitResetMs);
+      circuit.timer.unref();
+      logger.error(`Circuit for ${host} opened after ${circuit.failures} consecutive failure(s); requests fail fast for ${Math.round(this.settings.circuitResetMs / 1000)}s`);
+    } else if (circuitState === 'half-open') {
+      logger.info(`Circuit for ${host} is half-open; the next request decides whether it closes`);
+    } else {
+      circuit.openedAt = null;
+      circuit.retryAt = null;
+      logger.info(`Circuit for ${host} closed; requests flow again`);
+    }
+
+    this.emit(`circuit-${circuitState}`, { host });
+  }
+
+  /**
+   * Decide whether (and after how long) a failed request is retried
+   * @param {string} method - HTTP method (lower case)
+   * @param {Error} error - axios error
+   * @param {number} attempt - Retries already made
+   * @param {Object} state - Host state (a Retry-After holds back every request to the host)
+   * @returns {number|null} Delay in ms, or null to give up
+   */
+  getRetryDelay(method, error, attempt, state) {
+    if (attempt >= this.settings.maxRetries || state.circuit.state === 'open') {
+      return null;
+    }
+
+    const status = error.response?.status;
+    if (THROTTLE_STATUSES.includes(status)) {
+      const retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+      if (retryAfter !== null) {
+        if (retryAfter > this.settings.retryMaxMs) return null; // Not worth holding the caller that long
+        state.blockedUntil = Math.max(state.blockedUntil, Date.now() + retryAfter);
+        return retryAfter;
+      }
+      return this.getBackoff(attempt);
+    }
+
+    const transient = status ? TRANSIENT_STATUSES.includes(status) : TRANSIENT_CODES.includes(error.code);
+    return transient && IDEMPOTENT_METHODS.includes(method) ? this.getBackoff(attempt) : null;
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {number} attempt - Retries already made
+   * @returns {number} Delay in ms
+   */
+  getBackoff(attempt) {
+    const ceiling = Math.min(this.settings.retryBaseMs * Math.pow(2, attempt), this.settings.retryMaxMs);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or an HTTP date)
+   * @param {string} value - Header value
+   * @returns {number|null} Delay in ms, or null if absent or unreadable
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  /**
+   * Wait
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Describe a request error in a few words
+   * @param {Error} error - axios error
+   * @returns {string} e.g. "HTTP 503" or "ECONNRESET"
+   */
+  describeError(error) {
+    if (error.response?.status) return `HTTP ${error.response.status}`;
+    return error.code || error.message;
+  }
+
+  /**
+   * Check whether any host's circuit is open
+   * @returns {boolean} True if requests to some host fail fast
+   */
+  hasOpenCircuit() {
+    return Array.from(this.hosts.values()).some(state => state.circuit.state === 'open');
+  }
+
+  /**
+   * Get per-host statistics
+   * @returns {Array<Object>} { host, requests, errors, errorRate, retries, throttled, rejected, active, queued, latencyMs, circuit, ... }
+   */
+  getStats() {
+    return Array.from(this.hosts.values()).map(state => {
+      const { stats, circuit } = state;
+      const sorted = [...stats.latencies].sort((a, b) => a - b);
+      const percentile = p => (sorted.length > 0 ? sorted[Math.min(Math.ceil(p * sorted.length) - 1, sorted.length - 1)] : null);
+      return {
+        host: state.host,
+        requests: stats.requests,
+        errors: stats.errors,
+        errorRate: stats.requests > 0 ? Math.round(stats.errors / stats.requests * 1000) / 1000 : 0,
+        retries: stats.retries,
+        throttled: stats.throttled,
+        rejected: stats.rejected,
+        active: state.active,
+        queued: state.waiting.length,
+        latencyMs: {
+          avg: sorted.length > 0 ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+          p50: percentile(0.5),
+          p95: percentile(0.95),
+          max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+        },
+        lastError: stats.lastError,
+        lastErrorAt: stats.lastErrorAt,
+        limits: state.limits,
+        circuit: {
+          state: circuit.state,
+          failures: circuit.failures,
+          openedAt: circuit.openedAt,
+          retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null
+        }
+      };
+    });
+  }
+}
+
+module.exports = new HttpClient();
@@ -0,0 +1,317 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+
+/**
+ * Idempotency Service - Duplicate-delivery protection for JIRA webhooks
+ * JIRA redelivers webhooks and a single status transition can fire several
+ * jira:issue_updated events. Deliveries are keyed on the webhook identifier,
+ * issue key and changelog/comment ID, workflows are serialized per issue key,
+ * and the outcome is recorded so a replay returns the earlier result.
+ */
+class IdempotencyService {
+  constructor() {
+    this.records = new Map(); // Delivery key -> delivery record
+    this.locks = new Map(); // Issue key -> tail of the promise chain
+    this.dataDir = config.idempotency.dir;
+    this.storeFile = path.join(this.dataDir, 'deliveries.json');
+    this.ttlMs = config.idempotency.ttlHours * 60 * 60 * 1000;
+    this.saving = Promise.resolve(); // Serializes writes to the store file
+  }
+
+  /**
+   * Initialize storage and load recorded deliveries
+   */
+  async initialize() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.storeFile, 'utf8'));
+        for (const record of data) {
+          // Several keys can point at the same delivery record
+          for (const key of record.keys) {
+            this.records.set(key, record);
+          }
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error(`Failed to load delivery records: ${error.message}`);
+        }
+      }
+
+      await this.pruneExpired();
+      logger.info(`Idempotency service initialized (${this.getUniqueRecords().length} recorded deliveries)`);
+    } catch (error) {
+      logger.error(`Failed to initialize idempotency service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the dedup keys for a webhook delivery
+   * @param {Object} webhookEvent - Webhook payload
+   * @param {Object} headers - Request headers
+   * @returns {Array<string>} Dedup keys (empty if the delivery cannot be identified)
+   */
+  getDeliveryKeys(webhookEvent, headers = {}) {
+    const keys = [];
+    const issueKey = webhookEvent.issue?.key;
+
+    // Redeliveries of the same webhook keep the same identifier
+    const identifier = headers['x-atlassian-webhook-identifier'];
+    if (identifier) {
+      keys.push(`webhook:${identifier}`);
+    }
+
+    // Several webhooks fired by one transition share the changelog ID
+    if (issueKey && webhookEvent.changelog?.id) {
+      keys.push(`${issueKey}:changelog:${webhookEvent.changelog.id}`);
+    }
+
+    if (issueKey && webhookEvent.comment?.id) {
+      keys.push(`${issueKey}:comment:${webhookEvent.comment.id}`);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Find a previously recorded delivery matching any of the keys
+   * @param {Array<string>} keys - Dedup keys
+   * @returns {Object|null} Delivery record or null
+   */
+  findDelivery(keys) {
+    for (const key of keys) {
+      const record = this.records.get(key);
+      if (record && !this.isExpired(record)) {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a delivery and record it if it is new
+   * The check and the reservation happen synchronously, so two concurrent
+   * deliveries of the same event cannot both be accepted.
+   * @param {Array<string>} keys - Dedup keys
+   * @param {string} issueKey - JIRA issue key
+   * @returns {Object} { duplicate: boolean, record }
+   */
+  checkAndReserve(keys, issueKey) {
+    const existing = this.findDelivery(keys);
+    if (existing) {
+      existing.duplicateCount++;
+      existing.lastSeenAt = new Date().toISOString();
+      // Remember any new key (e.g. a second webhook for the same changelog)
+      for (const key of keys) {
+        if (!existing.keys.includes(key)) {
+          existing.keys.push(key);
+          this.records.set(key, existing);
+        }
+      }
+      logger.info(`Duplicate delivery for ${issueKey || 'unknown issue'} (${keys.join(', ')}), seen ${existing.duplicateCount + 1} time(s)`);
+      this.save();
+      return { duplicate: true, record: existing };
+    }
+
+    const record = {
+      key: keys[0],
+      keys: [...keys],
+      issueKey: issueKey || null,
+      jobId: null,
+      outcomes: {},
+      duplicateCount: 0,
+      firstSeenAt: new Date().toISOString(),
+      lastSeenAt: new Date().toISOString()
+    };
+    for (const key of keys) {
+      this.records.set(key, record);
+    }
+
+    return { duplicate: false, record };
+  }
+
+  /**
+   * Attach the queued job to a delivery record
+   * @param {string} deliveryKey - Primary dedup key
+   * @param {string} jobId - Job ID
+   */
+  async recordJob(deliveryKey, jobId) {
+    const record = this.records.get(deliveryKey);
+    if (!record) return;
+
+    record.jobId = jobId;
+    await this.save();
+  }
+
+  /**
+   * Forget a reserved delivery (e.g. the job could not be queued)
+   * @param {string} deliveryKey - Primary dedup key
+   */
+  async release(deliveryKey) {
+    const record = this.records.get(deliveryKey);
+    if (!record) return;
+
+    for (const key of record.keys) {
+      this.records.delete(key);
+    }
+    await this.save();
+  }
+
+  /**
+   * Run a function while holding the lock for an issue key
+   * Only one workflow per issue runs at a time; others wait their turn.
+   * @param {string} issueKey - JIRA issue key
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<any>} Result of fn
+   */
+  async runExclusive(issueKey, fn) {
+    if (!issueKey) {
+      return fn();
+    }
+
+    const previous = this.locks.get(issueKey) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.locks.set(issueKey, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      // Drop the lock entry if nobody queued up behind us
+      if (this.locks.get(issueKey) === tail) {
+        this.locks.delete(issueKey);
+      }
+    }
+  }
+
+  /**
+   * Run a workflow at most once per delivery, serialized per issue key
+   * A replay of a delivery whose workflow already completed returns the earlier result.
+   * @param {string|null} deliveryKey - Primary dedup key (null for manual triggers)
+   * @param {string} workflow - Workflow type (e.g., "bug-created")
+   * @param {string} issueKey - JIRA issue key
+   * @param {Function} fn - Async function running the workflow
+   * @returns {Promise<Object>} Workflow result
+   */
+  async runOnce(deliveryKey, workflow, issueKey, fn) {
+    return this.runExclusive(issueKey, async () => {
+      const record = deliveryKey ? this.records.get(deliveryKey) : null;
+
+      if (record && record.outcomes[workflow]) {
+        logger.info(`Skipping ${workflow} for ${issueKey}: delivery ${deliveryKey} already processed`);
+        return { ...record.outcomes[workflow].result, duplicate: true };
+      }
+
+      const result = await fn();
+
+      if (record) {
+        record.outcomes[workflow] = {
+          result,
+          completedAt: new Date().toISOString()
+        };
+        await this.save();
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Check whether a workflow is currently running or waiting for an issue
+   * @param {string} issueKey - JIRA issue key
+   * @returns {boolean} True if the issue is locked
+   */
+  isLocked(issueKey) {
+    return this.locks.has(issueKey);
+  }
+
+  /**
+   * Check whether a delivery record is past its TTL
+   * @param {Object} record - Delivery record
+   * @returns {boolean} True if expired
+   */
+  isExpired(record) {
+    return Date.parse(record.lastSeenAt) + this.ttlMs < Date.now();
+  }
+
+  /**
+   * Remove expired delivery records and save the rest
+   */
+  async pruneExpired() {
+    if (this.removeExpired() > 0) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Drop expired delivery records from memory
+   * @returns {number} Number of records removed
+   */
+  removeExpired() {
+    let removed = 0;
+    for (const record of this.getUniqueRecords()) {
+      if (this.isExpired(record)) {
+        record.keys.forEach(key => this.records.delete(key));
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Pruned ${removed} expired delivery record(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * Get each delivery record once
+   * @returns {Array} Delivery records
+   */
+  getUniqueRecords() {
+    return Array.from(new Set(this.records.values()));
+  }
+
+  /**
+   * Get idempotency statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    const records = this.getUniqueRecords();
+    return {
+      deliveries: records.length,
+      duplicatesIgnored: records.reduce((sum, r) => sum + r.duplicateCount, 0),
+      lockedIssues: Array.from(this.locks.keys())
+    };
+  }
+
+  /**
+   * Persist delivery records to disk (writes are queued one after another)
+   * Expired records are dropped first, so the store does not grow between restarts.
+   * @returns {Promise<void>}
+   */
+  save() {
+    this.removeExpired();
+    this.saving = this.saving.then(() => this.writeRecords());
+    return this.saving;
+  }
+
+  /**
+   * Write delivery records to the store file
+   */
+  async writeRecords() {
+    try {
+      const tmpFile = `${this.storeFile}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(this.getUniqueRecords(), null, 2));
+      await fs.rename(tmpFile, this.storeFile);
+    } catch (error) {
+      logger.error(`Failed to save delivery records: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -1,17 +1,31 @@
-const axios = require('axios');
 const config = require('../config');
 const logger = require('../logger');
+const httpClient = require('./httpClient');
+const learningService = require('./learningService');
+const auditService = require('./auditService');
+
+// Keys that can go into a "key in (...)" search; anything else (e.g. numeric IDs) is fetched on its own
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/i;
 
 /**
  * JIRA Service - Handles all JIRA API interactions
  */
 class JiraService {
-  constructor() {
-    this.baseUrl = config.jira.baseUrl;
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object|null} history - Learning service that keeps posted comments in the bug's history (null to skip)
+   * @param {Object|null} audit - Audit service that logs every write (null to skip)
+   */
+  constructor(profileConfig = config, history = learningService, audit = auditService) {
+    this.config = profileConfig;
+    this.history = history;
+    this.audit = audit;
+    this.baseUrl = this.config.jira.baseUrl;
     this.auth = {
-      username: config.jira.email,
-      password: config.jira.apiToken
+      username: this.config.jira.email,
+      password: this.config.jira.apiToken
     };
+    this.issueCache = new Map();
   }
 
   /**
@@ -22,7 +36,7 @@ class JiraService {
   async getIssue(issueKey) {
     try {
       logger.info(`Fetching JIRA issue: ${issueKey}`);
-      const response = await axios.get(
+      const response = await httpClient.get(
         `${this.baseUrl}/rest/api/3/issue/${issueKey}`,
         { auth: this.auth }
       );
@@ -33,40 +47,191 @@ class JiraService {
     }
   }
 
+  /**
+   * Search issues with JQL (one page)
+   * @param {string} jql - JQL query
+   * @param {Object} options - { startAt, maxResults, fields, validateQuery }
+   *   validateQuery: "warn" ignores unknown issue keys in the query instead of failing it
+   * @returns {Promise<Object>} { issues, total, startAt, maxResults }
+   */
+  async searchIssues(jql, { startAt = 0, maxResults = 50, fields = ['summary', 'status', 'issuetype', 'project', 'labels', 'components'], validateQuery = null } = {}) {
+    try {
+      logger.info(`Searching JIRA issues (from ${startAt}): ${jql}`);
+      const params = { jql, startAt, maxResults, fields: fields.join(',') };
+      if (validateQuery) params.validateQuery = validateQuery;
+      const response = await httpClient.get(
+        `${this.baseUrl}/rest/api/3/search`,
+        { auth: this.auth, params }
+      );
+      return {
+        issues: response.data.issues || [],
+        total: response.data.total || 0,
+        startAt: response.data.startAt || startAt,
+        maxResults: response.data.maxResults || maxResults
+      };
+    } catch (error) {
+      const reason = error.response?.data?.errorMessages?.join('; ');
+      logger.error(`Failed to search JIRA issues: ${reason || error.message}`);
+      throw reason ? Object.assign(new Error(reason), { response: error.response }) : error;
+    }
+  }
+
+  /**
+   * Search all issues matching a JQL query, following pagination
+   * @param {string} jql - JQL query
+   * @param {Object} options - { fields, pageSize, validateQuery } (see searchIssues)
+   * @returns {Promise<Array>} Issues
+   */
+  async searchAll(jql, { fields, pageSize = 50, validateQuery = null } = {}) {
+    const issues = [];
+    let total = null;
+
+    while (total === null || issues.length < total) {
+      const page = await this.searchIssues(jql, { startAt: issues.length, maxResults: pageSize, fields, validateQuery });
+      issues.push(...page.issues);
+      total = page.total;
+      if (page.issues.length === 0) break;
+    }
+
+    return issues;
+  }
+
+  /**
+   * Get several issues with as few requests as possible
+   * Keys are looked up JIRA_SEARCH_BATCH_SIZE at a time with "key in (...)" and kept for
+   * JIRA_SEARCH_CACHE_TTL_SECONDS. Keys a search cannot answer (moved issues, IDs, failed
+   * searches) are fetched one by one; issues that still cannot be read are left out.
+   * @param {Array<string>} issueKeys - Issue keys
+   * @param {Object} options - { fields } fields to return (default summary and status)
+   * @returns {Promise<Map<string, Object>>} Issues by the key they were asked for
+   */
+  async getIssues(issueKeys, { fields = ['summary', 'status'] } = {}) {
+    const issues = new Map();
+    const missing = [];
+    for (const key of new Set(issueKeys)) {
+      const cached = this.getCachedIssue(key, fields);
+      if (cached) {
+        issues.set(key, cached);
+      } else {
+        missing.push(key);
+      }
+    }
+
+    const searchable = missing.filter(key => ISSUE_KEY_PATTERN.test(key));
+    const batchSize = this.config.jira.searchBatchSize || 50;
+    for (let i = 0; i < searchable.length; i += batchSize) {
+      const batch = searchable.slice(i, i + batchSize);
+      try {
+        const found = await this.searchAll(`key in (${batch.join(', ')})`, { fields, pageSize: batch.length, validateQuery: 'warn' });
+        for (const issue of found) {
+          const key = batch.find(k => k.toUpperCase() === issue.key.toUpperCase());
+          if (key) {
+            issues.set(key, issue);
+            this.cacheIssue(key, issue, fields);
+          }
+        }
+      } catch (error) {
+        if (error.circuitOpen) throw error;
+        logger.warn(`Failed to look up ${batch.length} issue(s) in one search, fetching them one by one: ${error.message}`);
+      }
+    }
+
+    for (const key of missing.filter(k => !issues.has(k))) {
+      try {
+        const issue = await this.getIssue(key);
+        issues.set(key, issue);
+        this.cacheIssue(key, issue, fields);
+      } catch (error) {
+        // getIssue logged it; the caller decides what an unreadable issue means (unless JIRA is down)
+        if (error.circuitOpen) throw error;
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Get an issue from the lookup cache if it is fresh and has the fields asked for
+   * @param {string} issueKey - Issue key
+   * @param {Array<string>} fields - Fields needed
+   * @returns {Object|null} Issue or null
+   */
+  getCachedIssue(issueKey, fields) {
+    const entry = this.issueCache.get(issueKey);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.issueCache.delete(issueKey);
+      return null;
+    }
+    return fields.every(field => entry.fields.includes(field)) ? entry.issue : null;
+  }
+
+  /**
+   * Keep a looked-up issue for JIRA_SEARCH_CACHE_TTL_SECONDS
+   * @param {string} issueKey - Key the issue was asked for
+   * @param {Object} issue - Issue
+   * @param {Array<string>} fields - Fields the issue was fetched with
+   */
+  cacheIssue(issueKey, issue, fields) {
+    const ttlSeconds = this.config.jira.searchCacheTtlSeconds;
+    if (!ttlSeconds) return;
+    this.issueCache.set(issueKey, { issue, fields, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  /**
+   * Drop an issue from the lookup cache (its webhook says it changed)
+   * @param {string} issueKey - Issue key
+   */
+  forgetIssue(issueKey) {
+    for (const key of this.issueCache.keys()) {
+      if (key.toUpperCase() === issueKey.toUpperCase()) {
+        this.issueCache.delete(key);
+      }
+    }
+  }
+
   /**
    * Add a comment to a JIRA issue
    * @param {string} issueKey - JIRA issue key
    * @param {string} comment - Comment text
    */
   async addComment(issueKey, comment) {
-    try {
-      logger.info(`Adding comment to JIRA issue: ${issueKey}`);
-      await axios.post(
-        `${this.baseUrl}/rest/api/3/issue/${issueKey}/comment`,
-        {
-          body: {
-            type: 'doc',
-            version: 1,
+    const payload = {
+      body: {
+        type: 'doc',
+        version: 1,
+        content: [
+          {
+            type: 'paragraph',
             content: [
               {
-                type: 'paragraph',
-                content: [
-                  {
-                    type: 'text',
-                    text: comment
-                  }
-                ]
+                type: 'text',
+                text: comment
               }
             ]
           }
-        },
+        ]
+      }
+    };
+    const audit = { system: 'jira', operation: 'add-comment', target: `issue ${issueKey}`, issueKey, request: payload };
+
+    try {
+      logger.info(`Adding comment to JIRA issue: ${issueKey}`);
+      const response = await httpClient.post(
+        `${this.baseUrl}/rest/api/3/issue/${issueKey}/comment`,
+        payload,
         { auth: this.auth }
       );
       logger.info(`Comment added to ${issueKey}`);
+      await this.audit?.record({ ...audit, after: { commentId: response.data?.id || null }, response: response.data });
     } catch (error) {
       logger.error(`Failed to add comment to ${issueKey}: ${error.message}`);
+      await this.audit?.record({ ...audit, error });
       throw error;
     }
+
+    if (this.history) {
+      await this.history.recordComment(issueKey, comment);
+    }
   }
 
   /**
@@ -113,6 +278,7 @@ class JiraService {
       logger.info(`No parent issue found for ${issueKey}`);
       return null;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to get parent issue for ${issueKey}: ${error.message}`);
       return null;
     }
@@ -137,9 +303,9 @@ class JiraService {
       logger.info(`Searching for Run ID in parent: ${parentKey}`);
 
       // Option A: Check custom field
-      if (config.jira.runIdCustomField) {
+      if (this.config.jira.runIdCustomField) {
         const parentDetails = await this.getIssue(parentKey);
-        const runIdField = parentDetails.fields[config.jira.runIdCustomField];
+        const runIdField = parentDetails.fields[this.config.jira.runIdCustomField];
         
         if (runIdField) {
           // Handle different field types
@@ -176,6 +342,7 @@ class JiraService {
       logger.info('Run ID not found in custom field or comments');
       return null;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to find Run ID: ${error.message}`);
       return null;
     }
@@ -187,21 +354,29 @@ class JiraService {
    * @returns {Promise<string|null>} Run ID or null
    */
   async findRunIdInComments(issueKey) {
+    // Regex patterns for Run ID
+    return this.findInComments(issueKey, [
+      /Run:\s*(\d+)/i,
+      /TestRail Run:\s*(\d+)/i,
+      /Run ID:\s*(\d+)/i,
+      /R(\d+)/
+    ]);
+  }
+
+  /**
+   * Search issue comments for the first match of any pattern
+   * @param {string} issueKey - JIRA issue key
+   * @param {Array<RegExp>} patterns - Patterns with one capture group, in priority order per comment
+   * @returns {Promise<string|null>} Captured value or null
+   */
+  async findInComments(issueKey, patterns) {
     try {
-      const response = await axios.get(
+      const response = await httpClient.get(
         `${this.baseUrl}/rest/api/3/issue/${issueKey}/comment`,
         { auth: this.auth }
       );
 
       const comments = response.data.comments || [];
-      
-      // Regex patterns for Run ID
-      const patterns = [
-        /Run:\s*(\d+)/i,
-        /TestRail Run:\s*(\d+)/i,
-        /Run ID:\s*(\d+)/i,
-        /R(\d+)/
-      ];
 
       for (const comment of comments) {
         const commentText = this.extractTextFromComment(comment.body);
@@ -216,7 +391,8 @@ class JiraService {
 
       return null;
     } catch (error) {
-      logger.error(`Failed to search comments for Run ID: ${error.message}`);
+      if (error.circuitOpen) throw error;
+      logger.error(`Failed to search comments of ${issueKey}: ${error.message}`);
       return null;
     }
   }
@@ -412,6 +588,7 @@ class JiraService {
       const issue = await this.getIssue(issueKey);
       return issue.fields.issuelinks || [];
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to get issue links: ${error.message}`);
       return [];
     }
@@ -0,0 +1,478 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+
+/**
+ * Job Queue Service - Durable on-disk queue for webhook and workflow processing
+ * Every job is written to disk before it is acknowledged, so a restart or crash
+ * mid-workflow resumes the job instead of silently losing the bug.
+ */
+class JobQueueService {
+  constructor() {
+    this.jobs = new Map(); // In-memory view of the queue
+    this.handlers = new Map(); // Job type -> handler function
+    this.waiters = new Map(); // Job ID -> [resolve callbacks]
+    this.queueDir = config.queue.dir;
+    this.concurrency = config.queue.concurrency;
+    this.maxAttempts = config.queue.maxAttempts;
+    this.backoffMs = config.queue.backoffMs;
+    this.maxBackoffMs = config.queue.maxBackoffMs;
+    this.retentionMs = config.queue.retentionHours * 60 * 60 * 1000;
+    this.running = 0;
+    this.started = false;
+    this.paused = null; // { reason, since } while a backend is unavailable
+    this.timer = null;
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Initialize queue directory and reload persisted jobs
+   */
+  async initialize() {
+    try {
+      await fs.mkdir(this.queueDir, { recursive: true });
+      await this.loadJobsFromDisk();
+      logger.info(`Job queue initialized (${this.jobs.size} job(s) on disk)`);
+    } catch (error) {
+      logger.error(`Failed to initialize job queue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load job files from disk into memory
+   * Jobs that were running when the process stopped are put back to pending
+   */
+  async loadJobsFromDisk() {
+    const files = await fs.readdir(this.queueDir);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const content = await fs.readFile(path.join(this.queueDir, file), 'utf8');
+        const job = JSON.parse(content);
+
+        if (job.status === 'running') {
+          logger.warn(`Job ${job.id} (${job.type}) was interrupted, re-queuing`);
+          job.status = 'pending';
+          job.nextRunAt = Date.now();
+          await this.persist(job);
+        }
+
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        logger.error(`Failed to load job file ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type (e.g., "bug-created")
+   * @param {Function} handler - Async function receiving the job
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Start processing jobs
+   */
+  start() {
+    this.started = true;
+    logger.info(`Job queue started (concurrency: ${this.concurrency}, max attempts: ${this.maxAttempts})`);
+
+    if (this.retentionMs > 0 && !this.pruneTimer) {
+      this.pruneFinished();
+      this.pruneTimer = setInterval(() => this.pruneFinished(), Math.min(this.retentionMs, 60 * 60 * 1000));
+      this.pruneTimer.unref();
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Stop picking up new jobs (running jobs finish normally)
+   */
+  stop() {
+    this.started = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Stop picking up jobs until resume() (running jobs finish normally)
+   * Used while a backend's circuit is open, so queued jobs wait instead of using up their attempts.
+   * @param {string} reason - Why the queue is paused
+   */
+  pause(reason) {
+    if (this.paused) return;
+    this.paused = { reason, since: new Date().toISOString() };
+    logger.warn(`Job queue paused: ${reason}`);
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Pick up jobs again after pause()
+   */
+  resume() {
+    if (!this.paused) return;
+    logger.info(`Job queue resumed (was paused since ${this.paused.since}: ${this.paused.reason})`);
+    this.paused = null;
+    this.drain();
+  }
+
+  /**
+   * Get why the queue is paused
+   * @returns {Object|null} { reason, since } or null if jobs are picked up
+   */
+  getPause() {
+    return this.paused;
+  }
+
+  /**
+   * Add a job to the queue
+   * The job is persisted before this resolves
+   * @param {string} type - Job type
+   * @param {Object} payload - Job payload
+   * @returns {Promise<Object>} Stored job
+   */
+  async enqueue(type, payload = {}) {
+    const now = Date.now();
+    const job = {
+      id: this.generateId(),
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      lastError: null,
+      result: null,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      nextRunAt: now
+    };
+
+    await this.persist(job);
+    this.jobs.set(job.id, job);
+    logger.info(`Enqueued job ${job.id} (${type})${payload.issueKey ? ` for ${payload.issueKey}` : ''}`);
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Wait until a job is completed or dead-lettered
+   * @param {string} jobId - Job ID
+   * @param {number} timeoutMs - Stop waiting after this long and return the job as it is (0 waits indefinitely)
+   * @returns {Promise<Object>} Final job state, or the current state on timeout
+   */
+  waitFor(jobId, timeoutMs = 0) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return Promise.reject(new Error(`Job ${jobId} not found`));
+    }
+    if (job.status === 'completed' || job.status === 'dead') {
+      return Promise.resolve(job);
+    }
+
+    return new Promise(resolve => {
+      let timer = null;
+      const done = finished => {
+        clearTimeout(timer);
+        resolve(finished);
+      };
+
+      const waiting = this.waiters.get(jobId) || [];
+      waiting.push(done);
+      this.waiters.set(jobId, waiting);
+
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          const remaining = (this.waiters.get(jobId) || []).filter(callback => callback !== done);
+          remaining.length > 0 ? this.waiters.set(jobId, remaining) : this.waiters.delete(jobId);
+          resolve(job);
+        }, timeoutMs);
+      }
+    });
+  }
+
+  /**
+   * Pick up due jobs while there is free capacity
+   */
+  drain() {
+    if (!this.started || this.paused) return;
+
+    const now = Date.now();
+    const due = Array.from(this.jobs.values())
+      .filter(job => job.status === 'pending' && job.nextRunAt <= now)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+
+    while (this.running < this.concurrency && due.length > 0) {
+      const job = due.shift();
+      this.run(job).catch(error => logger.error(`Failed to run job ${job.id} (${job.type}): ${error.message}`));
+    }
+
+    this.scheduleNext();
+  }
+
+  /**
+   * Schedule a wake-up for the next job waiting on its backoff
+   */
+  scheduleNext() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const waiting = Array.from(this.jobs.values()).filter(job => job.status === 'pending');
+    if (waiting.length === 0) return;
+
+    const nextRunAt = Math.min(...waiting.map(job => job.nextRunAt));
+    const delay = Math.max(nextRunAt - Date.now(), 0);
+    if (delay === 0 && this.running >= this.concurrency) return; // drain() runs again when a slot frees up
+
+    this.timer = setTimeout(() => this.drain(), delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Execute a single job with retry/backoff and dead-lettering
+   * The queue slot is freed even if the job cannot be persisted.
+   * @param {Object} job - Job to run
+   */
+  async run(job) {
+    this.running++;
+    try {
+      job.status = 'running';
+      job.attempts++;
+      job.updatedAt = new Date().toISOString();
+      await this.persist(job);
+
+      try {
+        const handler = this.handlers.get(job.type);
+        if (!handler) {
+          throw new Error(`No handler registered for job type "${job.type}"`);
+        }
+
+        logger.info(`Running job ${job.id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+        const result = await handler(job);
+
+        job.status = 'completed';
+        job.result = result === undefined ? null : result;
+        job.lastError = null;
+        logger.info(`Job ${job.id} (${job.type}) completed`);
+      } catch (error) {
+        job.lastError = error.message;
+
+        if (error.circuitOpen) {
+          // The backend is known to be down: wait for it without using up an attempt
+          job.attempts--;
+          job.status = 'pending';
+          job.nextRunAt = Date.now() + this.backoffMs;
+          logger.warn(`Job ${job.id} (${job.type}) postponed: ${error.message}`);
+        } else if (job.attempts >= job.maxAttempts) {
+          job.status = 'dead';
+          logger.error(`Job ${job.id} (${job.type}) moved to dead-letter list after ${job.attempts} attempt(s): ${error.message}`);
+        } else {
+          const delay = Math.min(this.backoffMs * Math.pow(2, job.attempts - 1), this.maxBackoffMs);
+          job.status = 'pending';
+          job.nextRunAt = Date.now() + delay;
+          logger.warn(`Job ${job.id} (${job.type}) failed, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        }
+      }
+
+      job.updatedAt = new Date().toISOString();
+      await this.persist(job);
+    } catch (error) {
+      // The job file could not be written: try again after the backoff (a restart reloads the last saved state)
+      logger.error(`Failed to save job ${job.id} (${job.type}): ${error.message}`);
+      if (job.status === 'running') {
+        job.status = 'pending';
+        job.nextRunAt = Date.now() + this.backoffMs;
+      }
+    } finally {
+      this.running--;
+    }
+
+    if (job.status === 'completed' || job.status === 'dead') {
+      this.notifyWaiters(job);
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Resolve anyone waiting on a finished job
+   * @param {Object} job - Finished job
+   */
+  notifyWaiters(job) {
+    const waiting = this.waiters.get(job.id) || [];
+    this.waiters.delete(job.id);
+    waiting.forEach(resolve => resolve(job));
+  }
+
+  /**
+   * Put a dead or completed job back into the queue
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Re-queued job or null if not found
+   */
+  async retry(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (job.status === 'running') {
+      throw new Error(`Job ${jobId} is currently running`);
+    }
+
+    job.status = 'pending';
+    job.attempts = 0;
+    job.lastError = null;
+    job.nextRunAt = Date.now();
+    job.updatedAt = new Date().toISOString();
+    await this.persist(job);
+    logger.info(`Job ${jobId} (${job.type}) re-queued manually`);
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Retry every job in the dead-letter list
+   * @returns {Promise<number>} Number of jobs re-queued
+   */
+  async retryDead() {
+    const dead = this.list({ status: 'dead' });
+    for (const job of dead) {
+      await this.retry(job.id);
+    }
+    return dead.length;
+  }
+
+  /**
+   * Remove finished jobs from the queue
+   * @param {string} status - Status to purge ("completed", "dead" or "all" for both)
+   * @param {number|null} olderThan - Only jobs last updated before this time (ms since epoch)
+   * @returns {Promise<number>} Number of jobs removed
+   */
+  async purge(status = 'completed', olderThan = null) {
+    const statuses = status === 'all' ? ['completed', 'dead'] : [status];
+    if (statuses.some(s => !['completed', 'dead'].includes(s))) {
+      throw new Error(`Cannot purge jobs with status "${status}". Use 'completed', 'dead' or 'all'.`);
+    }
+
+    let removed = 0;
+    for (const job of Array.from(this.jobs.values())) {
+      if (statuses.includes(job.status) && (olderThan === null || Date.parse(job.updatedAt) < olderThan)) {
+        await this.remove(job.id);
+        removed++;
+      }
+    }
+
+    logger.info(`Purged ${removed} ${status} job(s)`);
+    return removed;
+  }
+
+  /**
+   * Remove completed and dead jobs older than QUEUE_RETENTION_HOURS
+   * @returns {Promise<number>} Number of jobs removed
+   */
+  async pruneFinished() {
+    try {
+      return await this.purge('all', Date.now() - this.retentionMs);
+    } catch (error) {
+      logger.error(`Failed to prune finished jobs: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Delete a job from memory and disk
+   * @param {string} jobId - Job ID
+   */
+  async remove(jobId) {
+    this.jobs.delete(jobId);
+
+    try {
+      await fs.unlink(this.getJobPath(jobId));
+    } catch (error) {
+      // File might not exist, that's ok
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to delete job file: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filter - Optional filter ({ status, type })
+   * @returns {Array} Jobs
+   */
+  list(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.status || job.status === filter.status)
+      .filter(job => !filter.type || job.type === filter.type)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Get a single job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job or null
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Count per status
+   */
+  getStats() {
+    const stats = { pending: 0, running: 0, completed: 0, dead: 0, total: this.jobs.size };
+    for (const job of this.jobs.values()) {
+      stats[job.status]++;
+    }
+    return stats;
+  }
+
+  /**
+   * Write a job to disk (atomic rename so a crash never leaves half a file)
+   * @param {Object} job - Job to persist
+   */
+  async persist(job) {
+    const filePath = this.getJobPath(job.id);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(job, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Get the file path for a job
+   * @param {string} jobId - Job ID
+   * @returns {string} File path
+   */
+  getJobPath(jobId) {
+    return path.join(this.queueDir, `${jobId}.json`);
+  }
+
+  /**
+   * Generate a unique, time-sortable ID
+   * @returns {string} Unique ID
+   */
+  generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+}
+
+module.exports = new JobQueueService();
@@ -1,44 +1,77 @@
-const fs = require('fs').promises;
 const path = require('path');
+const config = require('../config');
 const logger = require('../logger');
+const embeddings = require('./embeddings');
+const LearningStore = require('./storage/learningStore');
+const SimilarityEngine = require('./similarity/similarityEngine');
+const { analyze } = require('./similarity/textAnalyzer');
 
 /**
  * Learning Service - Manages AI learning from corrections
+ * Matches, corrections and workflow outcomes are stored in learning.db (SQLite)
+ * in the profile's learning data directory.
  */
 class LearningService {
-  constructor() {
-    this.dataDir = path.join(__dirname, '..', 'learning-data');
-    this.matchesFile = path.join(this.dataDir, 'matches.json');
-    this.correctionsFile = path.join(this.dataDir, 'corrections.json');
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig = config) {
+    this.config = profileConfig;
+    this.dataDir = profileConfig.learning.dataDir;
+    this.dbFile = path.join(this.dataDir, 'learning.db');
+    this.store = null; // Opened by initialize()
+
+    const embeddingWeight = profileConfig.learning.embeddingWeight || 0;
+    this.similarity = new SimilarityEngine({
+      embeddingProvider: embeddingWeight > 0 ? embeddings.create(profileConfig.retrieval.embeddingProvider, profileConfig) : null,
+      embeddingWeight
+    });
+    this.indexVersion = null; // Learning data the similarity index was built from
+    this.calibrationVersion = null; // Corrections the thresholds were calibrated on
+    this.calibration = null;
   }
 
   /**
-   * Initialize data files if they don't exist
+   * Open the learning database, migrate its schema and import legacy JSON files
    */
   async initialize() {
-    try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      
-      // Initialize matches.json
-      try {
-        await fs.access(this.matchesFile);
-      } catch {
-        await fs.writeFile(this.matchesFile, JSON.stringify([], null, 2));
-        logger.info('Initialized matches.json');
-      }
+    if (this.store) return;
 
-      // Initialize corrections.json
-      try {
-        await fs.access(this.correctionsFile);
-      } catch {
-        await fs.writeFile(this.correctionsFile, JSON.stringify([], null, 2));
-        logger.info('Initialized corrections.json');
+    try {
+      const store = new LearningStore(this.dbFile).open();
+      const imported = store.importJson(this.dataDir);
+      if (imported) {
+        logger.info(`Imported ${imported.matches} matches and ${imported.corrections} corrections from JSON into ${this.dbFile}`);
       }
+      this.store = store;
+      logger.info(`Learning database ready: ${this.dbFile} (schema v${store.getSchemaVersion()})`);
     } catch (error) {
       logger.error(`Failed to initialize learning data: ${error.message}`);
     }
   }
 
+  /**
+   * Get the open learning store
+   * @returns {Promise<LearningStore>} Store
+   */
+  async getStore() {
+    await this.initialize();
+    if (!this.store) {
+      throw new Error(`Learning database ${this.dbFile} is not available`);
+    }
+    return this.store;
+  }
+
+  /**
+   * Close the learning database
+   */
+  close() {
+    if (this.store) {
+      this.store.close();
+      this.store = null;
+    }
+  }
+
   /**
    * Store a match result for future learning
    * @param {Object} matchData - Match data to store
@@ -46,22 +79,17 @@ class LearningService {
   async storeMatch(matchData) {
     try {
       // Check if learning is enabled
-      const config = require('../config');
-      if (!config.openai.learningEnabled) {
+      if (!this.config.openai.learningEnabled) {
         logger.info('AI learning disabled, skipping match storage');
         return;
       }
 
-      await this.initialize();
-      const matches = await this.loadMatches();
-      
-      matches.push({
+      const store = await this.getStore();
+      store.insertMatch({
         id: this.generateId(),
         ...matchData,
         stored_at: new Date().toISOString()
       });
-
-      await fs.writeFile(this.matchesFile, JSON.stringify(matches, null, 2));
       logger.info('Match stored in learning data');
     } catch (error) {
       logger.error(`Failed to store match: ${error.message}`);
@@ -75,28 +103,172 @@ class LearningService {
   async storeCorrection(correctionData) {
     try {
       // Check if learning is enabled
-      const config = require('../config');
-      if (!config.openai.learningEnabled) {
+      if (!this.config.openai.learningEnabled) {
         logger.info('AI learning disabled, skipping correction storage');
         return;
       }
 
-      await this.initialize();
-      const corrections = await this.loadCorrections();
-      
-      corrections.push({
+      const store = await this.getStore();
+      store.insertCorrection({
         id: this.generateId(),
         ...correctionData,
         corrected_at: new Date().toISOString()
       });
-
-      await fs.writeFile(this.correctionsFile, JSON.stringify(corrections, null, 2));
       logger.info('Correction stored in learning data');
     } catch (error) {
       logger.error(`Failed to store correction: ${error.message}`);
     }
   }
 
+  /**
+   * Record what a workflow did to a test case for a bug
+   * @param {Object} outcome - { bugKey, runId, testId, outcome, workflow }
+   *   outcome: failed, passed, still-failed, already-passed, already-linked, removed, held (waiting for approval) or rolled-back
+   */
+  async recordOutcome(outcome) {
+    try {
+      if (!this.config.openai.learningEnabled) {
+        return;
+      }
+
+      const store = await this.getStore();
+      store.insertOutcome(outcome);
+    } catch (error) {
+      logger.error(`Failed to record outcome: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a finished workflow execution in the bug's history
+   * History is kept even with learning disabled - it only feeds the dashboard.
+   * @param {Object} execution - { bugKey, runId, workflow, jobId, actor, success, error, result, startedAt, finishedAt }
+   */
+  async recordExecution(execution) {
+    try {
+      const store = await this.getStore();
+      store.insertExecution(execution);
+    } catch (error) {
+      logger.error(`Failed to record execution: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a prompt sent to the LLM for a bug and its response
+   * @param {Object} exchange - { bugKey, provider, model, promptVersion, system, prompt, response, error, durationMs }
+   */
+  async recordAiExchange(exchange) {
+    if (!exchange.bugKey) return;
+
+    try {
+      const store = await this.getStore();
+      store.insertAiExchange(exchange);
+    } catch (error) {
+      logger.error(`Failed to record AI exchange: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a comment posted on a bug
+   * @param {string} bugKey - JIRA issue key
+   * @param {string} body - Comment text
+   */
+  async recordComment(bugKey, body) {
+    try {
+      const store = await this.getStore();
+      store.insertComment({ bugKey, body });
+    } catch (error) {
+      logger.error(`Failed to record comment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget the matches and corrections stored for a bug, so they are no longer
+   * reused for similar bugs (rollback). The similarity index rebuilds on next use.
+   * @param {string} bugKey - JIRA issue key
+   * @returns {Promise<Object>} { matches, corrections } deleted
+   */
+  async forgetBug(bugKey) {
+    const store = await this.getStore();
+    const deleted = store.deleteBugLearning(bugKey);
+    logger.info(`Forgot ${deleted.matches} match(es) and ${deleted.corrections} correction(s) stored for ${bugKey}`);
+    return deleted;
+  }
+
+  /**
+   * Build (or reuse) the similarity index over corrections and matches
+   * Rebuilt whenever the learning data changes; thresholds are recalibrated at the same time.
+   * @returns {Promise<SimilarityEngine>} Similarity engine
+   */
+  async getSimilarityIndex() {
+    const store = await this.getStore();
+    const { corrections: correctionsVersion, matches: matchesVersion } = store.getVersion();
+    const version = `${correctionsVersion}/${matchesVersion}`;
+    if (version === this.indexVersion) {
+      return this.similarity;
+    }
+
+    const corrections = await this.loadCorrections();
+    const matches = await this.loadMatches();
+
+    const records = [
+      ...corrections.filter(c => c.bug).map((correction, i) => ({
+        id: `correction:${correction.id || i}`,
+        source: 'correction',
+        order: i,
+        bug: correction.bug,
+        test: { test_id: correction.correct_test_id, case_id: correction.correct_case_id, title: correction.correct_title }
+      })),
+      ...matches.filter(m => m.bug && m.match).map((match, i) => ({
+        id: `match:${match.id || i}`,
+        source: 'match',
+        order: i,
+        bug: match.bug,
+        test: { test_id: match.match.test_id, case_id: match.match.case_id, title: match.match.title }
+      }))
+    ];
+
+    await this.similarity.build(records);
+    if (correctionsVersion !== this.calibrationVersion) {
+      // Stored matches are the AI's own guesses - only corrections are trusted labels
+      this.calibration = this.config.learning.calibrate
+        ? await this.similarity.calibrate(records.filter(r => r.source === 'correction'), r => r.test.case_id ?? r.test.title)
+        : { calibrated: false, reason: 'Calibration disabled (LEARNING_CALIBRATE=false)' };
+      this.calibrationVersion = correctionsVersion;
+    }
+    this.indexVersion = version;
+
+    const thresholds = this.getThresholds();
+    logger.info(`Similarity index built: ${corrections.length} corrections, ${matches.length} matches (thresholds ${thresholds.single}/${thresholds.multi}${thresholds.calibrated ? ', calibrated' : ''})`);
+    return this.similarity;
+  }
+
+  /**
+   * Similarity thresholds in use - calibrated from corrections when possible, else configured
+   * @returns {Object} { single, multi, calibrated }
+   */
+  getThresholds() {
+    if (this.calibration?.calibrated) {
+      return { single: this.calibration.single, multi: this.calibration.multi, calibrated: true };
+    }
+    return {
+      single: this.config.learning.similarityThreshold,
+      multi: this.config.learning.multiSimilarityThreshold,
+      calibrated: false
+    };
+  }
+
+  /**
+   * Find similar past bugs, most similar first (ties: most recent first)
+   * @param {Object} bugData - Bug information
+   * @param {string} source - 'correction' or 'match'
+   * @returns {Promise<Array>} Search results
+   */
+  async searchSimilar(bugData, source) {
+    const engine = await this.getSimilarityIndex();
+    const results = await engine.search(bugData, { source });
+    return results.sort((a, b) => b.score - a.score || b.record.order - a.record.order);
+  }
+
   /**
    * Find similar match in learning data (single match mode)
    * @param {Object} bugData - Bug information
@@ -104,33 +276,17 @@ class LearningService {
    */
   async findSimilarMatch(bugData) {
     try {
-      await this.initialize();
-      const corrections = await this.loadCorrections();
-      
-      if (corrections.length === 0) {
-        return null;
-      }
-
-      // Extract keywords from bug
-      const bugKeywords = this.extractKeywords(bugData.summary + ' ' + (bugData.description || ''));
-
-      // Find corrections with matching keywords
-      for (const correction of corrections.reverse()) { // Most recent first
-        const correctionKeywords = this.extractKeywords(
-          correction.bug.summary + ' ' + (correction.bug.description || '')
-        );
-
-        const matchScore = this.calculateKeywordMatch(bugKeywords, correctionKeywords);
-        
-        if (matchScore > 0.6) { // 60% keyword match threshold
-          return {
-            test_id: correction.correct_test_id,
-            case_id: correction.correct_case_id,
-            title: correction.correct_title,
-            confidence: 0.85 + (matchScore * 0.15), // 0.85-1.0 range
-            reasoning: `Similar to previous bug: "${correction.bug.summary}"`
-          };
-        }
+      const results = await this.searchSimilar(bugData, 'correction');
+      const best = results[0];
+
+      if (best && best.score >= this.getThresholds().single) {
+        return {
+          test_id: best.record.test.test_id,
+          case_id: best.record.test.case_id,
+          title: best.record.test.title,
+          confidence: 0.85 + (best.score * 0.15), // 0.85-1.0 range
+          reasoning: `Similar to previous bug: "${best.record.bug.summary}"`
+        };
       }
 
       return null;
@@ -148,84 +304,37 @@ class LearningService {
    */
   async findSimilarMatches(bugData) {
     try {
-      await this.initialize();
-      const corrections = await this.loadCorrections();
-      const matches = await this.loadMatches();
-      
-      if (corrections.length === 0 && matches.length === 0) {
-        return [];
-      }
-
-      // Extract keywords from bug
-      const bugKeywords = this.extractKeywords(bugData.summary + ' ' + (bugData.description || ''));
+      const threshold = this.getThresholds().multi;
       const bugIssueType = this.detectIssueType(bugData.summary + ' ' + (bugData.description || ''));
 
       const similarMatches = [];
       const seenTestIds = new Set();
 
-      // Check corrections first (most reliable)
-      for (const correction of corrections.reverse()) { // Most recent first
-        const correctionKeywords = this.extractKeywords(
-          correction.bug.summary + ' ' + (correction.bug.description || '')
-        );
-        const correctionIssueType = this.detectIssueType(
-          correction.bug.summary + ' ' + (correction.bug.description || '')
-        );
-
-        // Issue types must match (especially important for heading-missing vs heading-level)
-        if (bugIssueType !== 'unknown' && correctionIssueType !== 'unknown' && bugIssueType !== correctionIssueType) {
-          continue; // Skip if issue types don't match
-        }
+      // Corrections first (most reliable), then the AI's own matches
+      for (const source of ['correction', 'match']) {
+        for (const result of await this.searchSimilar(bugData, source)) {
+          if (result.score < threshold) break;
 
-        const matchScore = this.calculateKeywordMatch(bugKeywords, correctionKeywords);
-        
-        if (matchScore > 0.5) { // 50% threshold for multi-match (more lenient)
-          const testId = correction.correct_test_id;
-          if (!seenTestIds.has(testId)) {
-            similarMatches.push({
-              test_id: testId,
-              case_id: correction.correct_case_id,
-              title: correction.correct_title,
-              confidence: 0.85 + (matchScore * 0.15),
-              reasoning: `Learned from correction of similar bug: "${correction.bug.summary}"`,
-              learned: true
-            });
-            seenTestIds.add(testId);
+          // Issue types must match (especially important for heading-missing vs heading-level)
+          const resultIssueType = this.detectIssueType(result.record.bug.summary + ' ' + (result.record.bug.description || ''));
+          if (bugIssueType !== 'unknown' && resultIssueType !== 'unknown' && bugIssueType !== resultIssueType) {
+            continue;
           }
-        }
-      }
 
-      // Also check regular matches if we found a similar bug
-      for (const match of matches.reverse()) {
-        if (!match.bug || !match.match) continue;
-        
-        const matchKeywords = this.extractKeywords(
-          match.bug.summary + ' ' + (match.bug.description || '')
-        );
-        const matchIssueType = this.detectIssueType(
-          match.bug.summary + ' ' + (match.bug.description || '')
-        );
-
-        // Issue types must match
-        if (bugIssueType !== 'unknown' && matchIssueType !== 'unknown' && bugIssueType !== matchIssueType) {
-          continue; // Skip if issue types don't match
-        }
-
-        const matchScore = this.calculateKeywordMatch(bugKeywords, matchKeywords);
-        
-        if (matchScore > 0.5) {
-          const testId = match.match.test_id;
-          if (!seenTestIds.has(testId)) {
-            similarMatches.push({
-              test_id: testId,
-              case_id: match.match.case_id,
-              title: match.match.title,
-              confidence: 0.80 + (matchScore * 0.15),
-              reasoning: `Similar to previous bug: "${match.bug.summary}"`,
-              learned: true
-            });
-            seenTestIds.add(testId);
-          }
+          const testId = result.record.test.test_id;
+          if (seenTestIds.has(testId)) continue;
+          seenTestIds.add(testId);
+
+          similarMatches.push({
+            test_id: testId,
+            case_id: result.record.test.case_id,
+            title: result.record.test.title,
+            confidence: (source === 'correction' ? 0.85 : 0.80) + (result.score * 0.15),
+            reasoning: source === 'correction'
+              ? `Learned from correction of similar bug: "${result.record.bug.summary}"`
+              : `Similar to previous bug: "${result.record.bug.summary}"`,
+            learned: true
+          });
         }
       }
 
@@ -241,19 +350,69 @@ class LearningService {
   }
 
   /**
-   * Extract keywords from text (simplified)
-   * @param {string} text - Text to extract keywords from
-   * @returns {Set} Set of keywords
+   * Explain which past bugs are similar to a bug and why
+   * @param {Object} bugData - Bug information (summary, description)
+   * @param {number} limit - Number of past bugs to explain
+   * @returns {Promise<Object>} Query analysis, thresholds and the most similar past bugs
    */
-  extractKeywords(text) {
-    const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'is', 'are', 'was', 'were', 'be', 'been', 'being']);
-    
-    const words = text.toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 3 && !stopWords.has(word));
+  async explainSimilarity(bugData, limit = 5) {
+    const engine = await this.getSimilarityIndex();
+    const thresholds = this.getThresholds();
+    const query = analyze(engine.bugText(bugData));
+    const issueType = this.detectIssueType(bugData.summary + ' ' + (bugData.description || ''));
+    const results = (await engine.search(bugData)).slice(0, limit);
+
+    return {
+      query: {
+        summary: bugData.summary,
+        terms: query.terms,
+        synonyms: query.synonyms,
+        issueType
+      },
+      method: engine.embeddingWeight > 0
+        ? `BM25 blended with ${engine.embeddingProvider.displayName} (weight ${engine.embeddingWeight})`
+        : 'BM25',
+      thresholds,
+      indexed: engine.records.size,
+      similar: results.map(result => {
+        const pastIssueType = this.detectIssueType(result.record.bug.summary + ' ' + (result.record.bug.description || ''));
+        const issueTypeMatches = issueType === 'unknown' || pastIssueType === 'unknown' || issueType === pastIssueType;
+        return {
+          source: result.record.source,
+          bugKey: result.record.bug.key || null,
+          summary: result.record.bug.summary,
+          test: result.record.test,
+          score: Number(result.score.toFixed(4)),
+          bm25: Number(result.bm25.toFixed(4)),
+          embedding: result.embedding === null ? null : Number(result.embedding.toFixed(4)),
+          sharedTerms: result.terms.map(t => ({
+            term: t.term,
+            idf: Number(t.idf.toFixed(3)),
+            occurrences: t.tf,
+            contribution: Number(t.contribution.toFixed(3))
+          })),
+          issueType: pastIssueType,
+          usedForSingleMatch: result.record.source === 'correction' && result.score >= thresholds.single,
+          usedForMultiMatch: result.score >= thresholds.multi && issueTypeMatches
+        };
+      })
+    };
+  }
 
-    return new Set(words);
+  /**
+   * Get the threshold calibration details
+   * @returns {Promise<Object>} Thresholds in use and the calibration result
+   */
+  async getCalibration() {
+    await this.getSimilarityIndex();
+    return {
+      thresholds: this.getThresholds(),
+      configured: {
+        single: this.config.learning.similarityThreshold,
+        multi: this.config.learning.multiSimilarityThreshold
+      },
+      calibration: this.calibration
+    };
   }
 
   /**
@@ -289,39 +448,24 @@ class LearningService {
   }
 
   /**
-   * Calculate keyword match score between two sets
-   * @param {Set} set1 - First keyword set
-   * @param {Set} set2 - Second keyword set
-   * @returns {number} Match score (0-1)
-   */
-  calculateKeywordMatch(set1, set2) {
-    const intersection = new Set([...set1].filter(x => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
-    
-    return union.size === 0 ? 0 : intersection.size / union.size;
-  }
-
-  /**
-   * Load all matches from file
+   * Load all matches, oldest first
    * @returns {Promise<Array>} Array of matches
    */
   async loadMatches() {
     try {
-      const data = await fs.readFile(this.matchesFile, 'utf8');
-      return JSON.parse(data);
+      return (await this.getStore()).getMatches();
     } catch {
       return [];
     }
   }
 
   /**
-   * Load all corrections from file
+   * Load all corrections, oldest first
    * @returns {Promise<Array>} Array of corrections
    */
   async loadCorrections() {
     try {
-      const data = await fs.readFile(this.correctionsFile, 'utf8');
-      return JSON.parse(data);
+      return (await this.getStore()).getCorrections();
     } catch {
       return [];
     }
@@ -329,45 +473,14 @@ class LearningService {
 
   /**
    * Get test cases linked to a specific bug
+   * Corrections (verified) win; AI matches are used if the bug was never corrected.
    * @param {string} bugKey - JIRA bug key
    * @returns {Promise<Array>} Array of test cases linked to this bug
    */
   async getTestCasesByBugKey(bugKey) {
     try {
-      await this.initialize();
-      const matches = await this.loadMatches();
-      const corrections = await this.loadCorrections();
-      
-      // Collect test cases from both matches and corrections
-      const testCases = new Set();
-      
-      // Check corrections (these are the verified correct matches)
-      for (const correction of corrections) {
-        if (correction.bug.key === bugKey) {
-          testCases.add(JSON.stringify({
-            test_id: correction.correct_test_id,
-            case_id: correction.correct_case_id,
-            title: correction.correct_title,
-            run_id: correction.run_id
-          }));
-        }
-      }
-      
-      // Check matches (if no corrections found for this bug)
-      if (testCases.size === 0) {
-        for (const match of matches) {
-          if (match.bug && match.bug.key === bugKey && match.match) {
-            testCases.add(JSON.stringify({
-              test_id: match.match.test_id,
-              case_id: match.match.case_id,
-              title: match.match.title,
-              run_id: match.run_id
-            }));
-          }
-        }
-      }
-      
-      return Array.from(testCases).map(tc => JSON.parse(tc));
+      const store = await this.getStore();
+      return store.getTestCasesByBugKey(bugKey);
     } catch (error) {
       logger.error(`Failed to get test cases by bug key: ${error.message}`);
       return [];
@@ -380,15 +493,28 @@ class LearningService {
    */
   async getStatistics() {
     try {
-      const matches = await this.loadMatches();
-      const corrections = await this.loadCorrections();
+      const store = await this.getStore();
+      const stats = store.getStatistics();
+      const promptVersions = {};
+      for (const [version, counts] of Object.entries(store.getPromptStatistics())) {
+        promptVersions[version] = {
+          matches: counts.matches,
+          bugs: counts.bugs,
+          corrected_bugs: counts.correctedBugs,
+          correction_rate: counts.bugs > 0 ? (counts.correctedBugs / counts.bugs * 100).toFixed(2) + '%' : '0%'
+        };
+      }
 
       return {
-        total_matches: matches.length,
-        total_corrections: corrections.length,
-        correction_rate: matches.length > 0 ? (corrections.length / matches.length * 100).toFixed(2) + '%' : '0%',
-        last_match: matches.length > 0 ? matches[matches.length - 1].stored_at : null,
-        last_correction: corrections.length > 0 ? corrections[corrections.length - 1].corrected_at : null
+        total_matches: stats.matches,
+        total_corrections: stats.corrections,
+        correction_rate: stats.matches > 0 ? (stats.corrections / stats.matches * 100).toFixed(2) + '%' : '0%',
+        last_match: stats.lastMatch,
+        last_correction: stats.lastCorrection,
+        total_bugs: stats.bugs,
+        total_runs: stats.runs,
+        outcomes: stats.outcomes,
+        prompt_versions: promptVersions
       };
     } catch (error) {
       logger.error(`Failed to get statistics: ${error.message}`);
@@ -0,0 +1,74 @@
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+
+/**
+ * Anthropic Provider - Messages API
+ * There is no JSON mode, so JSON requests prefill the assistant turn with "{"
+ * and the prefill is put back in front of the returned text.
+ */
+class AnthropicProvider extends LLMProvider {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig) {
+    super(profileConfig, { name: 'anthropic', displayName: 'Anthropic' });
+    this.baseUrl = profileConfig.llm.anthropic.baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Model name
+   * @returns {string} Model
+   */
+  get model() {
+    return this.config.llm.anthropic.model;
+  }
+
+  /**
+   * Send a prompt and return the model's raw text
+   * @param {Object} request - { system, prompt, temperature, json }
+   * @returns {Promise<string>} Response text
+   */
+  async complete({ system, prompt, temperature = 0.3, json = false }) {
+    const anthropic = this.config.llm.anthropic;
+    if (!anthropic.apiKey) {
+      throw new Error('Anthropic provider requires ANTHROPIC_API_KEY');
+    }
+
+    const prefill = json ? '{' : '';
+    const messages = [{ role: 'user', content: prompt }];
+    if (prefill) {
+      messages.push({ role: 'assistant', content: prefill });
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/v1/messages`,
+      {
+        model: this.model,
+        max_tokens: anthropic.maxTokens,
+        temperature,
+        ...(system ? { system } : {}),
+        messages
+      },
+      {
+        headers: {
+          'x-api-key': anthropic.apiKey,
+          'anthropic-version': anthropic.apiVersion,
+          'content-type': 'application/json'
+        }
+      }
+    );
+
+    if (response.data.stop_reason === 'max_tokens') {
+      throw new Error(`${this.displayName} response was truncated (max tokens reached)`);
+    }
+
+    const text = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    // Some models repeat the prefilled brace - don't double it
+    return prefill && !text.trimStart().startsWith(prefill) ? prefill + text : text;
+  }
+}
+
+module.exports = AnthropicProvider;
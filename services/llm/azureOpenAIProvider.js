@@ -0,0 +1,41 @@
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Azure OpenAI Provider - Same API as OpenAI, addressed by resource endpoint and deployment
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig) {
+    super(profileConfig, { name: 'azure', displayName: 'Azure OpenAI' });
+  }
+
+  /**
+   * Azure routes requests by deployment name rather than model
+   * @returns {string} Deployment name
+   */
+  get model() {
+    return this.config.llm.azure.deployment || this.config.openai.model;
+  }
+
+  /**
+   * Create the SDK client
+   * @returns {AzureOpenAI} Client
+   */
+  createClient() {
+    const azure = this.config.llm.azure;
+    if (!azure.endpoint) {
+      throw new Error('Azure OpenAI provider requires AZURE_OPENAI_ENDPOINT');
+    }
+    return new AzureOpenAI({
+      endpoint: azure.endpoint,
+      apiKey: azure.apiKey,
+      apiVersion: azure.apiVersion,
+      deployment: this.model
+    });
+  }
+}
+
+module.exports = AzureOpenAIProvider;
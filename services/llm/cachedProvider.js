@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const LLMProvider = require('./llmProvider');
+
+/**
+ * Cached Provider - Wraps another provider and stores its responses on disk
+ *
+ * Responses are keyed by provider, model and the exact request, so replaying
+ * the same prompts (e.g. re-running an evaluation after changing only the
+ * report) costs nothing, while any prompt or model change misses the cache.
+ */
+class CachedProvider extends LLMProvider {
+  /**
+   * @param {LLMProvider} provider - Provider to cache
+   * @param {string} cacheDir - Directory for cached responses
+   */
+  constructor(provider, cacheDir) {
+    super(provider.config, { name: provider.name, displayName: `${provider.displayName} (cached)` });
+    this.provider = provider;
+    this.cacheDir = cacheDir;
+    this.timeoutMs = provider.timeoutMs;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Model name of the wrapped provider
+   * @returns {string} Model
+   */
+  get model() {
+    return this.provider.model;
+  }
+
+  /**
+   * Cache key of a request
+   * @param {Object} request - { system, prompt, temperature, json }
+   * @returns {string} Key
+   */
+  getKey({ system, prompt, temperature, json }) {
+    return crypto.createHash('sha1')
+      .update(JSON.stringify([this.provider.name, this.provider.model, system, prompt, temperature ?? null, !!json]))
+      .digest('hex');
+  }
+
+  /**
+   * Return the cached response, or ask the wrapped provider and cache its answer
+   * @param {Object} request - { system, prompt, temperature, json }
+   * @returns {Promise<string>} Response text
+   */
+  async complete(request) {
+    const file = path.join(this.cacheDir, `${this.getKey(request)}.json`);
+
+    try {
+      const cached = JSON.parse(await fs.readFile(file, 'utf8'));
+      this.hits++;
+      return cached.text;
+    } catch (error) {
+      // Not cached yet
+    }
+
+    this.misses++;
+    const text = await this.provider.complete(request);
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      provider: this.provider.name,
+      model: this.provider.model,
+      cachedAt: new Date().toISOString(),
+      text
+    }, null, 2));
+    return text;
+  }
+}
+
+module.exports = CachedProvider;
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const LLMProvider = require('./llmProvider');
+
+/**
+ * Fake Provider - Deterministic responses from a fixture file, for offline matching
+ *
+ * Fixture format (JSON):
+ *   {
+ *     "responses": [
+ *       { "when": { "contains": ["focus is lost", "modal"] }, "response": { "test_id": "9001", ... } },
+ *       { "when": { "contains": "page title is generic" }, "raw": "```json\n{ ... }\n```" },
+ *       { "response": { ... } }
+ *     ]
+ *   }
+ *
+ * The first entry whose "contains" strings all appear in the prompt (case-insensitive)
+ * is used; an entry without "when" matches anything. The prompt also carries the
+ * matching instructions, so key entries on phrases from the bug, not generic words.
+ * "response" is returned as JSON text, "raw" verbatim (to reproduce a provider's
+ * formatting quirks). A prompt no entry matches is an error, so a missing fixture
+ * never passes silently.
+ */
+class FakeProvider extends LLMProvider {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} fixture - Fixture object (defaults to LLM_FAKE_FIXTURES)
+   */
+  constructor(profileConfig, fixture = null) {
+    super(profileConfig, { name: 'fake', displayName: 'Fake LLM' });
+    this.fixture = fixture || this.loadFixture(profileConfig.llm.fake.fixturesFile);
+    this.calls = []; // { system, prompt, entry } per request
+  }
+
+  /**
+   * Model name reported in logs
+   * @returns {string} Model
+   */
+  get model() {
+    return 'fake';
+  }
+
+  /**
+   * Load a fixture file
+   * @param {string} filePath - Path to the fixture (relative to the project root)
+   * @returns {Object} Fixture
+   */
+  loadFixture(filePath) {
+    if (!filePath) {
+      throw new Error('Fake LLM provider requires LLM_FAKE_FIXTURES');
+    }
+    const resolved = path.resolve(__dirname, '..', '..', filePath);
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  }
+
+  /**
+   * Return the fixture response for a prompt
+   * @param {Object} request - { system, prompt }
+   * @returns {Promise<string>} Response text
+   */
+  async complete({ system, prompt }) {
+    const text = `${system || ''}\n${prompt}`.toLowerCase();
+    const index = (this.fixture.responses || []).findIndex(entry => {
+      const contains = [].concat(entry.when?.contains || []);
+      return contains.every(fragment => text.includes(String(fragment).toLowerCase()));
+    });
+
+    this.calls.push({ system, prompt, entry: index });
+
+    if (index === -1) {
+      const title = (prompt.match(/Title: (.*)/) || [])[1] || prompt.substring(0, 80);
+      throw new Error(`Fake LLM has no fixture response for "${title}"`);
+    }
+
+    const entry = this.fixture.responses[index];
+    return entry.raw !== undefined ? entry.raw : JSON.stringify(entry.response);
+  }
+}
+
+module.exports = FakeProvider;
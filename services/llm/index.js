@@ -0,0 +1,75 @@
+const LLMProvider = require('./llmProvider');
+const OpenAIProvider = require('./openaiProvider');
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const LocalProvider = require('./localProvider');
+const FakeProvider = require('./fakeProvider');
+
+/**
+ * LLM Provider Registry - Model providers by name (LLM_PROVIDER)
+ * Register a factory to add a provider: registry.register('name', profileConfig => provider)
+ */
+class ProviderRegistry {
+  constructor() {
+    this.factories = new Map(); // Name -> factory(profileConfig)
+  }
+
+  /**
+   * Register a provider
+   * @param {string} name - Provider name used in configuration (lowercase)
+   * @param {Function} factory - profileConfig => provider instance
+   */
+  register(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`LLM provider "${name}" must be registered with a factory function`);
+    }
+    this.factories.set(name.toLowerCase(), factory);
+  }
+
+  /**
+   * Create a provider for a profile
+   * @param {string} name - Provider name
+   * @param {Object} profileConfig - Profile configuration
+   * @returns {LLMProvider} Provider
+   */
+  create(name, profileConfig) {
+    const factory = this.factories.get(String(name).toLowerCase());
+    if (!factory) {
+      throw new Error(`Unsupported LLM provider: ${name}. Use one of: ${this.getNames().join(', ')}.`);
+    }
+
+    const provider = factory(profileConfig);
+    if (typeof provider.completeJson !== 'function' || !provider.displayName) {
+      throw new Error(`LLM provider "${name}" does not implement the provider contract (completeJson, displayName)`);
+    }
+    return provider;
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {string} name - Provider name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.factories.has(String(name).toLowerCase());
+  }
+
+  /**
+   * Get registered provider names
+   * @returns {Array<string>} Names
+   */
+  getNames() {
+    return Array.from(this.factories.keys());
+  }
+}
+
+const registry = new ProviderRegistry();
+registry.register('openai', profileConfig => new OpenAIProvider(profileConfig));
+registry.register('azure', profileConfig => new AzureOpenAIProvider(profileConfig));
+registry.register('anthropic', profileConfig => new AnthropicProvider(profileConfig));
+registry.register('local', profileConfig => new LocalProvider(profileConfig));
+registry.register('fake', profileConfig => new FakeProvider(profileConfig));
+
+registry.LLMProvider = LLMProvider;
+
+module.exports = registry;
@@ -0,0 +1,101 @@
+/**
+ * LLM Provider - Contract every model provider implements
+ * AIService only calls completeJson(), so a new provider is added by writing a
+ * subclass with complete() and registering it in ./index.js.
+ *
+ * Providers differ in how reliably they return JSON (native JSON mode, fenced
+ * code blocks, <think> preambles, truncated output). complete() returns the raw
+ * text; completeJson() strips the known wrappers and parses it.
+ */
+class LLMProvider {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} labels - Display names ({ name, displayName })
+   */
+  constructor(profileConfig, labels) {
+    this.config = profileConfig;
+    this.name = labels.name;
+    this.displayName = labels.displayName;
+    this.timeoutMs = profileConfig.llm?.timeoutMs || 120000;
+  }
+
+  /**
+   * Model name reported in logs
+   * @returns {string} Model or deployment name
+   */
+  get model() {
+    return this.config.openai.model;
+  }
+
+  /**
+   * Send a prompt and return the model's raw text
+   * @param {Object} request - { system, prompt, temperature, json }
+   * @returns {Promise<string>} Response text
+   */
+  async complete(request) {
+    throw new Error(`${this.displayName} provider does not implement complete()`);
+  }
+
+  /**
+   * Send a prompt and parse the response as JSON
+   * @param {Object} request - { system, prompt, temperature }
+   * @returns {Promise<Object|Array>} Parsed response
+   */
+  async completeJson(request) {
+    const text = await this.withTimeout(this.complete({ ...request, json: true }));
+    return this.parseJson(text);
+  }
+
+  /**
+   * Parse JSON out of a model response
+   * Handles <think>...</think> reasoning blocks, ```json fences and prose around the object
+   * @param {string} text - Response text
+   * @returns {Object|Array} Parsed JSON
+   */
+  parseJson(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error(`${this.displayName} returned an empty response`);
+    }
+
+    let body = text.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+
+    const fenced = body.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+      body = fenced[1].trim();
+    }
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      // Fall back to the outermost object/array in the text
+      const start = body.search(/[[{]/);
+      const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+      if (start !== -1 && end > start) {
+        try {
+          return JSON.parse(body.slice(start, end + 1));
+        } catch (innerError) {
+          // Reported below
+        }
+      }
+      throw new Error(`${this.displayName} returned invalid JSON: ${body.substring(0, 200)}`);
+    }
+  }
+
+  /**
+   * Reject if a request takes longer than the configured timeout
+   * @param {Promise} promise - Provider request
+   * @returns {Promise} The request's result
+   */
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${this.displayName} API timeout after ${this.timeoutMs / 1000} seconds`)),
+        this.timeoutMs
+      );
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = LLMProvider;
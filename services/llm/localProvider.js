@@ -0,0 +1,46 @@
+const OpenAI = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Local Provider - OpenAI-compatible servers such as Ollama or llama.cpp
+ * JSON mode support varies between servers and versions, so it is opt-in
+ * (LOCAL_LLM_JSON_MODE); responses are parsed leniently either way.
+ */
+class LocalProvider extends OpenAIProvider {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig) {
+    super(profileConfig, { name: 'local', displayName: 'Local LLM' });
+  }
+
+  /**
+   * Model served by the local endpoint
+   * @returns {string} Model name
+   */
+  get model() {
+    return this.config.llm.local.model || this.config.openai.model;
+  }
+
+  /**
+   * Create the SDK client
+   * @returns {OpenAI} Client
+   */
+  createClient() {
+    const local = this.config.llm.local;
+    return new OpenAI({
+      apiKey: local.apiKey || 'local', // The SDK requires a key; local servers ignore it
+      baseURL: local.baseUrl
+    });
+  }
+
+  /**
+   * Whether to send response_format: json_object for JSON requests
+   * @returns {boolean} True if enabled for this endpoint
+   */
+  supportsJsonMode() {
+    return this.config.llm.local.jsonMode;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,70 @@
+const OpenAI = require('openai');
+const LLMProvider = require('./llmProvider');
+
+/**
+ * OpenAI Provider - Chat Completions with native JSON mode
+ * Also used for any endpoint that fully mirrors the OpenAI API (OPENAI_BASE_URL, e.g. the mock server)
+ */
+class OpenAIProvider extends LLMProvider {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} labels - Display names (subclasses override)
+   */
+  constructor(profileConfig, labels = { name: 'openai', displayName: 'OpenAI' }) {
+    super(profileConfig, labels);
+    this.client = this.createClient();
+  }
+
+  /**
+   * Create the SDK client
+   * @returns {OpenAI} Client
+   */
+  createClient() {
+    return new OpenAI({
+      apiKey: this.config.openai.apiKey,
+      baseURL: this.config.openai.baseUrl
+    });
+  }
+
+  /**
+   * Whether to send response_format: json_object for JSON requests
+   * @returns {boolean} True if the endpoint supports JSON mode
+   */
+  supportsJsonMode() {
+    return true;
+  }
+
+  /**
+   * Send a prompt and return the model's raw text
+   * @param {Object} request - { system, prompt, temperature, json }
+   * @returns {Promise<string>} Response text
+   */
+  async complete({ system, prompt, temperature = 0.3, json = false }) {
+    const messages = [];
+    if (system) {
+      messages.push({ role: 'system', content: system });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature,
+      ...(json && this.supportsJsonMode() ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    const choice = response.choices?.[0];
+    if (!choice) {
+      throw new Error(`${this.displayName} returned no choices`);
+    }
+    if (choice.finish_reason === 'length') {
+      throw new Error(`${this.displayName} response was truncated (max tokens reached)`);
+    }
+    if (choice.finish_reason === 'content_filter') {
+      throw new Error(`${this.displayName} response was blocked by the content filter`);
+    }
+    return choice.message?.content || '';
+  }
+}
+
+module.exports = OpenAIProvider;
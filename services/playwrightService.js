@@ -7,10 +7,14 @@ const logger = require('../logger');
  * Used for operations not supported by the API (like editing existing results)
  */
 class PlaywrightService {
-  constructor() {
-    this.baseUrl = config.testRail.baseUrl;
-    this.username = config.testRail.username;
-    this.password = config.testRail.password;
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig = config) {
+    this.config = profileConfig;
+    this.baseUrl = this.config.testRail.baseUrl;
+    this.username = this.config.testRail.username;
+    this.password = this.config.testRail.password;
     this.browser = null;
     this.page = null;
   }
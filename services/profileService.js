@@ -0,0 +1,454 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const logger = require('../logger');
+const backends = require('./backends');
+const llmProviders = require('./llm');
+
+const DEFAULT_PROFILE = 'default';
+const SUPPORTED_MODES = ['single', 'dual', 'shadow'];
+const RECONCILE_MODES = ['report', 'fix'];
+const XRAY_DEPLOYMENTS = ['server', 'cloud'];
+
+/**
+ * Profile Service - Named configuration profiles for multiple JIRA projects/tenants
+ * Each profile has its own credentials, field IDs, status names, test management
+ * system, AI thresholds and learning-data directory, and gets its own set of
+ * service instances. The "default" profile is the .env configuration and uses
+ * the module singletons, so a setup without a profiles file behaves as before.
+ */
+class ProfileService {
+  constructor() {
+    this.profiles = new Map(); // Profile name -> { name, projects, config }
+    this.services = new Map(); // Profile name -> service instances
+    this.defaultProfile = DEFAULT_PROFILE;
+    this.source = null;
+  }
+
+  /**
+   * Load profiles and build their services
+   * Throws if the profiles file is invalid so the service refuses to start
+   * @param {string} profilesFile - Path to profiles file (optional, defaults to config)
+   */
+  load(profilesFile = config.profiles.file) {
+    this.profiles.clear();
+    this.services.clear();
+    this.profiles.set(DEFAULT_PROFILE, { name: DEFAULT_PROFILE, projects: [], config });
+
+    if (profilesFile) {
+      this.source = path.resolve(profilesFile);
+      logger.info(`Loading profiles from ${this.source}`);
+      const definition = this.interpolateEnv(this.parseFile(this.source));
+
+      const errors = this.validate(definition);
+      if (errors.length > 0) {
+        throw new Error(`Invalid profiles (${this.source}):\n  - ${errors.join('\n  - ')}`);
+      }
+
+      for (const [name, overrides] of Object.entries(definition.profiles)) {
+        this.profiles.set(name, {
+          name,
+          projects: (overrides.projects || []).map(p => p.toUpperCase()),
+          config: this.buildProfileConfig(name, overrides)
+        });
+      }
+
+      this.defaultProfile = definition.defaultProfile || DEFAULT_PROFILE;
+    } else {
+      this.source = null;
+      this.defaultProfile = DEFAULT_PROFILE;
+    }
+
+    // Build services now so every profile's workflow rules are validated at startup
+    for (const name of this.profiles.keys()) {
+      this.getServices(name);
+    }
+
+    logger.info(`Loaded ${this.profiles.size} profile(s): ${this.getProfileNames().join(', ')} (default: ${this.defaultProfile})`);
+  }
+
+  /**
+   * Initialize cache, learning, prompt and approval storage for every profile
+   */
+  async initialize() {
+    for (const name of this.profiles.keys()) {
+      const services = this.getServices(name);
+      await services.learningService.initialize();
+      await services.cacheService.initialize();
+      services.promptService.load();
+      await services.approvalService.initialize();
+    }
+  }
+
+  /**
+   * Parse a JSON or YAML profiles file
+   * @param {string} filePath - Absolute path
+   * @returns {Object} Parsed definition
+   */
+  parseFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+
+    try {
+      return ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse profiles file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace ${VAR} references with environment variables so secrets stay in .env
+   * @param {any} value - Parsed value
+   * @returns {any} Value with references replaced
+   */
+  interpolateEnv(value) {
+    if (typeof value === 'string') {
+      return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+    }
+    if (Array.isArray(value)) {
+      return value.map(v => this.interpolateEnv(v));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.interpolateEnv(v)]));
+    }
+    return value;
+  }
+
+  /**
+   * Validate a profiles definition
+   * @param {Object} definition - Parsed profiles file
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validate(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition.profiles !== 'object' || Array.isArray(definition.profiles)) {
+      return ['Profiles file must contain a "profiles" object keyed by profile name'];
+    }
+
+    const projectOwners = new Map();
+
+    for (const [name, profile] of Object.entries(definition.profiles)) {
+      if (!/^[a-z0-9_-]+$/i.test(name)) {
+        errors.push(`${name}: profile names may only contain letters, numbers, "-" and "_"`);
+      }
+      if (name === DEFAULT_PROFILE) {
+        errors.push(`${name}: "${DEFAULT_PROFILE}" is reserved for the .env configuration`);
+      }
+      if (!profile || typeof profile !== 'object') {
+        errors.push(`${name}: must be an object`);
+        continue;
+      }
+
+      const projects = profile.projects || [];
+      if (!Array.isArray(projects)) {
+        errors.push(`${name}: projects must be an array of JIRA project keys`);
+      } else {
+        for (const project of projects) {
+          const key = String(project).toUpperCase();
+          if (projectOwners.has(key)) {
+            errors.push(`${name}: project ${key} is already assigned to profile "${projectOwners.get(key)}"`);
+          }
+          projectOwners.set(key, name);
+        }
+      }
+
+      for (const field of ['system', 'secondary']) {
+        const system = profile.testManagement?.[field];
+        if (system && !backends.has(system)) {
+          errors.push(`${name}: testManagement.${field} must be one of ${backends.getNames().join(', ')}`);
+        }
+      }
+
+      const provider = profile.llm?.provider;
+      if (provider && !llmProviders.has(provider)) {
+        errors.push(`${name}: llm.provider must be one of ${llmProviders.getNames().join(', ')}`);
+      }
+
+      const share = profile.prompts?.candidateShare;
+      if (share !== undefined && !(typeof share === 'number' && share >= 0 && share <= 1)) {
+        errors.push(`${name}: prompts.candidateShare must be a number between 0 and 1`);
+      }
+
+      const mode = profile.testManagement?.mode;
+      if (mode && !SUPPORTED_MODES.includes(mode.toLowerCase())) {
+        errors.push(`${name}: testManagement.mode must be one of ${SUPPORTED_MODES.join(', ')}`);
+      }
+
+      const reconcileMode = profile.reconciliation?.mode;
+      if (reconcileMode && !RECONCILE_MODES.includes(reconcileMode)) {
+        errors.push(`${name}: reconciliation.mode must be one of ${RECONCILE_MODES.join(', ')}`);
+      }
+
+      const xrayDeployment = profile.xray?.deployment;
+      if (xrayDeployment && !XRAY_DEPLOYMENTS.includes(xrayDeployment)) {
+        errors.push(`${name}: xray.deployment must be one of ${XRAY_DEPLOYMENTS.join(', ')}`);
+      }
+    }
+
+    if (definition.defaultProfile &&
+        definition.defaultProfile !== DEFAULT_PROFILE &&
+        !definition.profiles[definition.defaultProfile]) {
+      errors.push(`defaultProfile "${definition.defaultProfile}" is not defined`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build a profile's configuration on top of the base (.env) configuration
+   * @param {string} name - Profile name
+   * @param {Object} overrides - Profile settings from the profiles file
+   * @returns {Object} Full configuration for the profile
+   */
+  buildProfileConfig(name, overrides) {
+    const { projects, ...settings } = overrides;
+
+    // Profiles get their own learning data, cache, approval queue and backfill checkpoints unless configured otherwise
+    const defaults = {
+      learning: { dataDir: path.join(config.learning.dataDir, name) },
+      cache: { dir: path.join(config.cache.dir, name) },
+      approval: { dir: path.join(config.approval.dir, name) },
+      backfill: { dir: path.join(config.backfill.dir, name) },
+      workflow: { rulesFile: null }
+    };
+
+    const merged = this.deepMerge(this.deepMerge(config, defaults), settings);
+    merged.profile = name;
+    return merged;
+  }
+
+  /**
+   * Deep-merge plain objects (arrays and scalars are replaced)
+   * @param {Object} base - Base object
+   * @param {Object} overrides - Overrides
+   * @returns {Object} New merged object
+   */
+  deepMerge(base, overrides) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      result[key] = isObject && base[key] && typeof base[key] === 'object'
+        ? this.deepMerge(base[key], value)
+        : value;
+    }
+    return result;
+  }
+
+  /**
+   * Get the service instances for a profile (built on first use)
+   * @param {string} name - Profile name (defaults to the default profile)
+   * @returns {Object} Services for the profile
+   */
+  getServices(name = this.defaultProfile) {
+    if (this.services.has(name)) {
+      return this.services.get(name);
+    }
+
+    const profile = this.getProfile(name);
+    const services = name === DEFAULT_PROFILE
+      ? this.getDefaultServices()
+      : this.createServices(profile.config);
+
+    services.profile = name;
+    services.config = profile.config;
+    this.services.set(name, services);
+    return services;
+  }
+
+  /**
+   * The .env profile uses the existing module singletons
+   * @returns {Object} Services
+   */
+  getDefaultServices() {
+    const workflowRules = require('./workflowRulesService');
+    workflowRules.load();
+
+    return {
+      jiraService: require('./jiraService'),
+      testRailService: require('./testRailService'),
+      xrayService: require('./xrayService'),
+      zephyrScaleService: require('./zephyrScaleService'),
+      cacheService: require('./cacheService'),
+      learningService: require('./learningService'),
+      auditService: require('./auditService'),
+      aiService: require('./aiService'),
+      retrievalService: require('./retrievalService'),
+      promptService: require('./promptService'),
+      approvalService: require('./approvalService'),
+      playwrightService: require('./playwrightService'),
+      testMgmt: require('./testManagementAdapter'),
+      testMapping: require('./testMappingService'),
+      rollbackService: require('./rollbackService'),
+      workflowService: require('./workflowService'),
+      dashboardService: require('./dashboardService'),
+      backfillService: require('./backfillService'),
+      reconciliationService: require('./reconciliationService'),
+      workflowRules
+    };
+  }
+
+  /**
+   * Create a dedicated set of service instances for a profile
+   * Instances are created through the singletons' constructors
+   * @param {Object} profileConfig - Profile configuration
+   * @returns {Object} Services
+   */
+  createServices(profileConfig) {
+    const cacheService = new (require('./cacheService').constructor)(profileConfig.cache.dir);
+    const learningService = new (require('./learningService').constructor)(profileConfig);
+    const auditService = new (require('./auditService').constructor)(profileConfig, learningService);
+    const jiraService = new (require('./jiraService').constructor)(profileConfig, learningService, auditService);
+    const testRailService = new (require('./testRailService').constructor)(profileConfig, cacheService, auditService);
+    const xrayService = new (require('./xrayService').constructor)(profileConfig, cacheService, auditService);
+    const zephyrScaleService = new (require('./zephyrScaleService').constructor)(profileConfig, cacheService, jiraService, auditService);
+    const retrievalService = new (require('./retrievalService').constructor)(profileConfig, cacheService);
+    const promptService = new (require('./promptService').constructor)(profileConfig);
+    const aiService = new (require('./aiService').constructor)(profileConfig, learningService, null, retrievalService, promptService);
+    const approvalService = new (require('./approvalService').constructor)(profileConfig);
+    const playwrightService = new (require('./playwrightService').constructor)(profileConfig);
+    const testMapping = new (require('./testMappingService').constructor)(profileConfig);
+    const testMgmt = new (require('./testManagementAdapter').constructor)(profileConfig, {
+      jiraService,
+      testRailService,
+      xrayService,
+      zephyrScaleService,
+      testMapping,
+      retrievalService
+    });
+    const rollbackService = new (require('./rollbackService').constructor)(profileConfig, {
+      testMgmt,
+      learningService,
+      auditService
+    });
+    const workflowService = new (require('./workflowService').constructor)(profileConfig, {
+      jiraService,
+      testMgmt,
+      testRailService,
+      aiService,
+      learningService,
+      playwrightService,
+      retrievalService,
+      approvalService,
+      rollbackService
+    });
+    const dashboardService = new (require('./dashboardService').constructor)(profileConfig, {
+      learningService,
+      cacheService,
+      approvalService
+    });
+    const workflowRules = new (require('./workflowRulesService').constructor)(profileConfig);
+    workflowRules.load();
+    const backfillService = new (require('./backfillService').constructor)(profileConfig, {
+      jiraService,
+      workflowService,
+      workflowRules,
+      learningService,
+      auditService
+    });
+
+    const reconciliationService = new (require('./reconciliationService').constructor)(profileConfig, {
+      jiraService,
+      testMgmt,
+      workflowService,
+      learningService,
+      auditService
+    });
+
+    return {
+      jiraService,
+      testRailService,
+      xrayService,
+      zephyrScaleService,
+      cacheService,
+      learningService,
+      auditService,
+      aiService,
+      retrievalService,
+      promptService,
+      approvalService,
+      playwrightService,
+      testMapping,
+      testMgmt,
+      rollbackService,
+      workflowService,
+      dashboardService,
+      backfillService,
+      reconciliationService,
+      workflowRules
+    };
+  }
+
+  /**
+   * Get a profile by name
+   * @param {string} name - Profile name
+   * @returns {Object} Profile
+   */
+  getProfile(name) {
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      throw new Error(`Unknown profile "${name}". Available: ${this.getProfileNames().join(', ')}`);
+    }
+    return profile;
+  }
+
+  /**
+   * Check whether a profile exists
+   * @param {string} name - Profile name
+   * @returns {boolean} True if defined
+   */
+  hasProfile(name) {
+    return this.profiles.has(name);
+  }
+
+  /**
+   * Choose the profile for a request
+   * Priority: 1) Explicit name (e.g., webhook path), 2) JIRA project key, 3) Default profile
+   * @param {Object} options - { profile, projectKey, issueKey }
+   * @returns {string} Profile name
+   */
+  resolveProfileName({ profile, projectKey, issueKey } = {}) {
+    if (profile) {
+      return this.getProfile(profile).name;
+    }
+
+    const project = (projectKey || (issueKey ? issueKey.split('-')[0] : '')).toUpperCase();
+    if (project) {
+      for (const candidate of this.profiles.values()) {
+        if (candidate.projects.includes(project)) {
+          return candidate.name;
+        }
+      }
+    }
+
+    return this.defaultProfile;
+  }
+
+  /**
+   * Get all profile names
+   * @returns {Array<string>} Profile names
+   */
+  getProfileNames() {
+    return Array.from(this.profiles.keys());
+  }
+
+  /**
+   * Summarize profiles for display (no credentials)
+   * @returns {Array} Profile summaries
+   */
+  getSummary() {
+    return Array.from(this.profiles.values()).map(profile => ({
+      name: profile.name,
+      default: profile.name === this.defaultProfile,
+      projects: profile.projects,
+      jiraBaseUrl: profile.config.jira.baseUrl,
+      testManagementSystem: this.getServices(profile.name).testMgmt.getSystemName(),
+      testManagementMode: this.getServices(profile.name).testMgmt.getMode(),
+      llmProvider: this.getServices(profile.name).aiService.llm.displayName,
+      learningDataDir: profile.config.learning.dataDir
+    }));
+  }
+}
+
+module.exports = new ProfileService();
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const logger = require('../logger');
+
+const TEMPLATE_EXTENSIONS = ['.yml', '.yaml', '.json'];
+const TAG = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Look a dotted name up in the innermost scope that defines it
+ * @param {string} name - Name (e.g. "bug.summary")
+ * @param {Array<Object>} scopes - Scopes, outermost first
+ * @returns {*} Value or undefined
+ */
+function lookup(name, scopes) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (!scopes[i] || typeof scopes[i] !== 'object') continue;
+    const value = name.split('.').reduce((obj, part) => (obj === null || obj === undefined ? undefined : obj[part]), scopes[i]);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+/**
+ * Render a template: {{name}} inserts a value, {{#name}}...{{/name}} renders its
+ * content if the value is set (once per item for lists), {{^name}}...{{/name}} if not.
+ * Values are inserted as-is and are not scanned for placeholders again.
+ * @param {string} template - Template text
+ * @param {Array<Object>} scopes - Variable scopes, outermost first
+ * @returns {string} Text
+ */
+function renderTemplate(template, scopes) {
+  return template.replace(TAG, (tag, type, name, content, variable) => {
+    if (variable) {
+      const value = lookup(variable, scopes);
+      return value === undefined || value === null ? '' : String(value);
+    }
+
+    const value = lookup(name, scopes);
+    const isSet = Array.isArray(value) ? value.length > 0 : !!value;
+    if (type === '^') {
+      return isSet ? '' : renderTemplate(content, scopes);
+    }
+    if (!isSet) {
+      return '';
+    }
+    return Array.isArray(value)
+      ? value.map(item => renderTemplate(content, [...scopes, item])).join('')
+      : renderTemplate(content, [...scopes, value]);
+  });
+}
+
+/**
+ * Prompt Service - Versioned matching prompt templates with A/B routing
+ *
+ * Templates live in PROMPTS_DIR, one file per version. PROMPT_VERSION is used for
+ * every bug unless PROMPT_CANDIDATE is set, in which case PROMPT_CANDIDATE_SHARE
+ * of bugs get the candidate instead. Routing hashes the bug key, so a bug keeps
+ * its version when it is matched again.
+ */
+class PromptService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig = config) {
+    this.config = profileConfig;
+    this.templates = null;
+  }
+
+  /**
+   * Load (or reload) the templates in the prompts directory
+   * @returns {Map<string, Object>} Version -> template
+   */
+  load() {
+    const dir = this.config.prompts.dir;
+    const templates = new Map();
+
+    const files = fs.readdirSync(dir)
+      .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      const content = fs.readFileSync(filePath, 'utf8');
+      const template = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+      const version = String(template?.version || path.basename(file, path.extname(file)));
+
+      const errors = this.validate(template);
+      if (errors.length > 0) {
+        throw new Error(`Invalid prompt template ${filePath}: ${errors.join('; ')}`);
+      }
+      if (templates.has(version)) {
+        throw new Error(`Prompt version "${version}" is defined in both ${templates.get(version).file} and ${filePath}`);
+      }
+      templates.set(version, { ...template, version, file: filePath });
+    }
+
+    if (!templates.has(this.config.prompts.version)) {
+      throw new Error(`Prompt template "${this.config.prompts.version}" (PROMPT_VERSION) not found in ${dir}`);
+    }
+
+    this.templates = templates;
+    logger.info(`Loaded ${templates.size} prompt template(s) from ${dir}: ${Array.from(templates.keys()).join(', ')}`);
+    return templates;
+  }
+
+  /**
+   * Validate a parsed template
+   * @param {Object} template - Parsed template file
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validate(template) {
+    if (!template || typeof template !== 'object') {
+      return ['must be an object with system and prompt'];
+    }
+
+    const errors = [];
+    if (typeof template.prompt !== 'string' || !template.prompt.trim()) {
+      errors.push('prompt must be a non-empty string');
+    }
+    for (const mode of ['single', 'multi']) {
+      if (typeof template.system?.[mode] !== 'string') {
+        errors.push(`system.${mode} must be a string`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Get a template by version
+   * @param {string} version - Template version
+   * @returns {Object} Template
+   */
+  getTemplate(version) {
+    const templates = this.templates || this.load();
+    const template = templates.get(String(version));
+    if (!template) {
+      throw new Error(`Prompt template "${version}" not found in ${this.config.prompts.dir} (available: ${Array.from(templates.keys()).join(', ') || 'none'})`);
+    }
+    return template;
+  }
+
+  /**
+   * Choose the prompt version for a bug
+   * @param {Object} bugData - Bug information (key)
+   * @returns {string} Version
+   */
+  chooseVersion(bugData = {}) {
+    const { version, candidate, candidateShare } = this.config.prompts;
+    if (!candidate || candidate === version || !(candidateShare > 0)) {
+      return version;
+    }
+
+    if (!(this.templates || this.load()).has(candidate)) {
+      logger.warn(`Prompt candidate "${candidate}" not found - using ${version}`);
+      return version;
+    }
+
+    // Same bug, same bucket: a hash of the key instead of a coin flip
+    const bucket = bugData.key
+      ? parseInt(crypto.createHash('sha1').update(String(bugData.key)).digest('hex').slice(0, 8), 16) / 0xffffffff
+      : Math.random();
+    return bucket < candidateShare ? candidate : version;
+  }
+
+  /**
+   * Render the matching prompt for a bug
+   * @param {Object} bugData - Bug information (summary, description, wcagCategory, learnedContext)
+   * @param {Array} testCases - Formatted test cases ({ index, test_id, case_id, title, steps, preconditions, expected })
+   * @param {Object} options - { multiMatch, version: use this version instead of A/B routing }
+   * @returns {{ version: string, system: string, prompt: string }} Rendered prompt
+   */
+  render(bugData, testCases, { multiMatch = false, version = null } = {}) {
+    const template = this.getTemplate(version || this.chooseVersion(bugData));
+    const variables = {
+      bug: { key: bugData.key, summary: bugData.summary, description: bugData.description },
+      wcagCategory: bugData.wcagCategory || null,
+      learnedContext: bugData.learnedContext || [],
+      testCases,
+      multiMatch
+    };
+
+    return {
+      version: template.version,
+      system: renderTemplate(template.system[multiMatch ? 'multi' : 'single'], [variables]),
+      prompt: renderTemplate(template.prompt, [variables])
+    };
+  }
+
+  /**
+   * Describe the templates and A/B configuration
+   * @returns {Object} { active, candidate, candidateShare, versions: [{ version, description, file }] }
+   */
+  getStatus() {
+    const { version, candidate, candidateShare } = this.config.prompts;
+    const templates = this.templates || this.load();
+    return {
+      active: version,
+      candidate: candidate || null,
+      candidateShare: candidate ? candidateShare : 0,
+      versions: Array.from(templates.values()).map(t => ({ version: t.version, description: t.description || '', file: t.file }))
+    };
+  }
+}
+
+module.exports = new PromptService();
@@ -0,0 +1,235 @@
+const config = require('../config');
+const logger = require('../logger');
+
+// Most recently active runs considered when looking for runs to reconcile
+const MAX_ACTIVE_RUNS = 100;
+
+/**
+ * Reconciliation Service - Find test results that disagree with their bugs' JIRA status
+ * A missed webhook can leave a test Failed after its bugs were resolved, or Passed
+ * while one of its bugs is open again. For each active run this reads every test's
+ * status and the bugs recorded against it, checks the bugs with getActiveBugs, and
+ * lists the drift. In fix mode the test results are corrected; the drift report can
+ * also be posted as a comment on a JIRA issue.
+ */
+class ReconciliationService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} services - Service instances for the profile ({ jiraService, testMgmt, workflowService, learningService, auditService })
+   */
+  constructor(profileConfig = config, services = {}) {
+    this.config = profileConfig;
+    this.settings = profileConfig.reconciliation;
+    this.jiraService = services.jiraService || require('./jiraService');
+    this.testMgmt = services.testMgmt || require('./testManagementAdapter');
+    this.workflowService = services.workflowService || require('./workflowService');
+    this.learningService = services.learningService || require('./learningService');
+    this.auditService = services.auditService || require('./auditService');
+    this.lastReport = null;
+  }
+
+  /**
+   * Check whether reconciliation runs on a schedule
+   * @returns {boolean} True if RECONCILE_INTERVAL_MINUTES is set
+   */
+  isScheduled() {
+    return this.settings.intervalMinutes > 0;
+  }
+
+  /**
+   * Reconcile the active runs (or one run) and report the drift
+   * @param {Object} options - { runKey, fix, dryRun }
+   *   runKey: reconcile only this run; fix: correct the test results (default: RECONCILE_MODE is "fix");
+   *   dryRun: list the drift without fixing it or posting the report
+   * @returns {Promise<Object>} Report { profile, fix, dryRun, runs, mismatches, summary, reportIssue, ... }
+   */
+  async run({ runKey = null, fix = this.settings.mode === 'fix', dryRun = false } = {}) {
+    const report = {
+      profile: this.config.profile || 'default',
+      fix: fix && !dryRun,
+      dryRun,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      runs: [],
+      mismatches: [],
+      reportIssue: null
+    };
+
+    const runKeys = runKey ? [String(runKey)] : await this.getActiveRuns();
+    logger.info(`Reconciling ${runKeys.length} ${this.testMgmt.getIdentifierLabel()}(s): ${runKeys.join(', ') || 'none active'}`);
+
+    for (const key of runKeys) {
+      const run = { runKey: key, tests: 0, checked: 0, unknown: 0, error: null };
+      report.runs.push(run);
+
+      try {
+        for (const mismatch of await this.checkRun(key, run)) {
+          if (report.fix) {
+            await this.fixMismatch(mismatch);
+          }
+          report.mismatches.push(mismatch);
+        }
+      } catch (error) {
+        logger.error(`Failed to reconcile ${this.testMgmt.getIdentifierLabel()} ${key}: ${error.message}`);
+        run.error = error.message;
+      }
+    }
+
+    report.summary = this.summarize(report);
+    report.finishedAt = new Date().toISOString();
+
+    if (!dryRun && this.settings.reportIssue && report.mismatches.length > 0) {
+      await this.postReport(report);
+    }
+
+    const { mismatches, fixed, failed } = report.summary;
+    logger.info(`Reconciliation finished: ${mismatches} mismatch(es) in ${runKeys.length} run(s)${report.fix ? `, ${fixed} fixed, ${failed} failed` : ''}`);
+    this.lastReport = report;
+    return report;
+  }
+
+  /**
+   * Runs to reconcile: RECONCILE_RUNS plus runs with workflow activity in the last RECONCILE_ACTIVE_DAYS
+   * @returns {Promise<Array<string>>} Run identifiers
+   */
+  async getActiveRuns() {
+    const since = new Date(Date.now() - this.settings.activeDays * 24 * 60 * 60 * 1000).toISOString();
+    const store = await this.learningService.getStore();
+    const recent = store.getRunSummary(MAX_ACTIVE_RUNS)
+      .filter(run => run.lastActivity >= since)
+      .map(run => String(run.runId));
+
+    return [...new Set([...this.settings.runs.map(String), ...recent])];
+  }
+
+  /**
+   * Compare each test in a run with the JIRA status of its bugs
+   * Only Passed and Failed tests with bugs are judged; a Failed test whose bugs
+   * could not all be read is counted as unknown rather than reported.
+   * @param {string} runKey - Run identifier
+   * @param {Object} run - Run entry of the report (counts are filled in)
+   * @returns {Promise<Array>} Mismatches { runKey, testId, title, status, expected, type, bugs, activeBugs, fix, error }
+   */
+  async checkRun(runKey, run) {
+    const states = await this.testMgmt.getTestStates(runKey);
+    const judged = states.filter(state => ['Passed', 'Failed'].includes(state.status) && state.defects.length > 0);
+    run.tests = states.length;
+    run.checked = judged.length;
+
+    const unknown = [];
+    const active = new Set(await this.workflowService.getActiveBugs([...new Set(judged.flatMap(state => state.defects))], unknown));
+
+    const mismatches = [];
+    for (const state of judged) {
+      const activeBugs = state.defects.filter(bug => active.has(bug));
+      const mismatch = { runKey, testId: state.testId, title: state.title, status: state.status, bugs: state.defects, activeBugs, fix: null, error: null };
+
+      if (state.status === 'Passed' && activeBugs.length > 0) {
+        mismatches.push({ ...mismatch, expected: 'Failed', type: 'open-bug-on-passed' });
+      } else if (state.status === 'Failed' && activeBugs.length === 0) {
+        if (state.defects.some(bug => unknown.includes(bug))) {
+          run.unknown++;
+          continue;
+        }
+        mismatches.push({ ...mismatch, expected: 'Passed', type: 'stale-failure' });
+      }
+    }
+    return mismatches;
+  }
+
+  /**
+   * Correct a test result and record the outcome for its bugs
+   * Writes are audited under the first bug involved, so an UNDO on that bug reverts them.
+   * @param {Object} mismatch - Mismatch from checkRun() (fix and error are filled in)
+   */
+  async fixMismatch(mismatch) {
+    const { runKey, testId, type, bugs, activeBugs } = mismatch;
+    const affected = type === 'stale-failure' ? bugs : activeBugs;
+
+    try {
+      const result = await this.auditService.runInContext({ issueKey: affected[0] }, () => (type === 'stale-failure'
+        ? this.testMgmt.markAsPassed(testId, runKey, `Reconciliation: linked bug(s) ${bugs.join(', ')} no longer open - marking as passed`)
+        : this.testMgmt.markAsFailed(testId, runKey, `Reconciliation: ${activeBugs.join(', ')} still open - marking as failed`, activeBugs)));
+
+      for (const bugKey of affected) {
+        await this.learningService.recordOutcome({ bugKey, runId: runKey, testId, outcome: type === 'stale-failure' ? 'passed' : 'failed', workflow: 'reconciliation' });
+      }
+      mismatch.fix = result?.dry_run ? 'dry-run' : 'fixed';
+    } catch (error) {
+      logger.error(`Failed to fix test ${testId} in ${runKey}: ${error.message}`);
+      mismatch.fix = 'failed';
+      mismatch.error = error.message;
+    }
+  }
+
+  /**
+   * Describe a mismatch in one line
+   * @param {Object} mismatch - Mismatch
+   * @returns {string} Description
+   */
+  describeMismatch(mismatch) {
+    const test = `${this.testMgmt.getIdentifierLabel()} ${mismatch.runKey}, ${this.testMgmt.getTestIdentifierLabel()} ${mismatch.testId}${mismatch.title ? ` "${mismatch.title}"` : ''}`;
+    const drift = mismatch.type === 'stale-failure'
+      ? `Failed although ${mismatch.bugs.join(', ')} ${mismatch.bugs.length === 1 ? 'is' : 'are'} no longer open`
+      : `Passed while ${mismatch.activeBugs.join(', ')} ${mismatch.activeBugs.length === 1 ? 'is' : 'are'} open`;
+    const fix = {
+      fixed: ` → marked as ${mismatch.expected}`,
+      'dry-run': ` → would be marked as ${mismatch.expected} (dry run)`,
+      failed: ` → fix failed: ${mismatch.error}`
+    }[mismatch.fix] || '';
+    return `${test}: ${drift}${fix}`;
+  }
+
+  /**
+   * Count runs, tests and mismatches
+   * @param {Object} report - Report
+   * @returns {Object} { runs, tests, checked, unknown, mismatches, staleFailures, openBugsOnPassed, fixed, failed, errors }
+   */
+  summarize(report) {
+    const sum = field => report.runs.reduce((total, run) => total + run[field], 0);
+    const count = check => report.mismatches.filter(check).length;
+    return {
+      runs: report.runs.length,
+      tests: sum('tests'),
+      checked: sum('checked'),
+      unknown: sum('unknown'),
+      mismatches: report.mismatches.length,
+      staleFailures: count(m => m.type === 'stale-failure'),
+      openBugsOnPassed: count(m => m.type === 'open-bug-on-passed'),
+      fixed: count(m => m.fix === 'fixed'),
+      failed: count(m => m.fix === 'failed'),
+      errors: report.runs.filter(run => run.error).length
+    };
+  }
+
+  /**
+   * Post the drift report as a comment on RECONCILE_REPORT_ISSUE
+   * @param {Object} report - Report with mismatches
+   */
+  async postReport(report) {
+    const lines = [
+      `🔍 Reconciliation found ${report.mismatches.length} test result(s) out of step with their bugs (profile ${report.profile}, ${this.testMgmt.getSystemName()}):`,
+      ...report.mismatches.map(mismatch => `• ${this.describeMismatch(mismatch)}`)
+    ];
+    if (!report.fix) {
+      lines.push('', 'Nothing was changed. Set RECONCILE_MODE=fix or POST /api/reconciliation with { "fix": true } to correct the results.');
+    }
+
+    try {
+      await this.jiraService.addComment(this.settings.reportIssue, lines.join('\n'));
+      report.reportIssue = this.settings.reportIssue;
+    } catch (error) {
+      logger.error(`Failed to post reconciliation report to ${this.settings.reportIssue}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the report of the last reconciliation since the service started
+   * @returns {Object|null} Report or null
+   */
+  getLastReport() {
+    return this.lastReport;
+  }
+}
+
+module.exports = new ReconciliationService();
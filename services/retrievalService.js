@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+const cacheService = require('./cacheService');
+const embeddings = require('./embeddings');
+
+const MAX_DOCUMENT_CHARS = 4000; // Keeps long step lists inside embedding model limits
+const MAX_RANKING_STORED = 200; // Ranks beyond this count as misses in the recall metrics
+const MAX_RETRIEVALS_STORED = 500;
+const RECALL_AT = [5, 10, 25, 50];
+
+/**
+ * Retrieval Service - Narrows a run's test cases to the ones closest to a bug
+ * before the LLM call, so large runs fit in the prompt.
+ *
+ * Test cases are embedded once per run (when getTestsWithDetails fills the
+ * cache) into a vector index stored alongside the test cache. Each bug is
+ * embedded and the top-K most similar test cases become the LLM's candidates.
+ * Corrections show whether the right test case was among them (recall).
+ */
+class RetrievalService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} cache - Cache service instance for this profile
+   */
+  constructor(profileConfig = config, cache = cacheService) {
+    this.config = profileConfig;
+    this.cache = cache;
+    this.settings = profileConfig.retrieval;
+    this.metricsFile = path.join(profileConfig.learning.dataDir, 'retrieval-metrics.json');
+    this.provider = null; // Created on first use
+    this.fallback = null;
+    this.metrics = null;
+  }
+
+  /**
+   * Get the configured embedding provider
+   * @returns {EmbeddingProvider} Provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = embeddings.create(this.settings.embeddingProvider, this.config);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Get the local TF-IDF provider used when the configured provider fails
+   * @returns {EmbeddingProvider} Provider
+   */
+  getFallbackProvider() {
+    if (!this.fallback) {
+      this.fallback = embeddings.create('tfidf', this.config);
+    }
+    return this.fallback;
+  }
+
+  /**
+   * Build the text embedded for a test case
+   * Handles the TestRail (custom_*), Xray and Zephyr Scale (steps) shapes
+   * @param {Object} test - Test case with details
+   * @returns {string} Document text
+   */
+  buildDocument(test) {
+    const steps = (test.custom_steps_separated || test.steps || []).map(step => {
+      if (typeof step === 'string') return step;
+      return [step.content, step.action, step.data, step.expected].filter(Boolean).join(' ');
+    });
+
+    return [
+      test.title,
+      test.description,
+      test.custom_preconds || test.preconditions,
+      ...steps,
+      test.custom_expected,
+      (test.labels || []).join(' ')
+    ].filter(Boolean).join('\n').substring(0, MAX_DOCUMENT_CHARS);
+  }
+
+  /**
+   * Build the text embedded for a bug
+   * @param {Object} bugData - Bug information (summary, description, wcagCategory)
+   * @returns {string} Query text
+   */
+  buildQuery(bugData) {
+    return [bugData.summary, bugData.wcagCategory, bugData.description]
+      .filter(Boolean).join('\n').substring(0, MAX_DOCUMENT_CHARS);
+  }
+
+  /**
+   * Cache key of a run's index - derived from the test cases, so an edited run gets a new index
+   * @param {EmbeddingProvider} provider - Embedding provider
+   * @param {Array} tests - Test cases with details
+   * @returns {string} Cache key
+   */
+  getIndexKey(provider, tests) {
+    const hash = crypto.createHash('sha1');
+    hash.update(`${provider.name}:${provider.model}\n`);
+    for (const test of tests) {
+      hash.update(`${test.test_id}\n${this.buildDocument(test)}\n`);
+    }
+    return `vectors-${hash.digest('hex').substring(0, 16)}`;
+  }
+
+  /**
+   * Get (or build and cache) the vector index for a set of test cases
+   * @param {Array} tests - Test cases with details
+   * @param {EmbeddingProvider} provider - Embedding provider
+   * @returns {Promise<Object>} Index { provider, model, state, testIds, vectors }
+   */
+  async getIndex(tests, provider = this.getProvider()) {
+    const key = this.getIndexKey(provider, tests);
+    const cached = await this.cache.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    const startTime = Date.now();
+    const { state, vectors } = await provider.index(tests.map(test => this.buildDocument(test)));
+    const index = {
+      provider: provider.name,
+      model: provider.model,
+      state,
+      testIds: tests.map(test => String(test.test_id)),
+      vectors
+    };
+
+    await this.cache.set(key, index);
+    logger.info(`Built ${provider.displayName} index of ${tests.length} test cases in ${Date.now() - startTime}ms`);
+    return index;
+  }
+
+  /**
+   * Index a run's test cases ahead of matching (called when the test cache is filled)
+   * Failures are logged - matching builds the index itself if needed
+   * @param {Array} tests - Test cases with details
+   */
+  async indexTests(tests) {
+    if (!this.settings.enabled || tests.length <= this.settings.minTests) {
+      return;
+    }
+    try {
+      await this.getIndex(tests);
+    } catch (error) {
+      logger.error(`Failed to index test cases: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rank test cases by similarity to a bug
+   * Falls back to TF-IDF if the configured embedding provider fails
+   * @param {Object} bugData - Bug information
+   * @param {Array} tests - Test cases with details
+   * @returns {Promise<Array>} [{ test, score }] most similar first
+   */
+  async rank(bugData, tests) {
+    let provider = this.getProvider();
+    let index;
+    let query;
+
+    try {
+      index = await this.getIndex(tests, provider);
+      query = await provider.embedQuery(this.buildQuery(bugData), index.state);
+    } catch (error) {
+      if (provider.name === 'tfidf') throw error;
+      logger.warn(`${provider.displayName} failed (${error.message}), falling back to TF-IDF retrieval`);
+      provider = this.getFallbackProvider();
+      index = await this.getIndex(tests, provider);
+      query = await provider.embedQuery(this.buildQuery(bugData), index.state);
+    }
+
+    return tests
+      .map((test, i) => ({ test, score: provider.similarity(query, index.vectors[i]) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Select the test cases to send to the LLM for a bug
+   * Runs up to RETRIEVAL_MIN_TESTS are returned unchanged.
+   * @param {Object} bugData - Bug information (key, summary, description)
+   * @param {Array} tests - All test cases in the run
+   * @param {Array<string>} pinnedTestIds - Always included (e.g. tests learned from similar bugs)
+   * @returns {Promise<Array>} Candidate test cases, most similar first
+   */
+  async retrieve(bugData, tests, pinnedTestIds = []) {
+    if (!this.settings.enabled || tests.length <= this.settings.minTests) {
+      return tests;
+    }
+
+    try {
+      const ranking = await this.rank(bugData, tests);
+      const pinned = new Set(pinnedTestIds.map(String));
+      const candidates = ranking.slice(0, this.settings.topK).map(r => r.test);
+      for (const { test } of ranking.slice(this.settings.topK)) {
+        if (pinned.has(String(test.test_id))) {
+          candidates.push(test);
+        }
+      }
+
+      logger.info(`Retrieved ${candidates.length} of ${tests.length} test cases for "${bugData.summary}" (top score ${ranking[0].score.toFixed(3)})`);
+      await this.recordRetrieval(bugData, tests.length, candidates, ranking);
+      return candidates;
+    } catch (error) {
+      logger.error(`Retrieval failed, sending all ${tests.length} test cases: ${error.message}`);
+      return tests;
+    }
+  }
+
+  /**
+   * Load the recall metrics
+   * @returns {Promise<Object>} { retrievals: [...] }
+   */
+  async loadMetrics() {
+    if (!this.metrics) {
+      try {
+        this.metrics = JSON.parse(await fs.readFile(this.metricsFile, 'utf8'));
+      } catch (error) {
+        this.metrics = { retrievals: [] };
+      }
+    }
+    return this.metrics;
+  }
+
+  /**
+   * Persist the recall metrics
+   */
+  async saveMetrics() {
+    try {
+      await fs.mkdir(path.dirname(this.metricsFile), { recursive: true });
+      await fs.writeFile(this.metricsFile, JSON.stringify(this.metrics, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save retrieval metrics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a retrieval so later corrections can be scored against it
+   * @param {Object} bugData - Bug information
+   * @param {number} total - Test cases in the run
+   * @param {Array} candidates - Test cases sent to the LLM
+   * @param {Array} ranking - Full ranking from rank()
+   */
+  async recordRetrieval(bugData, total, candidates, ranking) {
+    if (!bugData.key) return;
+
+    const metrics = await this.loadMetrics();
+    metrics.retrievals = metrics.retrievals.filter(r => r.bugKey !== bugData.key);
+    metrics.retrievals.push({
+      bugKey: bugData.key,
+      timestamp: new Date().toISOString(),
+      total,
+      candidateIds: candidates.map(test => String(test.test_id)),
+      ranking: ranking.slice(0, MAX_RANKING_STORED).map(r => String(r.test.test_id)),
+      outcomes: []
+    });
+    metrics.retrievals = metrics.retrievals.slice(-MAX_RETRIEVALS_STORED);
+    await this.saveMetrics();
+  }
+
+  /**
+   * Record which test cases were right for a bug
+   * @param {string} bugKey - JIRA issue key
+   * @param {Array<string>} testIds - Correct test IDs
+   * @param {string} source - 'match' (accepted LLM match) or 'correction' (user correction)
+   */
+  async recordOutcome(bugKey, testIds, source) {
+    const metrics = await this.loadMetrics();
+    const retrieval = metrics.retrievals.find(r => r.bugKey === bugKey);
+    if (!retrieval) return;
+
+    for (const testId of testIds.map(String)) {
+      const rank = retrieval.ranking.indexOf(testId);
+      retrieval.outcomes = retrieval.outcomes.filter(o => !(o.testId === testId && o.source === source));
+      retrieval.outcomes.push({
+        testId,
+        source,
+        rank: rank === -1 ? null : rank + 1,
+        retrieved: retrieval.candidateIds.includes(testId)
+      });
+    }
+    await this.saveMetrics();
+  }
+
+  /**
+   * Get retrieval metrics
+   * Recall is measured on corrections: the test case a user said was right,
+   * and whether retrieval ranked it high enough for the LLM to see it.
+   * @returns {Promise<Object>} Metrics
+   */
+  async getMetrics() {
+    const { retrievals } = await this.loadMetrics();
+    const corrections = retrievals.flatMap(r => r.outcomes.filter(o => o.source === 'correction'));
+    const matches = retrievals.flatMap(r => r.outcomes.filter(o => o.source === 'match'));
+
+    const recallAt = {};
+    for (const k of [...new Set([...RECALL_AT, this.settings.topK])].sort((a, b) => a - b)) {
+      recallAt[k] = corrections.length > 0
+        ? corrections.filter(o => o.rank !== null && o.rank <= k).length / corrections.length
+        : null;
+    }
+
+    const average = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+    return {
+      enabled: this.settings.enabled,
+      embeddingProvider: this.settings.embeddingProvider,
+      topK: this.settings.topK,
+      minTests: this.settings.minTests,
+      retrievals: retrievals.length,
+      averageTestsInRun: average(retrievals.map(r => r.total)),
+      averageCandidates: average(retrievals.map(r => r.candidateIds.length)),
+      corrections: corrections.length,
+      recall: corrections.length > 0 ? corrections.filter(o => o.retrieved).length / corrections.length : null,
+      recallAt,
+      correctionMeanReciprocalRank: average(corrections.map(o => (o.rank ? 1 / o.rank : 0))),
+      matches: matches.length,
+      averageMatchRank: average(matches.filter(o => o.rank).map(o => o.rank))
+    };
+  }
+}
+
+module.exports = new RetrievalService();
@@ -0,0 +1,116 @@
+const config = require('../config');
+const logger = require('../logger');
+
+const MAX_ENTRIES = 10000; // Audit entries read for one bug
+
+/**
+ * Rollback Service - Undo everything the integration did for a bug
+ * The plan is computed from the bug's audit log: each test management backend
+ * works out how to restore the state from before its first write (results,
+ * defects, links). The matches and corrections learned from the bug are
+ * deleted as well. JIRA comments are kept as the record of what happened.
+ * Rolling back twice is safe - the revert writes are audited too, so a second
+ * plan finds nothing left to undo.
+ */
+class RollbackService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} services - Service instances for the profile ({ testMgmt, learningService, auditService })
+   */
+  constructor(profileConfig = config, services = {}) {
+    this.config = profileConfig;
+    this.testMgmt = services.testMgmt || require('./testManagementAdapter');
+    this.learningService = services.learningService || require('./learningService');
+    this.auditService = services.auditService || require('./auditService');
+  }
+
+  /**
+   * Work out what a rollback of a bug would do, without writing anything
+   * @param {string} issueKey - JIRA issue key
+   * @returns {Promise<Object>} { issueKey, auditEnabled, writes, steps, learning: { matches, corrections } }
+   */
+  async plan(issueKey) {
+    const entries = (await this.auditService.query({ issueKey, limit: MAX_ENTRIES }))
+      .filter(entry => entry.success && entry.system !== 'jira');
+
+    const steps = [];
+    for (const system of new Set(entries.map(entry => entry.system))) {
+      const writes = entries.filter(entry => entry.system === system);
+      const backend = this.testMgmt.getBackend(system);
+      if (!backend) {
+        steps.push(...writes.map(entry => ({
+          system,
+          action: 'manual',
+          target: entry.target,
+          description: `Undo ${entry.operation} on ${entry.target}`,
+          skipped: `${system} is not configured for this profile`
+        })));
+        continue;
+      }
+
+      const planned = await backend.planRevert(writes, issueKey);
+      steps.push(...planned.map(step => ({ system, ...step })));
+    }
+
+    const store = await this.learningService.getStore();
+    const history = store.getBugHistory(issueKey);
+
+    return {
+      issueKey,
+      auditEnabled: this.auditService.isEnabled(),
+      writes: entries.length,
+      steps,
+      learning: { matches: history ? history.matches.length : 0, corrections: history ? history.corrections.length : 0 }
+    };
+  }
+
+  /**
+   * Roll a bug back (or only plan it in dry-run)
+   * Steps are applied one by one; a failed step is reported and the rest still run.
+   * @param {string} issueKey - JIRA issue key
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} Plan with an outcome (reverted, skipped, failed) per step
+   */
+  async rollback(issueKey, { dryRun = false } = {}) {
+    const plan = await this.plan(issueKey);
+    if (dryRun || this.config.server.dryRunMode) {
+      return { ...plan, dryRun: true };
+    }
+
+    const store = await this.learningService.getStore();
+    const outcomes = store.getBugHistory(issueKey)?.outcomes || [];
+
+    for (const step of plan.steps) {
+      if (step.skipped) {
+        step.outcome = 'skipped';
+        continue;
+      }
+
+      try {
+        await this.testMgmt.getBackend(step.system).applyRevert(step, issueKey);
+        step.outcome = 'reverted';
+      } catch (error) {
+        if (error.circuitOpen) throw error; // The rest would fail too: the queue runs the rollback again later
+        logger.error(`Failed to roll back ${issueKey} (${step.description}): ${error.message}`);
+        step.outcome = 'failed';
+        step.error = error.message;
+        continue;
+      }
+
+      if (step.action === 'restore-result') {
+        const runId = step.runKey || outcomes.filter(o => o.testId === String(step.testId) && o.runId).pop()?.runId || null;
+        await this.learningService.recordOutcome({ bugKey: issueKey, runId, testId: step.testId, outcome: 'rolled-back', workflow: 'rollback' });
+      }
+    }
+
+    if (plan.learning.matches > 0 || plan.learning.corrections > 0) {
+      plan.learning = await this.learningService.forgetBug(issueKey);
+    }
+
+    const count = outcome => plan.steps.filter(step => step.outcome === outcome).length;
+    logger.info(`Rolled back ${issueKey}: ${count('reverted')} step(s) reverted, ${count('skipped')} skipped, ${count('failed')} failed`);
+    return { ...plan, dryRun: false };
+  }
+}
+
+module.exports = new RollbackService();
@@ -0,0 +1,128 @@
+/**
+ * BM25 Index - Ranks documents (lists of terms) against a query
+ *
+ * Scores are normalized by the query's score against itself, so an identical
+ * document scores about 1.0 and thresholds stay comparable as the index grows.
+ * Query terms no document contains still count towards that maximum - a past
+ * bug missing half the query's terms cannot look like a near-duplicate.
+ */
+class Bm25Index {
+  /**
+   * @param {Object} options - { k1, b } BM25 parameters
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = []; // { id, terms, frequencies, length }
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of documents
+   * @returns {number} Count
+   */
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Average document length
+   * @returns {number} Terms per document
+   */
+  get averageLength() {
+    return this.documents.length > 0 ? this.totalLength / this.documents.length : 0;
+  }
+
+  /**
+   * Add a document
+   * @param {string} id - Document ID
+   * @param {Array<string>} terms - Analyzed terms
+   */
+  add(id, terms) {
+    const frequencies = this.countTerms(terms);
+    this.documents.push({ id, terms, frequencies, length: terms.length });
+    this.totalLength += terms.length;
+    for (const term of frequencies.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  /**
+   * Count terms
+   * @param {Array<string>} terms - Terms
+   * @returns {Map<string, number>} Term frequencies
+   */
+  countTerms(terms) {
+    const counts = new Map();
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Inverse document frequency (BM25+ style, never negative)
+   * Terms no document contains are weighted as if one did, so a single new
+   * word in the query does not outweigh everything it shares with a document.
+   * @param {string} term - Term
+   * @returns {number} IDF
+   */
+  idf(term) {
+    const df = this.documentFrequency.get(term) || 1;
+    return Math.log(1 + (this.documents.length - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Score contribution of one term
+   * @param {number} idf - Term IDF
+   * @param {number} tf - Term frequency in the document
+   * @param {number} length - Document length
+   * @returns {number} Contribution
+   */
+  termScore(idf, tf, length) {
+    const avg = this.averageLength || length || 1;
+    return idf * (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * length / avg));
+  }
+
+  /**
+   * Score every document against a query
+   * @param {Array<string>} queryTerms - Analyzed query terms
+   * @returns {Array<Object>} [{ id, score, normalized, terms: [{ term, idf, tf, contribution }] }] best first
+   */
+  search(queryTerms) {
+    const query = this.countTerms(queryTerms);
+    const idfs = new Map(Array.from(query.keys()).map(term => [term, this.idf(term)]));
+
+    // Upper bound: the query scored as a document against itself
+    let selfScore = 0;
+    for (const [term, tf] of query) {
+      selfScore += this.termScore(idfs.get(term), tf, queryTerms.length);
+    }
+
+    const results = [];
+    for (const document of this.documents) {
+      const terms = [];
+      let score = 0;
+      for (const term of query.keys()) {
+        const tf = document.frequencies.get(term);
+        if (!tf) continue;
+        const contribution = this.termScore(idfs.get(term), tf, document.length);
+        score += contribution;
+        terms.push({ term, idf: idfs.get(term), tf, contribution });
+      }
+      if (score > 0) {
+        results.push({
+          id: document.id,
+          score,
+          normalized: selfScore > 0 ? Math.min(1, score / selfScore) : 0,
+          terms: terms.sort((a, b) => b.contribution - a.contribution)
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = Bm25Index;
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const Bm25Index = require('./bm25Index');
+const { analyze } = require('./textAnalyzer');
+
+const THRESHOLD_STEPS = Array.from({ length: 15 }, (_, i) => Math.round((0.25 + i * 0.05) * 100) / 100); // 0.25-0.95
+const MIN_CALIBRATION_PAIRS = 5; // Of each kind (same / different test case)
+const MAX_CALIBRATION_RECORDS = 300;
+
+/**
+ * Similarity Engine - Finds past bugs similar to a new one
+ *
+ * Past bugs are indexed with BM25 over analyzed terms (stemming plus
+ * accessibility synonyms, see textAnalyzer). With an embedding provider and a
+ * weight above 0 the BM25 score is blended with embedding cosine similarity.
+ * Scores are 0-1; calibrate() picks thresholds from labelled examples.
+ */
+class SimilarityEngine {
+  /**
+   * @param {Object} options - { embeddingProvider, embeddingWeight }
+   */
+  constructor({ embeddingProvider = null, embeddingWeight = 0 } = {}) {
+    this.embeddingProvider = embeddingWeight > 0 ? embeddingProvider : null;
+    this.embeddingWeight = this.embeddingProvider ? embeddingWeight : 0;
+    this.vectorCache = new Map(); // Text hash -> vector (dense providers only)
+    this.index = new Bm25Index();
+    this.records = new Map();
+    this.embeddingState = null;
+    this.vectors = new Map();
+  }
+
+  /**
+   * Text used for a bug
+   * @param {Object} bug - { summary, description }
+   * @returns {string} Text
+   */
+  bugText(bug) {
+    return `${bug?.summary || ''} ${bug?.description || ''}`.trim();
+  }
+
+  /**
+   * Rebuild the index
+   * @param {Array<Object>} records - [{ id, source, bug, ... }]
+   */
+  async build(records) {
+    this.index = new Bm25Index();
+    this.records = new Map();
+    for (const record of records) {
+      this.records.set(record.id, record);
+      this.index.add(record.id, analyze(this.bugText(record.bug)).terms);
+    }
+
+    if (this.embeddingProvider) {
+      await this.buildVectors(records);
+    }
+  }
+
+  /**
+   * Embed the indexed bugs (dense vectors are cached by text across rebuilds)
+   * @param {Array<Object>} records - Indexed records
+   */
+  async buildVectors(records) {
+    const texts = records.map(record => this.bugText(record.bug));
+    this.vectors = new Map();
+
+    if (this.embeddingProvider.name === 'tfidf') {
+      // Corpus-dependent vectors - always rebuilt (cheap)
+      const { state, vectors } = await this.embeddingProvider.index(texts);
+      this.embeddingState = state;
+      records.forEach((record, i) => this.vectors.set(record.id, vectors[i]));
+      return;
+    }
+
+    const hashes = texts.map(text => crypto.createHash('sha1').update(text).digest('hex'));
+    const missing = texts.filter((text, i) => !this.vectorCache.has(hashes[i]));
+    if (missing.length > 0) {
+      const { vectors } = await this.embeddingProvider.index(missing);
+      texts.forEach((text, i) => {
+        if (!this.vectorCache.has(hashes[i])) {
+          this.vectorCache.set(hashes[i], vectors[missing.indexOf(text)]);
+        }
+      });
+    }
+    this.embeddingState = {};
+    records.forEach((record, i) => this.vectors.set(record.id, this.vectorCache.get(hashes[i])));
+  }
+
+  /**
+   * Find indexed bugs similar to a bug
+   * @param {Object} bug - { summary, description }
+   * @param {Object} options - { source: only records from this source, excludeId, queryVector: precomputed embedding }
+   * @returns {Promise<Array<Object>>} [{ record, score, bm25, embedding, terms }] best first
+   */
+  async search(bug, { source = null, excludeId = null, queryVector = null } = {}) {
+    const text = this.bugText(bug);
+    const bm25Results = this.index.search(analyze(text).terms);
+    const byId = new Map(bm25Results.map(result => [result.id, result]));
+
+    if (!queryVector && this.embeddingProvider && this.vectors.size > 0) {
+      queryVector = await this.embeddingProvider.embedQuery(text, this.embeddingState);
+    }
+
+    const ids = queryVector ? Array.from(this.records.keys()) : bm25Results.map(result => result.id);
+    const results = [];
+    for (const id of ids) {
+      const record = this.records.get(id);
+      if (id === excludeId || (source && record.source !== source)) continue;
+
+      const bm25 = byId.get(id);
+      const embedding = queryVector && this.vectors.get(id)
+        ? Math.max(0, this.embeddingProvider.similarity(queryVector, this.vectors.get(id)))
+        : null;
+      const score = embedding === null
+        ? (bm25?.normalized || 0)
+        : (1 - this.embeddingWeight) * (bm25?.normalized || 0) + this.embeddingWeight * embedding;
+
+      if (score > 0) {
+        results.push({ record, score, bm25: bm25?.normalized || 0, embedding, terms: bm25?.terms || [] });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Pick similarity thresholds from labelled records
+   * Every pair of records is scored; pairs with the same label (e.g. the same
+   * correct test case) should score above the threshold, other pairs below.
+   * The single-match threshold favours precision (F0.5) - a wrong learned
+   * match skips the AI entirely - the multi-match one balances both (F1).
+   * @param {Array<Object>} records - Indexed records to calibrate on
+   * @param {Function} labelOf - record => label (null to skip)
+   * @returns {Promise<Object>} { calibrated, single, multi, positivePairs, negativePairs, ... }
+   */
+  async calibrate(records, labelOf) {
+    const labelled = records.filter(record => labelOf(record) !== null && labelOf(record) !== undefined)
+      .slice(-MAX_CALIBRATION_RECORDS);
+    const pairs = [];
+
+    for (const record of labelled) {
+      // Indexed records reuse their stored vector instead of embedding again
+      const results = await this.search(record.bug, { excludeId: record.id, queryVector: this.vectors.get(record.id) || null });
+      const scores = new Map(results.map(r => [r.record.id, r.score]));
+      for (const other of labelled) {
+        if (other.id === record.id) continue;
+        pairs.push({ score: scores.get(other.id) || 0, same: String(labelOf(other)) === String(labelOf(record)) });
+      }
+    }
+
+    const positivePairs = pairs.filter(p => p.same).length;
+    const negativePairs = pairs.length - positivePairs;
+    if (positivePairs < MIN_CALIBRATION_PAIRS || negativePairs < MIN_CALIBRATION_PAIRS) {
+      return {
+        calibrated: false,
+        reason: `Need at least ${MIN_CALIBRATION_PAIRS} pairs of corrections to the same test case and to different ones (have ${positivePairs} and ${negativePairs})`,
+        positivePairs,
+        negativePairs
+      };
+    }
+
+    const evaluate = threshold => {
+      const predicted = pairs.filter(p => p.score >= threshold);
+      const truePositives = predicted.filter(p => p.same).length;
+      const precision = predicted.length > 0 ? truePositives / predicted.length : 1;
+      const recall = truePositives / positivePairs;
+      return { threshold, precision, recall };
+    };
+    const fScore = (m, beta) => (m.precision + m.recall === 0 ? 0
+      : (1 + beta * beta) * m.precision * m.recall / (beta * beta * m.precision + m.recall));
+    const best = beta => THRESHOLD_STEPS.map(evaluate)
+      .reduce((top, m) => (fScore(m, beta) > fScore(top, beta) ? m : top));
+
+    const single = best(0.5);
+    const multi = best(1);
+    return {
+      calibrated: true,
+      single: single.threshold,
+      multi: Math.min(multi.threshold, single.threshold),
+      singlePrecision: single.precision,
+      singleRecall: single.recall,
+      multiPrecision: multi.precision,
+      multiRecall: multi.recall,
+      positivePairs,
+      negativePairs
+    };
+  }
+}
+
+module.exports = SimilarityEngine;
@@ -0,0 +1,124 @@
+/**
+ * Text Analyzer - Turns bug and test case text into comparable terms
+ *
+ * 1. Accessibility synonyms are folded into one canonical term first, so
+ *    "NVDA doesn't read the error" and "screen reader does not announce the
+ *    error" share terms ("screenreader", "announce", "error").
+ * 2. Words are lowercased, stop words dropped and suffixes stripped
+ *    ("errors", "announced", "tabbing" → "error", "announc", "tab").
+ */
+
+// Canonical term → phrases that mean the same thing (matched as whole words, case-insensitive)
+const SYNONYMS = {
+  screenreader: ['screen reader', 'screen-reader', 'screenreader', 'nvda', 'jaws', 'voiceover', 'voice over', 'talkback', 'narrator', 'assistive technology', 'assistive technologies'],
+  alttext: ['alt text', 'alt-text', 'alternative text', 'text alternative', 'text alternatives', 'alt attribute', 'alt tag'],
+  focusorder: ['focus order', 'tab order', 'tabbing order', 'tab sequence', 'focus sequence'],
+  focusvisible: ['focus indicator', 'focus outline', 'focus ring', 'visible focus', 'focus visible', 'focus not visible'],
+  keyboardtrap: ['keyboard trap', 'focus trap', 'trapped focus', 'focus is trapped', 'focus gets trapped'],
+  pagetitle: ['page title', 'document title', 'title element', 'title tag', 'browser tab title'],
+  accessiblename: ['accessible name', 'aria-label', 'aria label', 'aria-labelledby', 'programmatic name'],
+  announce: ['read', 'read out', 'read aloud', 'spoken', 'voiced', 'announced', 'announcing', 'announcement', 'announces'],
+  contrast: ['colour contrast', 'color contrast', 'contrast ratio', 'low contrast'],
+  color: ['colour'],
+  heading: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'heading tag', 'header tag'],
+  lang: ['lang attribute', 'language attribute', 'language of page', 'language of parts'],
+  link: ['hyperlink', 'anchor'],
+  button: ['btn'],
+  error: ['error message', 'validation message', 'validation error', 'inline error'],
+  zoom: ['magnification', 'magnified', 'resize text', 'text resize', 'zoomed'],
+  modal: ['dialog', 'dialogue', 'popup', 'pop-up', 'overlay', 'lightbox'],
+  missing: ['no', 'without', 'lacks', 'lacking', 'absent', 'not provided', 'not present'],
+  not: ['doesnt', 'dont', 'isnt', 'arent', 'cannot', 'cant', 'wont', 'never']
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'being', 'but', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with',
+  'when', 'all', 'each', 'should', 'can', 'does', 'do', 'if', 'then', 'there', 'into', 'verify',
+  'ensure', 'test', 'check', 'user', 'step', 'expected', 'result', 'actual', 'bug', 'issue'
+]);
+
+// Longest phrases first so "screen reader" wins over "reader"
+const SYNONYM_PATTERNS = Object.entries(SYNONYMS)
+  .flatMap(([canonical, phrases]) => phrases.map(phrase => ({ canonical, phrase })))
+  .sort((a, b) => b.phrase.length - a.phrase.length)
+  .map(({ canonical, phrase }) => ({
+    canonical,
+    phrase,
+    pattern: new RegExp(`(^|[^a-z0-9-])${phrase.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')}(?=$|[^a-z0-9-])`, 'g')
+  }));
+
+const SUFFIXES = [
+  ['ational', 'ate'], ['ization', 'ize'], ['ations', 'ate'], ['ation', 'ate'], ['ness', ''],
+  ['ments', ''], ['ment', ''], ['ings', ''], ['ing', ''], ['ies', 'y'], ['ied', 'y'],
+  ['ed', ''], ['ly', ''], ['es', ''], ['s', '']
+];
+
+/**
+ * Strip common English suffixes
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let result = word;
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (result.endsWith(suffix) && result.length - suffix.length >= 3 && !(suffix === 's' && /(ss|us|is)$/.test(result))) {
+      result = result.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  // "tabbing" → "tabb" → "tab"; keep "ll"/"ss"/"zz" ("scroll", "pass")
+  if (/([^aeiouylsz])\1$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+  // "announce"/"announced" → "announc"
+  if (result.length > 4 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+/**
+ * Analyze text into terms, recording which synonyms were folded
+ * @param {string} text - Text
+ * @returns {{ terms: Array<string>, synonyms: Array<{ phrase: string, canonical: string }> }} Analysis
+ */
+function analyze(text) {
+  let normalized = ` ${String(text || '').toLowerCase().replace(/[’']/g, '')} `;
+  const synonyms = [];
+
+  for (const { canonical, phrase, pattern } of SYNONYM_PATTERNS) {
+    normalized = normalized.replace(pattern, (match, prefix) => {
+      if (phrase !== canonical && !synonyms.some(s => s.phrase === phrase)) {
+        synonyms.push({ phrase, canonical });
+      }
+      return `${prefix} ${canonical} `;
+    });
+  }
+
+  const terms = normalized
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => {
+      // Canonical terms (and their plurals) are already normalized
+      if (SYNONYMS[word]) return word;
+      if (SYNONYMS[word.replace(/s$/, '')]) return word.replace(/s$/, '');
+      return stem(word);
+    });
+
+  return { terms, synonyms };
+}
+
+/**
+ * Analyze text into terms
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  return analyze(text).terms;
+}
+
+module.exports = { analyze, tokenize, stem, SYNONYMS, STOP_WORDS };
@@ -0,0 +1,603 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+
+const LEGACY_FILES = { matches: 'matches.json', corrections: 'corrections.json' };
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%Y-W%W', month: '%Y-%m' };
+
+/**
+ * Learning Store - SQLite storage for learning data
+ *
+ * Bugs, runs, AI matches, user corrections and workflow outcomes live in one
+ * database file per profile, together with each bug's history (workflow
+ * executions, LLM prompts and responses, JIRA comments) and the append-only
+ * audit log of writes to external systems. better-sqlite3 is
+ * synchronous, so each write is a single transaction that concurrent webhooks
+ * cannot interleave, and WAL mode keeps readers (the API) from blocking writers.
+ */
+class LearningStore {
+  /**
+   * @param {string} file - Database file
+   */
+  constructor(file) {
+    this.file = file;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and apply pending migrations
+   * @returns {LearningStore} This store
+   */
+  open() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+    return this;
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Apply migrations newer than the database's schema version
+   * @returns {Array<number>} Versions applied
+   */
+  migrate() {
+    this.db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )`);
+
+    const current = this.getSchemaVersion();
+    const pending = migrations.filter(migration => migration.version > current);
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of pending) {
+      this.db.transaction(() => {
+        migration.up(this.db);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      })();
+    }
+    return pending.map(migration => migration.version);
+  }
+
+  /**
+   * Get the schema version
+   * @returns {number} Highest applied migration (0 for a new database)
+   */
+  getSchemaVersion() {
+    return this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  }
+
+  /**
+   * Import matches.json / corrections.json from before the database existed
+   * Imported files are renamed to *.imported, so this runs once per directory.
+   * @param {string} dataDir - Learning data directory
+   * @returns {Object|null} { matches, corrections } imported, or null if there was nothing to import
+   */
+  importJson(dataDir) {
+    const files = {};
+    for (const [name, file] of Object.entries(LEGACY_FILES)) {
+      const filePath = path.join(dataDir, file);
+      if (fs.existsSync(filePath)) {
+        files[name] = { path: filePath, records: JSON.parse(fs.readFileSync(filePath, 'utf8') || '[]') };
+      }
+    }
+    if (Object.keys(files).length === 0) {
+      return null;
+    }
+
+    const imported = { matches: 0, corrections: 0 };
+    this.db.transaction(() => {
+      (files.matches?.records || []).forEach((record, i) => {
+        if (!record.bug || !record.match) return;
+        imported.matches += this.insertMatch({
+          ...record,
+          id: record.id || `imported-${i}`,
+          stored_at: record.stored_at || record.timestamp
+        }, true);
+      });
+      (files.corrections?.records || []).forEach((record, i) => {
+        if (!record.bug || !record.correct_test_id) return;
+        imported.corrections += this.insertCorrection({ ...record, id: record.id || `imported-${i}` }, true);
+      });
+    })();
+
+    for (const file of Object.values(files)) {
+      fs.renameSync(file.path, `${file.path}.imported`);
+    }
+    return imported;
+  }
+
+  /**
+   * Insert or update a bug
+   * Bugs without a key get a new row each time.
+   * @param {Object} bug - { key, summary, description, wcagCategory }
+   * @returns {number} Bug row ID
+   */
+  upsertBug(bug) {
+    const now = new Date().toISOString();
+    const values = [bug.key || null, bug.summary || '', bug.description || '', bug.wcagCategory || null, now];
+
+    if (!bug.key) {
+      return this.db.prepare(`INSERT INTO bugs (key, summary, description, wcag_category, updated_at)
+        VALUES (?, ?, ?, ?, ?) RETURNING id`).get(...values).id;
+    }
+
+    // Callers that only know the key (e.g. outcomes) keep the stored text
+    return this.db.prepare(`INSERT INTO bugs (key, summary, description, wcag_category, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        summary = COALESCE(NULLIF(excluded.summary, ''), bugs.summary),
+        description = COALESCE(NULLIF(excluded.description, ''), bugs.description),
+        wcag_category = COALESCE(excluded.wcag_category, bugs.wcag_category),
+        updated_at = excluded.updated_at
+      RETURNING id`).get(...values).id;
+  }
+
+  /**
+   * Record a run (TestRail run, Xray execution or Zephyr Scale cycle)
+   * @param {string|number} runId - Run identifier
+   * @returns {string|null} Run ID as stored
+   */
+  upsertRun(runId) {
+    if (runId === undefined || runId === null || runId === '') {
+      return null;
+    }
+    this.db.prepare('INSERT OR IGNORE INTO runs (id, first_seen_at) VALUES (?, ?)').run(String(runId), new Date().toISOString());
+    return String(runId);
+  }
+
+  /**
+   * Store an AI match
+   * @param {Object} record - { id, bug, match, run_id, stored_at }
+   * @param {boolean} ignoreExisting - Skip (instead of failing on) an existing ID
+   * @returns {number} Rows inserted
+   */
+  insertMatch(record, ignoreExisting = false) {
+    return this.db.transaction(() => {
+      const bugId = this.upsertBug(record.bug);
+      const runId = this.upsertRun(record.run_id);
+      return this.db.prepare(`INSERT ${ignoreExisting ? 'OR IGNORE ' : ''}INTO matches
+        (id, bug_id, run_id, test_id, case_id, title, confidence, reasoning, learned, prompt_version, stored_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+        record.id, bugId, runId,
+        String(record.match.test_id), textOrNull(record.match.case_id), record.match.title || null,
+        typeof record.match.confidence === 'number' ? record.match.confidence : null,
+        record.match.reasoning || null, record.match.learned ? 1 : 0, record.match.prompt_version || null,
+        record.stored_at || new Date().toISOString()
+      ).changes;
+    })();
+  }
+
+  /**
+   * Store a user correction
+   * @param {Object} record - { id, bug, run_id, correct_test_id, correct_case_id, correct_title, corrected_at }
+   * @param {boolean} ignoreExisting - Skip (instead of failing on) an existing ID
+   * @returns {number} Rows inserted
+   */
+  insertCorrection(record, ignoreExisting = false) {
+    return this.db.transaction(() => {
+      const bugId = this.upsertBug(record.bug);
+      const runId = this.upsertRun(record.run_id);
+      return this.db.prepare(`INSERT ${ignoreExisting ? 'OR IGNORE ' : ''}INTO corrections
+        (id, bug_id, run_id, test_id, case_id, title, corrected_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`).run(
+        record.id, bugId, runId,
+        String(record.correct_test_id), textOrNull(record.correct_case_id), record.correct_title || null,
+        record.corrected_at || new Date().toISOString()
+      ).changes;
+    })();
+  }
+
+  /**
+   * Store what a workflow did to a test case for a bug
+   * @param {Object} record - { bugKey, runId, testId, outcome, workflow }
+   */
+  insertOutcome(record) {
+    this.db.transaction(() => {
+      const bugId = this.upsertBug({ key: record.bugKey });
+      const runId = this.upsertRun(record.runId);
+      this.db.prepare(`INSERT INTO outcomes (bug_id, run_id, test_id, outcome, workflow, recorded_at)
+        VALUES (?, ?, ?, ?, ?, ?)`).run(
+        bugId, runId, String(record.testId), record.outcome, record.workflow || null, new Date().toISOString()
+      );
+    })();
+  }
+
+  /**
+   * Store a finished workflow execution
+   * @param {Object} record - { bugKey, runId, workflow, jobId, actor, success, error, result, startedAt, finishedAt }
+   */
+  insertExecution(record) {
+    this.db.transaction(() => {
+      const bugId = record.bugKey ? this.upsertBug({ key: record.bugKey }) : null;
+      const runId = this.upsertRun(record.runId);
+      this.db.prepare(`INSERT INTO executions (bug_id, run_id, workflow, job_id, actor, success, error, result, started_at, finished_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+        bugId, runId, record.workflow, record.jobId || null, record.actor || null, record.success ? 1 : 0,
+        record.error || null, record.result === undefined ? null : JSON.stringify(record.result),
+        record.startedAt, record.finishedAt || new Date().toISOString()
+      );
+    })();
+  }
+
+  /**
+   * Store a prompt sent to the LLM and what came back
+   * @param {Object} record - { bugKey, provider, model, promptVersion, system, prompt, response, error, durationMs }
+   */
+  insertAiExchange(record) {
+    this.db.transaction(() => {
+      const bugId = this.upsertBug({ key: record.bugKey });
+      this.db.prepare(`INSERT INTO ai_exchanges (bug_id, provider, model, prompt_version, system, prompt, response, error, duration_ms, recorded_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+        bugId, record.provider || null, record.model || null, record.promptVersion || null, record.system || null,
+        record.prompt, record.response === undefined ? null : JSON.stringify(record.response),
+        record.error || null, record.durationMs ?? null, new Date().toISOString()
+      );
+    })();
+  }
+
+  /**
+   * Store a comment posted on a bug
+   * @param {Object} record - { bugKey, body }
+   */
+  insertComment(record) {
+    this.db.transaction(() => {
+      const bugId = this.upsertBug({ key: record.bugKey });
+      this.db.prepare('INSERT INTO comments (bug_id, body, posted_at) VALUES (?, ?, ?)').run(bugId, record.body, new Date().toISOString());
+    })();
+  }
+
+  /**
+   * Delete the matches and corrections stored for a bug (rollback)
+   * Outcomes and the bug's history stay.
+   * @param {string} bugKey - JIRA issue key
+   * @returns {{ matches: number, corrections: number }} Rows deleted
+   */
+  deleteBugLearning(bugKey) {
+    return this.db.transaction(() => {
+      const bug = this.db.prepare('SELECT id FROM bugs WHERE key = ?').get(bugKey);
+      if (!bug) {
+        return { matches: 0, corrections: 0 };
+      }
+      return {
+        matches: this.db.prepare('DELETE FROM matches WHERE bug_id = ?').run(bug.id).changes,
+        corrections: this.db.prepare('DELETE FROM corrections WHERE bug_id = ?').run(bug.id).changes
+      };
+    })();
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} entry - { correlationId, jobId, actor, workflow, user, issueKey, system, operation, target, before, after, request, response, success, error }
+   * @returns {number} Entry ID
+   */
+  insertAuditEntry(entry) {
+    const json = value => (value === undefined || value === null ? null : JSON.stringify(value));
+    return Number(this.db.prepare(`INSERT INTO audit_log (recorded_at, correlation_id, job_id, actor, workflow, user, issue_key,
+        system, operation, target, before_state, after_state, request, response, success, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+      entry.recordedAt || new Date().toISOString(), entry.correlationId || null, entry.jobId || null, entry.actor,
+      entry.workflow || null, entry.user || null, entry.issueKey || null, entry.system, entry.operation, String(entry.target),
+      json(entry.before), json(entry.after), json(entry.request), json(entry.response), entry.success ? 1 : 0, entry.error || null
+    ).lastInsertRowid);
+  }
+
+  /**
+   * Query the audit log, oldest first
+   * @param {Object} filter - { issueKey, system, correlationId, actor, since, until, limit }
+   * @returns {Array<Object>} [{ id, recordedAt, correlationId, jobId, actor, workflow, user, issueKey, system, operation, target, before, after, request, response, success, error }]
+   */
+  getAuditEntries({ issueKey = null, system = null, correlationId = null, actor = null, since = null, until = null, limit = 1000 } = {}) {
+    const parse = value => (value === null ? null : JSON.parse(value));
+    return this.db.prepare(`SELECT * FROM (SELECT * FROM audit_log
+        WHERE (@issueKey IS NULL OR issue_key = @issueKey) AND (@system IS NULL OR system = @system)
+          AND (@correlationId IS NULL OR correlation_id = @correlationId) AND (@actor IS NULL OR actor = @actor)
+          AND (@since IS NULL OR recorded_at >= @since) AND (@until IS NULL OR recorded_at <= @until)
+        ORDER BY id DESC LIMIT @limit) ORDER BY id`).all({ issueKey, system, correlationId, actor, since, until, limit })
+      .map(row => ({
+        id: row.id,
+        recordedAt: row.recorded_at,
+        correlationId: row.correlation_id,
+        jobId: row.job_id,
+        actor: row.actor,
+        workflow: row.workflow,
+        user: row.user,
+        issueKey: row.issue_key,
+        system: row.system,
+        operation: row.operation,
+        target: row.target,
+        before: parse(row.before_state),
+        after: parse(row.after_state),
+        request: parse(row.request),
+        response: parse(row.response),
+        success: !!row.success,
+        error: row.error
+      }));
+  }
+
+  /**
+   * Get all matches, oldest first, in the shape matches.json used
+   * @returns {Array<Object>} [{ id, bug, match, run_id, stored_at }]
+   */
+  getMatches() {
+    return this.db.prepare(`SELECT m.*, b.key AS bug_key, b.summary, b.description, b.wcag_category
+      FROM matches m JOIN bugs b ON b.id = m.bug_id ORDER BY m.rowid`).all()
+      .map(row => ({
+        id: row.id,
+        bug: toBug(row),
+        match: {
+          test_id: row.test_id,
+          case_id: row.case_id,
+          title: row.title,
+          confidence: row.confidence,
+          reasoning: row.reasoning,
+          ...(row.learned ? { learned: true } : {}),
+          ...(row.prompt_version ? { prompt_version: row.prompt_version } : {})
+        },
+        run_id: row.run_id,
+        stored_at: row.stored_at
+      }));
+  }
+
+  /**
+   * Get all corrections, oldest first, in the shape corrections.json used
+   * @returns {Array<Object>} [{ id, bug, correct_test_id, correct_case_id, correct_title, run_id, corrected_at }]
+   */
+  getCorrections() {
+    return this.db.prepare(`SELECT c.*, b.key AS bug_key, b.summary, b.description, b.wcag_category
+      FROM corrections c JOIN bugs b ON b.id = c.bug_id ORDER BY c.rowid`).all()
+      .map(row => ({
+        id: row.id,
+        bug: toBug(row),
+        correct_test_id: row.test_id,
+        correct_case_id: row.case_id,
+        correct_title: row.title,
+        run_id: row.run_id,
+        corrected_at: row.corrected_at
+      }));
+  }
+
+  /**
+   * Cheap fingerprint of the stored matches and corrections (changes on every insert)
+   * @returns {{ matches: string, corrections: string }} Versions
+   */
+  getVersion() {
+    const row = this.db.prepare(`SELECT
+      (SELECT COUNT(*) FROM matches) AS matches, (SELECT MAX(rowid) FROM matches) AS last_match,
+      (SELECT COUNT(*) FROM corrections) AS corrections, (SELECT MAX(rowid) FROM corrections) AS last_correction`).get();
+    return {
+      matches: `${row.matches}:${row.last_match}`,
+      corrections: `${row.corrections}:${row.last_correction}`
+    };
+  }
+
+  /**
+   * Test cases linked to a bug - corrections if there are any, else AI matches
+   * @param {string} bugKey - JIRA issue key
+   * @returns {Array<Object>} [{ test_id, case_id, title, run_id }]
+   */
+  getTestCasesByBugKey(bugKey) {
+    for (const table of ['corrections', 'matches']) {
+      const rows = this.db.prepare(`SELECT t.test_id, t.case_id, t.title, t.run_id
+        FROM bugs b JOIN ${table} t ON t.bug_id = b.id
+        WHERE b.key = ?
+        GROUP BY t.test_id, t.case_id, t.title, t.run_id
+        ORDER BY MIN(t.rowid)`).all(bugKey);
+      if (rows.length > 0) {
+        return rows;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Counts and latest timestamps
+   * @returns {Object} { matches, corrections, bugs, runs, lastMatch, lastCorrection, outcomes: { outcome: count } }
+   */
+  getStatistics() {
+    const totals = this.db.prepare(`SELECT
+      (SELECT COUNT(*) FROM matches) AS matches,
+      (SELECT COUNT(*) FROM corrections) AS corrections,
+      (SELECT COUNT(*) FROM bugs) AS bugs,
+      (SELECT COUNT(*) FROM runs) AS runs,
+      (SELECT MAX(stored_at) FROM matches) AS lastMatch,
+      (SELECT MAX(corrected_at) FROM corrections) AS lastCorrection`).get();
+
+    const outcomes = {};
+    for (const row of this.db.prepare('SELECT outcome, COUNT(*) AS count FROM outcomes GROUP BY outcome ORDER BY outcome').all()) {
+      outcomes[row.outcome] = row.count;
+    }
+    return { ...totals, outcomes };
+  }
+
+  /**
+   * Correction rate per prompt template version
+   * A correction counts against the version of the bug's latest match before it.
+   * @returns {Object} { version: { matches, bugs, correctedBugs } }
+   */
+  getPromptStatistics() {
+    const versions = {};
+    for (const row of this.db.prepare(`SELECT prompt_version AS version, COUNT(*) AS matches, COUNT(DISTINCT bug_id) AS bugs
+      FROM matches WHERE prompt_version IS NOT NULL GROUP BY prompt_version ORDER BY prompt_version`).all()) {
+      versions[row.version] = { matches: row.matches, bugs: row.bugs, correctedBugs: 0 };
+    }
+
+    const corrected = this.db.prepare(`SELECT version, COUNT(DISTINCT bug_id) AS bugs FROM (
+        SELECT c.bug_id, (SELECT m.prompt_version FROM matches m
+          WHERE m.bug_id = c.bug_id AND m.stored_at <= c.corrected_at AND m.learned = 0
+          ORDER BY m.stored_at DESC, m.rowid DESC LIMIT 1) AS version
+        FROM corrections c)
+      WHERE version IS NOT NULL GROUP BY version`).all();
+    for (const row of corrected) {
+      if (versions[row.version]) versions[row.version].correctedBugs = row.bugs;
+    }
+    return versions;
+  }
+
+  /**
+   * Latest workflow executions, newest first
+   * @param {Object} filter - { limit, workflow, bugKey }
+   * @returns {Array<Object>} [{ id, bugKey, runId, workflow, jobId, actor, success, error, result, startedAt, finishedAt }]
+   */
+  getExecutions({ limit = 50, workflow = null, bugKey = null } = {}) {
+    return this.db.prepare(`SELECT e.*, b.key AS bug_key FROM executions e LEFT JOIN bugs b ON b.id = e.bug_id
+      WHERE (@workflow IS NULL OR e.workflow = @workflow) AND (@bugKey IS NULL OR b.key = @bugKey)
+      ORDER BY e.finished_at DESC, e.id DESC LIMIT @limit`).all({ limit, workflow, bugKey })
+      .map(row => ({
+        id: row.id,
+        bugKey: row.bug_key,
+        runId: row.run_id,
+        workflow: row.workflow,
+        jobId: row.job_id,
+        actor: row.actor,
+        success: !!row.success,
+        error: row.error,
+        result: row.result ? JSON.parse(row.result) : null,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+      }));
+  }
+
+  /**
+   * Bugs and test cases per run, from each test's latest outcome for a bug
+   * A bug counts as linked while one of its tests is still failed with it.
+   * @param {number} limit - Runs to return (most recent activity first)
+   * @returns {Array<Object>} [{ runId, bugs, linkedBugs, failedTests, tests, lastActivity }]
+   */
+  getRunSummary(limit = 20) {
+    return this.db.prepare(`WITH latest AS (
+        SELECT run_id, bug_id, test_id, outcome, recorded_at,
+          ROW_NUMBER() OVER (PARTITION BY run_id, bug_id, test_id ORDER BY recorded_at DESC, id DESC) AS position
+        FROM outcomes WHERE run_id IS NOT NULL AND outcome <> 'held')
+      SELECT run_id AS runId,
+        COUNT(DISTINCT bug_id) AS bugs,
+        COUNT(DISTINCT CASE WHEN outcome IN ('failed', 'already-linked', 'still-failed') THEN bug_id END) AS linkedBugs,
+        COUNT(DISTINCT CASE WHEN outcome IN ('failed', 'already-linked', 'still-failed') THEN test_id END) AS failedTests,
+        COUNT(DISTINCT test_id) AS tests,
+        MAX(recorded_at) AS lastActivity
+      FROM latest WHERE position = 1
+      GROUP BY run_id ORDER BY lastActivity DESC LIMIT ?`).all(limit);
+  }
+
+  /**
+   * Share of AI-matched bugs that were corrected, per day, week or month
+   * @param {string} period - 'day', 'week' or 'month'
+   * @param {number} limit - Most recent periods to return
+   * @returns {Array<Object>} [{ period, matchedBugs, correctedBugs }] oldest first
+   */
+  getCorrectionTrend(period = 'week', limit = 12) {
+    const format = PERIOD_FORMATS[period];
+    if (!format) {
+      throw new Error(`Unknown period "${period}". Use ${Object.keys(PERIOD_FORMATS).join(', ')}`);
+    }
+
+    return this.db.prepare(`SELECT period, SUM(matched) AS matchedBugs, SUM(corrected) AS correctedBugs FROM (
+        SELECT strftime('${format}', stored_at) AS period, COUNT(DISTINCT bug_id) AS matched, 0 AS corrected
+          FROM matches WHERE learned = 0 GROUP BY period
+        UNION ALL
+        SELECT strftime('${format}', corrected_at) AS period, 0 AS matched, COUNT(DISTINCT bug_id) AS corrected
+          FROM corrections GROUP BY period)
+      GROUP BY period ORDER BY period DESC LIMIT ?`).all(limit).reverse();
+  }
+
+  /**
+   * Test cases most often involved in corrections
+   * correctedFrom counts corrections away from the AI's latest pick for the bug,
+   * correctedTo counts corrections to the test case.
+   * @param {number} limit - Test cases to return
+   * @returns {Array<Object>} [{ testId, title, correctedFrom, correctedTo }] most corrected-from first
+   */
+  getMostCorrectedTests(limit = 10) {
+    const tests = new Map();
+    const entry = (testId, title) => {
+      if (!tests.has(testId)) tests.set(testId, { testId, title: title || null, correctedFrom: 0, correctedTo: 0 });
+      const test = tests.get(testId);
+      test.title = test.title || title || null;
+      return test;
+    };
+
+    for (const row of this.db.prepare('SELECT test_id, MAX(title) AS title, COUNT(*) AS count FROM corrections GROUP BY test_id').all()) {
+      entry(row.test_id, row.title).correctedTo += row.count;
+    }
+
+    const wrongPicks = this.db.prepare(`SELECT test_id, MAX(title) AS title, COUNT(*) AS count FROM (
+        SELECT m.test_id, m.title FROM corrections c
+        JOIN matches m ON m.rowid = (SELECT m2.rowid FROM matches m2
+          WHERE m2.bug_id = c.bug_id AND m2.stored_at <= c.corrected_at AND m2.learned = 0
+          ORDER BY m2.stored_at DESC, m2.rowid DESC LIMIT 1)
+        WHERE m.test_id <> c.test_id)
+      GROUP BY test_id`).all();
+    for (const row of wrongPicks) {
+      entry(row.test_id, row.title).correctedFrom += row.count;
+    }
+
+    return Array.from(tests.values())
+      .sort((a, b) => b.correctedFrom - a.correctedFrom || b.correctedTo - a.correctedTo || a.testId.localeCompare(b.testId))
+      .slice(0, limit);
+  }
+
+  /**
+   * Everything stored about one bug
+   * @param {string} bugKey - JIRA issue key
+   * @returns {Object|null} { bug, matches, corrections, outcomes, executions, aiExchanges, comments } or null if unknown
+   */
+  getBugHistory(bugKey) {
+    const bug = this.db.prepare('SELECT * FROM bugs WHERE key = ?').get(bugKey);
+    if (!bug) {
+      return null;
+    }
+
+    return {
+      bug: { key: bug.key, summary: bug.summary, description: bug.description, wcagCategory: bug.wcag_category, updatedAt: bug.updated_at },
+      matches: this.db.prepare(`SELECT test_id AS testId, case_id AS caseId, title, confidence, reasoning, learned, prompt_version AS promptVersion, run_id AS runId, stored_at AS storedAt
+        FROM matches WHERE bug_id = ? ORDER BY rowid`).all(bug.id).map(row => ({ ...row, learned: !!row.learned })),
+      corrections: this.db.prepare(`SELECT test_id AS testId, case_id AS caseId, title, run_id AS runId, corrected_at AS correctedAt
+        FROM corrections WHERE bug_id = ? ORDER BY rowid`).all(bug.id),
+      outcomes: this.db.prepare(`SELECT run_id AS runId, test_id AS testId, outcome, workflow, recorded_at AS recordedAt
+        FROM outcomes WHERE bug_id = ? ORDER BY id`).all(bug.id),
+      executions: this.getExecutions({ bugKey, limit: 100 }).reverse(),
+      aiExchanges: this.db.prepare(`SELECT provider, model, prompt_version AS promptVersion, system, prompt, response, error, duration_ms AS durationMs, recorded_at AS recordedAt
+        FROM ai_exchanges WHERE bug_id = ? ORDER BY id`).all(bug.id).map(row => ({ ...row, response: row.response ? JSON.parse(row.response) : null })),
+      comments: this.db.prepare('SELECT body, posted_at AS postedAt FROM comments WHERE bug_id = ? ORDER BY id').all(bug.id)
+    };
+  }
+}
+
+/**
+ * Convert an ID to text, keeping missing values missing
+ * @param {*} value - Value
+ * @returns {string|null} Text or null
+ */
+function textOrNull(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Build the bug object of a joined row
+ * @param {Object} row - Row with bug_key, summary, description, wcag_category
+ * @returns {Object} Bug
+ */
+function toBug(row) {
+  return {
+    key: row.bug_key,
+    summary: row.summary,
+    description: row.description,
+    ...(row.wcag_category ? { wcagCategory: row.wcag_category } : {})
+  };
+}
+
+module.exports = LearningStore;
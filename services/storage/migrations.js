@@ -0,0 +1,155 @@
+/**
+ * Learning database schema migrations
+ *
+ * Applied in order by LearningStore.migrate(), each in its own transaction,
+ * and recorded in schema_migrations. Never edit a released migration - add a
+ * new one with the next version number.
+ */
+module.exports = [
+  {
+    version: 1,
+    name: 'Bugs, runs, matches, corrections and outcomes',
+    up: db => db.exec(`
+      CREATE TABLE bugs (
+        id INTEGER PRIMARY KEY,
+        key TEXT UNIQUE,                      -- NULL for bugs matched without a JIRA key
+        summary TEXT NOT NULL DEFAULT '',
+        description TEXT NOT NULL DEFAULT '',
+        wcag_category TEXT,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE runs (
+        id TEXT PRIMARY KEY,                  -- TestRail run ID, Xray execution or Zephyr Scale cycle key
+        first_seen_at TEXT NOT NULL
+      );
+
+      CREATE TABLE matches (
+        id TEXT PRIMARY KEY,
+        bug_id INTEGER NOT NULL REFERENCES bugs(id),
+        run_id TEXT REFERENCES runs(id),
+        test_id TEXT NOT NULL,
+        case_id TEXT,
+        title TEXT,
+        confidence REAL,
+        reasoning TEXT,
+        learned INTEGER NOT NULL DEFAULT 0,
+        stored_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_matches_bug ON matches(bug_id);
+      CREATE INDEX idx_matches_test ON matches(test_id);
+      CREATE INDEX idx_matches_stored ON matches(stored_at);
+
+      CREATE TABLE corrections (
+        id TEXT PRIMARY KEY,
+        bug_id INTEGER NOT NULL REFERENCES bugs(id),
+        run_id TEXT REFERENCES runs(id),
+        test_id TEXT NOT NULL,
+        case_id TEXT,
+        title TEXT,
+        corrected_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_corrections_bug ON corrections(bug_id);
+      CREATE INDEX idx_corrections_test ON corrections(test_id);
+      CREATE INDEX idx_corrections_corrected ON corrections(corrected_at);
+
+      CREATE TABLE outcomes (
+        id INTEGER PRIMARY KEY,
+        bug_id INTEGER NOT NULL REFERENCES bugs(id),
+        run_id TEXT REFERENCES runs(id),
+        test_id TEXT NOT NULL,
+        outcome TEXT NOT NULL,                -- failed, passed, still-failed, already-passed, already-linked, removed
+        workflow TEXT,                        -- bug-created, bug-resolved, bug-reopened, correction
+        recorded_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_outcomes_bug ON outcomes(bug_id);
+      CREATE INDEX idx_outcomes_test ON outcomes(test_id);
+    `)
+  },
+  {
+    version: 2,
+    name: 'Prompt template version of each match',
+    up: db => db.exec(`
+      ALTER TABLE matches ADD COLUMN prompt_version TEXT;  -- NULL for learned matches and matches made before templates
+      CREATE INDEX idx_matches_prompt ON matches(prompt_version);
+    `)
+  },
+  {
+    version: 3,
+    name: 'Bug history: workflow executions, AI exchanges and JIRA comments',
+    up: db => db.exec(`
+      CREATE TABLE executions (
+        id INTEGER PRIMARY KEY,
+        bug_id INTEGER REFERENCES bugs(id),   -- NULL for jobs without an issue
+        run_id TEXT REFERENCES runs(id),
+        workflow TEXT NOT NULL,               -- bug-created, bug-resolved, bug-reopened, correction, approval, custom-action
+        job_id TEXT,
+        actor TEXT,                           -- webhook, manual
+        success INTEGER NOT NULL,
+        error TEXT,
+        result TEXT,                          -- JSON returned by the workflow
+        started_at TEXT NOT NULL,
+        finished_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_executions_bug ON executions(bug_id);
+      CREATE INDEX idx_executions_finished ON executions(finished_at);
+
+      CREATE TABLE ai_exchanges (
+        id INTEGER PRIMARY KEY,
+        bug_id INTEGER NOT NULL REFERENCES bugs(id),
+        provider TEXT,
+        model TEXT,
+        prompt_version TEXT,
+        system TEXT,
+        prompt TEXT NOT NULL,
+        response TEXT,                        -- JSON returned by the model, NULL if the call failed
+        error TEXT,
+        duration_ms INTEGER,
+        recorded_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_ai_exchanges_bug ON ai_exchanges(bug_id);
+
+      CREATE TABLE comments (
+        id INTEGER PRIMARY KEY,
+        bug_id INTEGER NOT NULL REFERENCES bugs(id),
+        body TEXT NOT NULL,
+        posted_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_comments_bug ON comments(bug_id);
+      CREATE INDEX idx_outcomes_run ON outcomes(run_id);
+    `)
+  },
+  {
+    version: 4,
+    name: 'Append-only audit log of external writes',
+    up: db => db.exec(`
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY,
+        recorded_at TEXT NOT NULL,
+        correlation_id TEXT,                  -- ID of the webhook or manual trigger job that started the work
+        job_id TEXT,
+        actor TEXT NOT NULL,                  -- webhook, manual, scheduler, system
+        workflow TEXT,                        -- bug-created, bug-resolved, bug-reopened, correction, approval, ...
+        user TEXT,                            -- JIRA user behind a correction or approval comment
+        issue_key TEXT,
+        system TEXT NOT NULL,                 -- jira, testrail, xray, zephyrscale
+        operation TEXT NOT NULL,
+        target TEXT NOT NULL,                 -- Object written (test, issue, link)
+        before_state TEXT,                    -- JSON
+        after_state TEXT,                     -- JSON
+        request TEXT,                         -- JSON payload sent
+        response TEXT,                        -- JSON response (or error body)
+        success INTEGER NOT NULL,
+        error TEXT
+      );
+      CREATE INDEX idx_audit_issue ON audit_log(issue_key);
+      CREATE INDEX idx_audit_correlation ON audit_log(correlation_id);
+      CREATE INDEX idx_audit_recorded ON audit_log(recorded_at);
+
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `)
+  }
+];
@@ -1,25 +1,50 @@
 const config = require('../config');
 const logger = require('../logger');
+const backends = require('./backends');
+
+const MODES = ['single', 'dual', 'shadow'];
 
 /**
- * Test Management Adapter - Unified interface for TestRail and Xray
- * Automatically routes to the correct service based on configuration
+ * Test Management Adapter - Unified interface for test management systems
+ * Routes every call to the backend registered for TEST_MANAGEMENT_SYSTEM
+ * (testrail, xray, zephyrscale - see services/backends)
+ *
+ * Modes (TEST_MANAGEMENT_MODE):
+ * - single: results go to TEST_MANAGEMENT_SYSTEM only
+ * - dual:   results also go to the mapped test in TEST_MANAGEMENT_SECONDARY
+ * - shadow: the secondary system only logs what it would have done
  */
 class TestManagementAdapter {
-  constructor() {
-    this.system = config.testManagement.system.toLowerCase();
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} services - Service instances for the profile (jiraService, testRailService, xrayService, zephyrScaleService, testMapping, retrievalService)
+   */
+  constructor(profileConfig = config, services = {}) {
+    this.config = profileConfig;
+    this.retrieval = services.retrievalService || require('./retrievalService');
+    this.system = this.config.testManagement.system.toLowerCase();
+    this.mode = (this.config.testManagement.mode || 'single').toLowerCase();
     logger.info(`Test Management System: ${this.system}`);
-    
-    if (this.system === 'xray') {
-      this.service = require('./xrayService');
-      this.isXray = true;
-      this.isTestRail = false;
-    } else if (this.system === 'testrail') {
-      this.service = require('./testRailService');
-      this.isXray = false;
-      this.isTestRail = true;
-    } else {
-      throw new Error(`Unsupported test management system: ${this.system}. Use 'testrail' or 'xray'.`);
+
+    this.backend = backends.create(this.system, this.config, services);
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unsupported test management mode: ${this.mode}. Use ${MODES.join(', ')}.`);
+    }
+
+    this.secondary = null;
+    if (this.mode !== 'single') {
+      // Without an explicit secondary, TestRail pairs with Xray and everything else with TestRail
+      const secondarySystem = (this.config.testManagement.secondary ||
+        (this.system === 'testrail' ? 'xray' : 'testrail')).toLowerCase();
+      if (secondarySystem === this.system) {
+        throw new Error(`TEST_MANAGEMENT_SECONDARY must differ from TEST_MANAGEMENT_SYSTEM (${this.system})`);
+      }
+
+      this.secondary = backends.create(secondarySystem, this.config, services);
+      this.mapping = services.testMapping || require('./testMappingService');
+      this.mapping.load();
+      logger.info(`Test management ${this.mode} mode: ${this.getSystemName()} → ${this.secondary.displayName}`);
     }
   }
 
@@ -27,109 +52,201 @@ class TestManagementAdapter {
    * Get the run/execution identifier from parent issue
    * TestRail: Returns Run ID (numeric string)
    * Xray: Returns Test Execution Key (issue key)
+   * Zephyr Scale: Returns Test Cycle Key
    */
   async findRunOrExecutionKey(issueKey) {
-    if (this.isXray) {
-      return await this.service.findTestExecutionKey(issueKey);
-    } else {
-      // Use jiraService for TestRail
-      const jiraService = require('./jiraService');
-      return await jiraService.findRunId(issueKey);
-    }
+    return await this.backend.findRun(issueKey);
   }
 
   /**
    * Get all tests with details
-   * @param {string} runOrExecutionKey - Run ID (TestRail) or Execution Key (Xray)
+   * @param {string} runOrExecutionKey - Run ID, Execution Key or Cycle Key
    * @param {boolean} forceRefresh - Force cache refresh
    */
   async getTestsWithDetails(runOrExecutionKey, forceRefresh = false) {
-    return await this.service.getTestsWithDetails(runOrExecutionKey, forceRefresh);
+    const tests = await this.backend.getTestsWithDetails(runOrExecutionKey, forceRefresh);
+    // Build the run's vector index now so matching doesn't wait for it (no-op if already indexed)
+    await this.retrieval.indexTests(tests);
+    return tests;
   }
 
   /**
    * Check if a bug is already linked to a test
-   * @param {string} testIdOrKey - Test ID (TestRail) or Test Key (Xray)
+   * @param {string} testIdOrKey - Test ID (TestRail) or Test Key
    * @param {string} bugKey - Bug key
    */
   async isBugAlreadyLinked(testIdOrKey, bugKey) {
-    return await this.service.isBugAlreadyLinked(testIdOrKey, bugKey);
+    return await this.backend.isBugAlreadyLinked(testIdOrKey, bugKey);
   }
 
   /**
    * Mark test as failed
-   * @param {string} testIdOrKey - Test ID (TestRail) or Test Key (Xray)
-   * @param {string} runOrExecutionKey - Run ID or Execution Key (Xray only)
+   * @param {string} testIdOrKey - Test ID (TestRail) or Test Key
+   * @param {string} runOrExecutionKey - Run ID, Execution Key or Cycle Key
    * @param {string} comment - Comment
    * @param {string|Array} defects - Bug key(s)
    */
   async markAsFailed(testIdOrKey, runOrExecutionKey, comment, defects) {
-    if (this.isXray) {
-      // Xray expects array of defects and execution key
-      const defectsArray = Array.isArray(defects) ? defects : [defects];
-      return await this.service.markAsFailed(testIdOrKey, runOrExecutionKey, comment, defectsArray);
-    } else {
-      // TestRail expects string of defects (comma-separated) and no execution key
-      const defectsString = Array.isArray(defects) ? defects.join(',') : defects;
-      return await this.service.markAsFailed(testIdOrKey, comment, defectsString);
-    }
+    const defectsArray = this.toDefectsArray(defects);
+    const result = await this.backend.recordResult(testIdOrKey, runOrExecutionKey, 'Failed', comment, defectsArray);
+    return this.mirrorResult(result, 'Failed', testIdOrKey, comment, defectsArray);
   }
 
   /**
    * Mark test as passed
-   * @param {string} testIdOrKey - Test ID (TestRail) or Test Key (Xray)
-   * @param {string} runOrExecutionKey - Run ID or Execution Key (Xray only)
+   * @param {string} testIdOrKey - Test ID (TestRail) or Test Key
+   * @param {string} runOrExecutionKey - Run ID, Execution Key or Cycle Key
    * @param {string} comment - Comment
    * @param {string|Array} defects - Bug key(s) to clear
+   * @param {string} bugKey - Bug that was resolved, used to find the secondary run (defaults to the first defect)
+   */
+  async markAsPassed(testIdOrKey, runOrExecutionKey, comment, defects = '', bugKey = null) {
+    const defectsArray = this.toDefectsArray(defects);
+    const result = await this.backend.recordResult(testIdOrKey, runOrExecutionKey, 'Passed', comment, defectsArray);
+    return this.mirrorResult(result, 'Passed', testIdOrKey, comment, defectsArray, bugKey);
+  }
+
+  /**
+   * Normalize defects to an array of bug keys
+   * @param {string|Array} defects - Bug key(s), possibly comma-separated
+   * @returns {Array<string>} Bug keys
+   */
+  toDefectsArray(defects) {
+    if (Array.isArray(defects)) return defects;
+    return String(defects || '').split(',').map(d => d.trim()).filter(d => d);
+  }
+
+  /**
+   * Mirror a primary result to the secondary system (dual) or log it (shadow)
+   * Secondary failures are reported, never thrown - the primary system stays authoritative
+   * @param {Object} primaryResult - Result from the primary system
+   * @param {string} status - 'Failed' or 'Passed'
+   * @param {string} testIdOrKey - Primary Test ID or Test Key
+   * @param {string} comment - Comment
+   * @param {Array<string>} defects - Bug keys
+   * @param {string} bugKey - Bug the result is for (defaults to the first defect)
+   * @returns {Promise<Object>} Primary result with per-system outcomes in "backends"
+   */
+  async mirrorResult(primaryResult, status, testIdOrKey, comment, defects, bugKey = null) {
+    if (!this.secondary) {
+      return primaryResult;
+    }
+
+    const backends = [{
+      system: this.getSystemName(),
+      role: 'primary',
+      testId: testIdOrKey,
+      outcome: primaryResult && primaryResult.dry_run ? 'dry-run' : 'updated',
+      status
+    }];
+
+    const secondary = {
+      system: this.secondary.displayName,
+      role: this.mode === 'shadow' ? 'shadow' : 'secondary',
+      testId: null,
+      status
+    };
+
+    try {
+      const target = await this.findSecondaryTarget(testIdOrKey, bugKey || defects[0]);
+
+      if (!target.testId) {
+        logger.warn(`No ${secondary.system} mapping for ${this.getSystemName()} test ${testIdOrKey}: ${target.reason}`);
+        backends.push({ ...secondary, outcome: 'unmapped', reason: target.reason });
+      } else if (this.mode === 'shadow') {
+        logger.info(`[SHADOW] Would mark ${secondary.system} test ${target.testId} (${target.runKey}) as ${status}`);
+        backends.push({ ...secondary, testId: target.testId, outcome: 'shadow' });
+      } else {
+        const result = await this.secondary.recordResult(target.testId, target.runKey, status, comment, defects);
+        backends.push({ ...secondary, testId: target.testId, outcome: result && result.dry_run ? 'dry-run' : 'updated' });
+      }
+    } catch (error) {
+      logger.error(`Failed to mirror ${status} result to ${secondary.system}: ${error.message}`);
+      backends.push({ ...secondary, outcome: 'error', error: error.message });
+    }
+
+    return { ...primaryResult, backends };
+  }
+
+  /**
+   * Find the secondary system's test and run for a primary test
+   * The run is found from the bug the same way as for the primary system
+   * @param {string} testIdOrKey - Primary Test ID or Test Key
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<Object>} { testId, runKey } or { testId: null, reason }
    */
-  async markAsPassed(testIdOrKey, runOrExecutionKey, comment, defects = '') {
-    if (this.isXray) {
-      // Xray expects array and execution key
-      const defectsArray = Array.isArray(defects) ? defects : (defects ? [defects] : []);
-      return await this.service.markAsPassed(testIdOrKey, runOrExecutionKey, comment, defectsArray);
-    } else {
-      // TestRail expects string and no execution key
-      const defectsString = Array.isArray(defects) ? defects.join(',') : defects;
-      return await this.service.markAsPassed(testIdOrKey, comment, defectsString);
+  async findSecondaryTarget(testIdOrKey, bugKey) {
+    const primaryKey = await this.backend.getMappingKey(testIdOrKey);
+    const secondaryKey = this.mapping.translate(primaryKey);
+    if (!secondaryKey) {
+      return { testId: null, reason: `${primaryKey} is not in the mapping table` };
+    }
+
+    const runKey = await this.secondary.findRun(bugKey);
+    if (!runKey) {
+      throw new Error(`Could not find ${this.secondary.displayName} ${this.secondary.runLabel} for ${bugKey}`);
+    }
+
+    const testId = await this.secondary.findTestByMappingKey(runKey, secondaryKey);
+    if (!testId) {
+      return { testId: null, reason: `${secondaryKey} is not in ${this.secondary.runLabel} ${runKey}` };
     }
+    return { testId, runKey };
+  }
+
+  /**
+   * Get the primary or secondary backend for a system name
+   * @param {string} system - System name (testrail, xray, zephyrscale)
+   * @returns {TestManagementBackend|null} Backend, or null if the profile does not use the system
+   */
+  getBackend(system) {
+    return [this.backend, this.secondary].find(backend => backend && backend.name === system) || null;
+  }
+
+  /**
+   * Get the dual-write mode
+   * @returns {string} 'single', 'dual' or 'shadow'
+   */
+  getMode() {
+    return this.mode;
   }
 
   /**
    * Find all tests that have a bug linked
-   * @param {string} runOrExecutionKey - Run ID or Execution Key
+   * @param {string} runOrExecutionKey - Run ID, Execution Key or Cycle Key
    * @param {string} bugKey - Bug key
    */
   async findTestsWithBug(runOrExecutionKey, bugKey) {
-    return await this.service.findTestsWithBug(runOrExecutionKey, bugKey);
+    return await this.backend.findTestsWithBug(runOrExecutionKey, bugKey);
   }
 
   /**
    * Get system name for display
    */
   getSystemName() {
-    return this.system === 'xray' ? 'Xray' : 'TestRail';
+    return this.backend.displayName;
   }
 
   /**
    * Get identifier label for display
    */
   getIdentifierLabel() {
-    return this.system === 'xray' ? 'Test Execution' : 'Run';
+    return this.backend.runLabel;
   }
 
   /**
    * Get test identifier label for display
    */
   getTestIdentifierLabel() {
-    return this.system === 'xray' ? 'Test Key' : 'Test ID';
+    return this.backend.testLabel;
   }
 
   /**
    * Get all tests (basic info)
-   * @param {string} runOrExecutionKey - Run ID or Execution Key
+   * @param {string} runOrExecutionKey - Run ID, Execution Key or Cycle Key
    */
   async getTests(runOrExecutionKey) {
-    return await this.service.getTests(runOrExecutionKey);
+    return await this.backend.getTests(runOrExecutionKey);
   }
 
   /**
@@ -137,51 +254,49 @@ class TestManagementAdapter {
    * @param {string} testIdOrKey - Test ID or Key
    */
   async getTestDetails(testIdOrKey) {
-    if (this.isXray) {
-      return await this.service.getTestDetails(testIdOrKey);
-    } else {
-      return await this.service.getCase(testIdOrKey);
-    }
+    return await this.backend.getTestDetails(testIdOrKey);
   }
 
   /**
    * Get test results/runs
    * @param {string} testIdOrKey - Test ID or Key
-   * @param {string} executionKey - Execution Key (Xray only)
+   * @param {string} runOrExecutionKey - Run/Execution/Cycle key (required for Xray)
    */
-  async getTestResults(testIdOrKey, executionKey = null) {
-    if (this.isXray) {
-      if (!executionKey) {
-        throw new Error('Execution key is required for Xray');
-      }
-      return await this.service.getTestRuns(testIdOrKey, executionKey);
-    } else {
-      return await this.service.getResults(testIdOrKey);
-    }
+  async getTestResults(testIdOrKey, runOrExecutionKey = null) {
+    return await this.backend.getResults(testIdOrKey, runOrExecutionKey);
+  }
+
+  /**
+   * Read the status ('Passed', 'Failed' or the system's own name) and bug keys of a result from getTestResults()
+   * @param {Object} result - Result
+   * @returns {Object} { status, defects }
+   */
+  summarizeResult(result) {
+    return this.backend.summarizeResult(result);
   }
 
   /**
-   * Xray-specific: Link issue to test
+   * Get each test's status and the bugs recorded against it (primary system only)
+   * @param {string} runOrExecutionKey - Run ID, Execution Key or Cycle Key
+   */
+  async getTestStates(runOrExecutionKey) {
+    return await this.backend.getTestStates(runOrExecutionKey);
+  }
+
+  /**
+   * Link issue to test
    * TestRail: No-op (uses defects field instead)
    */
   async linkIssue(testKey, bugKey, linkType = 'Blocks') {
-    if (this.isXray) {
-      return await this.service.linkIssue(testKey, bugKey, linkType);
-    }
-    // TestRail doesn't have separate link operation
-    return null;
+    return await this.backend.linkIssue(testKey, bugKey, linkType);
   }
 
   /**
-   * Xray-specific: Unlink issue from test
+   * Unlink issue from test
    * TestRail: No-op (uses defects field instead)
    */
   async unlinkIssue(testKey, bugKey) {
-    if (this.isXray) {
-      return await this.service.unlinkIssue(testKey, bugKey);
-    }
-    // TestRail doesn't have separate unlink operation
-    return null;
+    return await this.backend.unlinkIssue(testKey, bugKey);
   }
 }
 
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../logger');
+
+/**
+ * Test Mapping Service - TestRail case ID ↔ test key table
+ * Used by the adapter in dual-write and shadow modes to find the test in the
+ * secondary system that corresponds to a matched test in the primary system.
+ * Test keys are Xray Test issues ("QA-45") or Zephyr Scale Test Cases ("QA-T45").
+ *
+ * The table is a CSV file (case_id,test_key) or a JSON object ({ "C123": "QA-45" }).
+ */
+class TestMappingService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig = config) {
+    this.config = profileConfig;
+    this.caseToTest = new Map(); // Case ID (without "C") -> test key
+    this.testToCase = new Map(); // Test key -> case ID
+    this.source = null;
+  }
+
+  /**
+   * Load the mapping table
+   * Throws if the file is missing or has invalid rows so a migration never runs on a bad table
+   * @param {string} mappingFile - Path to mapping file (optional, defaults to config)
+   * @returns {number} Number of mappings loaded
+   */
+  load(mappingFile = this.config.testManagement.mappingFile) {
+    if (!mappingFile) {
+      throw new Error('TEST_MAPPING_FILE is required for dual and shadow test management modes');
+    }
+
+    this.source = path.resolve(mappingFile);
+    const content = fs.readFileSync(this.source, 'utf8');
+    const pairs = path.extname(this.source).toLowerCase() === '.json'
+      ? this.parseJson(content)
+      : this.parseCsv(content);
+
+    this.caseToTest.clear();
+    this.testToCase.clear();
+
+    const errors = [];
+    pairs.forEach(({ caseId, testKey, line }) => {
+      const normalizedCase = this.normalizeCaseId(caseId);
+      const normalizedKey = String(testKey || '').trim().toUpperCase();
+
+      if (!/^\d+$/.test(normalizedCase)) {
+        errors.push(`${line}: invalid case ID "${caseId}"`);
+      } else if (!/^[A-Z][A-Z0-9_]*-T?\d+$/.test(normalizedKey)) {
+        errors.push(`${line}: invalid test key "${testKey}"`);
+      } else if (this.caseToTest.has(normalizedCase)) {
+        errors.push(`${line}: case C${normalizedCase} is mapped more than once`);
+      } else if (this.testToCase.has(normalizedKey)) {
+        errors.push(`${line}: test ${normalizedKey} is mapped more than once`);
+      } else {
+        this.caseToTest.set(normalizedCase, normalizedKey);
+        this.testToCase.set(normalizedKey, normalizedCase);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid test mapping (${this.source}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    logger.info(`Loaded ${this.caseToTest.size} case↔test mapping(s) from ${this.source}`);
+    return this.caseToTest.size;
+  }
+
+  /**
+   * Parse a JSON mapping object
+   * @param {string} content - File content
+   * @returns {Array} { caseId, testKey, line } pairs
+   */
+  parseJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse test mapping file ${this.source}: ${error.message}`);
+    }
+
+    return Object.entries(data).map(([caseId, testKey]) => ({ caseId, testKey, line: caseId }));
+  }
+
+  /**
+   * Parse a CSV mapping table (header row optional, "#" comments ignored)
+   * @param {string} content - File content
+   * @returns {Array} { caseId, testKey, line } pairs
+   */
+  parseCsv(content) {
+    return content.split(/\r?\n/)
+      .map((text, index) => ({ text: text.trim(), line: `line ${index + 1}` }))
+      .filter(({ text }) => text && !text.startsWith('#') && !/^case[_ ]?id\s*,/i.test(text))
+      .map(({ text, line }) => {
+        const [caseId, testKey] = text.split(',').map(v => v.trim());
+        return { caseId, testKey, line };
+      });
+  }
+
+  /**
+   * Normalize a case ID ("C123", 123, "123" -> "123")
+   * @param {string|number} caseId - TestRail case ID
+   * @returns {string} Case ID without prefix
+   */
+  normalizeCaseId(caseId) {
+    return String(caseId || '').trim().replace(/^C/i, '');
+  }
+
+  /**
+   * Get the test key for a TestRail case
+   * @param {string|number} caseId - TestRail case ID
+   * @returns {string|null} Test key or null if unmapped
+   */
+  getTestKey(caseId) {
+    return this.caseToTest.get(this.normalizeCaseId(caseId)) || null;
+  }
+
+  /**
+   * Get the TestRail case ID for a test key
+   * @param {string} testKey - Xray or Zephyr Scale test key
+   * @returns {string|null} Case ID (without "C") or null if unmapped
+   */
+  getCaseId(testKey) {
+    return this.testToCase.get(String(testKey || '').toUpperCase()) || null;
+  }
+
+  /**
+   * Translate an identifier to the other side of the table
+   * @param {string|number} id - TestRail case ID or test key
+   * @returns {string|null} Test key for a case ID, case ID for a test key, or null if unmapped
+   */
+  translate(id) {
+    return /^C?\d+$/i.test(String(id).trim()) ? this.getTestKey(id) : this.getCaseId(id);
+  }
+
+  /**
+   * Get mapping statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return { source: this.source, mappings: this.caseToTest.size };
+  }
+}
+
+module.exports = new TestMappingService();
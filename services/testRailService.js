@@ -1,18 +1,74 @@
-const axios = require('axios');
 const config = require('../config');
 const logger = require('../logger');
+const httpClient = require('./httpClient');
 const cacheService = require('./cacheService');
+const auditService = require('./auditService');
+
+// Strips "index.php?" from the _links.next of a page, leaving "/api/v2/..."
+const NEXT_LINK_PREFIX = /^\/?index\.php\?/;
 
 /**
  * TestRail Service - Handles all TestRail API interactions
  */
 class TestRailService {
-  constructor() {
-    this.baseUrl = config.testRail.baseUrl;
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} cache - Cache service instance for this profile
+   * @param {Object|null} audit - Audit service that logs every write (null to skip)
+   */
+  constructor(profileConfig = config, cache = cacheService, audit = auditService) {
+    this.config = profileConfig;
+    this.cache = cache;
+    this.audit = audit;
+    this.baseUrl = this.config.testRail.baseUrl;
     this.auth = {
-      username: config.testRail.username,
-      password: config.testRail.password
+      username: this.config.testRail.username,
+      password: this.config.testRail.password
     };
+    this.http = httpClient.create();
+  }
+
+  /**
+   * Get every item of a paginated list endpoint
+   * TestRail returns up to 250 items per page and links the next page in _links.next;
+   * older TestRail versions return a plain array of everything.
+   * @param {string} endpoint - API method with its ID and filters (e.g., "get_tests/42")
+   * @param {string} key - Property holding the items (e.g., "tests")
+   * @param {Function|null} onPage - Called with the items of each page; returning true stops paging
+   * @returns {Promise<Array>} All items read
+   */
+  async getAllPages(endpoint, key, onPage = null) {
+    const items = [];
+    let next = `/api/v2/${endpoint}`;
+
+    while (next) {
+      const response = await this.http.get(`${this.baseUrl}/index.php?${next}`, { auth: this.auth });
+      if (Array.isArray(response.data)) {
+        onPage?.(response.data);
+        return items.concat(response.data);
+      }
+      const page = response.data[key] || [];
+      items.push(...page);
+      const done = onPage?.(page);
+      next = response.data._links?.next && !done ? response.data._links.next.replace(NEXT_LINK_PREFIX, '') : null;
+    }
+    return items;
+  }
+
+  /**
+   * Run a worker for each item, at most TESTRAIL_FETCH_CONCURRENCY at a time
+   * @param {Array} items - Items to process
+   * @param {Function} worker - Async function receiving an item
+   * @returns {Promise<void>} Resolves when every item is done; rejects with the first error
+   */
+  async forEachConcurrently(items, worker) {
+    const queue = [...items];
+    const workers = Array.from({ length: Math.min(this.config.testRail.fetchConcurrency, queue.length) }, async () => {
+      while (queue.length > 0) {
+        await worker(queue.shift());
+      }
+    });
+    await Promise.all(workers);
   }
 
   /**
@@ -23,12 +79,13 @@ class TestRailService {
   async getSection(sectionId) {
     try {
       logger.info(`Fetching TestRail section: ${sectionId}`);
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.baseUrl}/index.php?/api/v2/get_section/${sectionId}`,
         { auth: this.auth }
       );
       return response.data;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to fetch TestRail section ${sectionId}: ${error.message}`);
       return null;
     }
@@ -42,13 +99,13 @@ class TestRailService {
    */
   async getSections(projectId, suiteId = null) {
     try {
-      let url = `${this.baseUrl}/index.php?/api/v2/get_sections/${projectId}`;
+      let endpoint = `get_sections/${projectId}`;
       if (suiteId) {
-        url += `&suite_id=${suiteId}`;
+        endpoint += `&suite_id=${suiteId}`;
       }
-      const response = await axios.get(url, { auth: this.auth });
-      return response.data.sections || response.data || [];
+      return await this.getAllPages(endpoint, 'sections');
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to fetch sections: ${error.message}`);
       return [];
     }
@@ -62,7 +119,7 @@ class TestRailService {
   async getRun(runId) {
     try {
       logger.info(`Fetching TestRail run: ${runId}`);
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.baseUrl}/index.php?/api/v2/get_run/${runId}`,
         { auth: this.auth }
       );
@@ -81,11 +138,7 @@ class TestRailService {
   async getTests(runId) {
     try {
       logger.info(`Fetching tests from run: ${runId}`);
-      const response = await axios.get(
-        `${this.baseUrl}/index.php?/api/v2/get_tests/${runId}`,
-        { auth: this.auth }
-      );
-      return response.data.tests || response.data;
+      return await this.getAllPages(`get_tests/${runId}`, 'tests');
     } catch (error) {
       logger.error(`Failed to fetch tests from run ${runId}: ${error.message}`);
       throw error;
@@ -100,12 +153,9 @@ class TestRailService {
   async getResults(testId) {
     try {
       logger.info(`Fetching results for test: ${testId}`);
-      const response = await axios.get(
-        `${this.baseUrl}/index.php?/api/v2/get_results/${testId}`,
-        { auth: this.auth }
-      );
-      return response.data.results || response.data;
+      return await this.getAllPages(`get_results/${testId}`, 'results');
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to fetch results for test ${testId}: ${error.message}`);
       return [];
     }
@@ -119,7 +169,7 @@ class TestRailService {
   async getTestDetails(testId) {
     try {
       logger.info(`Fetching test details: ${testId}`);
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.baseUrl}/index.php?/api/v2/get_test/${testId}`,
         { auth: this.auth }
       );
@@ -154,6 +204,7 @@ class TestRailService {
       logger.info(`Bug ${bugId} is not linked to test ${testId}`);
       return false;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to check bug link: ${error.message}`);
       return false;
     }
@@ -193,6 +244,7 @@ class TestRailService {
       logger.info(`Found ${testIdsWithBug.length} test(s) with bug ${bugId}`);
       return testIdsWithBug;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to find tests with bug ${bugId}: ${error.message}`);
       return [];
     }
@@ -206,7 +258,7 @@ class TestRailService {
   async getCase(caseId) {
     try {
       logger.info(`Fetching TestRail case: ${caseId}`);
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.baseUrl}/index.php?/api/v2/get_case/${caseId}`,
         { auth: this.auth }
       );
@@ -217,6 +269,66 @@ class TestRailService {
     }
   }
 
+  /**
+   * Get the test cases of a suite, or of one section
+   * Only cases directly in the section are returned, not those of its subsections.
+   * @param {string} projectId - TestRail Project ID
+   * @param {string} suiteId - TestRail Suite ID (optional in single-suite projects)
+   * @param {string} sectionId - TestRail Section ID (optional)
+   * @returns {Promise<Array>} Cases with their custom fields
+   */
+  async getCases(projectId, suiteId = null, sectionId = null) {
+    try {
+      logger.info(`Fetching TestRail cases of project ${projectId}${suiteId ? `, suite ${suiteId}` : ''}${sectionId ? `, section ${sectionId}` : ''}`);
+      let endpoint = `get_cases/${projectId}`;
+      if (suiteId) endpoint += `&suite_id=${suiteId}`;
+      if (sectionId) endpoint += `&section_id=${sectionId}`;
+      return await this.getAllPages(endpoint, 'cases');
+    } catch (error) {
+      logger.error(`Failed to fetch TestRail cases of project ${projectId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the case details of a run's tests
+   * The cases of the run's suite are paged with get_cases (250 per request) until every
+   * case of the run is found. Cases still missing (e.g., moved to another suite) are read
+   * with get_case, TESTRAIL_FETCH_CONCURRENCY at a time; the HTTP client paces the requests.
+   * @param {string} runId - TestRail Run ID
+   * @param {Array} tests - Tests of the run (from getTests)
+   * @returns {Promise<Map>} Case ID -> case (cases that could not be read are left out)
+   */
+  async getCasesForTests(runId, tests) {
+    const wanted = new Set(tests.map(test => test.case_id));
+    const cases = new Map();
+
+    try {
+      const run = await this.getRun(runId);
+      logger.info(`Fetching the cases of suite ${run.suite_id} for run ${runId}`);
+      await this.getAllPages(`get_cases/${run.project_id}${run.suite_id ? `&suite_id=${run.suite_id}` : ''}`, 'cases', page => {
+        for (const testCase of page) {
+          if (wanted.has(testCase.id)) cases.set(testCase.id, testCase);
+        }
+        return cases.size === wanted.size;
+      });
+      logger.info(`Fetched ${cases.size} of ${wanted.size} case(s) for run ${runId} from its suite`);
+    } catch (error) {
+      logger.warn(`Failed to fetch the cases of run ${runId} from its suite, fetching them one by one: ${error.message}`);
+    }
+
+    const missing = [...wanted].filter(caseId => !cases.has(caseId));
+    await this.forEachConcurrently(missing, async caseId => {
+      try {
+        cases.set(caseId, await this.getCase(caseId));
+      } catch (error) {
+        logger.warn(`Failed to fetch details for case ${caseId}: ${error.message}`);
+      }
+    });
+
+    return cases;
+  }
+
   /**
    * Get test results for a test
    * @param {string} testId - TestRail Test ID
@@ -225,11 +337,7 @@ class TestRailService {
   async getTestResults(testId) {
     try {
       logger.info(`Fetching results for test: ${testId}`);
-      const response = await axios.get(
-        `${this.baseUrl}/index.php?/api/v2/get_results/${testId}`,
-        { auth: this.auth }
-      );
-      return response.data.results || response.data;
+      return await this.getAllPages(`get_results/${testId}`, 'results');
     } catch (error) {
       logger.error(`Failed to fetch results for test ${testId}: ${error.message}`);
       throw error;
@@ -246,7 +354,7 @@ class TestRailService {
    */
   async addResult(testId, statusId, comment = '', defects = '') {
     try {
-      if (config.server.dryRunMode) {
+      if (this.config.server.dryRunMode) {
         logger.info(`[DRY RUN] Would update test ${testId} to status ${statusId}`);
         return { dry_run: true, test_id: testId, status_id: statusId, defects: defects };
       }
@@ -262,12 +370,25 @@ class TestRailService {
       if (defects !== undefined && defects !== null) {
         payload.defects = defects;
       }
-      
-      const response = await axios.post(
-        `${this.baseUrl}/index.php?/api/v2/add_result/${testId}`,
-        payload,
-        { auth: this.auth }
-      );
+
+      const before = await this.audit?.snapshot(async () => {
+        const [latest] = await this.getResults(testId);
+        return latest ? { status_id: latest.status_id, defects: latest.defects || '' } : null;
+      });
+      const audit = { system: 'testrail', operation: 'add-result', target: `test ${testId}`, before, request: payload };
+
+      let response;
+      try {
+        response = await this.http.post(
+          `${this.baseUrl}/index.php?/api/v2/add_result/${testId}`,
+          payload,
+          { auth: this.auth }
+        );
+      } catch (error) {
+        await this.audit?.record({ ...audit, error });
+        throw error;
+      }
+      await this.audit?.record({ ...audit, after: { status_id: response.data.status_id, defects: response.data.defects || '' }, response: response.data });
       
       logger.info(`Test ${testId} updated successfully`);
       return response.data;
@@ -307,6 +428,7 @@ class TestRailService {
       match = tests.find(t => normalizedTitle.includes(t.title.toLowerCase()));
       return match || null;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to find test by title: ${error.message}`);
       return null;
     }
@@ -321,10 +443,10 @@ class TestRailService {
   async getTestsWithDetails(runId, forceRefresh = false) {
     try {
       // Check cache first
-      const cacheKey = cacheService.constructor.getTestsCacheKey(runId);
+      const cacheKey = this.cache.constructor.getTestsCacheKey(runId);
       
       if (!forceRefresh) {
-        const cachedData = await cacheService.get(cacheKey);
+        const cachedData = await this.cache.get(cacheKey);
         if (cachedData) {
           logger.info(`Using cached test cases for run ${runId} (${cachedData.length} tests)`);
           return cachedData;
@@ -333,39 +455,28 @@ class TestRailService {
 
       logger.info(`Fetching fresh test cases from TestRail for run ${runId}`);
       const tests = await this.getTests(runId);
-      const testsWithDetails = [];
+      const cases = await this.getCasesForTests(runId, tests);
 
-      // Fetch case details for each test (with rate limiting)
-      for (const test of tests) {
-        try {
-          const caseDetails = await this.getCase(test.case_id);
-          testsWithDetails.push({
-            test_id: test.id,
-            case_id: test.case_id,
-            title: test.title,
-            section_id: caseDetails.section_id,
-            custom_steps_separated: caseDetails.custom_steps_separated || [],
-            custom_preconds: caseDetails.custom_preconds || '',
-            custom_expected: caseDetails.custom_expected || '',
-            refs: caseDetails.refs || ''
-          });
-          
-          // Rate limiting: configurable delay to avoid 429 errors
-          await new Promise(resolve => setTimeout(resolve, config.testRail.rateLimitMs));
-        } catch (error) {
-          logger.warn(`Failed to fetch details for case ${test.case_id}: ${error.message}`);
+      const testsWithDetails = tests.map(test => {
+        const caseDetails = cases.get(test.case_id);
+        if (!caseDetails) {
           // Add test without full details
-          testsWithDetails.push({
-            test_id: test.id,
-            case_id: test.case_id,
-            title: test.title,
-            section_id: null
-          });
+          return { test_id: test.id, case_id: test.case_id, title: test.title, section_id: null };
         }
-      }
+        return {
+          test_id: test.id,
+          case_id: test.case_id,
+          title: test.title,
+          section_id: caseDetails.section_id,
+          custom_steps_separated: caseDetails.custom_steps_separated || [],
+          custom_preconds: caseDetails.custom_preconds || '',
+          custom_expected: caseDetails.custom_expected || '',
+          refs: caseDetails.refs || ''
+        };
+      });
 
       // Cache the results for future use
-      await cacheService.set(cacheKey, testsWithDetails);
+      await this.cache.set(cacheKey, testsWithDetails);
       logger.info(`Cached ${testsWithDetails.length} test cases for run ${runId}`);
 
       return testsWithDetails;
@@ -382,7 +493,7 @@ class TestRailService {
    * @param {string} defects - Bug IDs (comma-separated)
    */
   async markAsFailed(testId, comment = '', defects = '') {
-    return this.addResult(testId, config.testRail.statusFailed, comment, defects);
+    return this.addResult(testId, this.config.testRail.statusFailed, comment, defects);
   }
 
   /**
@@ -392,7 +503,7 @@ class TestRailService {
    * @param {string} defects - Bug IDs (comma-separated)
    */
   async markAsPassed(testId, comment = '', defects = '') {
-    return this.addResult(testId, config.testRail.statusPassed, comment, defects);
+    return this.addResult(testId, this.config.testRail.statusPassed, comment, defects);
   }
 }
 
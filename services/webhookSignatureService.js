@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../logger');
+
+/**
+ * Webhook Signature Service - Verifies signed JIRA webhook deliveries
+ * Checks the HMAC-SHA256 X-Hub-Signature over the raw request body with a
+ * constant-time comparison, rejects stale or replayed deliveries by timestamp,
+ * and accepts a previous secret so secrets can be rotated without downtime.
+ */
+class WebhookSignatureService {
+  constructor() {
+    this.secrets = [
+      { name: 'current', value: config.server.webhookSecret },
+      { name: 'previous', value: config.server.webhookSecretPrevious }
+    ].filter(secret => secret.value);
+    this.maxAgeMs = config.server.webhookMaxAgeSeconds * 1000;
+    this.allowLegacySecret = config.server.webhookAllowLegacySecret;
+    this.stats = {
+      accepted: 0,
+      acceptedWithPreviousSecret: 0,
+      acceptedWithLegacySecret: 0,
+      rejected: {}
+    };
+  }
+
+  /**
+   * Check whether signature verification is enabled
+   * @returns {boolean} True if at least one secret is configured
+   */
+  isEnabled() {
+    return this.secrets.length > 0;
+  }
+
+  /**
+   * Verify a webhook request
+   * @param {Object} req - Express request (with rawBody captured by the JSON parser)
+   * @returns {Object} { valid: boolean, reason?: string, secret?: string }
+   */
+  verify(req) {
+    if (!this.isEnabled()) {
+      return { valid: true, secret: null };
+    }
+
+    const signatureHeader = req.headers['x-hub-signature'];
+
+    if (!signatureHeader) {
+      // Deprecated: plain shared secret in a header
+      if (this.allowLegacySecret && this.matchesLegacySecret(req.headers['x-webhook-secret'])) {
+        return this.accept('legacy');
+      }
+      return this.reject('missing_signature');
+    }
+
+    const match = signatureHeader.match(/^sha256=([a-f0-9]{64})$/i);
+    if (!match) {
+      return this.reject('malformed_signature');
+    }
+
+    if (!req.rawBody) {
+      return this.reject('missing_body');
+    }
+
+    const received = Buffer.from(match[1].toLowerCase(), 'hex');
+    const secret = this.secrets.find(s => crypto.timingSafeEqual(received, this.sign(req.rawBody, s.value)));
+    if (!secret) {
+      return this.reject('invalid_signature');
+    }
+
+    // Signature is valid - now make sure this is not an old delivery being replayed
+    const timestampCheck = this.checkTimestamp(req);
+    if (timestampCheck) {
+      return this.reject(timestampCheck);
+    }
+
+    return this.accept(secret.name);
+  }
+
+  /**
+   * Compute the HMAC-SHA256 digest of a body
+   * @param {Buffer} body - Raw request body
+   * @param {string} secret - Webhook secret
+   * @returns {Buffer} Digest
+   */
+  sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest();
+  }
+
+  /**
+   * Check the delivery timestamp against the replay window
+   * Only the timestamp JIRA sends in the payload is used: it is covered by the signature,
+   * so a replayed body cannot be made to look fresh (a header could be changed at will).
+   * @param {Object} req - Express request
+   * @returns {string|null} Rejection reason or null if the timestamp is acceptable
+   */
+  checkTimestamp(req) {
+    if (!this.maxAgeMs) {
+      return null; // Replay protection disabled
+    }
+
+    const rawTimestamp = req.body?.timestamp;
+    if (!rawTimestamp) {
+      return 'missing_timestamp';
+    }
+
+    // Accept seconds or milliseconds since epoch
+    let timestamp = Number(rawTimestamp);
+    if (Number.isNaN(timestamp)) {
+      return 'malformed_timestamp';
+    }
+    if (timestamp < 1e12) {
+      timestamp *= 1000;
+    }
+
+    const age = Date.now() - timestamp;
+    if (age > this.maxAgeMs) {
+      return 'stale_timestamp';
+    }
+    if (age < -this.maxAgeMs) {
+      return 'future_timestamp';
+    }
+
+    return null;
+  }
+
+  /**
+   * Compare a plain header secret in constant time
+   * @param {string} received - Header value
+   * @returns {boolean} True if it matches a configured secret
+   */
+  matchesLegacySecret(received) {
+    if (!received) return false;
+
+    const receivedBuffer = Buffer.from(received);
+    return this.secrets.some(secret => {
+      const expected = Buffer.from(secret.value);
+      return expected.length === receivedBuffer.length && crypto.timingSafeEqual(expected, receivedBuffer);
+    });
+  }
+
+  /**
+   * Record an accepted request
+   * @param {string} secretName - Which secret matched
+   * @returns {Object} Verification result
+   */
+  accept(secretName) {
+    this.stats.accepted++;
+    if (secretName === 'previous') {
+      this.stats.acceptedWithPreviousSecret++;
+      logger.warn('Webhook signed with the previous secret - update the JIRA webhook to the current secret');
+    }
+    if (secretName === 'legacy') {
+      this.stats.acceptedWithLegacySecret++;
+      logger.warn('Webhook authenticated with deprecated X-Webhook-Secret header - configure a signed webhook');
+    }
+    return { valid: true, secret: secretName };
+  }
+
+  /**
+   * Record a rejected request
+   * @param {string} reason - Rejection reason
+   * @returns {Object} Verification result
+   */
+  reject(reason) {
+    this.stats.rejected[reason] = (this.stats.rejected[reason] || 0) + 1;
+    return { valid: false, reason };
+  }
+
+  /**
+   * Get verification statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    const totalRejected = Object.values(this.stats.rejected).reduce((sum, count) => sum + count, 0);
+    return {
+      enabled: this.isEnabled(),
+      secretsConfigured: this.secrets.map(s => s.name),
+      maxAgeSeconds: this.maxAgeMs / 1000,
+      ...this.stats,
+      totalRejected
+    };
+  }
+}
+
+module.exports = new WebhookSignatureService();
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const logger = require('../logger');
+
+const ACTIONS = ['create', 'resolve', 'reopen', 'ignore', 'custom'];
+const MATCH_FIELDS = ['project', 'issueType', 'fromStatus', 'toStatus', 'labels', 'components'];
+
+/**
+ * Workflow Rules Service - Declarative mapping of status transitions to workflow actions
+ * Rules are loaded from a JSON/YAML file (WORKFLOW_RULES_FILE) and validated at startup.
+ * Without a rules file, the default rules reproduce the status mappings from config.
+ */
+class WorkflowRulesService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   */
+  constructor(profileConfig = config) {
+    this.config = profileConfig;
+    this.rules = [];
+    this.source = null;
+    this.customActions = new Map(); // Rule name -> loaded custom action function
+  }
+
+  /**
+   * Load and validate the rules
+   * Throws if the rules file is invalid so the service refuses to start with a broken workflow
+   * @param {string} rulesFile - Path to rules file (optional, defaults to config)
+   * @returns {Array} Loaded rules
+   */
+  load(rulesFile = this.config.workflow.rulesFile) {
+    let definition;
+
+    if (rulesFile) {
+      const resolvedPath = path.resolve(rulesFile);
+      logger.info(`Loading workflow rules from ${resolvedPath}`);
+      definition = this.parseFile(resolvedPath);
+      this.source = resolvedPath;
+    } else {
+      definition = { rules: this.getDefaultRules() };
+      this.source = 'default';
+    }
+
+    const errors = this.validate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid workflow rules (${this.source}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.rules = definition.rules.map((rule, index) => ({
+      name: rule.name || `rule-${index + 1}`,
+      match: rule.match || {},
+      action: rule.action,
+      module: rule.module || null
+    }));
+
+    this.loadCustomActions();
+
+    logger.info(`Loaded ${this.rules.length} workflow rule(s) from ${this.source}`);
+    return this.rules;
+  }
+
+  /**
+   * Parse a JSON or YAML rules file
+   * @param {string} filePath - Absolute path
+   * @returns {Object} Parsed definition
+   */
+  parseFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+
+    try {
+      return ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse workflow rules file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Default rules matching the original hardcoded transitions
+   * @returns {Array} Rules
+   */
+  getDefaultRules() {
+    return [
+      {
+        name: 'bug-reopened',
+        match: { fromStatus: this.config.jira.statusQAInProgress, toStatus: this.config.jira.statusReadyForDev },
+        action: 'reopen'
+      },
+      {
+        name: 'bug-created',
+        match: { toStatus: this.config.jira.statusReadyForDev },
+        action: 'create'
+      },
+      {
+        name: 'bug-resolved',
+        match: { toStatus: this.config.jira.statusQueuedMerged },
+        action: 'resolve'
+      }
+    ];
+  }
+
+  /**
+   * Validate a rules definition
+   * @param {Object} definition - Parsed rules file
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validate(definition) {
+    const errors = [];
+
+    if (!definition || !Array.isArray(definition.rules)) {
+      return ['Rules file must contain a "rules" array'];
+    }
+
+    const names = new Set();
+
+    definition.rules.forEach((rule, index) => {
+      const label = `rules[${index}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+
+      if (rule.name) {
+        if (names.has(rule.name)) {
+          errors.push(`${label}: duplicate rule name "${rule.name}"`);
+        }
+        names.add(rule.name);
+      }
+
+      if (!ACTIONS.includes(rule.action)) {
+        errors.push(`${label}: action must be one of ${ACTIONS.join(', ')} (got "${rule.action}")`);
+      }
+
+      if (rule.action === 'custom') {
+        if (!rule.name) {
+          errors.push(`${label}: custom rules need a name`);
+        }
+        if (!rule.module) {
+          errors.push(`${label}: custom rules need a "module" exporting an async function`);
+        } else if (!fs.existsSync(this.resolveModulePath(rule.module))) {
+          errors.push(`${label}: module "${rule.module}" not found`);
+        }
+      }
+
+      const match = rule.match || {};
+      if (typeof match !== 'object' || Array.isArray(match)) {
+        errors.push(`${label}: match must be an object`);
+        return;
+      }
+
+      for (const [field, value] of Object.entries(match)) {
+        if (!MATCH_FIELDS.includes(field)) {
+          errors.push(`${label}: unknown match field "${field}" (allowed: ${MATCH_FIELDS.join(', ')})`);
+          continue;
+        }
+        const values = Array.isArray(value) ? value : [value];
+        if (values.length === 0 || values.some(v => typeof v !== 'string' || !v.trim())) {
+          errors.push(`${label}: match.${field} must be a non-empty string or array of strings`);
+        }
+      }
+
+      if (!match.toStatus) {
+        errors.push(`${label}: match.toStatus is required`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Resolve a custom action module path relative to the rules file
+   * @param {string} modulePath - Module path from the rule
+   * @returns {string} Absolute path
+   */
+  resolveModulePath(modulePath) {
+    const baseDir = this.source && this.source !== 'default'
+      ? path.dirname(this.source)
+      : process.cwd();
+    return path.resolve(baseDir, modulePath);
+  }
+
+  /**
+   * Require the modules of all custom rules
+   */
+  loadCustomActions() {
+    this.customActions.clear();
+
+    for (const rule of this.rules.filter(r => r.action === 'custom')) {
+      const action = require(this.resolveModulePath(rule.module));
+      if (typeof action !== 'function') {
+        throw new Error(`Custom action module for rule "${rule.name}" must export a function`);
+      }
+      this.customActions.set(rule.name, action);
+    }
+  }
+
+  /**
+   * Extract the facts the rules match on from a webhook event
+   * @param {Object} webhookEvent - JIRA webhook payload
+   * @returns {Object|null} Event facts, or null if the event has no status change
+   */
+  extractEvent(webhookEvent) {
+    const issue = webhookEvent.issue || {};
+    const fields = issue.fields || {};
+    const statusChange = webhookEvent.changelog?.items?.find(item => item.field === 'status');
+
+    if (!statusChange) {
+      return null;
+    }
+
+    return {
+      issueKey: issue.key,
+      project: fields.project?.key || (issue.key ? issue.key.split('-')[0] : null),
+      issueType: fields.issuetype?.name || null,
+      fromStatus: statusChange.fromString,
+      toStatus: statusChange.toString,
+      labels: fields.labels || [],
+      components: (fields.components || []).map(c => c.name)
+    };
+  }
+
+  /**
+   * Build the facts for an issue's current status, as if it had just moved there
+   * Used by backfill - the previous status is unknown, so rules matching fromStatus do not apply.
+   * @param {Object} issue - JIRA issue (REST API shape)
+   * @returns {Object} Event facts
+   */
+  extractIssueState(issue) {
+    const fields = issue.fields || {};
+
+    return {
+      issueKey: issue.key,
+      project: fields.project?.key || (issue.key ? issue.key.split('-')[0] : null),
+      issueType: fields.issuetype?.name || null,
+      fromStatus: null,
+      toStatus: fields.status?.name || null,
+      labels: fields.labels || [],
+      components: (fields.components || []).map(c => c.name)
+    };
+  }
+
+  /**
+   * Find the first rule matching a status-change event
+   * @param {Object} event - Event facts from extractEvent()
+   * @returns {Object|null} Matching rule or null
+   */
+  findMatchingRule(event) {
+    return this.rules.find(rule => this.evaluateRule(rule, event).matched) || null;
+  }
+
+  /**
+   * Evaluate a single rule against an event
+   * @param {Object} rule - Rule
+   * @param {Object} event - Event facts
+   * @returns {Object} { matched: boolean, mismatches: Array<string> }
+   */
+  evaluateRule(rule, event) {
+    const mismatches = [];
+
+    for (const [field, expected] of Object.entries(rule.match)) {
+      const allowed = (Array.isArray(expected) ? expected : [expected]).map(v => v.toLowerCase());
+      if (allowed.includes('*')) continue;
+
+      const actual = event[field];
+      const actualValues = (Array.isArray(actual) ? actual : [actual])
+        .filter(v => v !== null && v !== undefined)
+        .map(v => v.toString().toLowerCase());
+
+      // Labels/components match if the issue has any of the listed values
+      if (!actualValues.some(v => allowed.includes(v))) {
+        mismatches.push(`${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    }
+
+    return { matched: mismatches.length === 0, mismatches };
+  }
+
+  /**
+   * Explain which rule a sample event matches and why the others did not
+   * @param {Object} webhookEvent - Sample JIRA webhook payload
+   * @returns {Object} Explanation
+   */
+  explain(webhookEvent) {
+    const event = this.extractEvent(webhookEvent);
+    if (!event) {
+      return { event: null, matchedRule: null, action: null, message: 'Event has no status change' };
+    }
+
+    const evaluations = this.rules.map(rule => ({
+      rule: rule.name,
+      action: rule.action,
+      ...this.evaluateRule(rule, event)
+    }));
+    const matchedRule = this.findMatchingRule(event);
+
+    return {
+      event,
+      matchedRule: matchedRule ? matchedRule.name : null,
+      action: matchedRule ? matchedRule.action : null,
+      source: this.source,
+      evaluations
+    };
+  }
+
+  /**
+   * Run a custom action
+   * @param {string} ruleName - Custom rule name
+   * @param {Object} event - Event facts
+   * @param {Object} services - Services made available to the action
+   * @returns {Promise<any>} Action result
+   */
+  async runCustomAction(ruleName, event, services) {
+    const action = this.customActions.get(ruleName);
+    if (!action) {
+      throw new Error(`No custom action loaded for rule "${ruleName}"`);
+    }
+
+    logger.info(`Running custom action "${ruleName}" for ${event.issueKey}`);
+    return action(event, { ...services, logger });
+  }
+
+  /**
+   * Get loaded rules
+   * @returns {Object} Rules and their source
+   */
+  getRules() {
+    return { source: this.source, rules: this.rules };
+  }
+}
+
+module.exports = new WorkflowRulesService();
@@ -1,15 +1,29 @@
-const jiraService = require('./jiraService');
-const testMgmt = require('./testManagementAdapter'); // Unified adapter for TestRail/Xray
-const aiService = require('./aiService');
-const learningService = require('./learningService');
-const playwrightService = require('./playwrightService');
 const logger = require('../logger');
 const config = require('../config');
 
 /**
  * Workflow Service - Orchestrates the main workflows
+ * Expected outcomes (no run configured, no match, an invalid command) are returned as
+ * { success: false, error }. Unexpected errors are thrown, so the job queue retries them.
  */
 class WorkflowService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} services - Service instances for the profile (defaults to the module singletons)
+   */
+  constructor(profileConfig = config, services = {}) {
+    this.config = profileConfig;
+    this.jiraService = services.jiraService || require('./jiraService');
+    this.testMgmt = services.testMgmt || require('./testManagementAdapter'); // Unified adapter for TestRail/Xray
+    this.testRailService = services.testRailService || require('./testRailService');
+    this.aiService = services.aiService || require('./aiService');
+    this.learningService = services.learningService || require('./learningService');
+    this.playwrightService = services.playwrightService || require('./playwrightService');
+    this.retrievalService = services.retrievalService || require('./retrievalService');
+    this.approvalService = services.approvalService || require('./approvalService');
+    this.rollbackService = services.rollbackService || require('./rollbackService');
+  }
+
   /**
    * Handle Bug Re-opened workflow
    * Triggered when bug moves back to "Ready for Dev" from "Queued merge to Release"
@@ -23,7 +37,10 @@ class WorkflowService {
       logger.info(`Starting Bug Re-opened workflow for ${issueKey} (from ${fromStatus})`);
 
       // Get test cases linked to this bug from learning data
-      const linkedTests = await learningService.getTestCasesByBugKey(issueKey);
+      // (held matches a reviewer never approved were not written, so they are not re-failed either)
+      const unapprovedTestIds = this.approvalService.getUnapprovedTestIds(issueKey);
+      const linkedTests = (await this.learningService.getTestCasesByBugKey(issueKey))
+        .filter(test => !unapprovedTestIds.includes(String(test.test_id)));
       
       if (linkedTests.length === 0) {
         logger.warn(`No previously linked test cases found for ${issueKey}, falling back to AI matching`);
@@ -32,34 +49,34 @@ class WorkflowService {
         logger.info(`Attempting AI match for re-opened bug ${issueKey}`);
         
         // Get bug details
-        const bug = await jiraService.getIssue(issueKey);
+        const bug = await this.jiraService.getIssue(issueKey);
         const bugData = {
           key: issueKey,
           summary: bug.fields.summary,
-          description: jiraService.extractTextFromDescription(bug.fields.description)
+          description: this.jiraService.extractTextFromDescription(bug.fields.description)
         };
 
         // Find Run/Execution identifier
-        const runKey = await testMgmt.findRunOrExecutionKey(issueKey);
+        const runKey = await this.testMgmt.findRunOrExecutionKey(issueKey);
         if (!runKey) {
-          const errorMsg = `Could not find ${testMgmt.getSystemName()} ${testMgmt.getIdentifierLabel()}. Please configure in parent task.`;
-          await jiraService.addComment(issueKey, `❌ ${errorMsg}`);
+          const errorMsg = `Could not find ${this.testMgmt.getSystemName()} ${this.testMgmt.getIdentifierLabel()}. Please configure in parent task.`;
+          await this.jiraService.addComment(issueKey, `❌ ${errorMsg}`);
           return { success: false, error: errorMsg };
         }
 
         // Get test cases and match
-        const testCases = await testMgmt.getTestsWithDetails(runKey);
+        const testCases = await this.testMgmt.getTestsWithDetails(runKey);
         if (testCases.length === 0) {
-          const errorMsg = `No test cases found in ${testMgmt.getIdentifierLabel()} ${runKey}`;
-          await jiraService.addComment(issueKey, `❌ ${errorMsg}`);
+          const errorMsg = `No test cases found in ${this.testMgmt.getIdentifierLabel()} ${runKey}`;
+          await this.jiraService.addComment(issueKey, `❌ ${errorMsg}`);
           return { success: false, error: errorMsg };
         }
 
         // Use AI matching for Xray
-        const matches = await aiService.matchBugToTestCase(bugData, testCases);
+        const matches = await this.aiService.matchBugToTestCase(bugData, testCases);
         const matchesArray = Array.isArray(matches) ? matches : [matches];
         if (!matchesArray || matchesArray.length === 0) {
-          await jiraService.addComment(issueKey, `❌ Could not find matching test case for re-opened bug`);
+          await this.jiraService.addComment(issueKey, `❌ Could not find matching test case for re-opened bug`);
           return { success: false, error: 'No matches found' };
         }
 
@@ -72,7 +89,7 @@ class WorkflowService {
         for (const match of matchesArray) {
           try {
             // Check if bug is already linked
-            const isLinked = await testMgmt.isBugAlreadyLinked(match.test_id, issueKey);
+            const isLinked = await this.testMgmt.isBugAlreadyLinked(match.test_id, issueKey);
             
             if (isLinked) {
               logger.info(`Test ${match.test_id} is already linked to bug ${issueKey}, skipping`);
@@ -84,7 +101,7 @@ class WorkflowService {
             // Test is not linked - re-fail it
             logger.info(`Re-failing matched test ${match.test_id}: ${match.title}`);
             
-            await testMgmt.markAsFailed(
+            const testResult = await this.testMgmt.markAsFailed(
               match.test_id,
               runKey,
               `Bug ${issueKey} re-opened and moved back to Ready for Dev`,
@@ -92,8 +109,10 @@ class WorkflowService {
             );
             
             updatedCount++;
-            updatedTests.push(match);
+            updatedTests.push({ ...match, backends: testResult.backends });
+            await this.learningService.recordOutcome({ bugKey: issueKey, runId: runKey, testId: match.test_id, outcome: 'failed', workflow: 'bug-reopened' });
           } catch (error) {
+            if (error.circuitOpen) throw error; // The backend is down: let the queue retry the job later
             logger.error(`Failed to update test ${match.test_id}: ${error.message}`);
           }
         }
@@ -102,18 +121,18 @@ class WorkflowService {
         let statusMessage = `🔄 Bug Re-opened - Test Cases Updated (AI Matched)\n\n`;
         
         if (updatedCount > 0) {
-          const testList = updatedTests.map(m => `• ${m.title} (${testMgmt.getTestIdentifierLabel()}: ${m.test_id}, Confidence: ${(m.confidence * 100).toFixed(1)}%)`).join('\n');
+          const testList = updatedTests.map(m => `• ${m.title} (${this.testMgmt.getTestIdentifierLabel()}: ${m.test_id}, Confidence: ${(m.confidence * 100).toFixed(1)}%)${this.formatBackendResults(m, '   ')}`).join('\n');
           statusMessage += `${updatedCount} test case(s) marked as Failed:\n${testList}\n\n`;
         }
         
         if (skippedCount > 0) {
-          const skippedList = skippedTests.map(m => `• ${m.title} (${testMgmt.getTestIdentifierLabel()}: ${m.test_id})`).join('\n');
+          const skippedList = skippedTests.map(m => `• ${m.title} (${this.testMgmt.getTestIdentifierLabel()}: ${m.test_id})`).join('\n');
           statusMessage += `${skippedCount} test case(s) already Failed with this bug:\n${skippedList}\n\n`;
         }
         
         statusMessage += '🤖 AI matched';
         
-        await jiraService.addComment(issueKey, statusMessage);
+        await this.jiraService.addComment(issueKey, statusMessage);
 
         logger.info(`Bug Re-opened workflow completed for ${issueKey} - ${updatedCount} test(s) updated via AI matching, ${skippedCount} skipped`);
         return { success: true, testsUpdated: updatedCount, testsSkipped: skippedCount, aiMatched: true };
@@ -130,7 +149,7 @@ class WorkflowService {
       for (const test of linkedTests) {
         try {
           // Check if bug is already linked
-          const isLinked = await testMgmt.isBugAlreadyLinked(test.test_id, issueKey);
+          const isLinked = await this.testMgmt.isBugAlreadyLinked(test.test_id, issueKey);
           
           if (isLinked) {
             logger.info(`Test ${test.test_id} is already linked to bug ${issueKey}, skipping`);
@@ -143,19 +162,22 @@ class WorkflowService {
           logger.info(`Re-failing test ${test.test_id}: ${test.title}`);
           
           // Get run key
-          const runKey = await testMgmt.findRunOrExecutionKey(issueKey);
+          const runKey = await this.testMgmt.findRunOrExecutionKey(issueKey);
+          let testResult = {};
           if (runKey) {
-            await testMgmt.markAsFailed(
+            testResult = await this.testMgmt.markAsFailed(
               test.test_id,
               runKey,
               `Bug ${issueKey} re-opened and moved back to Ready for Dev`,
               issueKey
             );
+            await this.learningService.recordOutcome({ bugKey: issueKey, runId: runKey, testId: test.test_id, outcome: 'failed', workflow: 'bug-reopened' });
           }
           
           updatedCount++;
-          updatedTests.push(test);
+          updatedTests.push({ ...test, backends: testResult.backends });
         } catch (error) {
+          if (error.circuitOpen) throw error;
           logger.error(`Failed to update test ${test.test_id}: ${error.message}`);
         }
       }
@@ -164,22 +186,22 @@ class WorkflowService {
       let statusMessage = `🔄 Bug Re-opened - Test Cases Updated\n\n`;
       
       if (updatedCount > 0) {
-        const testList = updatedTests.map(t => `• ${t.title} (${testMgmt.getTestIdentifierLabel()}: ${t.test_id})`).join('\n');
+        const testList = updatedTests.map(t => `• ${t.title} (${this.testMgmt.getTestIdentifierLabel()}: ${t.test_id})${this.formatBackendResults(t, '   ')}`).join('\n');
         statusMessage += `${updatedCount} test case(s) marked as Failed:\n${testList}\n\n`;
       }
       
       if (skippedCount > 0) {
-        const skippedList = skippedTests.map(t => `• ${t.title} (${testMgmt.getTestIdentifierLabel()}: ${t.test_id})`).join('\n');
+        const skippedList = skippedTests.map(t => `• ${t.title} (${this.testMgmt.getTestIdentifierLabel()}: ${t.test_id})`).join('\n');
         statusMessage += `${skippedCount} test case(s) already Failed with this bug:\n${skippedList}`;
       }
       
-      await jiraService.addComment(issueKey, statusMessage);
+      await this.jiraService.addComment(issueKey, statusMessage);
 
       logger.info(`Bug Re-opened workflow completed for ${issueKey} - ${updatedCount} test(s) updated, ${skippedCount} skipped`);
       return { success: true, testsUpdated: updatedCount, testsSkipped: skippedCount };
     } catch (error) {
       logger.error(`Bug Re-opened workflow failed for ${issueKey}: ${error.message}`);
-      return { success: false, error: error.message };
+      throw error;
     }
   }
 
@@ -194,12 +216,12 @@ class WorkflowService {
       logger.info(`Starting Bug Created workflow for ${issueKey}`);
 
       // Step 1: Get bug details
-      const bug = await jiraService.getIssue(issueKey);
+      const bug = await this.jiraService.getIssue(issueKey);
       
       // Extract WCAG category if configured
       let wcagCategory = null;
-      if (config.jira.wcagCategoryField && bug.fields[config.jira.wcagCategoryField]) {
-        const categoryField = bug.fields[config.jira.wcagCategoryField];
+      if (this.config.jira.wcagCategoryField && bug.fields[this.config.jira.wcagCategoryField]) {
+        const categoryField = bug.fields[this.config.jira.wcagCategoryField];
         // Handle different field types (string, object with value, array, etc.)
         if (typeof categoryField === 'string') {
           wcagCategory = categoryField;
@@ -216,7 +238,7 @@ class WorkflowService {
       const bugData = {
         key: issueKey,
         summary: bug.fields.summary,
-        description: jiraService.extractTextFromDescription(bug.fields.description),
+        description: this.jiraService.extractTextFromDescription(bug.fields.description),
         wcagCategory: wcagCategory
       };
 
@@ -224,28 +246,41 @@ class WorkflowService {
       logger.info(`Description: ${bugData.description.substring(0, 200)}...`);
 
       // Step 2: Find Run or Execution identifier
-      const runKey = await testMgmt.findRunOrExecutionKey(issueKey);
+      const runKey = await this.testMgmt.findRunOrExecutionKey(issueKey);
       if (!runKey) {
-        const errorMsg = `Could not find ${testMgmt.getSystemName()} ${testMgmt.getIdentifierLabel()}. Please configure in parent task.`;
-        await jiraService.addComment(issueKey, `❌ ${errorMsg}`);
+        const errorMsg = `Could not find ${this.testMgmt.getSystemName()} ${this.testMgmt.getIdentifierLabel()}. Please configure in parent task.`;
+        await this.jiraService.addComment(issueKey, `❌ ${errorMsg}`);
         return { success: false, error: errorMsg };
       }
 
-      logger.info(`Found ${testMgmt.getIdentifierLabel()}: ${runKey}`);
+      logger.info(`Found ${this.testMgmt.getIdentifierLabel()}: ${runKey}`);
 
       // Step 3: Get test cases
-      const testCases = await testMgmt.getTestsWithDetails(runKey);
+      const testCases = await this.testMgmt.getTestsWithDetails(runKey);
       if (testCases.length === 0) {
-        const errorMsg = `No test cases found in ${testMgmt.getIdentifierLabel()} ${runKey}`;
-        await jiraService.addComment(issueKey, `❌ ${errorMsg}`);
+        const errorMsg = `No test cases found in ${this.testMgmt.getIdentifierLabel()} ${runKey}`;
+        await this.jiraService.addComment(issueKey, `❌ ${errorMsg}`);
         return { success: false, error: errorMsg };
       }
 
       logger.info(`Found ${testCases.length} test cases`);
 
       // Step 4: Use AI matching
-      const matches = await aiService.matchBugToTestCase(bugData, testCases);
-      const matchesArray = Array.isArray(matches) ? matches : [matches];
+      const matches = await this.aiService.matchBugToTestCase(bugData, testCases);
+      let matchesArray = Array.isArray(matches) ? matches : [matches];
+
+      // Approval mode: low-confidence matches wait for a reviewer instead of being written
+      let approval = null;
+      let held = [];
+      if (this.approvalService.isEnabled()) {
+        held = matchesArray.filter(match => !this.aiService.isConfidentMatch(match));
+        matchesArray = matchesArray.filter(match => !held.includes(match));
+        if (matchesArray.length === 0) {
+          approval = await this.holdForApproval(bugData, runKey, held, testCases);
+          logger.info(`Bug Created workflow for ${issueKey} is waiting for approval (${approval.id})`);
+          return { success: true, runKey, matches: [], results: [], pendingApproval: approval.id };
+        }
+      }
       
       logger.info(`Processing ${matchesArray.length} test case match(es)`);
 
@@ -253,10 +288,10 @@ class WorkflowService {
       const results = [];
       for (const match of matchesArray) {
         // Check confidence
-        const lowConfidence = !aiService.isConfidentMatch(match);
+        const lowConfidence = !this.aiService.isConfidentMatch(match);
         
         // Check if bug is already linked
-        const alreadyLinked = await testMgmt.isBugAlreadyLinked(match.test_id, issueKey);
+        const alreadyLinked = await this.testMgmt.isBugAlreadyLinked(match.test_id, issueKey);
         
         let testResult;
         if (alreadyLinked) {
@@ -269,7 +304,7 @@ class WorkflowService {
           };
         } else {
           // Mark test as Failed
-          testResult = await testMgmt.markAsFailed(
+          testResult = await this.testMgmt.markAsFailed(
             match.test_id,
             runKey,
             `Bug filed: ${issueKey} - ${bugData.summary}`,
@@ -278,45 +313,58 @@ class WorkflowService {
           testResult.match = match;
           testResult.lowConfidence = lowConfidence;
         }
-        
+
+        await this.learningService.recordOutcome({
+          bugKey: issueKey,
+          runId: runKey,
+          testId: match.test_id,
+          outcome: alreadyLinked ? 'already-linked' : 'failed',
+          workflow: 'bug-created'
+        });
         results.push(testResult);
       }
 
+      // Hold the rest only once the confident matches are written, so a retried job does not ask twice
+      if (held.length > 0) {
+        approval = await this.holdForApproval(bugData, runKey, held, testCases);
+      }
+
       // Step 6: Add comment(s) to JIRA
       if (matchesArray.length === 1) {
         // Single match - use original format
         const match = matchesArray[0];
         const result = results[0];
-        const lowConfidence = !aiService.isConfidentMatch(match);
+        const lowConfidence = !this.aiService.isConfidentMatch(match);
         
         if (lowConfidence) {
           const comment = `⚠️ AI Match (Low Confidence: ${(match.confidence * 100).toFixed(1)}%)
         
 Matched to: ${match.title}
-${testMgmt.getTestIdentifierLabel()}: ${match.test_id}
+${this.testMgmt.getTestIdentifierLabel()}: ${match.test_id}
 Reasoning: ${match.reasoning}
 
 ⚠️ Please verify this match is correct. If incorrect, reply with:
 CORRECT: <test_id> - <test title>`;
 
-          await jiraService.addComment(issueKey, comment);
+          await this.jiraService.addComment(issueKey, comment);
           logger.warn(`Low confidence match: ${match.confidence}`);
         }
         
-        const successComment = `✅ ${testMgmt.getSystemName()} Updated
+        const successComment = `✅ ${this.testMgmt.getSystemName()} Updated
 
 Test Case: ${match.title}
 Status: ${result.skipped ? 'Already Linked' : 'Failed'}
-${testMgmt.getIdentifierLabel()}: ${runKey}
-${testMgmt.getTestIdentifierLabel()}: ${match.test_id}
+${this.testMgmt.getIdentifierLabel()}: ${runKey}
+${this.testMgmt.getTestIdentifierLabel()}: ${match.test_id}
 AI Confidence: ${(match.confidence * 100).toFixed(1)}%
 Reasoning: ${match.reasoning}
+${this.formatBackendResults(result)}
 
 ${match.learned ? '🧠 Match based on previous learning' : ''}
 ${result.skipped ? '⚠️ Bug was already linked to this test case' : ''}
-${config.server.dryRunMode ? '🔍 DRY RUN MODE - No actual update' : ''}`;
+${this.config.server.dryRunMode ? '🔍 DRY RUN MODE - No actual update' : ''}`;
 
-        await jiraService.addComment(issueKey, successComment);
+        await this.jiraService.addComment(issueKey, successComment);
       } else {
         // Multiple matches
         const linkedCount = results.filter(r => !r.skipped).length;
@@ -326,22 +374,22 @@ ${config.server.dryRunMode ? '🔍 DRY RUN MODE - No actual update' : ''}`;
           const result = results[idx];
           const status = result.skipped ? '⚠️ Already Linked' : '✅ Failed';
           return `${idx + 1}. ${status} - ${match.title}
-   ${testMgmt.getTestIdentifierLabel()}: ${match.test_id} | Confidence: ${(match.confidence * 100).toFixed(1)}%
-   Issue: ${match.reasoning}`;
+   ${this.testMgmt.getTestIdentifierLabel()}: ${match.test_id} | Confidence: ${(match.confidence * 100).toFixed(1)}%
+   Issue: ${match.reasoning}${this.formatBackendResults(result, '   ')}`;
         }).join('\n\n');
         
-        const comment = `✅ ${testMgmt.getSystemName()} Updated - Multiple Matches
+        const comment = `✅ ${this.testMgmt.getSystemName()} Updated - Multiple Matches
 
 This bug contains multiple accessibility issues. Linked to ${matchesArray.length} test case(s):
 
 ${matchesText}
 
-${testMgmt.getIdentifierLabel()}: ${runKey}
+${this.testMgmt.getIdentifierLabel()}: ${runKey}
 Tests Linked: ${linkedCount} | Already Linked: ${skippedCount}
-${config.openai.enableMultiMatch ? '\n🎯 Multi-match mode enabled' : ''}
-${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
+${this.config.openai.enableMultiMatch ? '\n🎯 Multi-match mode enabled' : ''}
+${this.config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
 
-        await jiraService.addComment(issueKey, comment);
+        await this.jiraService.addComment(issueKey, comment);
       }
 
       logger.info(`Bug Created workflow completed successfully for ${issueKey} with ${matchesArray.length} match(es)`);
@@ -350,12 +398,12 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
         success: true,
         runKey,
         matches: matchesArray,
-        results: results
+        results: results,
+        ...(approval && { pendingApproval: approval.id })
       };
     } catch (error) {
       logger.error(`Bug Created workflow failed for ${issueKey}: ${error.message}`);
-      await jiraService.addComment(issueKey, `❌ Error: ${error.message}`);
-      return { success: false, error: error.message };
+      throw error;
     }
   }
 
@@ -370,37 +418,44 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       logger.info(`Starting Bug Resolved workflow for ${issueKey}`);
 
       // Step 1: Find Run/Execution identifier
-      const runKey = await testMgmt.findRunOrExecutionKey(issueKey);
+      const runKey = await this.testMgmt.findRunOrExecutionKey(issueKey);
       if (!runKey) {
-        const errorMsg = `Could not find ${testMgmt.getSystemName()} ${testMgmt.getIdentifierLabel()}`;
-        await jiraService.addComment(issueKey, `❌ ${errorMsg}`);
+        const errorMsg = `Could not find ${this.testMgmt.getSystemName()} ${this.testMgmt.getIdentifierLabel()}`;
+        await this.jiraService.addComment(issueKey, `❌ ${errorMsg}`);
         return { success: false, error: errorMsg };
       }
 
       // Step 2: Find all test cases that have this bug linked
-      const testIds = await testMgmt.findTestsWithBug(runKey, issueKey);
+      const testIds = await this.testMgmt.findTestsWithBug(runKey, issueKey);
       if (testIds.length === 0) {
-        const errorMsg = `Could not find any test cases with this bug linked in ${testMgmt.getSystemName()}. Was this bug processed through Bug Created workflow?`;
-        await jiraService.addComment(issueKey, `❌ ${errorMsg}`);
+        const errorMsg = `Could not find any test cases with this bug linked in ${this.testMgmt.getSystemName()}. Was this bug processed through Bug Created workflow?`;
+        await this.jiraService.addComment(issueKey, `❌ ${errorMsg}`);
         return { success: false, error: errorMsg };
       }
 
       logger.info(`Found ${testIds.length} test(s) with bug ${issueKey}: ${testIds.join(', ')}`);
 
       // Step 3: Get bug details
-      const bug = await jiraService.getIssue(issueKey);
+      const bug = await this.jiraService.getIssue(issueKey);
 
       // Step 4: Mark each test as passed intelligently
       const results = [];
       for (const testId of testIds) {
         const result = await this.markTestAsPassedIntelligently(
           testId,
-          runKey,
           issueKey,
-          `Bug resolved: ${issueKey} - ${bug.fields.summary}`
+          `Bug resolved: ${issueKey} - ${bug.fields.summary}`,
+          runKey
         );
         
         logger.info(`Test ${testId} result: ${result.message}`);
+        await this.learningService.recordOutcome({
+          bugKey: issueKey,
+          runId: runKey,
+          testId,
+          outcome: result.skipped ? 'already-passed' : (result.status === 'Failed' ? 'still-failed' : 'passed'),
+          workflow: 'bug-resolved'
+        });
         results.push({ testId, result });
       }
 
@@ -411,22 +466,18 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
         // Single test case
         const result = results[0].result;
         if (result.skipped) {
-          statusMessage = `✅ ${testMgmt.getSystemName()} Already Passed\n\nTest ${testIds[0]} is already marked as Passed, no update needed.`;
+          statusMessage = `✅ ${this.testMgmt.getSystemName()} Already Passed\n\nTest ${testIds[0]} is already marked as Passed, no update needed.`;
         } else if (result.status === 'Failed') {
           // Get bug details for better comment
-          const bugDetails = [];
-          for (const bugId of result.activeBugs) {
-            try {
-              const bugIssue = await jiraService.getIssue(bugId);
-              bugDetails.push(`- ${bugId}: ${bugIssue.fields.status.name} - ${bugIssue.fields.summary}`);
-            } catch (error) {
-              bugDetails.push(`- ${bugId}`);
-            }
-          }
+          const bugIssues = await this.jiraService.getIssues(result.activeBugs);
+          const bugDetails = result.activeBugs.map(bugId => {
+            const bugIssue = bugIssues.get(bugId);
+            return bugIssue ? `- ${bugId}: ${bugIssue.fields.status.name} - ${bugIssue.fields.summary}` : `- ${bugId}`;
+          });
           
-          statusMessage = `✅ TestRail Updated\n\nTest ${testIds[0]} still has active bugs:\n${bugDetails.join('\n')}`;
+          statusMessage = `✅ ${this.testMgmt.getSystemName()} Updated\n\nTest ${testIds[0]} still has active bugs:\n${bugDetails.join('\n')}`;
         } else {
-          statusMessage = `✅ TestRail Marked as Passed\n\nTest ${testIds[0]} marked as Passed.`;
+          statusMessage = `✅ ${this.testMgmt.getSystemName()} Marked as Passed\n\nTest ${testIds[0]} marked as Passed.${this.formatBackendResults(result)}`;
         }
       } else {
         // Multiple test cases
@@ -439,27 +490,26 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
           } else if (r.result.status === 'Failed') {
             return `• Test ${r.testId}: Still Failed (${r.result.activeBugs.length} active bug(s))`;
           } else {
-            return `• Test ${r.testId}: Marked as Passed`;
+            return `• Test ${r.testId}: Marked as Passed${this.formatBackendResults(r.result, '   ')}`;
           }
         }).join('\n');
         
-        statusMessage = `✅ TestRail Updated - Multiple Tests\n\n${testSummary}\n\nPassed: ${passedCount} | Still Failed: ${failedCount}`;
+        statusMessage = `✅ ${this.testMgmt.getSystemName()} Updated - Multiple Tests\n\n${testSummary}\n\nPassed: ${passedCount} | Still Failed: ${failedCount}`;
       }
       
-      await jiraService.addComment(issueKey, statusMessage);
+      await this.jiraService.addComment(issueKey, statusMessage);
 
       logger.info(`Bug Resolved workflow completed successfully for ${issueKey}`);
 
       return {
         success: true,
-        runId,
+        runKey,
         testIds,
         results
       };
     } catch (error) {
       logger.error(`Bug Resolved workflow failed for ${issueKey}: ${error.message}`);
-      await jiraService.addComment(issueKey, `❌ Error: ${error.message}`);
-      return { success: false, error: error.message };
+      throw error;
     }
   }
 
@@ -471,14 +521,14 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
    */
   async findAllLinkedTestIds(issueKey, runId = null) {
     try {
-      const response = await jiraService.getIssue(issueKey);
+      const response = await this.jiraService.getIssue(issueKey);
       const comments = response.fields.comment?.comments || [];
 
       const testIds = new Set();
 
       // Look for TestRail update comments
       for (const comment of comments.reverse()) {
-        const text = jiraService.extractTextFromComment(comment.body);
+        const text = this.jiraService.extractTextFromComment(comment.body);
         
         // Match single Test ID format: "Test ID: 31834485"
         const singleMatch = text.match(/Test ID:\s*(\d+)/g);
@@ -494,6 +544,7 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       logger.info(`Found ${result.length} linked test ID(s): ${result.join(', ')}`);
       return result;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to find linked test IDs: ${error.message}`);
       return [];
     }
@@ -509,6 +560,7 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       const testIds = await this.findAllLinkedTestIds(issueKey);
       return testIds.length > 0 ? testIds[0] : null;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to find linked test ID: ${error.message}`);
       return null;
     }
@@ -516,14 +568,15 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
 
   /**
    * Check if test case has other open bugs across all test results
-   * @param {string} testId - TestRail Test ID
+   * @param {string} testId - Test ID or Test Key
    * @param {string} currentBugKey - Current bug being resolved (to exclude from check)
+   * @param {string} runKey - Run/Execution identifier (required for Xray)
    * @returns {Promise<Object>} { hasOpen: boolean, openBugs: Array }
    */
-  async checkForOpenBugs(testId, currentBugKey) {
+  async checkForOpenBugs(testId, currentBugKey, runKey = null) {
     try {
       // Get all test results for this test case
-      const results = await testRailService.getTestResults(testId);
+      const results = await this.testMgmt.getTestResults(testId, runKey);
       
       if (!results || results.length === 0) {
         logger.info(`No test results found for test ${testId}`);
@@ -534,12 +587,7 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       const allBugIds = new Set();
       
       for (const result of results) {
-        const defects = result.defects || '';
-        if (defects) {
-          // Parse comma-separated bug IDs
-          const bugIds = defects.split(',').map(id => id.trim()).filter(id => id);
-          bugIds.forEach(id => allBugIds.add(id));
-        }
+        this.testMgmt.summarizeResult(result).defects.forEach(id => allBugIds.add(id));
       }
 
       // Remove current bug from the set
@@ -554,36 +602,37 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       logger.info(`Checking status of ${bugIdArray.length} other bugs linked to test ${testId}: ${bugIdArray.join(', ')}`);
 
       const openStatuses = [
-        config.jira.statusOpen || 'Open',
+        this.config.jira.statusOpen || 'Open',
         'Reopened',
-        config.jira.statusReadyForDev
+        this.config.jira.statusReadyForDev
       ];
 
       const openBugs = [];
 
-      // Check each bug's status
+      // Check every bug's status in one lookup
+      const bugs = await this.jiraService.getIssues(bugIdArray);
       for (const bugId of bugIdArray) {
-        try {
-          const bug = await jiraService.getIssue(bugId);
-          const status = bug.fields.status.name;
-          
-          logger.info(`Bug ${bugId} status: ${status}`);
-          
-          if (openStatuses.includes(status)) {
-            openBugs.push({
-              key: bugId,
-              status: status,
-              summary: bug.fields.summary
-            });
-          }
-        } catch (error) {
-          logger.warn(`Failed to check bug ${bugId}: ${error.message}`);
+        const bug = bugs.get(bugId);
+        if (!bug) {
+          logger.warn(`Failed to check bug ${bugId}`);
           // If we can't check a bug, treat it as potentially open (safer approach)
           openBugs.push({
             key: bugId,
             status: 'Unknown',
             summary: 'Could not retrieve bug details'
           });
+          continue;
+        }
+
+        const status = bug.fields.status.name;
+        logger.info(`Bug ${bugId} status: ${status}`);
+
+        if (openStatuses.includes(status)) {
+          openBugs.push({
+            key: bugId,
+            status: status,
+            summary: bug.fields.summary
+          });
         }
       }
 
@@ -593,6 +642,7 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
         totalBugsChecked: bugIdArray.length
       };
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to check for open bugs: ${error.message}`);
       // On error, return safe default (assume has open bugs)
       return { hasOpen: true, openBugs: [{ key: 'Error', status: 'Unknown', summary: error.message }] };
@@ -613,12 +663,13 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       // Parse correction format: 
       // CORRECT: "CORRECT: C1234567" or "CORRECT: C1234567, C1234568" (replaces all old matches)
       // ADD: "ADD: C1234567" (keeps old matches, adds new one)
+      // Xray and Zephyr Scale tests are given by key: "CORRECT: QA-T12"
       
       const addMode = comment.toUpperCase().includes('ADD:');
       const keyword = addMode ? 'ADD' : 'CORRECT';
       
       // Extract all case IDs (supports comma-separated list)
-      const caseIdPattern = new RegExp(`${keyword}:\\s*([C\\d,\\s]+)`, 'i');
+      const caseIdPattern = new RegExp(`${keyword}:\\s*((?:[A-Z][A-Z0-9]*-[A-Z]*\\d+|C?\\d+|[,\\s])+)`, 'i');
       const match = comment.match(caseIdPattern);
       
       if (!match) {
@@ -628,7 +679,7 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       // Parse case IDs (remove C prefix, split by comma, trim whitespace)
       const correctCaseIds = match[1]
         .split(',')
-        .map(id => id.trim().replace(/^C/i, ''))
+        .map(id => id.trim().toUpperCase().replace(/^C(?=\d+$)/, ''))
         .filter(id => id.length > 0);
 
       if (correctCaseIds.length === 0) {
@@ -638,7 +689,7 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       logger.info(`Processing ${correctCaseIds.length} correct case ID(s): ${correctCaseIds.join(', ')}`);
 
       // Get bug data
-      const bug = await jiraService.getIssue(issueKey);
+      const bug = await this.jiraService.getIssue(issueKey);
       const bugData = {
         key: issueKey,
         summary: bug.fields.summary,
@@ -646,17 +697,19 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       };
 
       // Find the run ID
-      const runId = await jiraService.findRunId(issueKey);
+      const runId = await this.testMgmt.findRunOrExecutionKey(issueKey);
       if (!runId) {
-        return { success: false, error: 'Could not find Run ID' };
+        return { success: false, error: `Could not find ${this.testMgmt.getSystemName()} ${this.testMgmt.getIdentifierLabel()}` };
       }
 
       // Get all tests in the run
-      const tests = await testRailService.getTests(runId);
+      const tests = await this.testMgmt.getTests(runId);
       
-      // Find all correct test cases
+      // Find all correct test cases: numbers are TestRail case IDs, anything else a test key
       const correctTests = correctCaseIds.map(caseId => {
-        const test = tests.find(t => t.case_id.toString() === caseId);
+        const test = /^\d+$/.test(caseId)
+          ? tests.find(t => String(t.case_id) === caseId)
+          : tests.find(t => [t.key, t.id].some(value => String(value).toUpperCase() === caseId));
         if (!test) {
           logger.warn(`Test case ${caseId} not found in run ${runId}`);
         }
@@ -673,24 +726,32 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       
       let cleanupCount = 0;
       
-      // Use Playwright to remove bug from incorrect test results
+      // Remove bug from incorrect test results: TestRail results can only be edited through the UI (Playwright),
+      // the other systems unlink the bug from the test
       if (!addMode && allPreviousTestIds.length > 0) {
         const correctTestIds = correctTests.map(t => t.id.toString());
         const testsToCleanup = allPreviousTestIds.filter(id => !correctTestIds.includes(id));
         
         if (testsToCleanup.length > 0) {
-          logger.info(`Removing bug ${issueKey} from ${testsToCleanup.length} incorrect test(s) using Playwright`);
+          logger.info(`Removing bug ${issueKey} from ${testsToCleanup.length} incorrect test(s)`);
           
           for (const testId of testsToCleanup) {
             try {
-              // Get test results to pass to playwright
-              const results = await testRailService.getResults(testId);
-              const updated = await playwrightService.removeBugFromTest(testId, issueKey, results);
+              let updated;
+              if (this.testMgmt.system === 'testrail') {
+                // Get test results to pass to playwright
+                const results = await this.testMgmt.getTestResults(testId, runId);
+                updated = await this.playwrightService.removeBugFromTest(testId, issueKey, results);
+              } else {
+                updated = await this.testMgmt.unlinkIssue(testId, issueKey) ? 1 : 0;
+              }
               if (updated > 0) {
                 cleanupCount += updated;
                 logger.info(`Cleaned up ${updated} result(s) from test ${testId}`);
+                await this.learningService.recordOutcome({ bugKey: issueKey, runId, testId, outcome: 'removed', workflow: 'correction' });
               }
             } catch (error) {
+              if (error.circuitOpen) throw error;
               logger.error(`Failed to clean up test ${testId}: ${error.message}`);
             }
           }
@@ -701,39 +762,46 @@ ${config.server.dryRunMode ? '\n🔍 DRY RUN MODE - No actual update' : ''}`;
       const linkedTests = [];
       for (const correctTest of correctTests) {
         // Store correction for each
-        await learningService.storeCorrection({
+        await this.learningService.storeCorrection({
           bug: bugData,
+          run_id: runId,
           correct_test_id: correctTest.id.toString(),
-          correct_case_id: correctTest.case_id,
-          correct_title: correctTest.title
+          correct_case_id: correctTest.case_id || correctTest.key,
+          correct_title: correctTest.title || correctTest.key
         });
 
         // Check if already linked
-        const alreadyLinked = await testRailService.isBugAlreadyLinked(correctTest.id, issueKey);
+        const alreadyLinked = await this.testMgmt.isBugAlreadyLinked(correctTest.id, issueKey);
         
         if (!alreadyLinked) {
-          await testRailService.markAsFailed(
+          const written = await this.testMgmt.markAsFailed(
             correctTest.id,
+            runId,
             `Bug filed (corrected): ${issueKey} - ${bugData.summary}`,
             issueKey
           );
-          linkedTests.push({ ...correctTest, alreadyLinked: false });
+          linkedTests.push({ ...correctTest, alreadyLinked: false, backends: written?.backends });
+          await this.learningService.recordOutcome({ bugKey: issueKey, runId, testId: correctTest.id, outcome: 'failed', workflow: 'correction' });
           logger.info(`Linked bug to test ${correctTest.id}`);
         } else {
           linkedTests.push({ ...correctTest, alreadyLinked: true });
+          await this.learningService.recordOutcome({ bugKey: issueKey, runId, testId: correctTest.id, outcome: 'already-linked', workflow: 'correction' });
           logger.info(`Bug already linked to test ${correctTest.id}`);
         }
       }
 
+      // Score retrieval: was the correct test among the candidates the AI saw?
+      await this.retrievalService.recordOutcome(issueKey, correctTests.map(t => t.id), 'correction');
+
       // Build response comment
       const mode = addMode ? 'ADD' : 'CORRECT';
       const testsList = linkedTests.map((t, idx) => 
-        `${idx + 1}. ${t.title} (C${t.case_id})${t.alreadyLinked ? ' - Already linked' : ' - Linked'}`
+        `${idx + 1}. ${t.title || t.key} (${/^\d+$/.test(t.case_id) ? `C${t.case_id}` : t.key})${t.alreadyLinked ? ' - Already linked' : ' - Linked'}${this.formatBackendResults(t, '   ')}`
       ).join('\n');
 
       const cleanupMsg = cleanupCount > 0 ? `\n\n✓ Removed from ${cleanupCount} incorrect result(s)` : '';
 
-      await jiraService.addComment(
+      await this.jiraService.addComment(
         issueKey,
         `✅ Correction Applied (${mode} Mode)
 
@@ -747,38 +815,396 @@ ${testsList}${cleanupMsg}`
         success: true, 
         correctTests: correctTests.map(t => ({
           testId: t.id,
-          caseId: t.case_id,
-          title: t.title
+          caseId: t.case_id || t.key,
+          title: t.title || t.key
         })),
         mode: mode,
         cleanedUp: !addMode ? (allPreviousTestIds.length - correctTests.length) : 0
       };
     } catch (error) {
       logger.error(`Failed to process correction: ${error.message}`);
-      return { success: false, error: error.message };
+      throw error;
+    }
+  }
+
+  /**
+   * Hold low-confidence matches until a reviewer approves one
+   * The reviewer sees the held matches first, then the test cases most similar
+   * to the bug, up to APPROVAL_CANDIDATES in total. An approval still open for
+   * the bug and run is returned as it is.
+   * @param {Object} bugData - Bug information
+   * @param {string} runKey - Run/Execution identifier
+   * @param {Array} held - Low-confidence matches
+   * @param {Array} testCases - Test cases in the run
+   * @returns {Promise<Object>} Approval
+   */
+  async holdForApproval(bugData, runKey, held, testCases) {
+    // A retried job finds the approval it already opened for this run
+    const open = this.approvalService.getPending(bugData.key);
+    if (open && open.runKey === String(runKey)) {
+      logger.info(`Approval ${open.id} for ${bugData.key} is already waiting for a reviewer`);
+      return open;
+    }
+
+    const candidates = [...held]
+      .sort((a, b) => b.confidence - a.confidence)
+      .map(match => ({
+        test_id: String(match.test_id),
+        case_id: match.case_id ? String(match.case_id) : null,
+        title: match.title,
+        confidence: match.confidence,
+        similarity: null,
+        reasoning: match.reasoning || '',
+        source: match.learned ? 'learning' : 'ai'
+      }));
+
+    // Offer the closest test cases too, in case none of the AI's picks is right
+    try {
+      const ranking = await this.retrievalService.rank(bugData, testCases);
+      for (const { test, score } of ranking) {
+        if (candidates.length >= this.config.approval.candidates) break;
+        if (candidates.some(c => c.test_id === String(test.test_id))) continue;
+        candidates.push({
+          test_id: String(test.test_id),
+          case_id: test.case_id ? String(test.case_id) : null,
+          title: test.title,
+          confidence: null,
+          similarity: score,
+          reasoning: 'Similar to the bug description',
+          source: 'retrieval'
+        });
+      }
+    } catch (error) {
+      logger.warn(`Could not rank further candidates for ${bugData.key}: ${error.message}`);
+    }
+
+    const approval = this.approvalService.create({ issueKey: bugData.key, runKey, bug: bugData, candidates });
+
+    for (const match of held) {
+      await this.learningService.recordOutcome({ bugKey: bugData.key, runId: runKey, testId: match.test_id, outcome: 'held', workflow: 'bug-created' });
+    }
+
+    const threshold = (this.config.openai.confidenceThreshold * 100).toFixed(0);
+    await this.jiraService.addComment(bugData.key, `⏸️ Review Needed - ${this.testMgmt.getSystemName()} Not Updated
+
+The AI match is below the ${threshold}% confidence threshold, so nothing was written yet. Candidates, most likely first:
+
+${this.formatApprovalCandidates(approval.candidates)}
+
+${this.testMgmt.getIdentifierLabel()}: ${runKey}
+
+Reply APPROVE <number> to mark that test case as Failed (APPROVE 1, 3 for several), or REJECT if none of them is right.
+This request expires on ${new Date(approval.expiresAt).toUTCString()}.`);
+
+    logger.warn(`Held ${held.length} low-confidence match(es) for ${bugData.key} until approved`);
+    return approval;
+  }
+
+  /**
+   * Parse an approval command from a JIRA comment
+   * Only a comment that starts with APPROVE or REJECT counts, so the
+   * instructions in the review comment itself are not picked up.
+   * @param {string} text - Comment text
+   * @returns {Object|null} { action: 'approve'|'reject', ranks } or null
+   */
+  parseApprovalCommand(text) {
+    const firstLine = String(text || '').trim().split('\n')[0].trim();
+
+    const approve = firstLine.match(/^APPROVE\b(.*)$/i);
+    if (approve) {
+      const ranks = (approve[1].match(/\d+/g) || ['1']).map(Number);
+      return { action: 'approve', ranks: [...new Set(ranks)] };
+    }
+    if (/^REJECT\b/i.test(firstLine)) {
+      return { action: 'reject', ranks: [] };
+    }
+    return null;
+  }
+
+  /**
+   * Handle a reviewer's decision on held matches
+   * Approved candidates are written as Failed now; a rejection writes nothing.
+   * If a write fails, the approval goes back to pending and the error is thrown (the job is retried).
+   * @param {string} issueKey - JIRA issue key
+   * @param {Object} decision - { action: 'approve'|'reject', ranks, approvalId (optional) }
+   * @param {string|null} reviewer - Reviewer name
+   * @returns {Promise<Object>} Workflow result
+   */
+  async handleApproval(issueKey, decision, reviewer = null) {
+    try {
+      logger.info(`Processing ${decision.action} for ${issueKey}${reviewer ? ` by ${reviewer}` : ''}`);
+
+      const approval = decision.approvalId
+        ? this.approvalService.get(decision.approvalId)
+        : this.approvalService.getPending(issueKey);
+
+      let error = null;
+      if (!approval) {
+        error = `No match is waiting for approval on ${issueKey}`;
+      } else if (approval.status !== 'pending') {
+        error = `This approval request is already ${approval.status}`;
+      } else if (decision.action === 'approve') {
+        const invalid = decision.ranks.filter(rank => !approval.candidates.some(c => c.rank === rank));
+        if (decision.ranks.length === 0 || invalid.length > 0) {
+          error = `Choose a candidate between 1 and ${approval.candidates.length}${invalid.length > 0 ? ` (got ${invalid.join(', ')})` : ''}`;
+        }
+      }
+      if (error) {
+        await this.jiraService.addComment(issueKey, `❌ ${error}`);
+        return { success: false, error };
+      }
+
+      if (decision.action === 'reject') {
+        if (!this.approvalService.resolve(approval.id, 'rejected', { reviewer })) {
+          return { success: false, error: 'Approval was settled by another request' };
+        }
+        await this.jiraService.addComment(issueKey, `🚫 Match Rejected${reviewer ? ` by ${reviewer}` : ''}
+
+Nothing was written to ${this.testMgmt.getSystemName()}. Add a correction comment with the right case ID to link a test case.`);
+        logger.info(`Held matches for ${issueKey} rejected`);
+        return { success: true, approvalId: approval.id, status: 'rejected' };
+      }
+
+      // Claim the approval before writing so an expiry sweep cannot settle it meanwhile
+      if (!this.approvalService.resolve(approval.id, 'approved', { reviewer, ranks: decision.ranks })) {
+        return { success: false, error: 'Approval was settled by another request' };
+      }
+
+      const chosen = decision.ranks.map(rank => approval.candidates.find(c => c.rank === rank));
+      const results = [];
+      try {
+        for (const candidate of chosen) {
+          const alreadyLinked = await this.testMgmt.isBugAlreadyLinked(candidate.test_id, issueKey);
+
+          let testResult;
+          if (alreadyLinked) {
+            logger.info(`Bug ${issueKey} is already linked to test ${candidate.test_id}, skipping update`);
+            testResult = { skipped: true, reason: 'Bug already linked to this test case', test_id: candidate.test_id };
+          } else {
+            testResult = await this.testMgmt.markAsFailed(
+              candidate.test_id,
+              approval.runKey,
+              `Bug filed (approved${reviewer ? ` by ${reviewer}` : ''}): ${issueKey} - ${approval.bug.summary}`,
+              issueKey
+            );
+          }
+
+          // Held AI matches are only learned from once approved; a candidate the AI did not pick is a correction
+          if (candidate.source === 'ai') {
+            await this.learningService.storeMatch({
+              bug: approval.bug,
+              match: { test_id: candidate.test_id, case_id: candidate.case_id, title: candidate.title, confidence: candidate.confidence, reasoning: candidate.reasoning },
+              timestamp: new Date().toISOString()
+            });
+          } else if (candidate.source === 'retrieval') {
+            await this.learningService.storeCorrection({
+              bug: approval.bug,
+              run_id: approval.runKey,
+              correct_test_id: candidate.test_id,
+              correct_case_id: candidate.case_id,
+              correct_title: candidate.title
+            });
+          }
+
+          await this.learningService.recordOutcome({
+            bugKey: issueKey,
+            runId: approval.runKey,
+            testId: candidate.test_id,
+            outcome: alreadyLinked ? 'already-linked' : 'failed',
+            workflow: 'approval'
+          });
+          results.push({ ...testResult, candidate });
+        }
+      } catch (error) {
+        this.approvalService.reopen(approval.id, 'approved', error.message);
+        logger.warn(`Approval ${approval.id} for ${issueKey} is pending again: ${error.message}`);
+        throw error;
+      }
+
+      const corrected = chosen.filter(c => c.source === 'retrieval').map(c => c.test_id);
+      if (corrected.length > 0) {
+        await this.retrievalService.recordOutcome(issueKey, corrected, 'correction');
+      }
+
+      const resultsText = results.map(result => {
+        const status = result.skipped ? '⚠️ Already Linked' : '✅ Failed';
+        return `${result.candidate.rank}. ${status} - ${result.candidate.title}
+   ${this.testMgmt.getTestIdentifierLabel()}: ${result.candidate.test_id}${this.formatBackendResults(result, '   ')}`;
+      }).join('\n\n');
+
+      await this.jiraService.addComment(issueKey, `✅ ${this.testMgmt.getSystemName()} Updated - Match Approved${reviewer ? ` by ${reviewer}` : ''}
+
+${resultsText}
+
+${this.testMgmt.getIdentifierLabel()}: ${approval.runKey}
+${this.config.server.dryRunMode ? '🔍 DRY RUN MODE - No actual update' : ''}`);
+
+      logger.info(`Approval processed for ${issueKey}: ${results.length} test(s)`);
+      return { success: true, approvalId: approval.id, status: 'approved', runKey: approval.runKey, results };
+    } catch (error) {
+      logger.error(`Failed to process approval for ${issueKey}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Post reminders for approvals still pending and expire overdue ones
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} { reminded, expired }
+   */
+  async processApprovalTimeouts(now = Date.now()) {
+    const { remind, expire } = this.approvalService.getDue(now);
+    let reminded = 0;
+    let expired = 0;
+
+    for (const approval of remind) {
+      try {
+        await this.jiraService.addComment(approval.issueKey, `⏰ Reminder: Review Needed
+
+The match for this bug is still waiting for approval, so ${this.testMgmt.getSystemName()} has not been updated:
+
+${this.formatApprovalCandidates(approval.candidates)}
+
+Reply APPROVE <number> or REJECT. This request expires on ${new Date(approval.expiresAt).toUTCString()}.`);
+        this.approvalService.markReminded(approval.id);
+        reminded++;
+      } catch (error) {
+        logger.error(`Failed to remind ${approval.issueKey} of approval ${approval.id}: ${error.message}`);
+      }
+    }
+
+    for (const approval of expire) {
+      if (!this.approvalService.resolve(approval.id, 'expired')) continue;
+      expired++;
+      try {
+        await this.jiraService.addComment(approval.issueKey, `⌛ Approval Expired
+
+No reviewer decided within ${this.config.approval.expiryHours} hours, so nothing was written to ${this.testMgmt.getSystemName()}. Add a correction comment with the right case ID to link a test case.`);
+      } catch (error) {
+        logger.error(`Failed to report expiry of approval ${approval.id} on ${approval.issueKey}: ${error.message}`);
+      }
+    }
+
+    if (reminded > 0 || expired > 0) {
+      logger.info(`Approvals: ${reminded} reminder(s) posted, ${expired} expired`);
+    }
+    return { reminded, expired };
+  }
+
+  /**
+   * Format held candidates as a numbered list
+   * @param {Array} candidates - Approval candidates
+   * @returns {string} Text
+   */
+  formatApprovalCandidates(candidates) {
+    return candidates.map(c => {
+      const score = c.confidence !== null
+        ? `Confidence: ${(c.confidence * 100).toFixed(1)}%`
+        : `Similarity: ${c.similarity.toFixed(2)}`;
+      return `${c.rank}. ${c.title}
+   ${this.testMgmt.getTestIdentifierLabel()}: ${c.test_id} | ${score}
+   ${c.source === 'retrieval' ? 'Not picked by the AI - ' : 'Reasoning: '}${c.reasoning}`;
+    }).join('\n\n');
+  }
+
+  /**
+   * Parse an undo command from a JIRA comment
+   * Only a comment that starts with UNDO counts; "UNDO PREVIEW" only plans the rollback.
+   * @param {string} text - Comment text
+   * @returns {Object|null} { preview } or null
+   */
+  parseUndoCommand(text) {
+    const firstLine = String(text || '').trim().split('\n')[0].trim();
+    const undo = firstLine.match(/^UNDO\b(.*)$/i);
+    return undo ? { preview: /\bPREVIEW\b/i.test(undo[1]) } : null;
+  }
+
+  /**
+   * Handle Rollback workflow
+   * Reverts everything recorded for the bug in the audit log (results, defects,
+   * links) and forgets its learned matches; in dry-run the plan is only posted.
+   * @param {string} issueKey - JIRA issue key
+   * @param {boolean} dryRun - Only preview the plan
+   * @returns {Promise<Object>} Workflow result
+   */
+  async handleRollback(issueKey, dryRun = false) {
+    try {
+      logger.info(`${dryRun ? 'Previewing rollback' : 'Rolling back'} ${issueKey}`);
+      const result = await this.rollbackService.rollback(issueKey, { dryRun });
+
+      await this.jiraService.addComment(issueKey, this.formatRollback(result));
+
+      const failed = result.steps.filter(step => step.outcome === 'failed');
+      return {
+        success: failed.length === 0,
+        ...result,
+        ...(failed.length > 0 ? { error: `${failed.length} rollback step(s) failed` } : {})
+      };
+    } catch (error) {
+      logger.error(`Failed to roll back ${issueKey}: ${error.message}`);
+      throw error;
     }
   }
 
+  /**
+   * Format a rollback plan or its outcome as a JIRA comment
+   * @param {Object} result - Result of rollbackService.rollback()
+   * @returns {string} Comment
+   */
+  formatRollback(result) {
+    const { matches, corrections } = result.learning;
+    const learned = matches > 0 || corrections > 0;
+
+    if (result.steps.length === 0 && !learned) {
+      return `↩️ Nothing to Roll Back
+
+No writes to ${this.testMgmt.getSystemName()} and no learned matches are recorded for this bug.${result.auditEnabled ? '' : '\nThe audit log is disabled (AUDIT_ENABLED=false), so new writes are not recorded.'}`;
+    }
+
+    const icons = { reverted: '✅', skipped: '⏭️', failed: '❌' };
+    const systems = [...new Set(result.steps.map(step => step.system))].map(system => {
+      const name = this.testMgmt.getBackend(system)?.displayName || system;
+      const lines = result.steps.filter(step => step.system === system).map((step, idx) => {
+        const reason = step.error || step.skipped;
+        return `${idx + 1}. ${result.dryRun ? '' : `${icons[step.outcome]} `}${step.description}${reason ? ` - ${step.skipped && result.dryRun ? 'will be skipped: ' : ''}${reason}` : ''}`;
+      });
+      return `${name}:\n${lines.join('\n')}`;
+    });
+    const learning = learned
+      ? `Learning: ${result.dryRun ? 'delete' : 'deleted'} ${matches} match(es) and ${corrections} correction(s) stored for ${result.issueKey}`
+      : 'Learning: nothing stored for this bug';
+
+    if (result.dryRun) {
+      return `🔍 Rollback Preview - Nothing Changed Yet
+
+${systems.join('\n\n')}
+
+${learning}
+
+${this.config.server.dryRunMode ? '🔍 DRY RUN MODE - No actual update' : 'Reply UNDO to apply this plan. JIRA comments are kept.'}`;
+    }
+
+    return `↩️ Rollback Complete
+
+${systems.join('\n\n')}
+
+${learning}
+
+JIRA comments are kept as a record.`;
+  }
+
   /**
    * Find all test IDs that have this bug linked
    * @param {string} issueKey - JIRA issue key
-   * @param {string} runId - TestRail run ID
+   * @param {string} runId - Run/Execution identifier
    * @returns {Promise<Array>} Array of test IDs
    */
   async findAllLinkedTestIds(issueKey, runId) {
     try {
-      const tests = await testRailService.getTests(runId);
-      const linkedTestIds = [];
-      
-      for (const test of tests) {
-        const isLinked = await testRailService.isBugAlreadyLinked(test.id, issueKey);
-        if (isLinked) {
-          linkedTestIds.push(test.id.toString());
-        }
-      }
-      
-      return linkedTestIds;
+      const testIds = await this.testMgmt.findTestsWithBug(runId, issueKey);
+      return testIds.map(id => id.toString());
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to find all linked test IDs: ${error.message}`);
       return [];
     }
@@ -787,30 +1213,36 @@ ${testsList}${cleanupMsg}`
   /**
    * Check which bugs are still active (Open, Reopened, or Ready for Dev)
    * @param {Array<string>} bugIds - Array of bug IDs to check
+   * @param {Array<string>} unknown - Collects bugs whose status could not be read, instead of counting them as active (optional)
    * @returns {Promise<Array<string>>} Array of bug IDs that are still active
    */
-  async getActiveBugs(bugIds) {
+  async getActiveBugs(bugIds, unknown = null) {
     const activeBugs = [];
     const activeStatuses = ['open', 'reopened', 'ready for dev'];
-    
+    const issues = await this.jiraService.getIssues(bugIds);
+
     for (const bugId of bugIds) {
-      try {
-        const issue = await jiraService.getIssue(bugId);
-        const status = issue.fields.status.name.toLowerCase();
-        
-        if (activeStatuses.includes(status)) {
-          activeBugs.push(bugId);
-          logger.info(`Bug ${bugId} is active (status: ${issue.fields.status.name})`);
-        } else {
-          logger.info(`Bug ${bugId} is not active (status: ${issue.fields.status.name})`);
+      const issue = issues.get(bugId);
+      if (!issue) {
+        logger.warn(`Failed to check status of bug ${bugId}`);
+        if (unknown) {
+          unknown.push(bugId);
+          continue;
         }
-      } catch (error) {
-        logger.warn(`Failed to check status of bug ${bugId}: ${error.message}`);
         // If we can't check, assume it's active to be safe
         activeBugs.push(bugId);
+        continue;
+      }
+
+      const status = issue.fields.status.name.toLowerCase();
+      if (activeStatuses.includes(status)) {
+        activeBugs.push(bugId);
+        logger.info(`Bug ${bugId} is active (status: ${issue.fields.status.name})`);
+      } else {
+        logger.info(`Bug ${bugId} is not active (status: ${issue.fields.status.name})`);
       }
     }
-    
+
     return activeBugs;
   }
 
@@ -823,15 +1255,16 @@ ${testsList}${cleanupMsg}`
   /**
    * Intelligently mark a test as passed, checking if other active bugs still fail it
    * Checks ALL test results to find ALL bugs linked to this test case
-   * @param {string} testId - TestRail test ID
+   * @param {string} testId - Test ID or Test Key
    * @param {string} removedBugId - Bug ID being removed/resolved
    * @param {string} reason - Reason for the change
-   * @returns {Promise<Object>} Result with status and message
+   * @param {string} runKey - Run/Execution identifier the test is in
+   * @returns {Promise<Object>} Result with status and message (and per-system outcomes in "backends" when written)
    */
-  async markTestAsPassedIntelligently(testId, removedBugId, reason) {
+  async markTestAsPassedIntelligently(testId, removedBugId, reason, runKey) {
     try {
       // Get all test results
-      const testResults = await testRailService.getResults(testId);
+      const testResults = await this.testMgmt.getTestResults(testId, runKey);
       
       if (!testResults || testResults.length === 0) {
         logger.warn(`No test results found for test ${testId}`);
@@ -842,8 +1275,8 @@ ${testsList}${cleanupMsg}`
       }
       
       // Check if the latest result is already Passed
-      const latestResult = testResults[0]; // Results are ordered by newest first
-      if (latestResult.status_id === 1) { // 1 = Passed
+      const latestResult = this.testMgmt.summarizeResult(testResults[0]); // Results are ordered by newest first
+      if (latestResult.status === 'Passed') {
         logger.info(`Latest test result for test ${testId} is already Passed, skipping update`);
         return {
           status: 'Passed',
@@ -857,15 +1290,12 @@ ${testsList}${cleanupMsg}`
       let foundRemovedBug = false;
       
       for (const result of testResults) {
-        if (result.defects) {
-          const bugs = result.defects.split(',').map(d => d.trim()).filter(d => d);
-          for (const bug of bugs) {
-            if (bug === removedBugId) {
-              foundRemovedBug = true;
-              logger.info(`Found bug ${removedBugId} in result ${result.id}`);
-            } else {
-              allBugsSet.add(bug);
-            }
+        for (const bug of this.testMgmt.summarizeResult(result).defects) {
+          if (bug === removedBugId) {
+            foundRemovedBug = true;
+            logger.info(`Found bug ${removedBugId} in result ${result.id}`);
+          } else {
+            allBugsSet.add(bug);
           }
         }
       }
@@ -879,6 +1309,7 @@ ${testsList}${cleanupMsg}`
       }
       
       const allOtherBugs = Array.from(allBugsSet);
+      let written = null;
       
       if (allOtherBugs.length > 0) {
         logger.info(`Test ${testId} has ${allOtherBugs.length} other bug(s) across all results: ${allOtherBugs.join(', ')}`);
@@ -898,19 +1329,20 @@ ${testsList}${cleanupMsg}`
         } else {
           logger.info(`Test ${testId} has no active bugs remaining, marking test as Passed`);
           
-          // Add a new Passed result
-          await testRailService.markAsPassed(testId, `${reason}. Removed bug ${removedBugId}. No active bugs remain.`, '');
+          // Add a new Passed result (mirrored to the secondary system in dual/shadow mode)
+          written = await this.testMgmt.markAsPassed(testId, runKey, `${reason}. Removed bug ${removedBugId}. No active bugs remain.`, '', removedBugId);
         }
       } else {
         logger.info(`Test ${testId} has no other bugs, marking test as Passed`);
         
-        // Add a new Passed result
-        await testRailService.markAsPassed(testId, `${reason}. Removed bug ${removedBugId}.`, '');
+        // Add a new Passed result (mirrored to the secondary system in dual/shadow mode)
+        written = await this.testMgmt.markAsPassed(testId, runKey, `${reason}. Removed bug ${removedBugId}.`, '', removedBugId);
       }
       
       return {
         status: 'Passed',
-        message: 'No active bugs remain, test marked as Passed'
+        message: 'No active bugs remain, test marked as Passed',
+        backends: written?.backends
       };
     } catch (error) {
       logger.error(`Failed to intelligently mark test ${testId}: ${error.message}`);
@@ -918,6 +1350,36 @@ ${testsList}${cleanupMsg}`
     }
   }
 
+  /**
+   * Format the per-system outcome of a test update (dual-write and shadow modes)
+   * @param {Object} result - Test update result with "backends" from the adapter
+   * @param {string} indent - Prefix for each line
+   * @returns {string} Lines to append to a JIRA comment (empty in single-system mode)
+   */
+  formatBackendResults(result, indent = '') {
+    if (!result || !result.backends) {
+      return '';
+    }
+
+    const lines = result.backends.map(backend => {
+      const label = `${indent}• ${backend.system} (${backend.role})`;
+      switch (backend.outcome) {
+        case 'updated':
+          return `${label}: ${backend.status} - ${backend.testId}`;
+        case 'dry-run':
+          return `${label}: ${backend.status} - ${backend.testId} (dry run)`;
+        case 'shadow':
+          return `${label}: Would mark ${backend.status} - ${backend.testId} (not written)`;
+        case 'unmapped':
+          return `${label}: Not updated - ${backend.reason}`;
+        default:
+          return `${label}: Error - ${backend.error}`;
+      }
+    });
+
+    return `\n${indent}Test Management:\n${lines.join('\n')}`;
+  }
+
   /**
    * Extract WCAG criterion from bug title
    * Extracts the criterion between the first and second pipe (|)
@@ -952,14 +1414,14 @@ ${testsList}${cleanupMsg}`
   async groupTestCasesBySection(testCases, runId) {
     try {
       // Get run details to find project and suite IDs
-      const run = await testRailService.getRun(runId);
+      const run = await this.testRailService.getRun(runId);
       const projectId = run.project_id;
       const suiteId = run.suite_id;
       
       logger.info(`Fetching sections for project ${projectId}, suite ${suiteId}`);
       
       // Fetch all sections in the project/suite
-      const sections = await testRailService.getSections(projectId, suiteId);
+      const sections = await this.testRailService.getSections(projectId, suiteId);
       
       logger.info(`Retrieved ${sections.length} sections from TestRail`);
       if (sections.length > 0) {
@@ -1097,7 +1559,7 @@ ${testsList}${cleanupMsg}`
       }
 
       // Use AI to match
-      const matchResult = await aiService.matchBugToTestCase(bugData, filteredTestCases);
+      const matchResult = await this.aiService.matchBugToTestCase(bugData, filteredTestCases);
       const matches = Array.isArray(matchResult) ? matchResult : [matchResult];
       
       return {
@@ -1,19 +1,251 @@
-const axios = require('axios');
 const config = require('../config');
 const logger = require('../logger');
+const httpClient = require('./httpClient');
 const cacheService = require('./cacheService');
+const auditService = require('./auditService');
+const jiraService = require('./jiraService');
+
+// Xray Cloud tokens are valid for 24 hours; renewed a little earlier
+const CLOUD_TOKEN_TTL_MS = 23 * 60 * 60 * 1000;
+// Largest page of tests the Xray Cloud GraphQL API returns
+const CLOUD_PAGE_SIZE = 100;
+
+const CLOUD_EXECUTION_TESTS_QUERY = `query XrayExecutionTests($jql: String!, $start: Int!, $limit: Int!) {
+  getTestExecutions(jql: $jql, limit: 1) {
+    results {
+      issueId
+      tests(start: $start, limit: $limit) {
+        total
+        results {
+          issueId
+          jira(fields: ["key", "summary", "description", "labels", "components"])
+          testType { name }
+          steps { action data result }
+          preconditions(limit: 10) { results { definition jira(fields: ["key"]) } }
+        }
+      }
+    }
+  }
+}`;
+
+const CLOUD_TEST_RUN_QUERY = `query XrayTestRun($testIssueId: String!, $testExecIssueId: String!) {
+  getTestRun(testIssueId: $testIssueId, testExecIssueId: $testExecIssueId) {
+    id
+    status { name }
+    comment
+    defects
+    startedOn
+    finishedOn
+  }
+}`;
 
 /**
  * Xray Service - Handles all Xray (Jira Test Management) API interactions
- * Xray is integrated directly into Jira, so we use Jira's REST API
+ * Xray is integrated directly into Jira, so issues and links use Jira's REST API.
+ * On Server/Data Center, tests, runs and results use the rest/raven/1.0 endpoints.
+ * With XRAY_DEPLOYMENT=cloud they go to the Xray Cloud API instead: authenticated with
+ * an API key (client ID/secret), read through GraphQL and recorded with the REST import.
  */
 class XrayService {
-  constructor() {
-    this.baseUrl = config.xray.baseUrl;
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} cache - Cache service instance for this profile
+   * @param {Object|null} audit - Audit service that logs every write (null to skip)
+   */
+  constructor(profileConfig = config, cache = cacheService, audit = auditService) {
+    this.config = profileConfig;
+    this.cache = cache;
+    this.audit = audit;
+    this.baseUrl = this.config.xray.baseUrl;
     this.auth = {
-      username: config.xray.email,
-      password: config.xray.apiToken
+      username: this.config.xray.email,
+      password: this.config.xray.apiToken
     };
+    this.http = httpClient.create();
+    this.cloudToken = null; // { value, expiresAt }
+    this.issueIds = new Map(); // Issue key -> numeric issue ID (Xray Cloud uses IDs)
+    this.issueKeys = new Map(); // Numeric issue ID -> issue key
+  }
+
+  /**
+   * Check whether this service talks to Xray Cloud
+   * @returns {boolean} True if XRAY_DEPLOYMENT is "cloud"
+   */
+  isCloud() {
+    return this.config.xray.deployment === 'cloud';
+  }
+
+  /**
+   * Get an Xray Cloud token, authenticating with the client ID and secret when needed
+   * @param {boolean} renew - Authenticate even if a token is cached (e.g., after a 401)
+   * @returns {Promise<string>} Bearer token
+   */
+  async getCloudToken(renew = false) {
+    if (!renew && this.cloudToken && this.cloudToken.expiresAt > Date.now()) {
+      return this.cloudToken.value;
+    }
+
+    const { cloudBaseUrl, clientId, clientSecret } = this.config.xray;
+    if (!clientId || !clientSecret) {
+      throw new Error('XRAY_CLIENT_ID and XRAY_CLIENT_SECRET are required for the Xray Cloud deployment');
+    }
+
+    try {
+      logger.info(`Authenticating to Xray Cloud at ${cloudBaseUrl}`);
+      const response = await this.http.post(
+        `${cloudBaseUrl}/api/v2/authenticate`,
+        { client_id: clientId, client_secret: clientSecret },
+        { headers: { 'Content-Type': 'application/json' } }
+      );
+      // The token comes back as a JSON string
+      this.cloudToken = { value: String(response.data).replace(/^"|"$/g, ''), expiresAt: Date.now() + CLOUD_TOKEN_TTL_MS };
+      return this.cloudToken.value;
+    } catch (error) {
+      logger.error(`Failed to authenticate to Xray Cloud: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * POST to the Xray Cloud API with a bearer token (authenticating again once if it expired)
+   * @param {string} apiPath - Path under XRAY_CLOUD_BASE_URL (e.g., "/api/v2/graphql")
+   * @param {Object} payload - Request body
+   * @returns {Promise<Object>} axios response
+   */
+  async cloudPost(apiPath, payload) {
+    for (let attempt = 0; ; attempt++) {
+      const token = await this.getCloudToken(attempt > 0);
+      try {
+        return await this.http.post(
+          `${this.config.xray.cloudBaseUrl}${apiPath}`,
+          payload,
+          { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
+        );
+      } catch (error) {
+        if (error.response?.status === 401 && attempt === 0) {
+          logger.warn('Xray Cloud token was rejected, authenticating again');
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Run an Xray Cloud GraphQL query
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} The response's data
+   * @throws {Error} If the response lists GraphQL errors
+   */
+  async graphql(query, variables = {}) {
+    const response = await this.cloudPost('/api/v2/graphql', { query, variables });
+    const errors = response.data.errors || [];
+    if (errors.length > 0) {
+      throw new Error(`Xray GraphQL error: ${errors.map(e => e.message).join('; ')}`);
+    }
+    return response.data.data;
+  }
+
+  /**
+   * Get every test of a Test Execution from Xray Cloud, with steps and preconditions
+   * Also remembers the issue IDs of the execution and its tests for getTestRuns().
+   * @param {string} executionKey - Test Execution key
+   * @returns {Promise<Array>} GraphQL test objects
+   */
+  async getCloudExecutionTests(executionKey) {
+    const tests = [];
+    for (let start = 0; ; start += CLOUD_PAGE_SIZE) {
+      const data = await this.graphql(CLOUD_EXECUTION_TESTS_QUERY, { jql: `key = "${executionKey}"`, start, limit: CLOUD_PAGE_SIZE });
+      const execution = data.getTestExecutions?.results?.[0];
+      if (!execution) {
+        throw new Error(`Test Execution ${executionKey} not found in Xray Cloud`);
+      }
+      this.rememberIssue(executionKey, execution.issueId);
+
+      const page = execution.tests?.results || [];
+      page.forEach(test => this.rememberIssue(test.jira?.key, test.issueId));
+      tests.push(...page);
+      if (page.length === 0 || tests.length >= (execution.tests.total || 0)) {
+        return tests;
+      }
+    }
+  }
+
+  /**
+   * Map an Xray Cloud GraphQL test to the test case shape the workflows use
+   * @param {Object} test - GraphQL test
+   * @returns {Object} { test_id, case_id, key, title, description, test_type, steps, preconditions, labels, components }
+   */
+  toTestCase(test) {
+    const fields = test.jira || {};
+    return {
+      test_id: fields.key,
+      case_id: fields.key,
+      key: fields.key,
+      title: fields.summary,
+      description: this.getDescriptionText(fields.description),
+      test_type: test.testType?.name || 'Manual',
+      steps: (test.steps || []).map(step => ({ action: step.action || '', data: step.data || '', expected: step.result || '' })),
+      preconditions: (test.preconditions?.results || []).map(precondition => precondition.definition).filter(Boolean).join('\n'),
+      labels: fields.labels || [],
+      components: (fields.components || []).map(c => c.name || c)
+    };
+  }
+
+  /**
+   * Get the text of a JIRA description (plain text, or all the text of ADF)
+   * @param {string|Object} description - Description field
+   * @returns {string} Text
+   */
+  getDescriptionText(description) {
+    if (!description) return '';
+    return jiraService.extractTextFromComment(description).trim();
+  }
+
+  /**
+   * Remember an issue's key and numeric ID
+   * @param {string} issueKey - Issue key
+   * @param {string} issueId - Numeric issue ID
+   */
+  rememberIssue(issueKey, issueId) {
+    if (!issueKey || !issueId) return;
+    this.issueIds.set(issueKey, String(issueId));
+    this.issueKeys.set(String(issueId), issueKey);
+  }
+
+  /**
+   * Get the numeric ID of an issue (Xray Cloud identifies tests and executions by ID)
+   * @param {string} issueKey - Issue key
+   * @returns {Promise<string>} Issue ID
+   */
+  async getIssueId(issueKey) {
+    if (!this.issueIds.has(issueKey)) {
+      const issue = await this.getTestDetails(issueKey);
+      this.rememberIssue(issueKey, issue.id);
+    }
+    return this.issueIds.get(issueKey);
+  }
+
+  /**
+   * Get the keys of issues known by ID (Xray Cloud lists a run's defects by ID)
+   * @param {Array<string>} issueIds - Numeric issue IDs
+   * @returns {Promise<Array<string>>} Issue keys (an ID that cannot be read is kept as is)
+   */
+  async getIssueKeys(issueIds) {
+    const unknown = issueIds.map(String).filter(id => !this.issueKeys.has(id));
+    if (unknown.length > 0) {
+      try {
+        const response = await this.http.get(
+          `${this.baseUrl}/rest/api/3/search`,
+          { auth: this.auth, params: { jql: `id in (${unknown.join(',')})`, fields: 'key', maxResults: unknown.length } }
+        );
+        (response.data.issues || []).forEach(issue => this.rememberIssue(issue.key, issue.id));
+      } catch (error) {
+        logger.warn(`Failed to look up the keys of issues ${unknown.join(', ')}: ${error.message}`);
+      }
+    }
+    return issueIds.map(id => this.issueKeys.get(String(id)) || String(id));
   }
 
   /**
@@ -24,7 +256,7 @@ class XrayService {
   async getTestExecution(executionKey) {
     try {
       logger.info(`Fetching Xray test execution: ${executionKey}`);
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.baseUrl}/rest/api/3/issue/${executionKey}`,
         { auth: this.auth }
       );
@@ -43,7 +275,17 @@ class XrayService {
   async getTests(executionKey) {
     try {
       logger.info(`Fetching tests from execution: ${executionKey}`);
-      const response = await axios.get(
+      if (this.isCloud()) {
+        return (await this.getCloudExecutionTests(executionKey)).map(test => ({
+          id: test.jira.key,
+          key: test.jira.key,
+          title: test.jira.summary,
+          description: test.jira.description,
+          case_id: test.jira.key
+        }));
+      }
+
+      const response = await this.http.get(
         `${this.baseUrl}/rest/raven/1.0/api/testexec/${executionKey}/test`,
         { auth: this.auth }
       );
@@ -63,7 +305,7 @@ class XrayService {
         });
         
         // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, config.xray.rateLimitMs));
+        await new Promise(resolve => setTimeout(resolve, this.config.xray.rateLimitMs));
       }
       
       return tests;
@@ -81,7 +323,7 @@ class XrayService {
   async getTestDetails(testKey) {
     try {
       logger.info(`Fetching test details: ${testKey}`);
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.baseUrl}/rest/api/3/issue/${testKey}`,
         { auth: this.auth }
       );
@@ -101,17 +343,46 @@ class XrayService {
   async getTestRuns(testKey, executionKey) {
     try {
       logger.info(`Fetching test runs for test ${testKey} in execution ${executionKey}`);
-      const response = await axios.get(
+      if (this.isCloud()) {
+        return await this.getCloudTestRuns(testKey, executionKey);
+      }
+
+      const response = await this.http.get(
         `${this.baseUrl}/rest/raven/1.0/api/testrun?testIssueKey=${testKey}&testExecIssueKey=${executionKey}`,
         { auth: this.auth }
       );
       return response.data || [];
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to fetch test runs: ${error.message}`);
       return [];
     }
   }
 
+  /**
+   * Get the test run of a test in an execution from Xray Cloud
+   * @param {string} testKey - Test issue key
+   * @param {string} executionKey - Test execution key
+   * @returns {Promise<Array>} The run as [{ id, status, comment, defects, startedOn, finishedOn }] (empty if none)
+   */
+  async getCloudTestRuns(testKey, executionKey) {
+    const data = await this.graphql(CLOUD_TEST_RUN_QUERY, {
+      testIssueId: await this.getIssueId(testKey),
+      testExecIssueId: await this.getIssueId(executionKey)
+    });
+    const run = data.getTestRun;
+    if (!run) return [];
+
+    return [{
+      id: run.id,
+      status: run.status?.name || null,
+      comment: run.comment || '',
+      defects: await this.getIssueKeys(run.defects || []),
+      startedOn: run.startedOn || null,
+      finishedOn: run.finishedOn || null
+    }];
+  }
+
   /**
    * Check if a bug is already linked to a test
    * @param {string} testKey - Test issue key
@@ -136,6 +407,7 @@ class XrayService {
       logger.info(`Bug ${bugKey} is not linked to test ${testKey}`);
       return false;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to check bug link: ${error.message}`);
       return false;
     }
@@ -167,6 +439,7 @@ class XrayService {
       logger.info(`Found ${testKeysWithBug.length} test(s) with bug ${bugKey}`);
       return testKeysWithBug;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to find tests with bug ${bugKey}: ${error.message}`);
       return [];
     }
@@ -183,7 +456,7 @@ class XrayService {
    */
   async addTestRun(testKey, executionKey, status, comment = '', defects = []) {
     try {
-      if (config.server.dryRunMode) {
+      if (this.config.server.dryRunMode) {
         logger.info(`[DRY RUN] Would update test ${testKey} in execution ${executionKey} to status ${status}`);
         return { dry_run: true, test_key: testKey, status: status, defects: defects };
       }
@@ -198,16 +471,35 @@ class XrayService {
           comment: comment
         }]
       };
+      if (this.isCloud() && defects && defects.length > 0) {
+        payload.tests[0].defects = defects; // Recorded on the test run; the links below are kept too
+      }
       
+      const before = await this.audit?.snapshot(async () => {
+        const runs = await this.getTestRuns(testKey, executionKey);
+        const latest = Array.isArray(runs) ? runs[0] : runs;
+        return latest ? { status: latest.status, defects: latest.defects || [] } : null;
+      });
+      const audit = { system: 'xray', operation: 'import-execution', target: `test ${testKey} in ${executionKey}`, before, request: payload };
+
       // Add test run result
-      const response = await axios.post(
-        `${this.baseUrl}/rest/raven/1.0/import/execution`,
-        payload,
-        { 
-          auth: this.auth,
-          headers: { 'Content-Type': 'application/json' }
-        }
-      );
+      let response;
+      try {
+        response = this.isCloud()
+          ? await this.cloudPost('/api/v2/import/execution', payload)
+          : await this.http.post(
+            `${this.baseUrl}/rest/raven/1.0/import/execution`,
+            payload,
+            {
+              auth: this.auth,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+      } catch (error) {
+        await this.audit?.record({ ...audit, error });
+        throw error;
+      }
+      await this.audit?.record({ ...audit, after: { status }, response: response.data });
       
       // Link defects if provided
       if (defects && defects.length > 0) {
@@ -241,14 +533,22 @@ class XrayService {
         outwardIssue: { key: bugKey }
       };
       
-      const response = await axios.post(
-        `${this.baseUrl}/rest/api/3/issueLink`,
-        payload,
-        { 
-          auth: this.auth,
-          headers: { 'Content-Type': 'application/json' }
-        }
-      );
+      const audit = { system: 'xray', operation: 'link-issue', target: `test ${testKey}`, issueKey: bugKey, request: payload };
+      let response;
+      try {
+        response = await this.http.post(
+          `${this.baseUrl}/rest/api/3/issueLink`,
+          payload,
+          { 
+            auth: this.auth,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      } catch (error) {
+        await this.audit?.record({ ...audit, error });
+        throw error;
+      }
+      await this.audit?.record({ ...audit, after: { linkType, testKey, bugKey }, response: response.data });
       
       logger.info(`Bug ${bugKey} linked to test ${testKey} successfully`);
       return response.data;
@@ -276,10 +576,24 @@ class XrayService {
       for (const link of issueLinks) {
         const linkedKey = link.outwardIssue?.key || link.inwardIssue?.key;
         if (linkedKey === bugKey) {
-          await axios.delete(
-            `${this.baseUrl}/rest/api/3/issueLink/${link.id}`,
-            { auth: this.auth }
-          );
+          const audit = {
+            system: 'xray',
+            operation: 'unlink-issue',
+            target: `test ${testKey}`,
+            issueKey: bugKey,
+            before: { linkId: link.id, linkType: link.type?.name || null, testKey, bugKey },
+            request: { linkId: link.id }
+          };
+          try {
+            await this.http.delete(
+              `${this.baseUrl}/rest/api/3/issueLink/${link.id}`,
+              { auth: this.auth }
+            );
+          } catch (error) {
+            await this.audit?.record({ ...audit, error });
+            throw error;
+          }
+          await this.audit?.record({ ...audit, after: null });
           logger.info(`Bug ${bugKey} unlinked from test ${testKey} successfully`);
           return true;
         }
@@ -302,10 +616,10 @@ class XrayService {
   async getTestsWithDetails(executionKey, forceRefresh = false) {
     try {
       // Check cache first
-      const cacheKey = cacheService.constructor.getTestsCacheKey(executionKey);
+      const cacheKey = this.cache.constructor.getTestsCacheKey(executionKey);
       
       if (!forceRefresh) {
-        const cachedData = await cacheService.get(cacheKey);
+        const cachedData = await this.cache.get(cacheKey);
         if (cachedData) {
           logger.info(`Using cached test cases for execution ${executionKey} (${cachedData.length} tests)`);
           return cachedData;
@@ -313,6 +627,14 @@ class XrayService {
       }
 
       logger.info(`Fetching fresh test cases from Xray for execution ${executionKey}`);
+      if (this.isCloud()) {
+        // One paged GraphQL query returns the tests with their steps and preconditions
+        const testsWithDetails = (await this.getCloudExecutionTests(executionKey)).map(test => this.toTestCase(test));
+        await this.cache.set(cacheKey, testsWithDetails);
+        logger.info(`Cached ${testsWithDetails.length} test cases for execution ${executionKey}`);
+        return testsWithDetails;
+      }
+
       const tests = await this.getTests(executionKey);
       const testsWithDetails = [];
 
@@ -338,7 +660,7 @@ class XrayService {
           });
           
           // Rate limiting: configurable delay to avoid rate limit errors
-          await new Promise(resolve => setTimeout(resolve, config.xray.rateLimitMs));
+          await new Promise(resolve => setTimeout(resolve, this.config.xray.rateLimitMs));
         } catch (error) {
           logger.warn(`Failed to fetch details for test ${test.key}: ${error.message}`);
           // Add test without full details
@@ -353,7 +675,7 @@ class XrayService {
       }
 
       // Cache the results for future use
-      await cacheService.set(cacheKey, testsWithDetails);
+      await this.cache.set(cacheKey, testsWithDetails);
       logger.info(`Cached ${testsWithDetails.length} test cases for execution ${executionKey}`);
 
       return testsWithDetails;
@@ -371,7 +693,7 @@ class XrayService {
    * @param {Array} defects - Array of defect keys
    */
   async markAsFailed(testKey, executionKey, comment = '', defects = []) {
-    return this.addTestRun(testKey, executionKey, 'FAIL', comment, defects);
+    return this.addTestRun(testKey, executionKey, this.config.xray.statusFail, comment, defects);
   }
 
   /**
@@ -382,7 +704,7 @@ class XrayService {
    * @param {Array} defects - Array of defect keys (for clearing links)
    */
   async markAsPassed(testKey, executionKey, comment = '', defects = []) {
-    return this.addTestRun(testKey, executionKey, 'PASS', comment, defects);
+    return this.addTestRun(testKey, executionKey, this.config.xray.statusPass, comment, defects);
   }
 
   /**
@@ -396,7 +718,7 @@ class XrayService {
       logger.info(`Finding Test Execution for parent issue: ${parentKey}`);
       
       // Get parent issue
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.baseUrl}/rest/api/3/issue/${parentKey}`,
         { auth: this.auth }
       );
@@ -423,8 +745,8 @@ class XrayService {
       }
       
       // Check custom field (if configured)
-      if (config.xray.executionKeyField) {
-        const executionKey = issue.fields[config.xray.executionKeyField];
+      if (this.config.xray.executionKeyField) {
+        const executionKey = issue.fields[this.config.xray.executionKeyField];
         if (executionKey) {
           logger.info(`Found Test Execution in custom field: ${executionKey}`);
           return executionKey;
@@ -434,6 +756,7 @@ class XrayService {
       logger.warn(`No Test Execution found for parent ${parentKey}`);
       return null;
     } catch (error) {
+      if (error.circuitOpen) throw error;
       logger.error(`Failed to find Test Execution: ${error.message}`);
       return null;
     }
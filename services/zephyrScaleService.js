@@ -0,0 +1,636 @@
+const config = require('../config');
+const logger = require('../logger');
+const httpClient = require('./httpClient');
+const cacheService = require('./cacheService');
+const auditService = require('./auditService');
+
+const CYCLE_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-R\d+$/;
+
+/**
+ * Zephyr Scale Service - Handles all Zephyr Scale Cloud API (v2) interactions
+ * Tests are Test Cases (e.g., "QA-T12"), runs are Test Cycles (e.g., "QA-R3"),
+ * and each recorded result is a Test Execution. Bugs are linked to executions.
+ */
+class ZephyrScaleService {
+  /**
+   * @param {Object} profileConfig - Configuration of the profile this instance serves
+   * @param {Object} cache - Cache service instance for this profile
+   * @param {Object} jira - JIRA service instance for this profile
+   * @param {Object|null} audit - Audit service that logs every write (null to skip)
+   */
+  constructor(profileConfig = config, cache = cacheService, jira = null, audit = auditService) {
+    this.config = profileConfig;
+    this.cache = cache;
+    this.jira = jira || require('./jiraService');
+    this.audit = audit;
+    this.http = httpClient.create({
+      baseURL: this.config.zephyrScale.baseUrl,
+      headers: {
+        Authorization: `Bearer ${this.config.zephyrScale.apiToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    this.statusNames = new Map(); // Status ID -> name
+    this.issueIds = new Map(); // JIRA issue key -> numeric issue ID (links use IDs)
+  }
+
+  /**
+   * Get a test cycle
+   * @param {string} cycleKey - Test Cycle key (e.g., "QA-R3")
+   * @returns {Promise<Object>} Test cycle
+   */
+  async getTestCycle(cycleKey) {
+    try {
+      logger.info(`Fetching Zephyr Scale test cycle: ${cycleKey}`);
+      const response = await this.http.get(`/testcycles/${cycleKey}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to fetch test cycle ${cycleKey}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get test executions, following pagination
+   * @param {Object} filters - Query filters ({ testCycle, testCase })
+   * @returns {Promise<Array>} Test executions, newest first
+   */
+  async getTestExecutions(filters) {
+    try {
+      const executions = [];
+      let startAt = 0;
+      let isLast = false;
+
+      while (!isLast) {
+        const response = await this.http.get('/testexecutions', {
+          params: { ...filters, startAt, maxResults: 100 }
+        });
+        const values = response.data.values || [];
+        executions.push(...values);
+        startAt += values.length;
+        isLast = response.data.isLast !== false || values.length === 0;
+      }
+
+      return executions.sort((a, b) => (b.actualEndDate || '').localeCompare(a.actualEndDate || ''));
+    } catch (error) {
+      logger.error(`Failed to fetch test executions (${JSON.stringify(filters)}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the test case keys in a test cycle
+   * @param {string} cycleKey - Test Cycle key
+   * @returns {Promise<Array>} Tests ({ id, key })
+   */
+  async getTests(cycleKey) {
+    logger.info(`Fetching tests from cycle: ${cycleKey}`);
+    const executions = await this.getTestExecutions({ testCycle: cycleKey });
+
+    const keys = new Set(executions.map(execution => this.getTestCaseKey(execution)).filter(Boolean));
+    return Array.from(keys).map(key => ({ id: key, key }));
+  }
+
+  /**
+   * Get a test case
+   * @param {string} testCaseKey - Test Case key (e.g., "QA-T12")
+   * @returns {Promise<Object>} Test case
+   */
+  async getTestCase(testCaseKey) {
+    try {
+      logger.info(`Fetching test case: ${testCaseKey}`);
+      const response = await this.http.get(`/testcases/${testCaseKey}`);
+      return response.data;
+    } catch (error) {
+      logger.error(`Failed to fetch test case ${testCaseKey}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the steps of a test case
+   * @param {string} testCaseKey - Test Case key
+   * @returns {Promise<Array>} Steps
+   */
+  async getTestSteps(testCaseKey) {
+    try {
+      const response = await this.http.get(`/testcases/${testCaseKey}/teststeps`, {
+        params: { maxResults: 100 }
+      });
+      return (response.data.values || []).map(step => step.inline || {});
+    } catch (error) {
+      if (error.circuitOpen) throw error;
+      logger.warn(`Failed to fetch steps for test case ${testCaseKey}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get all test cases with details for AI matching (with caching)
+   * @param {string} cycleKey - Test Cycle key
+   * @param {boolean} forceRefresh - Force cache refresh (optional)
+   * @returns {Promise<Array>} Array of test cases with full details
+   */
+  async getTestsWithDetails(cycleKey, forceRefresh = false) {
+    try {
+      // Check cache first
+      const cacheKey = this.cache.constructor.getTestsCacheKey(cycleKey);
+
+      if (!forceRefresh) {
+        const cachedData = await this.cache.get(cacheKey);
+        if (cachedData) {
+          logger.info(`Using cached test cases for cycle ${cycleKey} (${cachedData.length} tests)`);
+          return cachedData;
+        }
+      }
+
+      logger.info(`Fetching fresh test cases from Zephyr Scale for cycle ${cycleKey}`);
+      const tests = await this.getTests(cycleKey);
+      const testsWithDetails = [];
+
+      for (const test of tests) {
+        try {
+          const testCase = await this.getTestCase(test.key);
+          const steps = await this.getTestSteps(test.key);
+
+          testsWithDetails.push({
+            test_id: test.key,
+            case_id: test.key,
+            key: test.key,
+            title: testCase.name,
+            description: this.stripHtml(testCase.objective),
+            preconditions: this.stripHtml(testCase.precondition),
+            steps: steps.map(step => ({
+              action: this.stripHtml(step.description),
+              data: this.stripHtml(step.testData),
+              expected: this.stripHtml(step.expectedResult)
+            })),
+            labels: testCase.labels || [],
+            priority: testCase.priority?.name || null
+          });
+
+          // Rate limiting: configurable delay to avoid rate limit errors
+          await new Promise(resolve => setTimeout(resolve, this.config.zephyrScale.rateLimitMs));
+        } catch (error) {
+          logger.warn(`Failed to fetch details for test case ${test.key}: ${error.message}`);
+          // Add test without full details
+          testsWithDetails.push({
+            test_id: test.key,
+            case_id: test.key,
+            key: test.key,
+            title: test.key,
+            description: ''
+          });
+        }
+      }
+
+      // Cache the results for future use
+      await this.cache.set(cacheKey, testsWithDetails);
+      logger.info(`Cached ${testsWithDetails.length} test cases for cycle ${cycleKey}`);
+
+      return testsWithDetails;
+    } catch (error) {
+      logger.error(`Failed to get tests with details: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the result history of a test case, with status names and linked bug keys
+   * @param {string} testCaseKey - Test Case key
+   * @param {string} cycleKey - Limit to a test cycle (optional)
+   * @returns {Promise<Array>} Results, newest first
+   */
+  async getResults(testCaseKey, cycleKey = null) {
+    const filters = { testCase: testCaseKey };
+    if (cycleKey) filters.testCycle = cycleKey;
+
+    const executions = await this.getTestExecutions(filters);
+    const results = [];
+
+    for (const execution of executions) {
+      results.push({
+        id: execution.id,
+        key: execution.key,
+        test_key: testCaseKey,
+        status: await this.getStatusName(execution.testExecutionStatus?.id),
+        comment: execution.comment || '',
+        executed_at: execution.actualEndDate || null,
+        defects: await this.getExecutionDefects(execution.id)
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the name of an execution status
+   * @param {number} statusId - Status ID
+   * @returns {Promise<string|null>} Status name
+   */
+  async getStatusName(statusId) {
+    if (!statusId) return null;
+    if (!this.statusNames.has(statusId)) {
+      const response = await this.http.get(`/statuses/${statusId}`);
+      this.statusNames.set(statusId, response.data.name);
+    }
+    return this.statusNames.get(statusId);
+  }
+
+  /**
+   * Get the keys of the JIRA issues linked to a test execution
+   * @param {number} executionId - Test Execution ID
+   * @returns {Promise<Array<string>>} Issue keys
+   */
+  async getExecutionDefects(executionId) {
+    try {
+      const response = await this.http.get(`/testexecutions/${executionId}/links`);
+      const issueIds = (response.data.issues || []).map(link => String(link.issueId));
+
+      // Links only carry numeric IDs - translate back to keys (JIRA accepts the ID in place of the key)
+      const keys = [];
+      for (const id of issueIds) {
+        keys.push(await this.getIssueKey(id));
+      }
+      return keys;
+    } catch (error) {
+      if (error.circuitOpen) throw error;
+      logger.warn(`Failed to fetch links for execution ${executionId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Record a test execution and link its defects
+   * @param {string} testCaseKey - Test Case key
+   * @param {string} cycleKey - Test Cycle key
+   * @param {string} statusName - Status name (e.g., "Pass", "Fail")
+   * @param {string} comment - Optional comment
+   * @param {Array} defects - Optional array of bug keys
+   * @returns {Promise<Object>} Created execution
+   */
+  async addTestExecution(testCaseKey, cycleKey, statusName, comment = '', defects = []) {
+    try {
+      if (this.config.server.dryRunMode) {
+        logger.info(`[DRY RUN] Would record ${statusName} for test case ${testCaseKey} in cycle ${cycleKey}`);
+        return { dry_run: true, test_key: testCaseKey, status: statusName, defects: defects };
+      }
+
+      logger.info(`Recording ${statusName} for test case ${testCaseKey} in cycle ${cycleKey}`);
+
+      const payload = {
+        projectKey: this.config.zephyrScale.projectKey || testCaseKey.split('-')[0],
+        testCaseKey,
+        testCycleKey: cycleKey,
+        statusName,
+        comment
+      };
+      const before = await this.audit?.snapshot(async () => {
+        const [latest] = await this.getResults(testCaseKey, cycleKey);
+        return latest ? { execution: latest.key, status: latest.status, defects: latest.defects } : null;
+      });
+      const execution = await this.auditedPost('/testexecutions', payload, {
+        operation: 'add-execution',
+        target: `test case ${testCaseKey} in ${cycleKey}`,
+        before,
+        after: data => ({ execution: data.key || data.id, status: statusName })
+      });
+
+      // Link defects to the execution
+      for (const bugKey of defects || []) {
+        await this.auditedPost(`/testexecutions/${execution.id}/links/issues`, { issueId: Number(await this.getIssueId(bugKey)) }, {
+          operation: 'link-issue',
+          target: `execution ${execution.key || execution.id}`,
+          issueKey: bugKey,
+          after: () => ({ execution: execution.key || execution.id, bugKey })
+        });
+      }
+
+      logger.info(`Test case ${testCaseKey} updated successfully`);
+      return { id: execution.id, test_key: testCaseKey, status: statusName, defects };
+    } catch (error) {
+      logger.error(`Failed to update test case ${testCaseKey}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark test case as failed
+   * @param {string} testCaseKey - Test Case key
+   * @param {string} cycleKey - Test Cycle key
+   * @param {string} comment - Comment
+   * @param {Array} defects - Bug keys
+   * @returns {Promise<Object>} Created execution
+   */
+  async markAsFailed(testCaseKey, cycleKey, comment = '', defects = []) {
+    return this.addTestExecution(testCaseKey, cycleKey, this.config.zephyrScale.statusFail, comment, defects);
+  }
+
+  /**
+   * Mark test case as passed
+   * @param {string} testCaseKey - Test Case key
+   * @param {string} cycleKey - Test Cycle key
+   * @param {string} comment - Comment
+   * @param {Array} defects - Bug keys
+   * @returns {Promise<Object>} Created execution
+   */
+  async markAsPassed(testCaseKey, cycleKey, comment = '', defects = []) {
+    return this.addTestExecution(testCaseKey, cycleKey, this.config.zephyrScale.statusPass, comment, defects);
+  }
+
+  /**
+   * Check if a bug is linked to any execution of a test case
+   * @param {string} testCaseKey - Test Case key
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<boolean>} True if already linked
+   */
+  async isBugAlreadyLinked(testCaseKey, bugKey) {
+    try {
+      const executions = await this.getTestExecutions({ testCase: testCaseKey });
+      for (const execution of executions) {
+        const defects = await this.getExecutionDefects(execution.id);
+        if (await this.containsIssue(defects, bugKey)) {
+          logger.info(`Bug ${bugKey} is already linked to test case ${testCaseKey}`);
+          return true;
+        }
+      }
+
+      logger.info(`Bug ${bugKey} is not linked to test case ${testCaseKey}`);
+      return false;
+    } catch (error) {
+      if (error.circuitOpen) throw error;
+      logger.error(`Failed to check bug link: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Find the test cases in a cycle with executions linked to a bug
+   * @param {string} cycleKey - Test Cycle key
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<Array<string>>} Test case keys
+   */
+  async findTestsWithBug(cycleKey, bugKey) {
+    try {
+      logger.info(`Finding tests with bug ${bugKey} in cycle ${cycleKey}`);
+      const executions = await this.getTestExecutions({ testCycle: cycleKey });
+      const testKeys = new Set();
+
+      for (const execution of executions) {
+        const defects = await this.getExecutionDefects(execution.id);
+        if (await this.containsIssue(defects, bugKey)) {
+          testKeys.add(this.getTestCaseKey(execution));
+        }
+      }
+
+      logger.info(`Found ${testKeys.size} test(s) with bug ${bugKey}`);
+      return Array.from(testKeys);
+    } catch (error) {
+      if (error.circuitOpen) throw error;
+      logger.error(`Failed to find tests with bug: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Link a JIRA issue to a test case
+   * @param {string} testCaseKey - Test Case key
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<Object>} Link result
+   */
+  async linkIssue(testCaseKey, bugKey) {
+    try {
+      if (this.config.server.dryRunMode) {
+        logger.info(`[DRY RUN] Would link bug ${bugKey} to test case ${testCaseKey}`);
+        return { dry_run: true };
+      }
+
+      logger.info(`Linking bug ${bugKey} to test case ${testCaseKey}`);
+      return await this.auditedPost(`/testcases/${testCaseKey}/links/issues`, { issueId: Number(await this.getIssueId(bugKey)) }, {
+        operation: 'link-issue',
+        target: `test case ${testCaseKey}`,
+        issueKey: bugKey,
+        after: () => ({ testCaseKey, bugKey })
+      });
+    } catch (error) {
+      logger.error(`Failed to link bug ${bugKey} to test case ${testCaseKey}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a JIRA issue link from a test case
+   * @param {string} testCaseKey - Test Case key
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<Object|null>} Result or null if no link exists
+   */
+  async unlinkIssue(testCaseKey, bugKey) {
+    try {
+      const issueId = await this.getIssueId(bugKey);
+      const response = await this.http.get(`/testcases/${testCaseKey}/links`);
+      const link = (response.data.issues || []).find(l => String(l.issueId) === issueId);
+
+      if (!link) {
+        logger.warn(`No link found between test case ${testCaseKey} and bug ${bugKey}`);
+        return null;
+      }
+
+      if (this.config.server.dryRunMode) {
+        logger.info(`[DRY RUN] Would unlink bug ${bugKey} from test case ${testCaseKey}`);
+        return { dry_run: true };
+      }
+
+      const audit = {
+        system: 'zephyrscale',
+        operation: 'unlink-issue',
+        target: `test case ${testCaseKey}`,
+        issueKey: bugKey,
+        before: { linkId: link.id, testCaseKey, bugKey },
+        request: { linkId: link.id }
+      };
+      try {
+        await this.http.delete(`/links/${link.id}`);
+      } catch (error) {
+        await this.audit?.record({ ...audit, error });
+        throw error;
+      }
+      await this.audit?.record({ ...audit, after: null });
+      logger.info(`Bug ${bugKey} unlinked from test case ${testCaseKey} successfully`);
+      return { success: true };
+    } catch (error) {
+      logger.error(`Failed to unlink bug ${bugKey} from test case ${testCaseKey}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a JIRA issue link by ID (test case or execution link)
+   * @param {number|string} linkId - Link ID
+   * @param {Object} audit - { target, issueKey } of the link, for the audit log
+   * @returns {Promise<Object>} Result
+   */
+  async deleteLink(linkId, { target, issueKey }) {
+    try {
+      if (this.config.server.dryRunMode) {
+        logger.info(`[DRY RUN] Would delete link ${linkId} (${target})`);
+        return { dry_run: true };
+      }
+
+      const audit = { system: 'zephyrscale', operation: 'delete-link', target, issueKey, before: { linkId }, request: { linkId } };
+      try {
+        await this.http.delete(`/links/${linkId}`);
+      } catch (error) {
+        await this.audit?.record({ ...audit, error });
+        throw error;
+      }
+      await this.audit?.record({ ...audit, after: null });
+      logger.info(`Link ${linkId} (${target}) deleted successfully`);
+      return { success: true };
+    } catch (error) {
+      logger.error(`Failed to delete link ${linkId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * POST to the API and record the write in the audit log
+   * @param {string} url - API path
+   * @param {Object} payload - Request body
+   * @param {Object} audit - { operation, target, issueKey, before, after: data => state }
+   * @returns {Promise<Object>} Response body
+   */
+  async auditedPost(url, payload, { after, ...audit }) {
+    const entry = { system: 'zephyrscale', ...audit, request: payload };
+    let response;
+    try {
+      response = await this.http.post(url, payload);
+    } catch (error) {
+      await this.audit?.record({ ...entry, error });
+      throw error;
+    }
+    await this.audit?.record({ ...entry, after: after(response.data), response: response.data });
+    return response.data;
+  }
+
+  /**
+   * Find the test cycle from the bug's parent task
+   * Priority: 1) Custom field, 2) Comments ("Test Cycle: QA-R3")
+   * @param {string} issueKey - Bug key
+   * @returns {Promise<string|null>} Test Cycle key or null
+   */
+  async findTestCycleKey(issueKey) {
+    try {
+      const parent = await this.jira.getParentIssue(issueKey);
+      if (!parent) {
+        logger.info('No parent issue found, cannot find Test Cycle');
+        return null;
+      }
+
+      if (this.config.zephyrScale.cycleKeyField) {
+        const parentDetails = await this.jira.getIssue(parent.key);
+        const value = parentDetails.fields[this.config.zephyrScale.cycleKeyField];
+        const cycleKey = (typeof value === 'object' && value !== null
+          ? this.jira.extractTextFromComment(value)
+          : String(value || '')).trim().toUpperCase();
+
+        if (CYCLE_KEY_PATTERN.test(cycleKey)) {
+          logger.info(`Found Test Cycle in custom field: ${cycleKey}`);
+          return cycleKey;
+        }
+      }
+
+      const cycleKey = await this.jira.findInComments(parent.key, [
+        /Test Cycle:\s*([A-Z][A-Z0-9_]*-R\d+)/i,
+        /Cycle:\s*([A-Z][A-Z0-9_]*-R\d+)/i,
+        /\b([A-Z][A-Z0-9_]*-R\d+)\b/
+      ]);
+      if (cycleKey) {
+        logger.info(`Found Test Cycle in comments: ${cycleKey}`);
+        return cycleKey.toUpperCase();
+      }
+
+      logger.info('Test Cycle not found in custom field or comments');
+      return null;
+    } catch (error) {
+      if (error.circuitOpen) throw error;
+      logger.error(`Failed to find Test Cycle: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the numeric JIRA issue ID for a key (Zephyr Scale links use IDs)
+   * @param {string} issueKey - Issue key
+   * @returns {Promise<string>} Issue ID
+   */
+  async getIssueId(issueKey) {
+    if (!this.issueIds.has(issueKey)) {
+      const issue = await this.jira.getIssue(issueKey);
+      this.issueIds.set(issueKey, String(issue.id));
+    }
+    return this.issueIds.get(issueKey);
+  }
+
+  /**
+   * Get the JIRA issue key for a numeric ID, or the ID if the issue cannot be read
+   * @param {string} issueId - Issue ID
+   * @returns {Promise<string>} Issue key
+   */
+  async getIssueKey(issueId) {
+    const known = Array.from(this.issueIds.entries()).find(([, knownId]) => knownId === issueId);
+    if (known) return known[0];
+
+    try {
+      const issue = await this.jira.getIssue(issueId);
+      this.issueIds.set(issue.key, String(issue.id));
+      return issue.key;
+    } catch (error) {
+      if (error.circuitOpen) throw error;
+      logger.warn(`Failed to find the key of issue ${issueId}: ${error.message}`);
+      return issueId;
+    }
+  }
+
+  /**
+   * Check if a list of linked issues (keys or IDs) contains a bug
+   * @param {Array<string>} linked - Linked issue keys/IDs
+   * @param {string} bugKey - Bug key
+   * @returns {Promise<boolean>} True if contained
+   */
+  async containsIssue(linked, bugKey) {
+    if (linked.length === 0) return false;
+    if (linked.includes(bugKey)) return true;
+    return linked.includes(await this.getIssueId(bugKey));
+  }
+
+  /**
+   * Get the test case key of an execution (the API only returns a self link)
+   * @param {Object} execution - Test execution
+   * @returns {string|null} Test Case key
+   */
+  getTestCaseKey(execution) {
+    const match = (execution.testCase?.self || '').match(/\/testcases\/([^/]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Convert Zephyr Scale rich text (HTML) to plain text
+   * @param {string} html - HTML text
+   * @returns {string} Plain text
+   */
+  stripHtml(html) {
+    if (!html) return '';
+    return html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|li|div)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = new ZephyrScaleService();
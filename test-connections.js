@@ -1,5 +1,5 @@
 const axios = require('axios');
-const OpenAI = require('openai');
+const llmProviders = require('./services/llm');
 const config = require('./config');
 const logger = require('./logger');
 
@@ -103,38 +103,33 @@ async function testTestRailConnection() {
 }
 
 async function testOpenAIConnection() {
-  console.log('🔄 Testing OpenAI connection...');
+  console.log(`🔄 Testing LLM connection (${config.llm.provider})...`);
   
   try {
     // Check config
-    if (!config.openai.apiKey) {
+    if (config.llm.provider === 'openai' && !config.openai.apiKey) {
       throw new Error('OpenAI API key not configured in .env');
     }
 
-    const openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
+    const provider = llmProviders.create(config.llm.provider, config);
 
     // Test API call - simple completion
-    const response = await openai.chat.completions.create({
-      model: config.openai.model,
-      messages: [
-        { role: 'user', content: 'Respond with just "OK"' }
-      ],
-      max_tokens: 10
-    });
+    await provider.withTimeout(provider.complete({
+      prompt: 'Respond with just "OK"'
+    }));
 
     results.openAI.status = 'success';
-    results.openAI.message = `Connected using model: ${config.openai.model}`;
-    console.log(`✅ OpenAI: ${results.openAI.message}\n`);
+    results.openAI.message = `Connected to ${provider.displayName} using model: ${provider.model}`;
+    console.log(`✅ LLM: ${results.openAI.message}\n`);
   } catch (error) {
     results.openAI.status = 'failed';
+    const status = error.status || error.response?.status; // SDK errors vs. axios (Anthropic)
     
-    if (error.status === 401) {
-      results.openAI.message = 'Authentication failed - Check OPENAI_API_KEY';
-    } else if (error.status === 404) {
-      results.openAI.message = `Model not found or not accessible: ${config.openai.model}`;
-    } else if (error.status === 429) {
+    if (status === 401) {
+      results.openAI.message = 'Authentication failed - Check the API key for LLM_PROVIDER';
+    } else if (status === 404) {
+      results.openAI.message = `Model not found or not accessible (${config.llm.provider})`;
+    } else if (status === 429) {
       results.openAI.message = 'Rate limit exceeded or quota exceeded';
     } else if (error.message.includes('not configured')) {
       results.openAI.message = error.message;
@@ -142,7 +137,7 @@ async function testOpenAIConnection() {
       results.openAI.message = `Error: ${error.message}`;
     }
     
-    console.log(`❌ OpenAI: ${results.openAI.message}\n`);
+    console.log(`❌ LLM: ${results.openAI.message}\n`);
   }
 }
 
@@ -163,7 +158,7 @@ async function runTests() {
   
   console.log(`JIRA:     ${results.jira.status === 'success' ? '✅ PASS' : '❌ FAIL'}`);
   console.log(`TestRail: ${results.testRail.status === 'success' ? '✅ PASS' : '❌ FAIL'}`);
-  console.log(`OpenAI:   ${results.openAI.status === 'success' ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`LLM:      ${results.openAI.status === 'success' ? '✅ PASS' : '❌ FAIL'}`);
   
   console.log('\n========================================\n');
   
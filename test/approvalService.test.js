@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../config');
+const ApprovalService = require('../services/approvalService').constructor;
+
+/**
+ * Create an approval service over an empty temporary directory
+ * @param {string} dir - Directory (defaults to a new one)
+ * @returns {ApprovalService} Service
+ */
+function createApprovals(dir = fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-'))) {
+  return new ApprovalService({ ...config, openai: { ...config.openai, confidenceThreshold: 0.7 }, approval: { ...config.approval, enabled: true, dir } });
+}
+
+/**
+ * Hold one AI candidate for a bug
+ * @param {ApprovalService} approvals - Service
+ * @param {string} issueKey - Issue key
+ * @param {number} confidence - AI confidence of the top candidate
+ * @returns {Object} Approval
+ */
+function hold(approvals, issueKey, confidence) {
+  return approvals.create({
+    issueKey,
+    runKey: 42,
+    bug: { key: issueKey, summary: `Bug ${issueKey}` },
+    candidates: [
+      { test_id: '9001', title: 'Verify focus order', confidence, source: 'ai' },
+      { test_id: '9002', title: 'Verify page title', confidence: null, similarity: 0.3, source: 'retrieval' }
+    ]
+  });
+}
+
+describe('ApprovalService', () => {
+  it('keeps approvals across restarts and supersedes a pending one for the same bug', async () => {
+    const approvals = createApprovals();
+    await approvals.initialize();
+
+    const first = hold(approvals, 'QA-1', 0.5);
+    const second = hold(approvals, 'QA-1', 0.6);
+    await approvals.saving;
+
+    const reloaded = createApprovals(approvals.dataDir);
+    await reloaded.initialize();
+    assert.equal(reloaded.get(first.id).status, 'superseded');
+    assert.equal(reloaded.getPending('QA-1').id, second.id);
+    assert.equal(reloaded.getPending('QA-1').runKey, '42');
+    assert.deepEqual(reloaded.getPending('QA-1').candidates.map(c => c.rank), [1, 2]);
+  });
+
+  it('settles an approval only once', async () => {
+    const approvals = createApprovals();
+    const approval = hold(approvals, 'QA-1', 0.5);
+
+    assert.equal(approvals.resolve(approval.id, 'approved', { reviewer: 'Rita', ranks: [1] }).status, 'approved');
+    assert.equal(approvals.resolve(approval.id, 'expired'), null);
+    assert.equal(approvals.get(approval.id).status, 'approved');
+    assert.deepEqual(approvals.getUnapprovedTestIds('QA-1'), []);
+  });
+
+  it('reopens an approval whose decision could not be carried out', () => {
+    const approvals = createApprovals();
+    const approval = hold(approvals, 'QA-1', 0.5);
+    approvals.resolve(approval.id, 'approved', { reviewer: 'Rita', ranks: [1] });
+
+    assert.equal(approvals.reopen(approval.id, 'rejected', 'TestRail returned 500'), null);
+    assert.equal(approvals.reopen(approval.id, 'approved', 'TestRail returned 500').status, 'pending');
+    assert.deepEqual([approval.reviewer, approval.approvedRanks, approval.lastError], [null, [], 'TestRail returned 500']);
+    assert.equal(approvals.getPending('QA-1').id, approval.id);
+    assert.deepEqual(approvals.getUnapprovedTestIds('QA-1'), ['9001']);
+  });
+
+  it('shows how often reviewers approve the top candidate per confidence band', () => {
+    const approvals = createApprovals();
+    approvals.resolve(hold(approvals, 'QA-1', 0.65).id, 'approved', { ranks: [1] });
+    approvals.resolve(hold(approvals, 'QA-2', 0.62).id, 'approved', { ranks: [2] });
+    approvals.resolve(hold(approvals, 'QA-3', 0.4).id, 'rejected');
+    hold(approvals, 'QA-4', 0.55);
+
+    const stats = approvals.getStats();
+    assert.deepEqual(stats.byStatus, { approved: 2, rejected: 1, pending: 1 });
+    assert.deepEqual(stats.calibration, [
+      { from: 0.3, to: 0.5, reviewed: 1, topApproved: 0, approvalRate: 0 },
+      { from: 0.6, to: 0.7, reviewed: 2, topApproved: 1, approvalRate: 0.5 }
+    ]);
+    assert.deepEqual(approvals.getUnapprovedTestIds('QA-3'), ['9001']);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const LearningService = require('../services/learningService').constructor;
+const AuditService = require('../services/auditService').constructor;
+
+/**
+ * Create an audit service over a temporary learning database
+ * @param {Object} settings - Audit settings
+ * @returns {{ audit: AuditService, learning: LearningService }} Services
+ */
+function createAudit(settings = {}) {
+  const profileConfig = {
+    ...config,
+    openai: { ...config.openai, learningEnabled: true },
+    learning: { ...config.learning, dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'audit-')), calibrate: false, embeddingWeight: 0 },
+    audit: { enabled: true, captureBefore: true, ...settings }
+  };
+  const learning = new LearningService(profileConfig);
+  return { audit: new AuditService(profileConfig, learning), learning };
+}
+
+describe('AuditService', () => {
+  it('attributes writes to the job context they were made in', async () => {
+    const { audit, learning } = createAudit();
+    await audit.runInContext({ actor: 'webhook', workflow: 'bug-created', issueKey: 'QA-1', correlationId: 'job-1', jobId: 'job-1' }, async () => {
+      await audit.record({ system: 'testrail', operation: 'add-result', target: 'test 9001', request: { status_id: 5 }, after: { status_id: 5 } });
+      await audit.record({ system: 'jira', operation: 'add-comment', target: 'issue QA-1', response: { id: '100' } });
+    });
+    await audit.record({ system: 'jira', operation: 'add-comment', target: 'issue QA-2', issueKey: 'QA-2' });
+
+    const entries = await audit.query({ issueKey: 'QA-1' });
+    assert.deepEqual(entries.map(e => [e.actor, e.workflow, e.correlationId, e.operation]), [
+      ['webhook', 'bug-created', 'job-1', 'add-result'],
+      ['webhook', 'bug-created', 'job-1', 'add-comment']
+    ]);
+    assert.deepEqual(entries[0].request, { status_id: 5 });
+    assert.equal(entries[0].success, true);
+    assert.equal((await audit.query({ issueKey: 'QA-2' }))[0].actor, 'system');
+    assert.equal((await audit.query({ correlationId: 'job-1', system: 'jira' })).length, 1);
+    learning.close();
+  });
+
+  it('records failed writes with the error and the API response', async () => {
+    const { audit, learning } = createAudit();
+    const error = Object.assign(new Error('Request failed with status code 400'), { response: { data: { error: 'Field status_id is invalid' } } });
+    await audit.record({ system: 'testrail', operation: 'add-result', target: 'test 9001', issueKey: 'QA-1', error });
+
+    const [entry] = await audit.query({ issueKey: 'QA-1' });
+    assert.equal(entry.success, false);
+    assert.equal(entry.error, 'Request failed with status code 400');
+    assert.deepEqual(entry.response, { error: 'Field status_id is invalid' });
+    learning.close();
+  });
+
+  it('rejects updates and deletes of the log', async () => {
+    const { audit, learning } = createAudit();
+    await audit.record({ system: 'jira', operation: 'add-comment', target: 'issue QA-1', issueKey: 'QA-1' });
+
+    const store = await learning.getStore();
+    assert.throws(() => store.db.prepare("UPDATE audit_log SET actor = 'someone'").run(), /append-only/);
+    assert.throws(() => store.db.prepare('DELETE FROM audit_log').run(), /append-only/);
+    assert.equal((await audit.query()).length, 1);
+    learning.close();
+  });
+
+  it('reads the state before a write only when capture is on', async () => {
+    const { audit, learning } = createAudit();
+    assert.deepEqual(await audit.snapshot(async () => ({ status_id: 1 })), { status_id: 1 });
+    assert.equal(await audit.snapshot(async () => { throw new Error('Not found'); }), null);
+
+    const { audit: noCapture, learning: other } = createAudit({ captureBefore: false });
+    let read = false;
+    assert.equal(await noCapture.snapshot(async () => { read = true; }), null);
+    assert.equal(read, false);
+    learning.close();
+    other.close();
+  });
+
+  it('does nothing when disabled', async () => {
+    const { audit, learning } = createAudit({ enabled: false });
+    await audit.record({ system: 'jira', operation: 'add-comment', target: 'issue QA-1', issueKey: 'QA-1' });
+    assert.deepEqual(await audit.query(), []);
+    learning.close();
+  });
+
+  it('exports CSV with quoted cells and formula prefixes escaped', () => {
+    const { audit } = createAudit();
+    const csv = audit.toCsv([{
+      id: 1, recordedAt: '2026-01-05T10:00:00.000Z', actor: 'correction', issueKey: 'QA-1', system: 'jira',
+      operation: 'add-comment', target: 'issue QA-1', success: true, request: { body: 'Say "hi", then =SUM(A1)' }, after: '=HYPERLINK("x")'
+    }]);
+
+    const [header, row] = csv.split('\r\n');
+    assert.equal(header, 'id,recordedAt,correlationId,jobId,actor,workflow,user,issueKey,system,operation,target,success,error,before,after,request,response');
+    assert.ok(row.includes(`"'=HYPERLINK(""x"")"`));
+    assert.ok(row.includes('"{""body"":""Say \\""hi\\"", then =SUM(A1)""}"'));
+    assert.ok(csv.endsWith('\r\n'));
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const LearningService = require('../services/learningService').constructor;
+const WorkflowRulesService = require('../services/workflowRulesService').constructor;
+const BackfillService = require('../services/backfillService').constructor;
+const { FakeJira } = require('./helpers/fakes');
+
+const ISSUES = {
+  'QA-101': { summary: 'Focus jumps to the footer', status: 'Ready for Dev' },
+  'QA-102': { summary: 'Payment error is not announced', status: 'Queued Merged to Release' },
+  'QA-103': { summary: 'Logo has no alt text', status: 'Open' },
+  'QA-104': { summary: 'Error summary announced twice', status: 'Ready for Dev' }
+};
+
+/**
+ * Workflow stand-in: records the bugs it ran for
+ */
+class FakeWorkflow {
+  constructor({ failing = [] } = {}) {
+    this.failing = failing;
+    this.outage = false; // Throw a circuit-open error, as when the test management backend is down
+    this.calls = [];
+  }
+
+  async handleBugCreated(issueKey) {
+    this.calls.push(['bug-created', issueKey]);
+    if (this.outage) {
+      throw Object.assign(new Error('Circuit open for testrail.local, retry in 60s'), { code: 'ECIRCUITOPEN', circuitOpen: true });
+    }
+    if (this.failing.includes(issueKey)) {
+      return { success: false, error: 'Could not find Run ID' };
+    }
+    return { success: true, runKey: '42', matches: [{}, {}], results: [{ skipped: false }, { skipped: true }] };
+  }
+
+  async handleBugResolved(issueKey) {
+    this.calls.push(['bug-resolved', issueKey]);
+    return { success: true, runKey: '42', testIds: ['9001'], results: [{ testId: '9001', result: { status: 'Passed' } }] };
+  }
+}
+
+/**
+ * Create a backfill service over fakes and a temporary learning database
+ * @param {Object} options - { failing }
+ * @returns {Object} { backfill, jira, workflow, learning, contexts }
+ */
+function createBackfill({ failing = [] } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+  const profileConfig = {
+    ...config,
+    openai: { ...config.openai, learningEnabled: true },
+    learning: { ...config.learning, dataDir: path.join(dir, 'learning'), calibrate: false, embeddingWeight: 0 },
+    backfill: { dir: path.join(dir, 'checkpoints'), pageSize: 2, rateLimitMs: 0 },
+    workflow: { rulesFile: null }
+  };
+  const jira = new FakeJira({ issues: ISSUES });
+  const workflow = new FakeWorkflow({ failing });
+  const learning = new LearningService(profileConfig);
+  const workflowRules = new WorkflowRulesService(profileConfig);
+  workflowRules.load();
+  const contexts = [];
+  const auditService = { runInContext: (context, fn) => { contexts.push(context); return fn(); } };
+
+  const backfill = new BackfillService(profileConfig, { jiraService: jira, workflowService: workflow, workflowRules, learningService: learning, auditService });
+  return { backfill, jira, workflow, learning, contexts };
+}
+
+describe('BackfillService', () => {
+  it('previews the workflow for each bug from its current status without running it', async () => {
+    const { backfill, jira, workflow, learning } = createBackfill();
+
+    const report = await backfill.run({ jql: 'project = QA AND issuetype = Bug', dryRun: true });
+    assert.deepEqual(report.rows.map(r => [r.issueKey, r.workflow, r.outcome]), [
+      ['QA-101', 'bug-created', 'would-run'],
+      ['QA-102', 'bug-resolved', 'would-run'],
+      ['QA-103', null, 'skipped'],
+      ['QA-104', 'bug-created', 'would-run']
+    ]);
+    assert.match(report.rows[2].detail, /No workflow rule for status "Open"/);
+    assert.deepEqual(report.summary, { scanned: 4, processed: 0, failed: 0, skipped: 1, wouldRun: 3, byWorkflow: { 'bug-created': 2, 'bug-resolved': 1 } });
+    assert.deepEqual(jira.searches.map(s => [s.startAt, s.jql]), [
+      [0, 'project = QA AND issuetype = Bug ORDER BY key ASC'],
+      [2, 'project = QA AND issuetype = Bug ORDER BY key ASC']
+    ]);
+    assert.deepEqual(workflow.calls, []);
+    assert.deepEqual(await backfill.list(), []);
+    learning.close();
+  });
+
+  it('runs the workflows, reports what changed and skips bugs already processed', async () => {
+    const { backfill, workflow, learning, contexts } = createBackfill({ failing: ['QA-104'] });
+
+    const report = await backfill.run({ jql: 'project = QA' });
+    assert.equal(report.status, 'completed');
+    assert.deepEqual(workflow.calls, [['bug-created', 'QA-101'], ['bug-resolved', 'QA-102'], ['bug-created', 'QA-104']]);
+    assert.deepEqual(report.rows.map(r => [r.issueKey, r.outcome, r.detail]), [
+      ['QA-101', 'processed', '1 test(s) failed, 1 already linked in 42'],
+      ['QA-102', 'processed', '1 test(s) passed, 0 still failed, 0 already passed in 42'],
+      ['QA-103', 'skipped', 'No workflow rule for status "Open"'],
+      ['QA-104', 'failed', 'Could not find Run ID']
+    ]);
+    assert.deepEqual(contexts.map(c => [c.actor, c.issueKey]), [['backfill', 'QA-101'], ['backfill', 'QA-102'], ['backfill', 'QA-104']]);
+    const store = await learning.getStore();
+    assert.equal(store.getExecutions({ bugKey: 'QA-101' })[0].actor, 'backfill');
+
+    // A completed backfill starts over; only the failed bug runs again
+    const again = await backfill.run({ jql: 'project = QA' });
+    assert.deepEqual(workflow.calls.slice(3), [['bug-created', 'QA-104']]);
+    assert.match(again.rows[0].detail, /^Already ran on/);
+
+    const forced = await backfill.run({ jql: 'project = QA', force: true, dryRun: true });
+    assert.equal(forced.summary.wouldRun, 3);
+    learning.close();
+  });
+
+  it('stops at the limit and resumes from the checkpoint', async () => {
+    const { backfill, workflow, learning } = createBackfill();
+
+    const first = await backfill.run({ jql: 'project = QA', limit: 1 });
+    assert.equal(first.status, 'paused');
+    assert.deepEqual(workflow.calls, [['bug-created', 'QA-101']]);
+    assert.equal((await backfill.load(first.id)).position, 1);
+
+    const second = await backfill.run({ jql: 'project = QA' });
+    assert.equal(second.id, first.id);
+    assert.equal(second.status, 'completed');
+    assert.deepEqual(workflow.calls.map(c => c[1]), ['QA-101', 'QA-102', 'QA-104']);
+    assert.deepEqual(second.rows.map(r => r.issueKey), ['QA-101', 'QA-102', 'QA-103', 'QA-104']);
+    assert.deepEqual((await backfill.list()).map(r => [r.id, r.status, r.rows]), [[first.id, 'completed', undefined]]);
+    learning.close();
+  });
+
+  it('stops at a bug whose backend is down and resumes with that bug', async () => {
+    const { backfill, workflow, learning } = createBackfill();
+    workflow.outage = true;
+
+    await assert.rejects(backfill.run({ jql: 'project = QA' }), error => error.circuitOpen === true);
+    const checkpoint = await backfill.load(backfill.getId('project = QA'));
+    assert.equal(checkpoint.status, 'failed');
+    assert.equal(checkpoint.position, 0);
+    assert.deepEqual(checkpoint.rows, []);
+
+    workflow.outage = false;
+    const report = await backfill.run({ jql: 'project = QA' });
+    assert.equal(report.status, 'completed');
+    assert.deepEqual(workflow.calls.map(c => c[1]), ['QA-101', 'QA-101', 'QA-102', 'QA-104']);
+    learning.close();
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const LearningService = require('../services/learningService').constructor;
+const ApprovalService = require('../services/approvalService').constructor;
+const DashboardService = require('../services/dashboardService').constructor;
+
+/**
+ * Create a dashboard for profile "web" over temporary learning and approval data
+ * @param {Array} jobs - Jobs the fake queue returns
+ * @returns {{ dashboard: DashboardService, learning: LearningService, approvals: ApprovalService }} Services
+ */
+function createDashboard(jobs = []) {
+  const profileConfig = {
+    ...config,
+    profile: 'web',
+    openai: { ...config.openai, learningEnabled: true },
+    learning: { ...config.learning, dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-')), calibrate: false, embeddingWeight: 0 },
+    approval: { ...config.approval, enabled: true, dir: fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-approvals-')) }
+  };
+  const learning = new LearningService(profileConfig);
+  const approvals = new ApprovalService(profileConfig);
+  const jobQueue = {
+    list: () => jobs,
+    getStats: () => ({ pending: 1, running: 0, completed: 0, dead: 0, total: 1 })
+  };
+  const cacheService = {
+    getStats: () => ({
+      totalCached: 1,
+      caches: [{ key: 'tests_run_42', cachedAt: '2026-01-05T10:00:00.000Z', expiresAt: '2026-01-05T11:00:00.000Z', dataSize: 2048 }]
+    })
+  };
+
+  const dashboard = new DashboardService(profileConfig, { learningService: learning, approvalService: approvals, cacheService, jobQueue });
+  return { dashboard, learning, approvals };
+}
+
+/**
+ * Build a queued job
+ * @param {string} id - Job ID
+ * @param {Object} fields - { type, status, payload }
+ * @returns {Object} Job
+ */
+function job(id, { type = 'bug-created', status = 'pending', payload = {} } = {}) {
+  return { id, type, status, payload, attempts: 0, lastError: null, createdAt: '2026-01-05T10:00:00.000Z', nextRunAt: Date.parse('2026-01-05T10:00:00.000Z') };
+}
+
+describe('DashboardService', () => {
+  it('shows queued jobs of its own profile next to finished executions', async () => {
+    const { dashboard, learning } = createDashboard([
+      job('j1', { payload: { issueKey: 'QA-1', profile: 'web' } }),
+      job('j2', { payload: { issueKey: 'QA-2', profile: 'mobile' } }),
+      job('j3', { status: 'completed', payload: { issueKey: 'QA-3', profile: 'web' } }),
+      job('j4', { type: 'webhook', payload: { profile: 'web' } })
+    ]);
+    await learning.recordExecution({ bugKey: 'QA-5', workflow: 'bug-resolved', jobId: 'j0', success: false, error: 'JIRA unavailable', startedAt: '2026-01-05T09:00:00.000Z' });
+
+    const { active, executions } = await dashboard.getExecutions();
+    assert.deepEqual(active.map(j => j.id), ['j1']);
+    assert.deepEqual(executions.map(e => [e.bugKey, e.workflow, e.success, e.error]), [['QA-5', 'bug-resolved', false, 'JIRA unavailable']]);
+
+    const overview = await dashboard.getOverview();
+    assert.equal(overview.profile, 'web');
+    assert.equal(overview.approvals.enabled, true);
+    assert.equal(overview.cache.caches[0].expired, true);
+    learning.close();
+  });
+
+  it('adds the correction rate to the trend', async () => {
+    const { dashboard, learning } = createDashboard();
+    await learning.storeMatch({ bug: { key: 'QA-1', summary: 'Focus lost' }, match: { test_id: '9001', title: 'Focus order' } });
+    await learning.storeMatch({ bug: { key: 'QA-2', summary: 'No alt text' }, match: { test_id: '9002', title: 'Alt text' } });
+    await learning.storeCorrection({ bug: { key: 'QA-1', summary: 'Focus lost' }, correct_test_id: '9003', correct_title: 'Focus visible' });
+
+    const [row] = await dashboard.getCorrectionTrend('day');
+    assert.equal(row.correctionRate, 0.5);
+    await assert.rejects(() => dashboard.getCorrectionTrend('year'), /Unknown period/);
+    learning.close();
+  });
+
+  it('merges a bug\'s stored history, approvals and queued jobs into one timeline', async () => {
+    const { dashboard, learning, approvals } = createDashboard([job('j9', { type: 'bug-resolved', payload: { issueKey: 'QA-1', profile: 'web' } })]);
+    await learning.recordAiExchange({ bugKey: 'QA-1', provider: 'fake', model: 'gpt-4o', promptVersion: 'v1', prompt: 'Bug: QA-1', response: { matches: [] } });
+    approvals.create({ issueKey: 'QA-1', runKey: 42, bug: { key: 'QA-1', summary: 'Focus lost' }, candidates: [{ test_id: '9001', title: 'Focus order', confidence: 0.5, source: 'ai' }] });
+    await learning.recordComment('QA-1', 'Held for review');
+    await approvals.saving;
+
+    const history = await dashboard.getBugHistory('QA-1');
+    assert.deepEqual(history.timeline.map(entry => entry.type).sort(), ['ai', 'approval', 'comment']);
+    assert.deepEqual(history.timeline.map(entry => entry.at), history.timeline.map(entry => entry.at).sort());
+    assert.equal(history.timeline.find(entry => entry.type === 'ai').data.prompt, 'Bug: QA-1');
+    assert.deepEqual(history.activeJobs.map(j => j.workflow), ['bug-resolved']);
+    assert.equal(await dashboard.getBugHistory('QA-404'), null);
+    learning.close();
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The default AIService singleton builds an OpenAI provider, which needs a key to construct
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const { computeMetrics, summarize, compare } = require('../services/evaluation/metrics');
+const EvaluationService = require('../services/evaluationService').constructor;
+const LearningService = require('../services/learningService').constructor;
+const FakeProvider = require('../services/llm/fakeProvider');
+const CachedProvider = require('../services/llm/cachedProvider');
+
+const TESTS = [
+  { test_id: 9001, case_id: 501, title: 'Verify focus order', custom_expected: 'Focus moves in a logical order' },
+  { test_id: 9002, case_id: 502, title: 'Verify page title', custom_expected: 'Every page has a title' },
+  { test_id: 9004, case_id: 504, title: 'Verify page titles describe purpose', custom_expected: 'Titles describe the page' },
+  { test_id: 9006, case_id: 506, title: 'Verify link purpose', custom_expected: 'Link text describes the destination' }
+];
+
+// Single-match responses: right for the focus and link bugs, wrong for the title bug
+const FIXTURE = {
+  responses: [
+    { when: { contains: 'focus is lost' }, response: { test_id: '9001', case_id: '501', title: 'Verify focus order', confidence: 0.9, reasoning: 'Focus' } },
+    { when: { contains: 'page title is generic' }, response: { test_id: '9002', case_id: '502', title: 'Verify page title', confidence: 0.8, reasoning: 'Title' } },
+    { when: { contains: 'link text' }, response: { test_id: '9006', case_id: '506', title: 'Verify link purpose', confidence: 0.7, reasoning: 'Link' } }
+  ]
+};
+
+/**
+ * Create an empty temporary directory
+ * @returns {string} Directory
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'evaluation-'));
+}
+
+/**
+ * Create an evaluation service over temporary learning data with four corrected bugs
+ * @returns {Promise<{ evaluation: EvaluationService, testMgmt: Object, fixtures: string }>} Service, fake test management and fixture file
+ */
+async function createEvaluation() {
+  const dir = tempDir();
+  const profileConfig = {
+    ...config,
+    openai: { ...config.openai, enableMultiMatch: false, learningEnabled: true, confidenceThreshold: 0.85 },
+    learning: { ...config.learning, dataDir: path.join(dir, 'learning'), calibrate: false, embeddingWeight: 0 },
+    retrieval: { ...config.retrieval, enabled: false },
+    evaluation: { dir: path.join(dir, 'evaluation') }
+  };
+
+  const learningService = new LearningService(profileConfig);
+  await learningService.initialize();
+  const correct = (key, summary, testId, runId) => learningService.storeCorrection({
+    bug: { key, summary, description: '' },
+    run_id: runId,
+    correct_test_id: testId,
+    correct_case_id: `5${testId}`,
+    correct_title: `Test ${testId}`
+  });
+  await correct('QA-1', 'Focus is lost after closing the modal', '9001', 'R1');
+  await correct('QA-2', 'Page title is generic', '9004', 'R1');
+  await correct('QA-3', 'Image missing alt text', '9005', 'R1'); // Not in the run
+  await correct('QA-4', 'Link text is unclear', '9006', null);
+
+  const testMgmt = {
+    calls: [],
+    async getTestsWithDetails(runId) {
+      this.calls.push(runId);
+      return TESTS;
+    }
+  };
+
+  const fixtures = path.join(dir, 'fixture.json');
+  fs.writeFileSync(fixtures, JSON.stringify(FIXTURE));
+
+  const evaluation = new EvaluationService(profileConfig, { profile: 'test', learningService, testMgmt });
+  return { evaluation, testMgmt, fixtures, learningService };
+}
+
+describe('Evaluation metrics', () => {
+  const results = [
+    { issueType: 'focus', expected: ['1'], predicted: [{ test_id: '1', confidence: 0.9 }] },
+    { issueType: 'focus', expected: ['2'], predicted: [{ test_id: '3', confidence: 0.8 }, { test_id: '2', confidence: 0.4 }] },
+    { issueType: 'title', expected: ['4', '5'], predicted: [{ test_id: '4', confidence: 0.95 }] },
+    { issueType: 'title', expected: ['6'], predicted: [], skipped: 'Not in run' }
+  ];
+
+  it('scores precision, recall and top-k accuracy over evaluated bugs', () => {
+    const metrics = computeMetrics(results, 0.85);
+    assert.equal(metrics.examples, 4);
+    assert.equal(metrics.evaluated, 3);
+    assert.equal(metrics.skipped, 1);
+    assert.equal(metrics.precision, 3 / 4);
+    assert.equal(metrics.recall, 3 / 4);
+    assert.equal(metrics.topK[1], 2 / 3);
+    assert.equal(metrics.topK[3], 1);
+    assert.equal(metrics.exactMatch, 1 / 3);
+    assert.deepEqual(metrics.aboveThreshold, { threshold: 0.85, share: 2 / 4, precision: 1 });
+  });
+
+  it('measures how well confidence matches accuracy', () => {
+    const { calibration } = computeMetrics(results, 0.85);
+    assert.equal(calibration.bins.find(bin => bin.from === 0.8).accuracy, 0);
+    assert.equal(calibration.bins.find(bin => bin.from === 0.9).accuracy, 1);
+    // |0.925 - 1| * 2/4 + |0.8 - 0| * 1/4 + |0.4 - 1| * 1/4
+    assert.ok(Math.abs(calibration.expectedCalibrationError - 0.3875) < 1e-9);
+  });
+
+  it('groups by issue type and compares with a baseline', () => {
+    const report = summarize(results, 0.85);
+    assert.deepEqual(Object.keys(report.byIssueType), ['focus', 'title']);
+    assert.equal(report.byIssueType.title.recall, 1 / 2);
+
+    const baseline = summarize(results.slice(1), 0.85);
+    const comparison = compare(report, { generatedAt: 'then', provider: 'Fake LLM', model: 'fake', ...baseline });
+    assert.equal(comparison.overall.recall.before, 2 / 3);
+    assert.ok(Math.abs(comparison.overall.recall.delta - (3 / 4 - 2 / 3)) < 1e-9);
+    assert.equal(comparison.byIssueType.focus.top1.before, 0);
+  });
+});
+
+describe('EvaluationService', () => {
+  it('replays corrected bugs against a run snapshot and writes the report', async () => {
+    const { evaluation, testMgmt, fixtures, learningService } = await createEvaluation();
+    const { report, files } = await evaluation.run({ provider: 'fake', fixtures, runId: 'R2' });
+
+    assert.deepEqual(report.examples.map(e => [e.bugKey, e.runId, e.skipped ? 'skipped' : e.predicted.map(p => p.test_id).join()]), [
+      ['QA-1', 'R1', '9001'],
+      ['QA-2', 'R1', '9002'],
+      ['QA-3', 'R1', 'skipped'],
+      ['QA-4', 'R2', '9006']
+    ]);
+    assert.deepEqual(report.examples.map(e => e.issueType), ['focus', 'title', 'image', 'link']);
+    assert.equal(report.overall.evaluated, 3);
+    assert.equal(report.overall.precision, 2 / 3);
+    assert.equal(report.byIssueType.title.topK[1], 0);
+    assert.equal(report.multiMatch, false);
+
+    // One fetch per run; later evaluations reuse the saved snapshot
+    assert.deepEqual(testMgmt.calls, ['R1', 'R2']);
+    const saved = JSON.parse(fs.readFileSync(path.join(evaluation.dir, 'snapshots', 'test-R1.json'), 'utf8'));
+    assert.equal(saved.tests.length, TESTS.length);
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(files.json, 'utf8')).overall, report.overall);
+    const html = fs.readFileSync(files.html, 'utf8');
+    assert.match(html, /Page title is generic/);
+    assert.match(html, /Skipped: Correct test case\(s\) not in run R1/);
+
+    // Nothing the replay matched was stored as learning data
+    assert.equal((await learningService.loadMatches()).length, 0);
+    learningService.close();
+  });
+
+  it('evaluates offline from snapshots and compares with a baseline report', async () => {
+    const { evaluation, testMgmt, fixtures, learningService } = await createEvaluation();
+    const first = await evaluation.run({ provider: 'fake', fixtures, runId: 'R2', limit: 2 });
+
+    const offline = new EvaluationService(evaluation.config, { profile: 'test', learningService, testMgmt });
+    const { report } = await offline.run({ provider: 'fake', fixtures, runId: 'R2', limit: 2, offline: true, baseline: first.files.json });
+    assert.deepEqual(report.examples.map(e => e.bugKey), ['QA-3', 'QA-4']);
+    assert.equal(testMgmt.calls.length, 2);
+    assert.equal(report.comparison.overall.precision.delta, 0);
+
+    const missing = await offline.run({ provider: 'fake', fixtures, runId: 'R9', bugKeys: ['QA-4'], offline: true });
+    assert.match(missing.report.examples[0].skipped, /No snapshot of run R9/);
+    learningService.close();
+  });
+});
+
+describe('CachedProvider', () => {
+  it('answers repeated requests from disk', async () => {
+    const fake = new FakeProvider(config, FIXTURE);
+    const cached = new CachedProvider(fake, tempDir());
+    const request = { system: 'Match', prompt: 'Focus is lost after closing the modal', temperature: 0.3 };
+
+    const first = await cached.completeJson(request);
+    const second = await cached.completeJson(request);
+    assert.deepEqual(second, first);
+    assert.equal(fake.calls.length, 1);
+    assert.deepEqual([cached.hits, cached.misses], [1, 1]);
+    assert.equal(cached.model, fake.model);
+
+    await cached.completeJson({ ...request, temperature: 0 });
+    assert.equal(fake.calls.length, 2);
+  });
+});
@@ -0,0 +1,353 @@
+const JiraService = require('../../services/jiraService').constructor;
+
+const STATUS_PASSED = 1;
+const STATUS_FAILED = 5;
+
+/**
+ * JIRA stand-in: issues live in memory, comments are collected per issue
+ * Text helpers (extractTextFromDescription etc.) are the real ones.
+ */
+class FakeJira extends JiraService {
+  /**
+   * @param {Object} options - { issues: { KEY: { summary, status, description } }, runId }
+   */
+  constructor({ issues = {}, runId = '42' } = {}) {
+    super({ jira: {} }, null, null);
+    this.issues = issues;
+    this.runId = runId;
+    this.comments = {};
+  }
+
+  async getIssue(issueKey) {
+    const issue = this.issues[issueKey];
+    if (!issue) {
+      throw new Error(`Request failed with status code 404 (${issueKey})`);
+    }
+    return {
+      key: issueKey,
+      fields: {
+        summary: issue.summary,
+        description: issue.description || null,
+        status: { name: issue.status || 'Open' }
+      }
+    };
+  }
+
+  /**
+   * Page through every issue in key order
+   * The JQL is recorded; only a "key in (...)" clause is evaluated.
+   */
+  async searchIssues(jql, { startAt = 0, maxResults = 50 } = {}) {
+    this.searches = [...(this.searches || []), { jql, startAt, maxResults }];
+    const keyClause = jql.match(/key in \(([^)]*)\)/i);
+    const keys = Object.keys(this.issues)
+      .filter(key => !keyClause || keyClause[1].split(',').map(k => k.trim()).includes(key))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const issues = keys.map(key => ({
+      key,
+      fields: {
+        summary: this.issues[key].summary,
+        status: { name: this.issues[key].status || 'Open' },
+        issuetype: { name: 'Bug' },
+        project: { key: key.split('-')[0] }
+      }
+    }));
+    return { issues: issues.slice(startAt, startAt + maxResults), total: issues.length, startAt, maxResults };
+  }
+
+  async addComment(issueKey, comment) {
+    (this.comments[issueKey] = this.comments[issueKey] || []).push(comment);
+  }
+
+  async findRunId() {
+    return this.runId;
+  }
+
+  /**
+   * Get the comments added to an issue
+   * @param {string} issueKey - Issue key
+   * @returns {Array<string>} Comments in the order they were added
+   */
+  getComments(issueKey) {
+    return this.comments[issueKey] || [];
+  }
+}
+
+/**
+ * TestRail stand-in: one run of tests, results kept newest first like the API returns them
+ * Adding a result sets the test's status, as in TestRail.
+ */
+class FakeTestRail {
+  /**
+   * @param {Object} options - { tests: [{ id, case_id, title }], results: [{ test_id, status_id, defects }] }
+   */
+  constructor({ tests = [], results = [] } = {}) {
+    this.tests = tests;
+    this.results = [];
+    this.nextResultId = 1;
+    [...results].reverse().forEach(result => this.addResult(result.test_id, result.status_id, result.comment, result.defects));
+  }
+
+  async getTests() {
+    return this.tests;
+  }
+
+  async getTestDetails(testId) {
+    return this.tests.find(t => String(t.id) === String(testId));
+  }
+
+  async getTestsWithDetails() {
+    return this.tests.map(t => ({ test_id: t.id, case_id: t.case_id, title: t.title }));
+  }
+
+  async getResults(testId) {
+    return this.results.filter(r => String(r.test_id) === String(testId));
+  }
+
+  async getTestResults(testId) {
+    return this.getResults(testId);
+  }
+
+  async isBugAlreadyLinked(testId, bugId) {
+    const results = await this.getResults(testId);
+    return results.some(r => this.splitDefects(r.defects).includes(bugId));
+  }
+
+  async findTestsWithBug(runId, bugId) {
+    const linked = [];
+    for (const test of this.tests) {
+      if (await this.isBugAlreadyLinked(test.id, bugId)) linked.push(test.id);
+    }
+    return linked;
+  }
+
+  async addResult(testId, statusId, comment = '', defects = '') {
+    const result = { id: this.nextResultId++, test_id: Number(testId), status_id: statusId, comment, defects };
+    this.results.unshift(result);
+    const test = this.tests.find(t => String(t.id) === String(testId));
+    if (test) test.status_id = statusId;
+    return result;
+  }
+
+  async markAsFailed(testId, comment = '', defects = '') {
+    return this.addResult(testId, STATUS_FAILED, comment, defects);
+  }
+
+  async markAsPassed(testId, comment = '', defects = '') {
+    return this.addResult(testId, STATUS_PASSED, comment, defects);
+  }
+
+  splitDefects(defects) {
+    return String(defects || '').split(',').map(d => d.trim()).filter(d => d);
+  }
+
+  /**
+   * Get the latest result of a test
+   * @param {string|number} testId - Test ID
+   * @returns {Object|undefined} Result
+   */
+  latest(testId) {
+    return this.results.find(r => String(r.test_id) === String(testId));
+  }
+}
+
+/**
+ * Zephyr Scale stand-in: test cases in one cycle, each result a new execution with linked bug keys
+ */
+class FakeZephyrScale {
+  /**
+   * @param {Object} options - { cycleKey, tests: [{ key, title }], executions: [{ testCaseKey, status, defects }] } (executions oldest first)
+   */
+  constructor({ cycleKey = 'QA-R1', tests = [], executions = [] } = {}) {
+    this.cycleKey = cycleKey;
+    this.tests = tests;
+    this.executions = [];
+    this.nextId = 1;
+    executions.forEach(execution => this.addExecution(execution.testCaseKey, execution.status, execution.comment, execution.defects));
+  }
+
+  async findTestCycleKey() {
+    return this.cycleKey;
+  }
+
+  async getTests() {
+    return this.tests.map(test => ({ id: test.key, key: test.key }));
+  }
+
+  async getTestsWithDetails() {
+    return this.tests.map(test => ({ test_id: test.key, case_id: test.key, title: test.title }));
+  }
+
+  async getTestCase(testCaseKey) {
+    return this.tests.find(test => test.key === testCaseKey);
+  }
+
+  async getResults(testCaseKey) {
+    return this.executions.filter(execution => execution.test_key === testCaseKey);
+  }
+
+  async isBugAlreadyLinked(testCaseKey, bugKey) {
+    return (await this.getResults(testCaseKey)).some(execution => execution.defects.includes(bugKey));
+  }
+
+  async findTestsWithBug(cycleKey, bugKey) {
+    const linked = [];
+    for (const test of this.tests) {
+      if (await this.isBugAlreadyLinked(test.key, bugKey)) linked.push(test.key);
+    }
+    return linked;
+  }
+
+  addExecution(testCaseKey, status, comment = '', defects = []) {
+    const id = this.nextId++;
+    const execution = { id, key: `${this.cycleKey}-E${id}`, test_key: testCaseKey, status, comment, defects: [...defects] };
+    this.executions.unshift(execution);
+    return { id: execution.id, test_key: testCaseKey, status, defects: execution.defects };
+  }
+
+  async markAsFailed(testCaseKey, cycleKey, comment = '', defects = []) {
+    return this.addExecution(testCaseKey, 'Fail', comment, defects);
+  }
+
+  async markAsPassed(testCaseKey, cycleKey, comment = '', defects = []) {
+    return this.addExecution(testCaseKey, 'Pass', comment, defects);
+  }
+
+  async unlinkIssue(testCaseKey, bugKey) {
+    for (const execution of await this.getResults(testCaseKey)) {
+      execution.defects = execution.defects.filter(defect => defect !== bugKey);
+    }
+    return { unlinked: true };
+  }
+
+  /**
+   * Get the latest execution of a test case
+   * @param {string} testCaseKey - Test Case key
+   * @returns {Object|undefined} Execution
+   */
+  latest(testCaseKey) {
+    return this.executions.find(execution => execution.test_key === testCaseKey);
+  }
+}
+
+/**
+ * AI stand-in: returns the queued matches in order and records what it was asked
+ */
+class FakeAI {
+  /**
+   * @param {Array} responses - Match (or array of matches) to return for each call
+   * @param {number} confidenceThreshold - Threshold used by isConfidentMatch
+   */
+  constructor(responses = [], confidenceThreshold = 0.7) {
+    this.responses = responses;
+    this.confidenceThreshold = confidenceThreshold;
+    this.calls = [];
+  }
+
+  async matchBugToTestCase(bugData, testCases) {
+    this.calls.push({ bugData, testCases });
+    if (this.responses.length === 0) {
+      throw new Error('FakeAI has no more responses queued');
+    }
+    return this.responses.shift();
+  }
+
+  isConfidentMatch(match) {
+    return match.confidence >= this.confidenceThreshold;
+  }
+}
+
+/**
+ * Learning stand-in: previously linked tests per bug; corrections, matches, outcomes and AI exchanges recorded in memory
+ */
+class FakeLearning {
+  /**
+   * @param {Object} linkedTests - { BUG-KEY: [{ test_id, case_id, title }] }
+   * @param {Array} similarMatches - Learned matches returned for every bug
+   */
+  constructor(linkedTests = {}, similarMatches = []) {
+    this.linkedTests = linkedTests;
+    this.similarMatches = similarMatches;
+    this.corrections = [];
+    this.matches = [];
+    this.outcomes = [];
+    this.exchanges = [];
+  }
+
+  async findSimilarMatch() {
+    return this.similarMatches[0] || null;
+  }
+
+  async findSimilarMatches() {
+    return this.similarMatches;
+  }
+
+  async storeMatch(match) {
+    this.matches.push(match);
+  }
+
+  async getTestCasesByBugKey(bugKey) {
+    return this.linkedTests[bugKey] || [];
+  }
+
+  async storeCorrection(correction) {
+    this.corrections.push(correction);
+  }
+
+  async recordOutcome(outcome) {
+    this.outcomes.push(outcome);
+  }
+
+  async recordAiExchange(exchange) {
+    this.exchanges.push(exchange);
+  }
+}
+
+/**
+ * Playwright stand-in: removes the bug from the fake TestRail results instead of driving a browser
+ */
+class FakePlaywright {
+  /**
+   * @param {FakeTestRail} testRail - Fake TestRail to clean up
+   */
+  constructor(testRail) {
+    this.testRail = testRail;
+    this.removed = [];
+  }
+
+  async removeBugFromTest(testId, bugId, results) {
+    let updated = 0;
+    for (const result of results) {
+      const defects = this.testRail.splitDefects(result.defects);
+      if (defects.includes(bugId)) {
+        result.defects = defects.filter(d => d !== bugId).join(',');
+        updated++;
+      }
+    }
+    this.removed.push({ testId, bugId, updated });
+    return updated;
+  }
+}
+
+/**
+ * Audit stand-in: entries recorded in memory; reads before a write run only with captureBefore
+ */
+class FakeAudit {
+  /**
+   * @param {Object} options - { captureBefore }
+   */
+  constructor({ captureBefore = false } = {}) {
+    this.captureBefore = captureBefore;
+    this.entries = [];
+  }
+
+  async snapshot(read) {
+    return this.captureBefore ? await read() : null;
+  }
+
+  async record(entry) {
+    this.entries.push({ ...entry, success: !entry.error, error: entry.error ? entry.error.message : null });
+  }
+}
+
+module.exports = { FakeJira, FakeTestRail, FakeZephyrScale, FakeAI, FakeLearning, FakePlaywright, FakeAudit, STATUS_PASSED, STATUS_FAILED };
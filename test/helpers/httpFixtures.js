@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { AxiosError } = require('axios');
+
+/**
+ * Replay recorded HTTP interactions through an axios adapter
+ * A fixture file holds { interactions: [{ request: { method, path, query, body }, response: { status, body } }] }.
+ * Requests are matched on method, path, query and (when recorded) body; an unrecorded
+ * request fails the test instead of reaching the network.
+ * @param {string} fixtureFile - Path to the fixture file (relative to test/fixtures)
+ * @returns {Object} { adapter, calls } - set `adapter` on an axios instance; `calls` lists requests made
+ */
+function loadHttpFixtures(fixtureFile) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', fixtureFile), 'utf8'));
+  const calls = [];
+
+  const adapter = async (requestConfig) => {
+    // Paths are recorded relative to the client's baseURL
+    const url = new URL(requestConfig.url, 'http://fixture.local');
+    const request = {
+      method: requestConfig.method.toUpperCase(),
+      path: url.pathname,
+      query: normalizeQuery({ ...Object.fromEntries(url.searchParams), ...requestConfig.params }),
+      body: requestConfig.data ? JSON.parse(requestConfig.data) : undefined
+    };
+    calls.push(request);
+
+    const interaction = fixture.interactions.find(({ request: recorded }) =>
+      recorded.method === request.method &&
+      recorded.path === request.path &&
+      JSON.stringify(normalizeQuery(recorded.query || {})) === JSON.stringify(request.query) &&
+      (recorded.body === undefined || JSON.stringify(recorded.body) === JSON.stringify(request.body))
+    );
+
+    if (!interaction) {
+      throw new Error(`No recorded interaction for ${request.method} ${request.path} ${JSON.stringify(request.query)} ${JSON.stringify(request.body || '')}`);
+    }
+
+    const response = {
+      data: interaction.response.body,
+      status: interaction.response.status,
+      statusText: String(interaction.response.status),
+      headers: interaction.response.headers || {},
+      config: requestConfig
+    };
+
+    if (response.status >= 400) {
+      throw new AxiosError(`Request failed with status code ${response.status}`, AxiosError.ERR_BAD_REQUEST, requestConfig, null, response);
+    }
+    return response;
+  };
+
+  return { adapter, calls };
+}
+
+/**
+ * Sort query parameters and convert values to strings
+ * @param {Object} query - Query parameters
+ * @returns {Object} Normalized query
+ */
+function normalizeQuery(query) {
+  return Object.fromEntries(Object.keys(query).sort().map(key => [key, String(query[key])]));
+}
+
+module.exports = { loadHttpFixtures };
@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AxiosError } = require('axios');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const HttpClient = require('../services/httpClient').constructor;
+
+const SETTINGS = {
+  timeoutMs: 1000,
+  maxRetries: 3,
+  retryBaseMs: 1,
+  retryMaxMs: 50,
+  maxConcurrency: 4,
+  requestsPerSecond: 1000,
+  hostLimits: '',
+  circuitFailureThreshold: 3,
+  circuitResetMs: 30
+};
+
+/**
+ * Create a client whose requests are answered by a script instead of the network
+ * Each reply is a status (with optional headers) or an error code; the last one repeats.
+ * @param {Array} replies - e.g. [{ status: 503, headers: { 'retry-after': '0' } }, { code: 'ECONNRESET' }, { status: 200 }]
+ * @param {Object} settings - Overrides of SETTINGS
+ * @returns {Object} { httpClient, client, calls }
+ */
+function createClient(replies, settings = {}) {
+  const httpClient = new HttpClient({ ...SETTINGS, ...settings });
+  const calls = [];
+  let active = 0;
+
+  const adapter = async (requestConfig) => {
+    const reply = replies[Math.min(calls.length, replies.length - 1)];
+    calls.push({ method: requestConfig.method, url: requestConfig.url, inFlight: ++active });
+    await new Promise(resolve => setTimeout(resolve, reply.delayMs || 0));
+    active--;
+
+    if (reply.code) {
+      throw new AxiosError('socket hang up', reply.code, requestConfig);
+    }
+    const response = { data: { ok: reply.status < 400 }, status: reply.status, statusText: String(reply.status), headers: reply.headers || {}, config: requestConfig };
+    if (reply.status >= 400) {
+      throw new AxiosError(`Request failed with status code ${reply.status}`, AxiosError.ERR_BAD_RESPONSE, requestConfig, null, response);
+    }
+    return response;
+  };
+
+  return { httpClient, client: httpClient.create({ baseURL: 'http://backend.test', adapter }), calls };
+}
+
+describe('HttpClient', () => {
+  it('retries throttled responses and transient failures of idempotent calls', async () => {
+    const { httpClient, client, calls } = createClient([
+      { status: 429, headers: { 'retry-after': '0' } },
+      { status: 502 },
+      { code: 'ECONNRESET' },
+      { status: 200 }
+    ]);
+
+    const response = await client.get('/rest/api/3/issue/QA-1');
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 4);
+
+    const [stats] = httpClient.getStats();
+    assert.equal(stats.host, 'backend.test');
+    assert.deepEqual([stats.requests, stats.errors, stats.retries, stats.throttled], [4, 3, 3, 1]);
+    assert.equal(stats.circuit.state, 'closed');
+    assert.equal(stats.circuit.failures, 0);
+  });
+
+  it('retries a POST only when the server did not process it', async () => {
+    const throttled = createClient([{ status: 503 }, { status: 201 }]);
+    assert.equal((await throttled.client.post('/index.php?/api/v2/add_result/1', { status_id: 5 })).status, 201);
+    assert.equal(throttled.calls.length, 2);
+
+    const failed = createClient([{ status: 500 }, { status: 201 }]);
+    await assert.rejects(failed.client.post('/index.php?/api/v2/add_result/1', { status_id: 5 }), /status code 500/);
+    assert.equal(failed.calls.length, 1);
+
+    const notFound = createClient([{ status: 404 }, { status: 200 }]);
+    await assert.rejects(notFound.client.get('/rest/api/3/issue/QA-404'), /status code 404/);
+    assert.equal(notFound.calls.length, 1);
+  });
+
+  it('gives up when Retry-After is longer than the longest backoff, and after the last retry', async () => {
+    const { httpClient, client, calls } = createClient([{ status: 429, headers: { 'retry-after': '120' } }]);
+    await assert.rejects(client.get('/rest/api/3/search'), /status code 429/);
+    assert.equal(calls.length, 1);
+
+    const busy = createClient([{ status: 504 }], { maxRetries: 2, circuitFailureThreshold: 10 });
+    await assert.rejects(busy.client.get('/rest/api/3/search'), /status code 504/);
+    assert.equal(busy.calls.length, 3);
+
+    assert.equal(httpClient.parseRetryAfter('2'), 2000);
+    assert.ok(Math.abs(httpClient.parseRetryAfter(new Date(Date.now() + 5000).toUTCString()) - 5000) <= 1000);
+    assert.equal(httpClient.parseRetryAfter('soon'), null);
+  });
+
+  it('limits the requests in flight per host', async () => {
+    const { client, calls } = createClient([{ status: 200, delayMs: 10 }], { maxConcurrency: 2 });
+
+    await Promise.all(Array.from({ length: 6 }, (_, i) => client.get(`/rest/api/3/issue/QA-${i}`)));
+    assert.equal(calls.length, 6);
+    assert.equal(Math.max(...calls.map(call => call.inFlight)), 2);
+  });
+
+  it('spaces requests to the host rate, with per-host overrides', async () => {
+    const { httpClient, client } = createClient([{ status: 200 }], { requestsPerSecond: 1000, hostLimits: 'backend.test=20/1, broken' });
+    assert.deepEqual(httpClient.getHostState('backend.test').limits, { requestsPerSecond: 20, maxConcurrency: 1 });
+    assert.deepEqual(httpClient.getHostState('other.test').limits, { requestsPerSecond: 1000, maxConcurrency: 4 });
+
+    // The bucket holds 20 tokens; the next 4 requests wait 50ms each
+    const startedAt = Date.now();
+    for (let i = 0; i < 24; i++) {
+      await client.get('/index.php?/api/v2/get_test/1');
+    }
+    assert.ok(Date.now() - startedAt >= 150, `24 requests took ${Date.now() - startedAt}ms`);
+  });
+
+  it('opens the circuit after consecutive failures and closes it after a successful trial request', async () => {
+    const { httpClient, client, calls } = createClient([
+      { code: 'ECONNREFUSED' },
+      { code: 'ECONNREFUSED' },
+      { code: 'ECONNREFUSED' },
+      { status: 200 }
+    ]);
+    const events = [];
+    ['circuit-open', 'circuit-half-open', 'circuit-closed'].forEach(event => httpClient.on(event, ({ host }) => events.push([event, host])));
+
+    await assert.rejects(client.get('/rest/api/3/issue/QA-1'), /socket hang up/);
+    assert.equal(calls.length, 3);
+    assert.deepEqual(events, [['circuit-open', 'backend.test']]);
+    assert.equal(httpClient.hasOpenCircuit(), true);
+
+    // Fails fast while open
+    await assert.rejects(client.get('/rest/api/3/issue/QA-1'), error => error.code === 'ECIRCUITOPEN' && error.circuitOpen === true);
+    assert.equal(calls.length, 3);
+    assert.equal(httpClient.getStats()[0].rejected, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(httpClient.getStats()[0].circuit.state, 'half-open');
+    assert.equal(httpClient.hasOpenCircuit(), false);
+
+    assert.equal((await client.get('/rest/api/3/issue/QA-1')).status, 200);
+    assert.deepEqual(events.map(([event]) => event), ['circuit-open', 'circuit-half-open', 'circuit-closed']);
+    assert.equal(httpClient.getStats()[0].circuit.state, 'closed');
+  });
+});
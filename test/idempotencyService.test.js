@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const IdempotencyService = require('../services/idempotencyService').constructor;
+
+/**
+ * Create an idempotency service storing its records in a temporary directory
+ * @param {string} dir - Directory (defaults to a new one)
+ * @returns {Promise<IdempotencyService>} Initialized service
+ */
+async function createService(dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'))) {
+  const service = new IdempotencyService();
+  service.dataDir = dir;
+  service.storeFile = path.join(dir, 'deliveries.json');
+  await service.initialize();
+  return service;
+}
+
+const transition = { webhookEvent: 'jira:issue_updated', issue: { key: 'QA-101' }, changelog: { id: '5001' } };
+const HEADERS = { 'x-atlassian-webhook-identifier': 'wh-1' };
+
+describe('IdempotencyService', () => {
+  it('keys a delivery on the webhook identifier, changelog and comment', async () => {
+    const service = await createService();
+
+    assert.deepEqual(service.getDeliveryKeys(transition, HEADERS), ['webhook:wh-1', 'QA-101:changelog:5001']);
+    assert.deepEqual(service.getDeliveryKeys({ issue: { key: 'QA-101' }, comment: { id: '77' } }), ['QA-101:comment:77']);
+    assert.deepEqual(service.getDeliveryKeys({ webhookEvent: 'jira:issue_updated' }), []);
+  });
+
+  it('accepts a delivery once and counts redeliveries and sibling webhooks as duplicates', async () => {
+    const service = await createService();
+
+    const first = service.checkAndReserve(service.getDeliveryKeys(transition, HEADERS), 'QA-101');
+    assert.equal(first.duplicate, false);
+
+    // JIRA redelivers the same webhook
+    const redelivery = service.checkAndReserve(service.getDeliveryKeys(transition, HEADERS), 'QA-101');
+    assert.equal(redelivery.duplicate, true);
+    assert.equal(redelivery.record, first.record);
+
+    // A second webhook fired by the same transition: new identifier, same changelog
+    const sibling = service.checkAndReserve(service.getDeliveryKeys(transition, { 'x-atlassian-webhook-identifier': 'wh-2' }), 'QA-101');
+    assert.equal(sibling.duplicate, true);
+    assert.deepEqual(first.record.keys, ['webhook:wh-1', 'QA-101:changelog:5001', 'webhook:wh-2']);
+    assert.deepEqual(service.getStats(), { deliveries: 1, duplicatesIgnored: 2, lockedIssues: [] });
+  });
+
+  it('runs a workflow once per delivery and returns the recorded result to a replay', async () => {
+    const service = await createService();
+    const { record } = service.checkAndReserve(service.getDeliveryKeys(transition, HEADERS), 'QA-101');
+    let runs = 0;
+    const workflow = async () => ({ success: true, runs: ++runs });
+
+    assert.deepEqual(await service.runOnce(record.key, 'bug-created', 'QA-101', workflow), { success: true, runs: 1 });
+    assert.deepEqual(await service.runOnce(record.key, 'bug-created', 'QA-101', workflow), { success: true, runs: 1, duplicate: true });
+    // Another workflow of the same delivery still runs
+    assert.deepEqual(await service.runOnce(record.key, 'bug-reopened', 'QA-101', workflow), { success: true, runs: 2 });
+    // Manual triggers have no delivery key and always run
+    assert.deepEqual(await service.runOnce(null, 'bug-created', 'QA-101', workflow), { success: true, runs: 3 });
+  });
+
+  it('serializes concurrent workflows for the same issue and lets other issues through', async () => {
+    const service = await createService();
+    const events = [];
+    const workflow = (name, delayMs) => async () => {
+      events.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      events.push(`${name} end`);
+      return { success: true };
+    };
+
+    const runs = [
+      service.runOnce(null, 'bug-created', 'QA-101', workflow('created', 20)),
+      service.runOnce(null, 'bug-resolved', 'QA-101', workflow('resolved', 1)),
+      service.runOnce(null, 'bug-created', 'QA-102', workflow('other', 1))
+    ];
+    assert.equal(service.isLocked('QA-101'), true);
+    await Promise.all(runs);
+
+    assert.deepEqual(events, ['created start', 'other start', 'other end', 'created end', 'resolved start', 'resolved end']);
+    assert.equal(service.isLocked('QA-101'), false);
+  });
+
+  it('does not record a workflow that failed, so the retried job runs it again', async () => {
+    const service = await createService();
+    const { record } = service.checkAndReserve(service.getDeliveryKeys(transition, HEADERS), 'QA-101');
+
+    await assert.rejects(service.runOnce(record.key, 'bug-created', 'QA-101', async () => { throw new Error('TestRail returned 500'); }), /TestRail returned 500/);
+    assert.deepEqual(record.outcomes, {});
+    assert.equal(service.isLocked('QA-101'), false);
+
+    assert.deepEqual(await service.runOnce(record.key, 'bug-created', 'QA-101', async () => ({ success: true })), { success: true });
+  });
+
+  it('accepts a redelivery after a crash before the job was queued', async () => {
+    const service = await createService();
+    const keys = service.getDeliveryKeys(transition, HEADERS);
+    service.checkAndReserve(keys, 'QA-101');
+
+    // Only the reservation was made: nothing was queued, so JIRA's redelivery must be processed
+    const restarted = await createService(service.dataDir);
+    assert.equal(restarted.checkAndReserve(keys, 'QA-101').duplicate, false);
+  });
+
+  it('still recognizes a queued delivery after a crash before its workflow finished', async () => {
+    const service = await createService();
+    const keys = service.getDeliveryKeys(transition, HEADERS);
+    const { record } = service.checkAndReserve(keys, 'QA-101');
+    await service.recordJob(record.key, 'job-1');
+
+    // Restart: the delivery is known, its workflow has no recorded outcome yet
+    const restarted = await createService(service.dataDir);
+    const replay = restarted.checkAndReserve(keys, 'QA-101');
+    assert.equal(replay.duplicate, true);
+    assert.equal(replay.record.jobId, 'job-1');
+    assert.deepEqual(replay.record.outcomes, {});
+
+    // The re-queued job runs the workflow, which is then recorded
+    let runs = 0;
+    await restarted.runOnce(record.key, 'bug-created', 'QA-101', async () => ({ success: true, runs: ++runs }));
+    await restarted.runOnce(record.key, 'bug-created', 'QA-101', async () => ({ success: true, runs: ++runs }));
+    assert.equal(runs, 1);
+  });
+
+  it('forgets a released delivery and expired records', async () => {
+    const service = await createService();
+    const keys = service.getDeliveryKeys(transition, HEADERS);
+
+    const { record } = service.checkAndReserve(keys, 'QA-101');
+    await service.release(record.key);
+    assert.equal(service.checkAndReserve(keys, 'QA-101').duplicate, false);
+
+    service.ttlMs = 1000;
+    service.getUniqueRecords()[0].lastSeenAt = new Date(Date.now() - 5000).toISOString();
+    assert.equal(service.findDelivery(keys), null);
+    await service.pruneExpired();
+    assert.equal(service.getStats().deliveries, 0);
+  });
+
+  it('drops expired records whenever the store is saved', async () => {
+    const service = await createService();
+    service.checkAndReserve(service.getDeliveryKeys(transition, HEADERS), 'QA-101');
+    service.ttlMs = 1000;
+    service.getUniqueRecords()[0].lastSeenAt = new Date(Date.now() - 5000).toISOString();
+
+    const { record } = service.checkAndReserve(service.getDeliveryKeys({ ...transition, changelog: { id: '5002' } }, { 'x-atlassian-webhook-identifier': 'wh-2' }), 'QA-101');
+    await service.recordJob(record.key, 'job-2');
+
+    const stored = JSON.parse(fs.readFileSync(service.storeFile, 'utf8'));
+    assert.deepEqual(stored.map(record => record.keys), [['webhook:wh-2', 'QA-101:changelog:5002']]);
+  });
+});
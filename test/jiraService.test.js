@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const jiraService = require('../services/jiraService');
+const JiraService = jiraService.constructor;
+
+const ADF_DIR = path.join(__dirname, 'fixtures', 'adf');
+
+describe('extractTextFromDescription', () => {
+  // Golden files: <name>.json is the ADF description, <name>.txt the expected text.
+  // After an intended change, regenerate with UPDATE_GOLDEN=1 npm test and review the diff.
+  const cases = fs.readdirSync(ADF_DIR).filter(file => file.endsWith('.json'));
+
+  for (const file of cases) {
+    const name = path.basename(file, '.json');
+
+    it(`matches the golden output for ${name}`, () => {
+      const description = JSON.parse(fs.readFileSync(path.join(ADF_DIR, file), 'utf8'));
+      const goldenPath = path.join(ADF_DIR, `${name}.txt`);
+      const actual = jiraService.extractTextFromDescription(description);
+
+      if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(goldenPath, `${actual}\n`);
+      }
+      assert.equal(actual, fs.readFileSync(goldenPath, 'utf8').replace(/\n$/, ''));
+    });
+  }
+
+  it('returns plain string descriptions unchanged', () => {
+    assert.equal(jiraService.extractTextFromDescription('Focus is lost'), 'Focus is lost');
+  });
+
+  it('returns an empty string for missing or empty descriptions', () => {
+    assert.equal(jiraService.extractTextFromDescription(null), '');
+    assert.equal(jiraService.extractTextFromDescription({ type: 'doc', version: 1 }), '');
+  });
+});
+
+describe('getIssues', () => {
+  const STATUSES = { 'QA-1': 'Open', 'QA-2': 'Closed', 'QA-3': 'Reopened', 'QA-4': 'Ready for Dev', 'QA-5': 'Done' };
+
+  /**
+   * JiraService whose search and single-issue requests are answered from STATUSES
+   * @param {Object} options - { batchSize, ttlSeconds, failSearch }
+   * @returns {Object} { jira, searches, fetched }
+   */
+  function createJira({ batchSize = 2, ttlSeconds = 60, failSearch = false } = {}) {
+    const jira = new JiraService({ jira: { searchBatchSize: batchSize, searchCacheTtlSeconds: ttlSeconds } }, null, null);
+    const searches = [];
+    const fetched = [];
+    const issue = key => ({ key, fields: { summary: `Bug ${key}`, status: { name: STATUSES[key] } } });
+
+    jira.searchIssues = async (jql, options) => {
+      searches.push({ jql, ...options });
+      if (failSearch) throw new Error('Search is not allowed');
+      const keys = jql.match(/key in \((.*)\)/)[1].split(', ').filter(key => STATUSES[key]);
+      // Pages of one issue, to exercise pagination
+      return { issues: keys.slice(options.startAt, options.startAt + 1).map(issue), total: keys.length, startAt: options.startAt, maxResults: 1 };
+    };
+    jira.getIssue = async key => {
+      fetched.push(key);
+      if (!STATUSES[key]) throw new Error(`Request failed with status code 404 (${key})`);
+      return issue(key);
+    };
+    return { jira, searches, fetched };
+  }
+
+  it('looks keys up in batches of key in (...) searches and follows pagination', async () => {
+    const { jira, searches, fetched } = createJira();
+
+    const issues = await jira.getIssues(['QA-1', 'QA-2', 'QA-3', 'QA-2', 'QA-4', 'QA-5']);
+    assert.deepEqual([...issues.keys()].sort(), ['QA-1', 'QA-2', 'QA-3', 'QA-4', 'QA-5']);
+    assert.equal(issues.get('QA-3').fields.status.name, 'Reopened');
+    assert.deepEqual([...new Set(searches.map(s => s.jql))], ['key in (QA-1, QA-2)', 'key in (QA-3, QA-4)', 'key in (QA-5)']);
+    assert.deepEqual(searches.map(s => s.startAt), [0, 1, 0, 1, 0]);
+    assert.deepEqual(searches[0].fields, ['summary', 'status']);
+    assert.equal(searches[0].validateQuery, 'warn');
+    assert.deepEqual(fetched, []);
+  });
+
+  it('serves repeated lookups from the cache until it expires', async () => {
+    const { jira, searches } = createJira();
+    await jira.getIssues(['QA-1', 'QA-2']);
+    const count = searches.length;
+
+    await jira.getIssues(['QA-2', 'QA-1']);
+    assert.equal(searches.length, count);
+
+    // More fields than were fetched is a new lookup
+    await jira.getIssues(['QA-1'], { fields: ['summary', 'status', 'labels'] });
+    assert.equal(searches.length, count + 1);
+
+    jira.issueCache.get('QA-2').expiresAt = Date.now() - 1;
+    await jira.getIssues(['QA-2']);
+    assert.equal(searches.at(-1).jql, 'key in (QA-2)');
+
+    const uncached = createJira({ ttlSeconds: 0 });
+    await uncached.jira.getIssues(['QA-1']);
+    await uncached.jira.getIssues(['QA-1']);
+    assert.equal(uncached.searches.length, 2);
+  });
+
+  it('looks an issue up again once its webhook has arrived', async () => {
+    const { jira, searches } = createJira();
+    await jira.getIssues(['QA-1', 'QA-2']);
+
+    jira.forgetIssue('qa-2');
+    await jira.getIssues(['QA-1', 'QA-2']);
+
+    assert.equal(searches.at(-1).jql, 'key in (QA-2)');
+  });
+
+  it('fetches IDs, keys the search missed and keys of failed searches one by one, leaving out unreadable issues', async () => {
+    const { jira, searches, fetched } = createJira();
+    const issues = await jira.getIssues(['QA-1', 'QA-404', '10042']);
+    assert.deepEqual([...issues.keys()], ['QA-1']);
+    assert.deepEqual(searches.map(s => s.jql), ['key in (QA-1, QA-404)']);
+    assert.deepEqual(fetched, ['QA-404', '10042']);
+
+    const failing = createJira({ failSearch: true });
+    const found = await failing.jira.getIssues(['QA-1', 'QA-2']);
+    assert.deepEqual([...found.keys()], ['QA-1', 'QA-2']);
+    assert.deepEqual(failing.fetched, ['QA-1', 'QA-2']);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const JobQueueService = require('../services/jobQueueService').constructor;
+
+/**
+ * Create a started queue in a temporary directory with short backoffs
+ * @param {Object} handlers - Job type -> handler
+ * @param {Object} options - { maxAttempts, concurrency }
+ * @returns {Promise<Object>} Queue
+ */
+async function createQueue(handlers, { maxAttempts = 3, concurrency = 1 } = {}) {
+  const queue = new JobQueueService();
+  queue.queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-'));
+  queue.maxAttempts = maxAttempts;
+  queue.concurrency = concurrency;
+  queue.backoffMs = 5;
+  queue.maxBackoffMs = 20;
+  await queue.initialize();
+  Object.entries(handlers).forEach(([type, handler]) => queue.registerHandler(type, handler));
+  queue.start();
+  return queue;
+}
+
+/**
+ * Wait for a job to finish, keeping the process alive while its backoff timer (unref'd) is pending
+ * @param {Object} queue - Queue
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Finished job
+ */
+async function finish(queue, jobId) {
+  const keepAlive = setInterval(() => {}, 1000);
+  try {
+    return await queue.waitFor(jobId);
+  } finally {
+    clearInterval(keepAlive);
+    queue.stop();
+  }
+}
+
+describe('JobQueueService', () => {
+  it('retries a failing job with backoff and moves it to the dead-letter list after the last attempt', async () => {
+    const attempts = [];
+    const queue = await createQueue({
+      'bug-created': async job => {
+        attempts.push(job.attempts);
+        throw new Error('TestRail returned 500');
+      }
+    });
+
+    const job = await queue.enqueue('bug-created', { issueKey: 'QA-101' });
+    const finished = await finish(queue, job.id);
+
+    assert.deepEqual(attempts, [1, 2, 3]);
+    assert.equal(finished.status, 'dead');
+    assert.equal(finished.lastError, 'TestRail returned 500');
+    assert.equal(JSON.parse(fs.readFileSync(queue.getJobPath(job.id), 'utf8')).status, 'dead');
+  });
+
+  it('completes a job whose workflow returned an expected failure', async () => {
+    const queue = await createQueue({
+      'bug-created': async () => ({ success: false, error: 'Could not find TestRail Run ID' })
+    });
+
+    const job = await queue.enqueue('bug-created', { issueKey: 'QA-101' });
+    const finished = await finish(queue, job.id);
+
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.attempts, 1);
+    assert.equal(finished.result.error, 'Could not find TestRail Run ID');
+  });
+
+  it('postpones a job while its backend circuit is open without using up attempts', async () => {
+    let calls = 0;
+    const queue = await createQueue({
+      'bug-resolved': async () => {
+        if (++calls <= 4) {
+          throw Object.assign(new Error('Circuit open for testrail.local'), { code: 'ECIRCUITOPEN', circuitOpen: true });
+        }
+        return { success: true };
+      }
+    }, { maxAttempts: 2 });
+
+    const job = await queue.enqueue('bug-resolved', { issueKey: 'QA-101' });
+    const finished = await finish(queue, job.id);
+
+    assert.equal(calls, 5);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.attempts, 1);
+  });
+
+  it('stops waiting after the timeout and still notifies later waiters', async () => {
+    let release;
+    const queue = await createQueue({ 'bug-created': () => new Promise(resolve => { release = resolve; }) });
+
+    const job = await queue.enqueue('bug-created', { issueKey: 'QA-101' });
+    const timedOut = await queue.waitFor(job.id, 20);
+    assert.equal(timedOut.status, 'running');
+    assert.equal(queue.waiters.has(job.id), false);
+
+    const waiting = finish(queue, job.id);
+    release({ success: true });
+    assert.equal((await waiting).status, 'completed');
+  });
+
+  it('prunes completed and dead jobs once they are older than the retention period', async () => {
+    const queue = await createQueue({ 'bug-created': async () => ({ success: true }) });
+    queue.stop();
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const jobs = {};
+    for (const [name, status, updatedAt] of [['old', 'completed', dayAgo], ['dead', 'dead', dayAgo], ['recent', 'completed', new Date().toISOString()], ['waiting', 'pending', dayAgo]]) {
+      jobs[name] = await queue.enqueue('bug-created', { issueKey: `QA-${name}` });
+      Object.assign(jobs[name], { status, updatedAt });
+      await queue.persist(jobs[name]);
+    }
+    queue.retentionMs = 60 * 60 * 1000;
+
+    assert.equal(await queue.pruneFinished(), 2);
+    assert.deepEqual(queue.list().map(job => job.payload.issueKey).sort(), ['QA-recent', 'QA-waiting']);
+    assert.equal(fs.existsSync(queue.getJobPath(jobs.old.id)), false);
+  });
+
+  it('frees the slot and retries when a job cannot be saved', async () => {
+    const queue = await createQueue({ 'bug-created': async () => ({ success: true }) });
+    const persist = queue.persist.bind(queue);
+    let failures = 0;
+    queue.persist = async job => {
+      if (job.status === 'running' && failures++ === 0) {
+        throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+      }
+      return persist(job);
+    };
+
+    const job = await queue.enqueue('bug-created', { issueKey: 'QA-101' });
+    const finished = await finish(queue, job.id);
+
+    assert.equal(finished.status, 'completed');
+    assert.equal(queue.running, 0);
+  });
+});
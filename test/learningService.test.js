@@ -0,0 +1,205 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Requiring the learning service loads config; other singletons it pulls in need a key to construct
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const LearningService = require('../services/learningService').constructor;
+const Bm25Index = require('../services/similarity/bm25Index');
+const { analyze, tokenize } = require('../services/similarity/textAnalyzer');
+
+const TESTS = {
+  errors: { test_id: '9001', case_id: '501', title: 'Form errors are identified and announced' },
+  focus: { test_id: '9002', case_id: '502', title: 'Keyboard focus order follows the visual order' },
+  title: { test_id: '9003', case_id: '503', title: 'Page has a descriptive title' },
+  alt: { test_id: '9004', case_id: '504', title: 'Images have alternative text' }
+};
+
+/**
+ * Build a stored correction
+ * @param {string} key - Bug key
+ * @param {string} summary - Bug summary
+ * @param {Object} test - Correct test case
+ * @returns {Object} Correction record
+ */
+function correction(key, summary, test) {
+  return {
+    id: `c-${key}`,
+    bug: { key, summary },
+    correct_test_id: test.test_id,
+    correct_case_id: test.case_id,
+    correct_title: test.title
+  };
+}
+
+/**
+ * Create a learning service over a temporary data directory
+ * @param {Object} data - { corrections, matches }
+ * @param {Object} learning - Overrides for the learning section
+ * @returns {LearningService} Service
+ */
+function createLearning({ corrections = [], matches = [] } = {}, learning = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-'));
+  fs.writeFileSync(path.join(dataDir, 'corrections.json'), JSON.stringify(corrections));
+  fs.writeFileSync(path.join(dataDir, 'matches.json'), JSON.stringify(matches));
+  return new LearningService({
+    ...config,
+    openai: { ...config.openai, learningEnabled: true },
+    retrieval: { ...config.retrieval, embeddingProvider: 'tfidf' },
+    learning: { ...config.learning, dataDir, calibrate: false, embeddingWeight: 0, ...learning }
+  });
+}
+
+describe('Text analyzer', () => {
+  it('folds accessibility synonyms into shared terms', () => {
+    assert.deepEqual(
+      tokenize("NVDA doesn't read the error message"),
+      tokenize('Screen reader does not announce the errors')
+    );
+    assert.deepEqual(tokenize('JAWS'), tokenize('VoiceOver'));
+  });
+
+  it('reports which phrases were folded', () => {
+    const { synonyms } = analyze('Tab order skips the dialog');
+    assert.deepEqual(synonyms, [
+      { phrase: 'tab order', canonical: 'focusorder' },
+      { phrase: 'dialog', canonical: 'modal' }
+    ]);
+  });
+
+  it('stems word forms without mangling short stems', () => {
+    assert.deepEqual(tokenize('tabbing buttons focus'), ['tab', 'button', 'focus']);
+    assert.deepEqual(tokenize('tabbed labels'), tokenize('tab label'));
+  });
+});
+
+describe('BM25 index', () => {
+  it('scores an identical document about 1 and unrelated documents not at all', () => {
+    const index = new Bm25Index();
+    index.add('a', tokenize('focus is lost after the modal closes'));
+    index.add('b', tokenize('page title is generic'));
+    index.add('c', tokenize('focus is lost on the links page'));
+
+    const results = index.search(tokenize('focus is lost after the modal closes'));
+    assert.equal(results[0].id, 'a');
+    assert.ok(results[0].normalized > 0.99);
+    assert.ok(!results.some(r => r.id === 'b'));
+    assert.ok(results.find(r => r.id === 'c').normalized < 0.5);
+  });
+});
+
+describe('LearningService similarity', () => {
+  it('reuses a correction for a paraphrased bug', async () => {
+    const learning = createLearning({
+      corrections: [
+        correction('QA-1', 'Screen reader does not announce the error on the login form', TESTS.errors),
+        correction('QA-2', 'Page title is generic on the account page', TESTS.title)
+      ]
+    });
+
+    const match = await learning.findSimilarMatch({ summary: "NVDA doesn't read the error messages on the login form" });
+    assert.equal(match.test_id, TESTS.errors.test_id);
+    assert.ok(match.confidence >= 0.85 && match.confidence <= 1);
+    assert.match(match.reasoning, /QA-1|Screen reader does not announce/);
+
+    assert.equal(await learning.findSimilarMatch({ summary: 'Images on the cart page have no alt text' }), null);
+  });
+
+  it('returns learned matches best first, corrections before matches, without duplicates', async () => {
+    const learning = createLearning({
+      corrections: [
+        correction('QA-1', 'Focus order skips the submit button', TESTS.focus),
+        correction('QA-2', 'Focus order skips the submit button in the checkout modal', TESTS.focus)
+      ],
+      matches: [
+        { id: 'm-3', bug: { key: 'QA-3', summary: 'Tab order skips the submit button' }, match: TESTS.errors },
+        // Same words, different issue type - kept out by the issue type check
+        { id: 'm-4', bug: { key: 'QA-4', summary: 'The submit button skips heading levels' }, match: TESTS.title }
+      ]
+    });
+
+    const matches = await learning.findSimilarMatches({ summary: 'Focus order skips the submit button' });
+    assert.deepEqual(matches.map(m => m.test_id), [TESTS.focus.test_id, TESTS.errors.test_id]);
+    assert.ok(matches.every(m => m.learned));
+    assert.match(matches[0].reasoning, /^Learned from correction/);
+  });
+
+  it('picks up newly stored corrections', async () => {
+    const learning = createLearning();
+    assert.equal(await learning.findSimilarMatch({ summary: 'Image has no alt text' }), null);
+
+    await learning.storeCorrection(correction('QA-5', 'Product image has no alternative text', TESTS.alt));
+    const match = await learning.findSimilarMatch({ summary: 'Product image missing alt text' });
+    assert.equal(match.test_id, TESTS.alt.test_id);
+  });
+
+  it('explains why a past bug is similar', async () => {
+    const learning = createLearning({
+      corrections: [
+        correction('QA-1', 'Screen reader does not announce the error on the login form', TESTS.errors),
+        correction('QA-2', 'Focus is lost when the error dialog closes', TESTS.focus)
+      ]
+    });
+
+    const explanation = await learning.explainSimilarity({ summary: 'JAWS does not read the login error' }, 5);
+    assert.equal(explanation.method, 'BM25');
+    assert.deepEqual(explanation.thresholds, { single: 0.6, multi: 0.5, calibrated: false });
+    assert.ok(explanation.query.synonyms.some(s => s.phrase === 'jaws' && s.canonical === 'screenreader'));
+
+    const [best] = explanation.similar;
+    assert.equal(best.bugKey, 'QA-1');
+    assert.equal(best.test.test_id, TESTS.errors.test_id);
+    assert.ok(best.sharedTerms.some(t => t.term === 'screenreader'));
+    assert.equal(best.usedForSingleMatch, best.score >= 0.6);
+    assert.equal(explanation.similar.length, 2);
+  });
+
+  it('blends in embedding similarity when weighted', async () => {
+    const learning = createLearning({
+      corrections: [correction('QA-1', 'Screen reader does not announce the error on the login form', TESTS.errors)]
+    }, { embeddingWeight: 0.5 });
+
+    const explanation = await learning.explainSimilarity({ summary: 'Login form error not announced' });
+    const [best] = explanation.similar;
+    assert.match(explanation.method, /^BM25 blended with TF-IDF/);
+    assert.ok(best.embedding > 0);
+    assert.ok(Math.abs(best.score - (0.5 * best.bm25 + 0.5 * best.embedding)) < 1e-3);
+  });
+});
+
+describe('LearningService threshold calibration', () => {
+  const GROUPS = [
+    [TESTS.errors, ['Screen reader does not announce the email error', 'NVDA does not read the email validation message', 'Email error is not announced by JAWS']],
+    [TESTS.focus, ['Focus order skips the coupon field', 'Tab order jumps past the coupon field', 'Coupon field skipped in focus order']],
+    [TESTS.title, ['Page title is generic on checkout', 'Checkout document title is not descriptive', 'Generic page title on the checkout page']],
+    [TESTS.alt, ['Product image has no alt text', 'Alternative text missing on product image', 'Product photo missing alt attribute']]
+  ];
+  const corrections = GROUPS.flatMap(([test, summaries], g) => summaries.map((summary, i) => correction(`QA-${g * 10 + i}`, summary, test)));
+
+  it('derives thresholds from corrections to the same and different test cases', async () => {
+    const learning = createLearning({ corrections }, { calibrate: true });
+    const { thresholds, configured, calibration } = await learning.getCalibration();
+
+    assert.equal(calibration.calibrated, true);
+    assert.equal(calibration.positivePairs, 24);
+    assert.equal(calibration.negativePairs, 108);
+    assert.equal(thresholds.calibrated, true);
+    assert.equal(thresholds.single, calibration.single);
+    assert.ok(thresholds.multi <= thresholds.single);
+    assert.ok(calibration.singlePrecision >= 0.9);
+    assert.deepEqual(configured, { single: 0.6, multi: 0.5 });
+  });
+
+  it('keeps the configured thresholds without enough corrections', async () => {
+    const learning = createLearning({ corrections: corrections.slice(0, 3) }, { calibrate: true });
+    const { thresholds, calibration } = await learning.getCalibration();
+
+    assert.equal(calibration.calibrated, false);
+    assert.match(calibration.reason, /at least 5 pairs/);
+    assert.deepEqual(thresholds, { single: 0.6, multi: 0.5, calibrated: false });
+  });
+});
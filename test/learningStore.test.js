@@ -0,0 +1,244 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Requiring the learning service loads config; other singletons it pulls in need a key to construct
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const LearningStore = require('../services/storage/learningStore');
+const migrations = require('../services/storage/migrations');
+const LearningService = require('../services/learningService').constructor;
+
+/**
+ * Create an empty temporary learning data directory
+ * @returns {string} Directory
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'learning-store-'));
+}
+
+/**
+ * Build a stored AI match
+ * @param {string} id - Record ID
+ * @param {string} key - Bug key
+ * @param {string} testId - Matched test ID
+ * @returns {Object} Match record
+ */
+function matchRecord(id, key, testId) {
+  return {
+    id,
+    bug: { key, summary: `${key} summary`, description: `${key} description` },
+    match: { test_id: testId, case_id: `5${testId}`, title: `Test ${testId}`, confidence: 0.9, reasoning: 'Same criterion' },
+    timestamp: '2026-01-05T10:00:00.000Z',
+    stored_at: '2026-01-05T10:00:01.000Z'
+  };
+}
+
+/**
+ * Build a stored correction
+ * @param {string} id - Record ID
+ * @param {string} key - Bug key
+ * @param {string} testId - Correct test ID
+ * @returns {Object} Correction record
+ */
+function correctionRecord(id, key, testId) {
+  return {
+    id,
+    bug: { key, summary: `${key} summary`, description: '' },
+    run_id: '42',
+    correct_test_id: testId,
+    correct_case_id: `5${testId}`,
+    correct_title: `Test ${testId}`,
+    corrected_at: '2026-01-06T09:00:00.000Z'
+  };
+}
+
+describe('LearningStore migrations', () => {
+  it('creates the schema once and records each migration', () => {
+    const file = path.join(tempDir(), 'learning.db');
+    const store = new LearningStore(file).open();
+    assert.equal(store.getSchemaVersion(), migrations[migrations.length - 1].version);
+    store.close();
+
+    const reopened = new LearningStore(file).open();
+    assert.deepEqual(reopened.migrate(), []);
+    const tables = reopened.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all().map(t => t.name);
+    assert.deepEqual(tables, ['ai_exchanges', 'audit_log', 'bugs', 'comments', 'corrections', 'executions', 'matches', 'outcomes', 'runs', 'schema_migrations']);
+    reopened.close();
+  });
+});
+
+describe('LearningStore JSON import', () => {
+  it('imports matches.json and corrections.json once', () => {
+    const dataDir = tempDir();
+    fs.writeFileSync(path.join(dataDir, 'matches.json'), JSON.stringify([
+      matchRecord('m1', 'QA-1', '9001'),
+      { id: 'm2', bug: { key: 'QA-2', summary: 'No match stored' } },
+      matchRecord('m3', 'QA-2', '9002')
+    ]));
+    fs.writeFileSync(path.join(dataDir, 'corrections.json'), JSON.stringify([correctionRecord('c1', 'QA-1', '9003')]));
+
+    const store = new LearningStore(path.join(dataDir, 'learning.db')).open();
+    assert.deepEqual(store.importJson(dataDir), { matches: 2, corrections: 1 });
+    assert.ok(fs.existsSync(path.join(dataDir, 'matches.json.imported')));
+    assert.ok(!fs.existsSync(path.join(dataDir, 'corrections.json')));
+    assert.equal(store.importJson(dataDir), null);
+
+    const [match] = store.getMatches();
+    assert.deepEqual(match, {
+      id: 'm1',
+      bug: { key: 'QA-1', summary: 'QA-1 summary', description: 'QA-1 description' },
+      match: { test_id: '9001', case_id: '59001', title: 'Test 9001', confidence: 0.9, reasoning: 'Same criterion' },
+      run_id: null,
+      stored_at: '2026-01-05T10:00:01.000Z'
+    });
+
+    // The correction's empty description does not erase the one stored with the match
+    const [correction] = store.getCorrections();
+    assert.equal(correction.bug.description, 'QA-1 description');
+    assert.equal(correction.correct_test_id, '9003');
+    assert.equal(correction.run_id, '42');
+    store.close();
+  });
+});
+
+describe('LearningStore queries', () => {
+  /**
+   * Open a store with two bugs' matches and a correction for one of them
+   * @returns {LearningStore} Store
+   */
+  function seededStore() {
+    const store = new LearningStore(path.join(tempDir(), 'learning.db')).open();
+    store.insertMatch(matchRecord('m1', 'QA-1', '9001'));
+    store.insertMatch(matchRecord('m2', 'QA-1', '9002'));
+    store.insertMatch(matchRecord('m3', 'QA-2', '9002'));
+    store.insertMatch(matchRecord('m4', 'QA-2', '9002'));
+    store.insertCorrection(correctionRecord('c1', 'QA-1', '9003'));
+    return store;
+  }
+
+  it('returns corrected test cases, else matched ones, without duplicates', () => {
+    const store = seededStore();
+    assert.deepEqual(store.getTestCasesByBugKey('QA-1'), [{ test_id: '9003', case_id: '59003', title: 'Test 9003', run_id: '42' }]);
+    assert.deepEqual(store.getTestCasesByBugKey('QA-2'), [{ test_id: '9002', case_id: '59002', title: 'Test 9002', run_id: null }]);
+    assert.deepEqual(store.getTestCasesByBugKey('QA-3'), []);
+    store.close();
+  });
+
+  it('looks bugs up through the key index', () => {
+    const store = seededStore();
+    const plan = store.db.prepare(`EXPLAIN QUERY PLAN SELECT t.test_id FROM bugs b JOIN corrections t ON t.bug_id = b.id WHERE b.key = ?`)
+      .all('QA-1').map(row => row.detail).join('\n');
+    assert.match(plan, /SEARCH b USING (COVERING )?INDEX sqlite_autoindex_bugs_1/);
+    assert.match(plan, /SEARCH t USING INDEX idx_corrections_bug/);
+    store.close();
+  });
+
+  it('counts matches, corrections, runs and outcomes', () => {
+    const store = seededStore();
+    store.insertOutcome({ bugKey: 'QA-1', runId: '42', testId: '9003', outcome: 'failed', workflow: 'correction' });
+    store.insertOutcome({ bugKey: 'QA-1', runId: '42', testId: '9001', outcome: 'removed', workflow: 'correction' });
+    store.insertOutcome({ bugKey: 'QA-1', runId: '42', testId: '9003', outcome: 'passed', workflow: 'bug-resolved' });
+
+    assert.deepEqual(store.getStatistics(), {
+      matches: 4,
+      corrections: 1,
+      bugs: 2,
+      runs: 1,
+      lastMatch: '2026-01-05T10:00:01.000Z',
+      lastCorrection: '2026-01-06T09:00:00.000Z',
+      outcomes: { failed: 1, passed: 1, removed: 1 }
+    });
+    store.close();
+  });
+
+  it('summarizes runs from the latest outcome of each test, ignoring held matches', () => {
+    const store = seededStore();
+    store.insertOutcome({ bugKey: 'QA-1', runId: '42', testId: '9003', outcome: 'failed', workflow: 'correction' });
+    store.insertOutcome({ bugKey: 'QA-2', runId: '42', testId: '9002', outcome: 'failed', workflow: 'bug-created' });
+    store.insertOutcome({ bugKey: 'QA-2', runId: '42', testId: '9002', outcome: 'passed', workflow: 'bug-resolved' });
+    store.insertOutcome({ bugKey: 'QA-3', runId: '42', testId: '9004', outcome: 'held', workflow: 'bug-created' });
+
+    const [run] = store.getRunSummary();
+    assert.deepEqual({ ...run, lastActivity: undefined }, { runId: '42', bugs: 2, linkedBugs: 1, failedTests: 1, tests: 2, lastActivity: undefined });
+    store.close();
+  });
+
+  it('reports the correction trend and the most corrected test cases', () => {
+    const store = seededStore();
+    assert.deepEqual(store.getCorrectionTrend('month'), [{ period: '2026-01', matchedBugs: 2, correctedBugs: 1 }]);
+    assert.throws(() => store.getCorrectionTrend('year'), /Unknown period/);
+    assert.deepEqual(store.getMostCorrectedTests(), [
+      { testId: '9002', title: 'Test 9002', correctedFrom: 1, correctedTo: 0 },
+      { testId: '9003', title: 'Test 9003', correctedFrom: 0, correctedTo: 1 }
+    ]);
+    store.close();
+  });
+
+  it('keeps the full history of a bug', () => {
+    const store = seededStore();
+    store.insertExecution({
+      bugKey: 'QA-1', runId: '42', workflow: 'bug-created', jobId: 'job-1', actor: 'webhook', success: true,
+      result: { success: true, runKey: '42' }, startedAt: '2026-01-05T10:00:00.000Z', finishedAt: '2026-01-05T10:00:02.000Z'
+    });
+    store.insertAiExchange({ bugKey: 'QA-1', provider: 'fake', model: 'gpt-4o', promptVersion: 'v1', system: 'Match bugs', prompt: 'Bug: QA-1', response: { matches: [] }, durationMs: 12 });
+    store.insertComment({ bugKey: 'QA-1', body: 'Linked to test 9001' });
+
+    const history = store.getBugHistory('QA-1');
+    assert.equal(history.bug.summary, 'QA-1 summary');
+    assert.deepEqual(history.matches.map(m => m.testId), ['9001', '9002']);
+    assert.deepEqual(history.corrections.map(c => c.testId), ['9003']);
+    assert.equal(history.executions[0].jobId, 'job-1');
+    assert.deepEqual(history.executions[0].result, { success: true, runKey: '42' });
+    assert.deepEqual(history.aiExchanges[0].response, { matches: [] });
+    assert.equal(history.aiExchanges[0].durationMs, 12);
+    assert.deepEqual(history.comments.map(c => c.body), ['Linked to test 9001']);
+
+    assert.equal(store.getExecutions({ workflow: 'correction' }).length, 0);
+    assert.equal(store.getBugHistory('QA-9'), null);
+    store.close();
+  });
+});
+
+describe('LearningService storage', () => {
+  /**
+   * Create a learning service over a temporary data directory
+   * @returns {LearningService} Service
+   */
+  function createLearning() {
+    return new LearningService({
+      ...config,
+      openai: { ...config.openai, learningEnabled: true },
+      learning: { ...config.learning, dataDir: tempDir(), calibrate: false, embeddingWeight: 0 }
+    });
+  }
+
+  it('keeps every write when webhooks store concurrently', async () => {
+    const learning = createLearning();
+    await Promise.all(Array.from({ length: 25 }, (_, i) => [
+      learning.storeMatch({ bug: { key: `QA-${i}`, summary: 'Focus lost' }, match: { test_id: String(9000 + i), title: 'Focus order' } }),
+      learning.storeCorrection({ bug: { key: `QA-${i}`, summary: 'Focus lost' }, correct_test_id: '9100', correct_title: 'Focus visible' })
+    ]).flat());
+
+    const stats = await learning.getStatistics();
+    assert.equal(stats.total_matches, 25);
+    assert.equal(stats.total_corrections, 25);
+    assert.equal(stats.total_bugs, 25);
+    assert.equal(stats.correction_rate, '100.00%');
+    learning.close();
+  });
+
+  it('records workflow outcomes', async () => {
+    const learning = createLearning();
+    await learning.recordOutcome({ bugKey: 'QA-7', runId: 'R1', testId: 9001, outcome: 'failed', workflow: 'bug-created' });
+    await learning.recordOutcome({ bugKey: 'QA-7', runId: 'R1', testId: 9001, outcome: 'passed', workflow: 'bug-resolved' });
+
+    const stats = await learning.getStatistics();
+    assert.deepEqual(stats.outcomes, { failed: 1, passed: 1 });
+    assert.equal(stats.total_runs, 1);
+    learning.close();
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The default AIService singleton builds an OpenAI provider, which needs a key to construct
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const llmProviders = require('../services/llm');
+const AIService = require('../services/aiService').constructor;
+const { FakeLearning } = require('./helpers/fakes');
+
+const FIXTURES = 'test/fixtures/llm/checkout-audit.json';
+
+const TEST_CASES = [
+  { test_id: 9001, case_id: 501, title: 'Verify focus order' },
+  { test_id: 9002, case_id: 502, title: 'Verify page title' },
+  { test_id: 9003, case_id: 503, title: 'Verify errors are clearly identified' },
+  { test_id: 9004, case_id: 504, title: 'Verify page titles describe purpose' }
+];
+
+/**
+ * Build a profile configuration that uses the fake provider
+ * @param {Object} openai - Overrides for the openai section
+ * @returns {Object} Profile configuration
+ */
+function fakeConfig(openai = {}) {
+  return {
+    ...config,
+    openai: { ...config.openai, enableMultiMatch: false, ...openai },
+    llm: { ...config.llm, provider: 'fake', fake: { fixturesFile: FIXTURES } }
+  };
+}
+
+/**
+ * Create an AIService on the fake provider
+ * @param {Object} openai - Overrides for the openai section
+ * @returns {{ ai: AIService, learning: FakeLearning }} Service and its learning fake
+ */
+function createAI(openai) {
+  const profileConfig = fakeConfig(openai);
+  const learning = new FakeLearning();
+  return { ai: new AIService(profileConfig, learning), learning };
+}
+
+describe('LLM provider registry', () => {
+  it('creates providers by name', () => {
+    const provider = llmProviders.create('FAKE', fakeConfig());
+    assert.equal(provider.name, 'fake');
+    assert.equal(provider.displayName, 'Fake LLM');
+    assert.deepEqual(llmProviders.getNames(), ['openai', 'azure', 'anthropic', 'local', 'fake']);
+  });
+
+  it('rejects unknown providers', () => {
+    assert.throws(() => llmProviders.create('bard', fakeConfig()), /Unsupported LLM provider: bard/);
+    assert.equal(llmProviders.has('bard'), false);
+  });
+
+  it('rejects providers that do not implement the contract', () => {
+    llmProviders.register('broken', () => ({ displayName: 'Broken' }));
+    try {
+      assert.throws(() => llmProviders.create('broken', fakeConfig()), /does not implement the provider contract/);
+    } finally {
+      llmProviders.factories.delete('broken');
+    }
+  });
+});
+
+describe('LLMProvider.parseJson', () => {
+  const provider = llmProviders.create('fake', fakeConfig());
+
+  it('parses plain JSON', () => {
+    assert.deepEqual(provider.parseJson('{"test_id": "1"}'), { test_id: '1' });
+  });
+
+  it('strips code fences and reasoning blocks', () => {
+    const text = '<think>\nfocus → focus test\n</think>\n```json\n{"matches": []}\n```';
+    assert.deepEqual(provider.parseJson(text), { matches: [] });
+  });
+
+  it('extracts the JSON from surrounding prose', () => {
+    assert.deepEqual(provider.parseJson('Sure! [{"test_id": 1}] Hope this helps.'), [{ test_id: 1 }]);
+  });
+
+  it('reports empty and invalid responses', () => {
+    assert.throws(() => provider.parseJson(''), /Fake LLM returned an empty response/);
+    assert.throws(() => provider.parseJson('{"test_id": '), /Fake LLM returned invalid JSON/);
+  });
+});
+
+describe('FakeProvider', () => {
+  it('errors when no fixture response matches the prompt', async () => {
+    const provider = llmProviders.create('fake', fakeConfig());
+    await assert.rejects(
+      provider.completeJson({ prompt: 'Title: Images have no alt text' }),
+      /no fixture response for "Images have no alt text"/
+    );
+    assert.equal(provider.calls.length, 1);
+    assert.equal(provider.calls[0].entry, -1);
+  });
+});
+
+describe('AIService.normalizeMatchResponse', () => {
+  const { ai } = createAI();
+
+  it('converts IDs to strings and percentages to fractions', () => {
+    const match = ai.normalizeMatchResponse({ test_id: 9001, case_id: 501, confidence: '85%' }, false);
+    assert.deepEqual(match, { test_id: '9001', case_id: '501', confidence: 0.85 });
+    assert.equal(ai.normalizeMatchResponse({ test_id: 1, case_id: 2, confidence: 70 }, false).confidence, 0.7);
+  });
+
+  it('wraps a bare array for multi-match mode', () => {
+    const result = ai.normalizeMatchResponse([{ test_id: 1, case_id: 2, confidence: 0.9 }], true);
+    assert.deepEqual(result, { matches: [{ test_id: '1', case_id: '2', confidence: 0.9 }] });
+  });
+
+  it('takes the most confident match in single-match mode', () => {
+    const result = ai.normalizeMatchResponse({ matches: [
+      { test_id: 1, case_id: 2, confidence: 0.5 },
+      { test_id: 3, case_id: 4, confidence: 0.8 }
+    ] }, false);
+    assert.equal(result.test_id, '3');
+  });
+
+  it('treats a missing confidence as zero', () => {
+    assert.equal(ai.normalizeMatchResponse({ test_id: 1, case_id: 2 }, false).confidence, 0);
+  });
+});
+
+describe('AIService matching with the fake provider', () => {
+  it('unwraps a single match returned inside prose', async () => {
+    const { ai, learning } = createAI();
+    const match = await ai.matchBugToTestCase({ summary: 'Focus is lost after closing the modal' }, TEST_CASES);
+
+    assert.equal(match.test_id, '9001');
+    assert.equal(match.case_id, '501');
+    assert.equal(match.confidence, 0.92);
+    assert.equal(ai.isConfidentMatch(match), true);
+    assert.equal(learning.matches.length, 1);
+  });
+
+  it('normalizes, validates and sorts multi-match responses', async () => {
+    const { ai, learning } = createAI({ enableMultiMatch: true, multiMatchThreshold: 0.75 });
+    const matches = await ai.matchBugToTestCase({
+      summary: 'Checkout form',
+      description: '1. Focus is lost after closing the modal\n2. Error is not announced'
+    }, TEST_CASES);
+
+    // 9999 is not in the run and is dropped; confidences "92%" and 81 become fractions
+    assert.deepEqual(matches.map(m => [m.test_id, m.confidence]), [['9001', 0.92], ['9003', 0.81]]);
+    assert.equal(learning.matches.length, 2);
+  });
+
+  it('leaves matches that will be held for approval out of the learning data', async () => {
+    const { ai, learning } = createAI({ enableMultiMatch: true, multiMatchThreshold: 0.75, confidenceThreshold: 0.85 });
+    ai.config = { ...ai.config, approval: { ...config.approval, enabled: true } };
+    await ai.matchBugToTestCase({
+      summary: 'Checkout form',
+      description: '1. Focus is lost after closing the modal\n2. Error is not announced'
+    }, TEST_CASES);
+
+    assert.deepEqual(learning.matches.map(m => m.match.test_id), ['9001']);
+  });
+
+  it('picks the best entry when a bare array is returned in single-match mode', async () => {
+    const { ai } = createAI();
+    const match = await ai.matchBugToTestCase({ summary: 'Page title is generic' }, TEST_CASES);
+    assert.equal(match.test_id, '9004');
+  });
+
+  it('rejects test IDs that are not in the run', async () => {
+    const { ai, learning } = createAI();
+    await assert.rejects(
+      ai.matchBugToTestCase({ summary: 'Invented test' }, TEST_CASES),
+      /AI returned test_id 12345 which doesn't exist/
+    );
+    assert.equal(learning.matches.length, 0);
+  });
+
+  it('sends the system and user prompts to the provider', async () => {
+    const { ai } = createAI();
+    await ai.matchBugToTestCase({ summary: 'Focus is lost after closing the modal' }, TEST_CASES);
+
+    const [call] = ai.llm.calls;
+    assert.match(call.system, /508c accessibility testing/);
+    assert.match(call.prompt, /Test ID: 9004 \| Case ID: 504/);
+  });
+});
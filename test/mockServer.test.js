@@ -0,0 +1,166 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile, spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const { createMockServer, MockStore } = require('../mock-server');
+const TestRailService = require('../services/testRailService').constructor;
+const XrayService = require('../services/xrayService').constructor;
+const { FakeAudit } = require('./helpers/fakes');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(ROOT, 'mock-server', 'fixtures', 'checkout-audit.json');
+
+/**
+ * Start the mock server on a free port
+ * @returns {Promise<Object>} { store, server, url }
+ */
+function startMockServer() {
+  const store = new MockStore([FIXTURE]);
+  return new Promise(resolve => {
+    const server = createMockServer(store).listen(0, () => {
+      resolve({ store, server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Wait until the integration answers its health check
+ * @param {string} url - Integration URL
+ * @param {Object} child - Integration process
+ */
+async function waitForHealth(url, child) {
+  const deadline = Date.now() + 30000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Integration exited with code ${child.exitCode}`);
+    }
+    try {
+      await axios.get(`${url}/health`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+  throw new Error(`Integration did not start on ${url}`);
+}
+
+describe('mock server', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => {
+    mock.server.close();
+  });
+
+  it('serves TestRail lists in linked pages', async () => {
+    mock.store.reset();
+    mock.store.seed({
+      testrail: {
+        tests: Array.from({ length: 300 }, (_, i) => ({ id: 20000 + i, run_id: 42, case_id: 6000 + i, title: `Generated test ${i + 1}`, status_id: 3 }))
+      }
+    });
+    const testRail = new TestRailService({ ...config, testRail: { ...config.testRail, baseUrl: mock.url } }, null, new FakeAudit());
+
+    const tests = await testRail.getTests(42);
+
+    assert.equal(tests.length, 304);
+    assert.equal(new Set(tests.map(t => t.id)).size, 304);
+    assert.deepEqual(mock.store.requests.map(r => r.url.replace(/^\/index\.php\?/, '')), [
+      '/api/v2/get_tests/42',
+      '/api/v2/get_tests/42&limit=250&offset=250'
+    ]);
+  });
+
+  it('serves the Xray tests of a Test Execution and records runs through the import', async () => {
+    mock.store.reset();
+    const xray = new XrayService({ ...config, xray: { ...config.xray, deployment: 'server', baseUrl: mock.url, rateLimitMs: 0 } }, null, new FakeAudit());
+
+    const tests = await xray.getTests('QA-50');
+    assert.deepEqual(tests.map(t => t.key), ['QA-60', 'QA-61', 'QA-62', 'QA-63']);
+
+    await xray.markAsFailed('QA-60', 'QA-50', 'Bug filed: QA-101', ['QA-101']);
+    const run = mock.store.getTestRun('QA-60', 'QA-50');
+    assert.equal(run.status, config.xray.statusFail);
+    assert.equal(run.comment, 'Bug filed: QA-101');
+  });
+});
+
+describe('mock bug cycle', () => {
+  it('replays created → resolved → reopened through the integration with run-cycle.js', async () => {
+    const mock = await startMockServer();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-cycle-'));
+    const port = await freePort();
+    const integrationUrl = `http://127.0.0.1:${port}`;
+    const env = {
+      ...process.env,
+      PORT: String(port),
+      JIRA_BASE_URL: mock.url,
+      TESTRAIL_BASE_URL: mock.url,
+      XRAY_BASE_URL: mock.url,
+      OPENAI_BASE_URL: `${mock.url}/v1`,
+      TEST_MANAGEMENT_SYSTEM: 'testrail',
+      TEST_MANAGEMENT_MODE: 'single',
+      LLM_PROVIDER: 'openai',
+      PROFILES_FILE: '',
+      WORKFLOW_RULES_FILE: '',
+      QUEUE_DIR: path.join(dataDir, 'queue'),
+      IDEMPOTENCY_DIR: path.join(dataDir, 'idempotency'),
+      LEARNING_DATA_DIR: path.join(dataDir, 'learning-data'),
+      CACHE_DIR: path.join(dataDir, 'cache'),
+      APPROVAL_DIR: path.join(dataDir, 'approvals'),
+      BACKFILL_DIR: path.join(dataDir, 'backfill'),
+      EVALUATION_DIR: path.join(dataDir, 'evaluation'),
+      MOCK_SERVER_URL: mock.url,
+      INTEGRATION_URL: integrationUrl,
+      CYCLE_JOB_TIMEOUT_MS: '30000'
+    };
+
+    const integration = spawn(process.execPath, [path.join(ROOT, 'server.js')], { cwd: ROOT, env, stdio: 'ignore' });
+    try {
+      await waitForHealth(integrationUrl, integration);
+
+      const output = await new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(ROOT, 'mock-server', 'run-cycle.js'), 'QA-101'], { cwd: ROOT, env, timeout: 120000 }, (error, stdout, stderr) => {
+          error ? reject(new Error(`${error.message}\n${stdout}${stderr}`)) : resolve(stdout);
+        });
+      });
+
+      assert.match(output, /=== Bug Created: Open → Ready for Dev/);
+      assert.match(output, /✅ TestRail Updated\n\nTest Case: Keyboard focus order follows the visual order in checkout\nStatus: Failed/);
+      assert.match(output, /✅ TestRail Marked as Passed\n\nTest 9001 marked as Passed\./);
+      assert.match(output, /🔄 Bug Re-opened/);
+      assert.doesNotMatch(output, /dead job/);
+
+      const results = mock.store.results.filter(result => result.test_id === 9001).map(result => [result.status_id, result.defects || '']);
+      assert.deepEqual(results, [[5, 'QA-101'], [1, '']]);
+    } finally {
+      integration.kill();
+      await new Promise(resolve => integration.exitCode !== null ? resolve() : integration.once('exit', resolve));
+      mock.server.close();
+    }
+  });
+});
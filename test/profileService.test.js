@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const ProfileService = require('../services/profileService').constructor;
+
+/**
+ * Write a profiles file to a temporary directory and load it
+ * @param {Object} definition - Profiles definition
+ * @returns {ProfileService} Loaded profiles
+ */
+function loadProfiles(definition) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-')), 'profiles.json');
+  fs.writeFileSync(file, JSON.stringify(definition));
+  const profiles = new ProfileService();
+  profiles.load(file);
+  return profiles;
+}
+
+const PROFILES = {
+  profiles: {
+    web: {
+      projects: ['WEB', 'SHOP'],
+      testManagement: { system: 'testrail' },
+      jira: { runIdCustomField: 'customfield_12345' },
+      testRail: { baseUrl: 'https://web-team.testrail.io', password: '${PROFILE_TEST_WEB_KEY}' },
+      openai: { confidenceThreshold: 0.7 }
+    },
+    mobile: {
+      projects: ['mob'],
+      testManagement: { system: 'xray' },
+      jira: { baseUrl: 'https://mobile-company.atlassian.net', statusReadyForDev: 'Triaged' },
+      openai: { confidenceThreshold: 0.8 },
+      learning: { dataDir: 'learning-data/mobile-app' }
+    }
+  }
+};
+
+describe('ProfileService', () => {
+  it('routes by explicit profile first, then by project key, then to the default profile', () => {
+    const profiles = loadProfiles(PROFILES);
+
+    // The webhook URL names the profile: it wins over the issue's project
+    assert.equal(profiles.resolveProfileName({ profile: 'mobile', issueKey: 'WEB-1' }), 'mobile');
+    assert.equal(profiles.resolveProfileName({ issueKey: 'SHOP-42' }), 'web');
+    assert.equal(profiles.resolveProfileName({ issueKey: 'mob-7' }), 'mobile');
+    assert.equal(profiles.resolveProfileName({ projectKey: 'WEB' }), 'web');
+    assert.equal(profiles.resolveProfileName({ issueKey: 'OPS-1' }), 'default');
+    assert.equal(profiles.resolveProfileName(), 'default');
+    assert.throws(() => profiles.resolveProfileName({ profile: 'desktop' }), /Unknown profile "desktop"\. Available: default, web, mobile/);
+
+    const withDefault = loadProfiles({ ...PROFILES, defaultProfile: 'web' });
+    assert.equal(withDefault.resolveProfileName({ issueKey: 'OPS-1' }), 'web');
+    assert.equal(withDefault.resolveProfileName({ issueKey: 'MOB-1' }), 'mobile');
+  });
+
+  it('deep-merges profile settings over the .env configuration', () => {
+    const profiles = new ProfileService();
+    const base = { jira: { baseUrl: 'https://a', statuses: ['Open'], fields: { runId: 'cf_1' } }, openai: { model: 'gpt-4o' } };
+
+    const merged = profiles.deepMerge(base, { jira: { statuses: ['Done'], fields: { epic: 'cf_2' } }, llm: { provider: 'fake' } });
+
+    assert.deepEqual(merged, {
+      jira: { baseUrl: 'https://a', statuses: ['Done'], fields: { runId: 'cf_1', epic: 'cf_2' } },
+      openai: { model: 'gpt-4o' },
+      llm: { provider: 'fake' }
+    });
+    assert.deepEqual(base.jira.fields, { runId: 'cf_1' });
+    assert.deepEqual(profiles.deepMerge(base, undefined), base);
+  });
+
+  it('builds each profile on the .env configuration with its own data directories', () => {
+    process.env.PROFILE_TEST_WEB_KEY = 'web-secret';
+    const profiles = loadProfiles(PROFILES);
+    const web = profiles.getProfile('web').config;
+    const mobile = profiles.getProfile('mobile').config;
+
+    assert.equal(web.profile, 'web');
+    assert.equal(web.jira.runIdCustomField, 'customfield_12345');
+    assert.equal(web.jira.baseUrl, config.jira.baseUrl);
+    assert.equal(web.testRail.password, 'web-secret');
+    assert.equal(web.openai.confidenceThreshold, 0.7);
+    assert.equal(web.learning.dataDir, path.join(config.learning.dataDir, 'web'));
+    assert.equal(web.cache.dir, path.join(config.cache.dir, 'web'));
+    assert.equal(web.approval.dir, path.join(config.approval.dir, 'web'));
+    assert.equal(mobile.learning.dataDir, 'learning-data/mobile-app');
+    assert.deepEqual(profiles.getProfile('mobile').projects, ['MOB']);
+    // The .env configuration itself is left alone
+    assert.notEqual(config.testRail.password, 'web-secret');
+    assert.equal(config.profile, undefined);
+    assert.equal(profiles.getProfile('default').config, config);
+  });
+
+  it('gives every profile its own service instances wired to its own configuration', () => {
+    const profiles = loadProfiles(PROFILES);
+    const web = profiles.getServices('web');
+    const mobile = profiles.getServices('mobile');
+    const fallback = profiles.getServices('default');
+
+    assert.equal(profiles.getServices('web'), web);
+    for (const name of ['jiraService', 'testMgmt', 'workflowService', 'learningService', 'cacheService', 'approvalService', 'aiService']) {
+      assert.notEqual(web[name], mobile[name], name);
+      assert.notEqual(web[name], fallback[name], name);
+    }
+
+    assert.equal(fallback.jiraService, require('../services/jiraService'));
+    assert.equal(mobile.jiraService.baseUrl, 'https://mobile-company.atlassian.net');
+    assert.equal(web.jiraService.baseUrl, config.jira.baseUrl);
+    assert.equal(web.testMgmt.getSystemName(), 'TestRail');
+    assert.equal(mobile.testMgmt.getSystemName(), 'Xray');
+    assert.equal(web.learningService.dataDir, path.join(config.learning.dataDir, 'web'));
+    assert.equal(web.cacheService.cacheDir, path.join(config.cache.dir, 'web'));
+    assert.equal(mobile.workflowRules.findMatchingRule({ toStatus: 'Triaged', fromStatus: 'New' }).action, 'create');
+  });
+
+  it('refuses to load an invalid profiles file and lists every problem', () => {
+    assert.throws(() => loadProfiles({
+      defaultProfile: 'desktop',
+      profiles: {
+        default: {},
+        web: { projects: ['WEB'], testManagement: { system: 'qtest', mode: 'mirror' } },
+        shop: { projects: ['web'], prompts: { candidateShare: 2 } }
+      }
+    }), error => {
+      assert.match(error.message, /default: "default" is reserved for the .env configuration/);
+      assert.match(error.message, /web: testManagement.system must be one of/);
+      assert.match(error.message, /web: testManagement.mode must be one of single, dual, shadow/);
+      assert.match(error.message, /shop: project WEB is already assigned to profile "web"/);
+      assert.match(error.message, /shop: prompts.candidateShare must be a number between 0 and 1/);
+      assert.match(error.message, /defaultProfile "desktop" is not defined/);
+      return true;
+    });
+  });
+});
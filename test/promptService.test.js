@@ -0,0 +1,173 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The default AIService singleton builds an OpenAI provider, which needs a key to construct
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const PromptService = require('../services/promptService').constructor;
+const AIService = require('../services/aiService').constructor;
+const FakeProvider = require('../services/llm/fakeProvider');
+const LearningStore = require('../services/storage/learningStore');
+const { FakeLearning } = require('./helpers/fakes');
+
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'prompts');
+
+const BUG = {
+  key: 'QA-101',
+  summary: 'Checkout: focus is lost after closing the address modal',
+  description: '1. Focus is lost after closing the modal\n2. Error is not announced',
+  wcagCategory: '2.4.3 Focus Order',
+  learnedContext: [{ test_id: '9001', title: 'Verify focus order', reasoning: 'Focus lost after dialog' }]
+};
+
+const TEST_CASES = [
+  { index: 0, test_id: 9001, case_id: 501, title: 'Verify focus order', steps: [{ content: 'Tab through the page' }], preconditions: '', expected: 'Focus order is logical' },
+  { index: 1, test_id: 9002, case_id: 502, title: 'Verify page title', steps: [], preconditions: 'Open the page', expected: 'Title describes the page' }
+];
+
+/**
+ * Create a prompts directory with the given templates
+ * @param {Object} templates - { fileName: template object }
+ * @returns {string} Directory
+ */
+function promptsDir(templates) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  for (const [file, template] of Object.entries(templates)) {
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(template));
+  }
+  return dir;
+}
+
+/**
+ * Minimal template whose prompt names its version
+ * @param {string} version - Version
+ * @returns {Object} Template
+ */
+function template(version) {
+  return { version, system: { single: `single ${version}`, multi: `multi ${version}` }, prompt: `Prompt ${version} for {{bug.summary}}` };
+}
+
+/**
+ * Create a prompt service
+ * @param {Object} prompts - Overrides for the prompts section
+ * @returns {PromptService} Service
+ */
+function createPrompts(prompts) {
+  return new PromptService({ ...config, prompts: { ...config.prompts, candidate: null, candidateShare: 0, ...prompts } });
+}
+
+describe('Prompt templates', () => {
+  // Golden files: the shipped v1 template rendered for a sample bug.
+  // After an intended change, regenerate with UPDATE_GOLDEN=1 npm test and review the diff.
+  for (const multiMatch of [false, true]) {
+    const name = `v1-${multiMatch ? 'multi' : 'single'}`;
+
+    it(`matches the golden output for ${name}`, () => {
+      const prompts = createPrompts({ dir: path.join(__dirname, '..', 'prompts'), version: 'v1' });
+      const rendered = prompts.render(BUG, TEST_CASES.map(tc => ({ ...tc, steps: JSON.stringify(tc.steps) })), { multiMatch });
+      const actual = `${rendered.system}\n=====\n${rendered.prompt}`;
+      const goldenPath = path.join(GOLDEN_DIR, `${name}.txt`);
+
+      if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(goldenPath, actual);
+      }
+      assert.equal(rendered.version, 'v1');
+      assert.equal(actual, fs.readFileSync(goldenPath, 'utf8'));
+    });
+  }
+
+  it('renders sections, inverted sections and lists without re-reading inserted values', () => {
+    const dir = promptsDir({
+      'v1.json': {
+        system: { single: '', multi: '' },
+        prompt: '{{bug.summary}}|{{#wcagCategory}}WCAG {{wcagCategory}}{{/wcagCategory}}{{^wcagCategory}}no WCAG{{/wcagCategory}}|' +
+          '{{#testCases}}[{{index}}:{{title}}]{{/testCases}}|{{#learnedContext.length}}learned{{/learnedContext.length}}{{^multiMatch}}|single{{/multiMatch}}'
+      }
+    });
+    const prompts = createPrompts({ dir, version: 'v1' });
+
+    const { prompt } = prompts.render({ summary: 'Title is {{wcagCategory}}' }, TEST_CASES);
+    assert.equal(prompt, 'Title is {{wcagCategory}}|no WCAG|[0:Verify focus order][1:Verify page title]||single');
+    assert.equal(prompts.render(BUG, [], { multiMatch: true }).prompt, `${BUG.summary}|WCAG 2.4.3 Focus Order||learned`);
+  });
+
+  it('rejects invalid templates and a missing active version', () => {
+    assert.throws(() => createPrompts({ dir: promptsDir({ 'v1.json': { prompt: 'x' } }), version: 'v1' }).load(),
+      /Invalid prompt template .*v1\.json: system\.single must be a string; system\.multi must be a string/);
+    assert.throws(() => createPrompts({ dir: promptsDir({ 'v1.json': template('v1') }), version: 'v3' }).load(),
+      /Prompt template "v3" \(PROMPT_VERSION\) not found/);
+  });
+});
+
+describe('Prompt A/B routing', () => {
+  const dir = promptsDir({ 'v1.json': template('v1'), 'v2.json': template('v2') });
+  const keys = Array.from({ length: 200 }, (_, i) => `QA-${i}`);
+
+  it('routes the configured share of bugs to the candidate, the same way every time', () => {
+    const prompts = createPrompts({ dir, version: 'v1', candidate: 'v2', candidateShare: 0.25 });
+    const versions = keys.map(key => prompts.chooseVersion({ key }));
+    const share = versions.filter(version => version === 'v2').length / keys.length;
+
+    assert.ok(share > 0.15 && share < 0.35, `candidate share ${share}`);
+    assert.deepEqual(keys.map(key => prompts.chooseVersion({ key })), versions);
+    assert.equal(prompts.render({ key: keys[versions.indexOf('v2')], summary: 'S' }, []).prompt, 'Prompt v2 for S');
+  });
+
+  it('uses the active version without a share or when the candidate does not exist', () => {
+    const noShare = createPrompts({ dir, version: 'v1', candidate: 'v2', candidateShare: 0 });
+    const missing = createPrompts({ dir, version: 'v1', candidate: 'v9', candidateShare: 1 });
+    assert.ok(keys.every(key => noShare.chooseVersion({ key }) === 'v1'));
+    assert.ok(keys.every(key => missing.chooseVersion({ key }) === 'v1'));
+  });
+
+  it('records the prompt version on every match the AI makes', async () => {
+    const profileConfig = { ...config, openai: { ...config.openai, enableMultiMatch: true, multiMatchThreshold: 0.5 }, retrieval: { ...config.retrieval, enabled: false } };
+    const provider = new FakeProvider(profileConfig, {
+      responses: [{ when: { contains: 'Prompt v2' }, response: { matches: [{ test_id: '9001', case_id: '501', title: 'Verify focus order', confidence: 0.9 }] } }]
+    });
+    const learning = new FakeLearning();
+    const prompts = createPrompts({ dir, version: 'v2' });
+    const retrieval = { retrieve: async (bug, tests) => tests, recordOutcome: async () => {} };
+
+    const matches = await new AIService(profileConfig, learning, provider, retrieval, prompts)
+      .matchBugToTestCase({ key: 'QA-1', summary: 'Focus lost' }, TEST_CASES);
+    assert.equal(matches[0].prompt_version, 'v2');
+    assert.equal(learning.matches[0].match.prompt_version, 'v2');
+    assert.equal(provider.calls[0].system, 'multi v2');
+    assert.equal(learning.exchanges[0].bugKey, 'QA-1');
+    assert.equal(learning.exchanges[0].promptVersion, 'v2');
+    assert.equal(learning.exchanges[0].response.matches[0].test_id, '9001');
+  });
+});
+
+describe('Correction rate per prompt version', () => {
+  it('counts a correction against the version of the latest match before it', () => {
+    const store = new LearningStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-db-')), 'learning.db')).open();
+    const match = (id, key, version, storedAt) => store.insertMatch({
+      id,
+      bug: { key, summary: key },
+      match: { test_id: '9001', title: 'Verify focus order', confidence: 0.9, prompt_version: version },
+      stored_at: storedAt
+    });
+    const correct = (id, key, correctedAt) => store.insertCorrection({ id, bug: { key }, correct_test_id: '9002', corrected_at: correctedAt });
+
+    match('m1', 'QA-1', 'v1', '2026-03-01T10:00:00.000Z');
+    match('m2', 'QA-1', 'v2', '2026-03-02T10:00:00.000Z');
+    correct('c1', 'QA-1', '2026-03-02T11:00:00.000Z');
+    match('m3', 'QA-2', 'v1', '2026-03-01T10:00:00.000Z');
+    correct('c2', 'QA-2', '2026-03-01T12:00:00.000Z');
+    match('m4', 'QA-3', 'v1', '2026-03-01T10:00:00.000Z');
+
+    assert.deepEqual(store.getPromptStatistics(), {
+      v1: { matches: 3, bugs: 3, correctedBugs: 1 },
+      v2: { matches: 1, bugs: 1, correctedBugs: 1 }
+    });
+    assert.equal(store.getMatches()[0].match.prompt_version, 'v1');
+    store.close();
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const WorkflowService = require('../services/workflowService').constructor;
+const TestManagementAdapter = require('../services/testManagementAdapter').constructor;
+const ReconciliationService = require('../services/reconciliationService').constructor;
+const { FakeJira, FakeTestRail, FakeLearning, STATUS_PASSED, STATUS_FAILED } = require('./helpers/fakes');
+
+const TESTS = [
+  { id: 9001, case_id: 501, title: 'Keyboard focus order follows the visual order' },
+  { id: 9002, case_id: 502, title: 'Form errors are identified and announced' },
+  { id: 9003, case_id: 503, title: 'Page has a descriptive title' },
+  { id: 9004, case_id: 504, title: 'Images have text alternatives' },
+  { id: 9005, case_id: 505, title: 'Links have a visible focus indicator' }
+];
+
+const ISSUES = {
+  'QA-101': { summary: 'Focus jumps to the footer', status: 'Queued Merged to Release' },
+  'QA-102': { summary: 'Payment error is not announced', status: 'Reopened' },
+  'QA-103': { summary: 'Title is "Untitled"', status: 'Ready for Dev' }
+};
+
+// 9001 stayed failed after its bug was merged, 9002 passed before its bug was reopened,
+// 9003 is failed with an open bug, 9004's bug cannot be read, 9005 failed without a bug
+const RESULTS = [
+  { test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' },
+  { test_id: 9002, status_id: STATUS_PASSED, defects: '' },
+  { test_id: 9002, status_id: STATUS_FAILED, defects: 'QA-102' },
+  { test_id: 9003, status_id: STATUS_FAILED, defects: 'QA-103' },
+  { test_id: 9004, status_id: STATUS_FAILED, defects: 'QA-404' },
+  { test_id: 9005, status_id: STATUS_FAILED, defects: '' }
+];
+
+/**
+ * Create a reconciliation service over a fake JIRA and TestRail run, through the real adapter
+ * @param {Object} options - { reconciliation, runSummary }
+ * @returns {Object} { reconciliation, jira, testRail, learning, contexts }
+ */
+function createReconciliation({ reconciliation = {}, runSummary = [] } = {}) {
+  const profileConfig = {
+    ...config,
+    server: { ...config.server, dryRunMode: false },
+    testManagement: { system: 'testrail', mode: 'single' },
+    testRail: { ...config.testRail, statusPassed: STATUS_PASSED, statusFailed: STATUS_FAILED },
+    reconciliation: { intervalMinutes: 0, mode: 'report', reportIssue: null, runs: [], activeDays: 14, ...reconciliation }
+  };
+  const jira = new FakeJira({ issues: ISSUES });
+  const testRail = new FakeTestRail({ tests: TESTS.map(test => ({ ...test })), results: RESULTS });
+  const learning = new FakeLearning();
+  learning.getStore = async () => ({ getRunSummary: () => runSummary });
+  const testMgmt = new TestManagementAdapter(profileConfig, { jiraService: jira, testRailService: testRail });
+  const workflowService = new WorkflowService(profileConfig, { jiraService: jira, testMgmt, testRailService: testRail, learningService: learning });
+  const contexts = [];
+  const auditService = { runInContext: (context, fn) => { contexts.push(context); return fn(); } };
+
+  return {
+    reconciliation: new ReconciliationService(profileConfig, { jiraService: jira, testMgmt, workflowService, learningService: learning, auditService }),
+    jira,
+    testRail,
+    learning,
+    contexts
+  };
+}
+
+describe('ReconciliationService', () => {
+  it('lists tests whose status disagrees with their bugs and posts the drift report', async () => {
+    const { reconciliation, jira, testRail, learning } = createReconciliation({ reconciliation: { reportIssue: 'QA-1' } });
+    const resultCount = testRail.results.length;
+
+    const report = await reconciliation.run({ runKey: '42' });
+    assert.equal(report.fix, false);
+    assert.deepEqual(report.mismatches.map(m => [m.testId, m.status, m.type, m.bugs, m.activeBugs, m.fix]), [
+      ['9001', 'Failed', 'stale-failure', ['QA-101'], [], null],
+      ['9002', 'Passed', 'open-bug-on-passed', ['QA-102'], ['QA-102'], null]
+    ]);
+    assert.deepEqual(report.runs, [{ runKey: '42', tests: 5, checked: 4, unknown: 1, error: null }]);
+    assert.equal(report.summary.mismatches, 2);
+    assert.equal(testRail.results.length, resultCount);
+    assert.deepEqual(learning.outcomes, []);
+
+    assert.equal(report.reportIssue, 'QA-1');
+    const [comment] = jira.getComments('QA-1');
+    assert.match(comment, /found 2 test result\(s\) out of step/);
+    assert.match(comment, /Run 42, Test ID 9001 "Keyboard focus order follows the visual order": Failed although QA-101 is no longer open/);
+    assert.match(comment, /Test ID 9002 .*: Passed while QA-102 is open/);
+    assert.match(comment, /Nothing was changed/);
+    assert.equal(reconciliation.getLastReport(), report);
+  });
+
+  it('corrects the results in fix mode and records the outcomes under each bug', async () => {
+    const { reconciliation, testRail, learning, contexts } = createReconciliation({ reconciliation: { mode: 'fix' } });
+
+    const report = await reconciliation.run({ runKey: '42' });
+    assert.deepEqual(report.mismatches.map(m => [m.testId, m.fix]), [['9001', 'fixed'], ['9002', 'fixed']]);
+    assert.equal(report.summary.fixed, 2);
+    assert.equal(testRail.latest(9001).status_id, STATUS_PASSED);
+    assert.equal(testRail.latest(9002).status_id, STATUS_FAILED);
+    assert.equal(testRail.latest(9002).defects, 'QA-102');
+    assert.equal(testRail.latest(9003).status_id, STATUS_FAILED);
+    assert.deepEqual(contexts.map(c => c.issueKey), ['QA-101', 'QA-102']);
+    assert.deepEqual(learning.outcomes, [
+      { bugKey: 'QA-101', runId: '42', testId: '9001', outcome: 'passed', workflow: 'reconciliation' },
+      { bugKey: 'QA-102', runId: '42', testId: '9002', outcome: 'failed', workflow: 'reconciliation' }
+    ]);
+
+    // Nothing left to fix
+    const again = await reconciliation.run({ runKey: '42' });
+    assert.equal(again.summary.mismatches, 0);
+  });
+
+  it('changes nothing and posts nothing in a dry run', async () => {
+    const { reconciliation, jira, testRail } = createReconciliation({ reconciliation: { mode: 'fix', reportIssue: 'QA-1' } });
+    const resultCount = testRail.results.length;
+
+    const report = await reconciliation.run({ runKey: '42', dryRun: true });
+    assert.equal(report.fix, false);
+    assert.equal(report.summary.mismatches, 2);
+    assert.equal(testRail.results.length, resultCount);
+    assert.deepEqual(jira.getComments('QA-1'), []);
+  });
+
+  it('reconciles the configured runs and the runs with recent activity', async () => {
+    const now = new Date().toISOString();
+    const { reconciliation } = createReconciliation({
+      reconciliation: { runs: ['7', '42'], activeDays: 7 },
+      runSummary: [
+        { runId: '42', lastActivity: now },
+        { runId: '43', lastActivity: now },
+        { runId: '13', lastActivity: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString() }
+      ]
+    });
+
+    assert.deepEqual(await reconciliation.getActiveRuns(), ['7', '42', '43']);
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The default AIService singleton builds an OpenAI provider, which needs a key to construct
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const embeddings = require('../services/embeddings');
+const RetrievalService = require('../services/retrievalService').constructor;
+const AIService = require('../services/aiService').constructor;
+const { FakeLearning } = require('./helpers/fakes');
+
+// 14 topics x 5 page areas = 70 test cases, more than RETRIEVAL_MIN_TESTS in these tests
+const TOPICS = [
+  ['Keyboard focus order', 'Tab through the page; focus moves in a logical order and is not lost after dialogs close'],
+  ['Visible focus indicator', 'Every focusable element shows a visible focus outline'],
+  ['Page title', 'The document title describes the topic or purpose of the page'],
+  ['Form error identification', 'Input errors are identified in text and announced by the screen reader'],
+  ['Form labels', 'Every input has a programmatic label'],
+  ['Image alternative text', 'Informative images have alt text; decorative images have empty alt'],
+  ['Heading levels', 'Heading levels are programmatically identified and nested correctly'],
+  ['Color contrast', 'Text has a contrast ratio of at least 4.5:1'],
+  ['Language of page', 'The html element has a valid lang attribute'],
+  ['Link purpose', 'Link text describes the destination'],
+  ['Keyboard trap', 'Keyboard users can move focus away from every component'],
+  ['Reflow', 'Content reflows at 320px without horizontal scrolling'],
+  ['Status messages', 'Status messages are announced without moving focus via aria-live'],
+  ['Table headers', 'Data tables have header cells associated with data cells']
+];
+const AREAS = ['Login', 'Cart', 'Checkout', 'Account', 'Search'];
+
+const TESTS = AREAS.flatMap((area, a) => TOPICS.map(([title, expected], t) => ({
+  test_id: 9000 + a * 100 + t,
+  case_id: 500 + a * 100 + t,
+  title: `${area}: ${title}`,
+  custom_expected: expected
+})));
+
+class FakeCache {
+  constructor() {
+    this.entries = new Map();
+    this.sets = 0;
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, value) {
+    this.sets++;
+    this.entries.set(key, value);
+  }
+}
+
+/**
+ * Create a retrieval service with an in-memory cache and a temporary metrics file
+ * @param {Object} retrieval - Overrides for the retrieval section
+ * @returns {{ retrieval: RetrievalService, cache: FakeCache }} Service and cache
+ */
+function createRetrieval(retrieval = {}) {
+  const profileConfig = {
+    ...config,
+    learning: { dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'retrieval-')) },
+    retrieval: { ...config.retrieval, enabled: true, embeddingProvider: 'tfidf', topK: 5, minTests: 20, ...retrieval }
+  };
+  const cache = new FakeCache();
+  return { retrieval: new RetrievalService(profileConfig, cache), cache, profileConfig };
+}
+
+describe('TF-IDF embeddings', () => {
+  const provider = embeddings.create('tfidf', config);
+
+  it('stems plurals and verb forms to shared terms', () => {
+    assert.deepEqual(provider.tokenize('Errors announced'), provider.tokenize('error announce'));
+  });
+
+  it('returns unit vectors and ignores words outside the vocabulary', async () => {
+    const { state, vectors } = await provider.index(['focus order', 'page title']);
+    const norm = Math.sqrt(Object.values(vectors[0]).reduce((sum, v) => sum + v * v, 0));
+    assert.ok(Math.abs(norm - 1) < 1e-9);
+
+    const query = await provider.embedQuery('focus lost in the carousel', state);
+    assert.deepEqual(Object.keys(query), ['focu']);
+    assert.ok(provider.similarity(query, vectors[0]) > provider.similarity(query, vectors[1]));
+  });
+});
+
+describe('RetrievalService', () => {
+  let retrieval;
+  let cache;
+
+  beforeEach(() => {
+    ({ retrieval, cache } = createRetrieval());
+  });
+
+  it('sends small runs unchanged', async () => {
+    const small = TESTS.slice(0, 10);
+    assert.equal(await retrieval.retrieve({ summary: 'Focus is lost' }, small), small);
+    assert.equal(cache.sets, 0);
+  });
+
+  it('returns the top-K test cases closest to the bug', async () => {
+    const candidates = await retrieval.retrieve({
+      key: 'QA-101',
+      summary: 'Checkout: focus is lost after the dialog closes',
+      description: 'Tabbing after closing the promo dialog moves focus to the top of the page'
+    }, TESTS);
+
+    assert.equal(candidates.length, 5);
+    assert.equal(candidates[0].title, 'Checkout: Keyboard focus order');
+  });
+
+  it('always includes pinned test cases', async () => {
+    const pinned = TESTS.find(t => t.title === 'Search: Reflow');
+    const candidates = await retrieval.retrieve({ summary: 'Page title is generic' }, TESTS, [pinned.test_id]);
+
+    assert.equal(candidates.length, 6);
+    assert.equal(candidates[5], pinned);
+  });
+
+  it('indexes a run once and reuses the cached index', async () => {
+    await retrieval.indexTests(TESTS);
+    await retrieval.indexTests(TESTS);
+    await retrieval.retrieve({ summary: 'Missing alt text' }, TESTS);
+    assert.equal(cache.sets, 1);
+
+    // A changed run gets a new index
+    await retrieval.indexTests([...TESTS, { test_id: 1, case_id: 1, title: 'New test' }]);
+    assert.equal(cache.sets, 2);
+  });
+
+  it('falls back to TF-IDF when the embedding provider fails', async () => {
+    ({ retrieval, cache } = createRetrieval({ embeddingProvider: 'openai' }));
+    retrieval.provider = {
+      name: 'openai',
+      model: 'text-embedding-3-small',
+      displayName: 'OpenAI embeddings',
+      index: async () => { throw new Error('Connection error.'); }
+    };
+
+    const candidates = await retrieval.retrieve({ summary: 'Cart: image has no alt text' }, TESTS);
+    assert.equal(candidates[0].title, 'Cart: Image alternative text');
+  });
+
+  it('sends all test cases when retrieval fails entirely', async () => {
+    retrieval.provider = { name: 'tfidf', model: 'tfidf', displayName: 'TF-IDF', index: async () => { throw new Error('boom'); } };
+    assert.equal(await retrieval.retrieve({ summary: 'Focus' }, TESTS), TESTS);
+  });
+
+  it('measures recall from corrections', async () => {
+    await retrieval.retrieve({ key: 'QA-1', summary: 'Login: page title is generic' }, TESTS);
+    await retrieval.retrieve({ key: 'QA-2', summary: 'Cart: screen reader does not announce item added' }, TESTS);
+
+    const title = TESTS.find(t => t.title === 'Login: Page title');
+    const status = TESTS.find(t => t.title === 'Cart: Status messages');
+    await retrieval.recordOutcome('QA-1', [title.test_id], 'correction');
+    await retrieval.recordOutcome('QA-2', [status.test_id], 'correction');
+    await retrieval.recordOutcome('QA-3', [status.test_id], 'correction'); // Never retrieved - ignored
+
+    const metrics = await retrieval.getMetrics();
+    assert.equal(metrics.retrievals, 2);
+    assert.equal(metrics.averageTestsInRun, 70);
+    assert.equal(metrics.averageCandidates, 5);
+    assert.equal(metrics.corrections, 2);
+    assert.equal(metrics.recallAt[5], metrics.recall);
+    assert.equal(metrics.recallAt[50], 1);
+    assert.ok(metrics.correctionMeanReciprocalRank > 0);
+  });
+
+  it('persists metrics to the learning data directory', async () => {
+    await retrieval.retrieve({ key: 'QA-9', summary: 'Focus' }, TESTS);
+    const saved = JSON.parse(fs.readFileSync(retrieval.metricsFile, 'utf8'));
+    assert.equal(saved.retrievals[0].bugKey, 'QA-9');
+    assert.equal(saved.retrievals[0].candidateIds.length, 5);
+  });
+});
+
+describe('AIService with retrieval', () => {
+  it('only sends the retrieved candidates to the LLM and records the match', async () => {
+    const { retrieval, profileConfig } = createRetrieval();
+    const prompts = [];
+    const provider = {
+      displayName: 'Stub',
+      model: 'stub',
+      async completeJson({ prompt }) {
+        prompts.push(prompt);
+        return { test_id: 9202, case_id: 702, title: 'Checkout: Page title', confidence: 0.9, reasoning: 'Title' };
+      }
+    };
+    const ai = new AIService({ ...profileConfig, openai: { ...config.openai, enableMultiMatch: false } }, new FakeLearning(), provider, retrieval);
+
+    const match = await ai.matchBugToTestCase({ key: 'QA-7', summary: 'Checkout: page title is "Untitled"' }, TESTS);
+
+    assert.equal(match.test_id, '9202');
+    assert.equal((prompts[0].match(/Test ID: /g) || []).length, 5);
+    const metrics = await retrieval.getMetrics();
+    assert.equal(metrics.matches, 1);
+    assert.equal(metrics.averageMatchRank, 1);
+  });
+});
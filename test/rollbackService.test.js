@@ -0,0 +1,183 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const LearningService = require('../services/learningService').constructor;
+const AuditService = require('../services/auditService').constructor;
+const RollbackService = require('../services/rollbackService').constructor;
+const TestRailBackend = require('../services/backends/testRailBackend');
+const XrayBackend = require('../services/backends/xrayBackend');
+const ZephyrScaleBackend = require('../services/backends/zephyrScaleBackend');
+const { FakeTestRail, STATUS_PASSED, STATUS_FAILED } = require('./helpers/fakes');
+
+const STATUS_RETEST = 4;
+
+/**
+ * Fake TestRail that audits its writes like TestRailService does
+ */
+class AuditedTestRail extends FakeTestRail {
+  constructor(options, audit) {
+    super(options);
+    this.audit = audit;
+  }
+
+  async addResult(testId, statusId, comment = '', defects = '') {
+    const latest = this.latest(testId);
+    const before = latest ? { status_id: latest.status_id, defects: latest.defects || '' } : null;
+    const result = await super.addResult(testId, statusId, comment, defects);
+    await this.audit?.record({
+      system: 'testrail', operation: 'add-result', target: `test ${testId}`, before,
+      after: { status_id: statusId, defects: defects || '' }, request: { status_id: statusId, comment, defects }, response: result
+    });
+    return result;
+  }
+}
+
+/**
+ * Create a rollback service for a TestRail profile over temporary learning data
+ * @param {Object} options - { results, dryRunMode }
+ * @returns {Object} { rollback, audit, learning, testRail }
+ */
+function createRollback({ results = [], dryRunMode = false } = {}) {
+  const profileConfig = {
+    ...config,
+    server: { ...config.server, dryRunMode },
+    openai: { ...config.openai, learningEnabled: true },
+    testRail: { ...config.testRail, statusPassed: STATUS_PASSED, statusFailed: STATUS_FAILED, statusRetest: STATUS_RETEST },
+    learning: { ...config.learning, dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'rollback-')), calibrate: false, embeddingWeight: 0 },
+    audit: { enabled: true, captureBefore: true }
+  };
+  const learning = new LearningService(profileConfig);
+  const audit = new AuditService(profileConfig, learning);
+  const testRail = new AuditedTestRail({ tests: [{ id: 9001 }, { id: 9002 }], results }, audit);
+  const backend = new TestRailBackend(profileConfig, { testRailService: testRail, jiraService: {} });
+  const testMgmt = { getBackend: system => (system === 'testrail' ? backend : null) };
+
+  return { rollback: new RollbackService(profileConfig, { testMgmt, learningService: learning, auditService: audit }), audit, learning, testRail };
+}
+
+/**
+ * Fail tests for a bug the way Bug Created does, learning the match
+ * @param {Object} ctx - createRollback() result
+ * @param {string} bugKey - Bug key
+ * @param {Array<number>} testIds - Tests to fail
+ */
+async function failTests(ctx, bugKey, testIds) {
+  await ctx.audit.runInContext({ actor: 'webhook', workflow: 'bug-created', issueKey: bugKey }, async () => {
+    for (const testId of testIds) {
+      await ctx.testRail.markAsFailed(testId, `Bug filed: ${bugKey}`, bugKey);
+      await ctx.learning.storeMatch({ bug: { key: bugKey, summary: 'Focus lost' }, match: { test_id: String(testId), title: `Test ${testId}` }, run_id: '42' });
+      await ctx.learning.recordOutcome({ bugKey, runId: '42', testId, outcome: 'failed', workflow: 'bug-created' });
+    }
+  });
+}
+
+describe('RollbackService', () => {
+  it('plans the restore of each test from the audit log without writing', async () => {
+    const ctx = createRollback({ results: [{ test_id: 9001, status_id: STATUS_PASSED, defects: 'QA-7' }] });
+    await failTests(ctx, 'QA-101', [9001, 9002]);
+    const resultCount = ctx.testRail.results.length;
+
+    const plan = await ctx.rollback.rollback('QA-101', { dryRun: true });
+    assert.equal(plan.dryRun, true);
+    assert.deepEqual(plan.steps.map(s => [s.system, s.action, s.testId, s.statusId, s.defects]), [
+      ['testrail', 'restore-result', '9001', STATUS_PASSED, 'QA-7'],
+      ['testrail', 'restore-result', '9002', STATUS_RETEST, '']
+    ]);
+    assert.match(plan.steps[1].description, /earlier result unknown/);
+    assert.deepEqual(plan.learning, { matches: 2, corrections: 0 });
+    assert.equal(ctx.testRail.results.length, resultCount);
+    ctx.learning.close();
+  });
+
+  it('restores the results, forgets the learned matches and finds nothing left the second time', async () => {
+    const ctx = createRollback({ results: [{ test_id: 9001, status_id: STATUS_PASSED, defects: '' }] });
+    await failTests(ctx, 'QA-101', [9001]);
+
+    const result = await ctx.audit.runInContext({ actor: 'manual', workflow: 'rollback', issueKey: 'QA-101' }, () => ctx.rollback.rollback('QA-101'));
+    assert.deepEqual(result.steps.map(s => s.outcome), ['reverted']);
+    assert.deepEqual([ctx.testRail.latest(9001).status_id, ctx.testRail.latest(9001).defects], [STATUS_PASSED, '']);
+    assert.deepEqual(result.learning, { matches: 1, corrections: 0 });
+
+    const store = await ctx.learning.getStore();
+    assert.deepEqual(store.getTestCasesByBugKey('QA-101'), []);
+    assert.equal(store.getBugHistory('QA-101').outcomes.pop().outcome, 'rolled-back');
+
+    const again = await ctx.rollback.plan('QA-101');
+    assert.deepEqual(again.steps, []);
+    assert.deepEqual(again.learning, { matches: 0, corrections: 0 });
+    ctx.learning.close();
+  });
+
+  it('skips a test another bug has written to since', async () => {
+    const ctx = createRollback({ results: [{ test_id: 9001, status_id: STATUS_PASSED, defects: '' }] });
+    await failTests(ctx, 'QA-101', [9001]);
+    await failTests(ctx, 'QA-102', [9001]);
+
+    const result = await ctx.rollback.rollback('QA-101');
+    assert.equal(result.steps[0].outcome, 'skipped');
+    assert.match(result.steps[0].skipped, /newer result/);
+    assert.equal(ctx.testRail.latest(9001).defects, 'QA-102');
+    ctx.learning.close();
+  });
+
+  it('does not write in dry-run mode', async () => {
+    const ctx = createRollback({ dryRunMode: true });
+    await failTests(ctx, 'QA-101', [9001]);
+    const resultCount = ctx.testRail.results.length;
+
+    const result = await ctx.rollback.rollback('QA-101');
+    assert.equal(result.dryRun, true);
+    assert.equal(ctx.testRail.results.length, resultCount);
+    assert.equal((await ctx.learning.getStore()).getTestCasesByBugKey('QA-101').length, 1);
+    ctx.learning.close();
+  });
+});
+
+describe('Backend revert plans', () => {
+  const entry = (operation, fields) => ({ operation, success: true, recordedAt: '2026-01-05T10:00:00.000Z', ...fields });
+
+  it('Xray restores the test run status and removes the links it created', async () => {
+    const xrayService = { getTestRuns: async () => [{ status: 'FAIL' }] };
+    const backend = new XrayBackend(config, { xrayService });
+    const request = { testExecutionKey: 'QA-50', tests: [{ testKey: 'QA-T1', status: 'FAIL' }] };
+
+    const steps = await backend.planRevert([
+      entry('import-execution', { target: 'test QA-T1 in QA-50', request, before: { status: 'PASS' }, after: { status: 'FAIL' } }),
+      entry('link-issue', { target: 'test QA-T1', request: { inwardIssue: { key: 'QA-T1' }, outwardIssue: { key: 'QA-101' } } }),
+      entry('unlink-issue', { target: 'test QA-T2', before: { testKey: 'QA-T2', bugKey: 'QA-101', linkType: 'Relates' } }),
+      entry('link-issue', { target: 'test QA-T3', request: { inwardIssue: { key: 'QA-T3' }, outwardIssue: { key: 'QA-101' } } }),
+      entry('unlink-issue', { target: 'test QA-T3', before: { testKey: 'QA-T3', bugKey: 'QA-101' } })
+    ], 'QA-101');
+
+    assert.deepEqual(steps.map(s => [s.action, s.testId, s.status || s.linkType || null]), [
+      ['restore-result', 'QA-T1', 'PASS'],
+      ['unlink', 'QA-T1', null],
+      ['relink', 'QA-T2', 'Relates']
+    ]);
+  });
+
+  it('Zephyr Scale deletes the execution links it created unless already deleted', async () => {
+    const zephyrScaleService = { getResults: async () => [{ status: 'Fail' }] };
+    const backend = new ZephyrScaleBackend({ ...config, zephyrScale: { ...config.zephyrScale, statusNotExecuted: 'Not Executed' } }, { zephyrScaleService });
+    const request = { testCaseKey: 'QA-T2', testCycleKey: 'QA-R1', statusName: 'Fail' };
+
+    const steps = await backend.planRevert([
+      entry('add-execution', { target: 'test case QA-T2 in QA-R1', request, before: null, after: { execution: 1003, status: 'Fail' } }),
+      entry('link-issue', { target: 'execution 1003', response: { id: 7002 } }),
+      entry('link-issue', { target: 'execution 1004', response: { id: 7003 } }),
+      entry('delete-link', { target: 'execution 1004', request: { linkId: 7003 } })
+    ], 'QA-102');
+
+    assert.deepEqual(steps.map(s => [s.action, s.testId || s.linkId, s.status || null]), [
+      ['restore-result', 'QA-T2', 'Not Executed'],
+      ['delete-link', 7002, null]
+    ]);
+    assert.equal(steps[0].skipped, null);
+  });
+});
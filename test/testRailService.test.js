@@ -0,0 +1,193 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const TestRailService = require('../services/testRailService').constructor;
+
+const PAGE_SIZE = 250;
+
+/**
+ * Cache stand-in: entries kept in memory
+ */
+class MemoryCache {
+  static getTestsCacheKey(runId) {
+    return `tests_run_${runId}`;
+  }
+
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, value);
+  }
+}
+
+/**
+ * Build a TestRail project: run 42 of suite 2 with a test for each case in its sections
+ * @param {Object} options - { sections, casesPerSection, extraCases }
+ *   extraCases: case IDs in the run that get_cases does not return (e.g., moved to another suite)
+ * @returns {Object} { sections, cases, tests }
+ */
+function buildProject({ sections = 3, casesPerSection = 200, extraCases = [] } = {}) {
+  const sectionList = Array.from({ length: sections }, (_, i) => ({ id: 10 + i, name: `Section ${i + 1}`, project_id: 1, suite_id: 2 }));
+  const cases = sectionList.flatMap((section, s) => Array.from({ length: casesPerSection }, (_, i) => ({
+    id: 1000 * (s + 1) + i,
+    title: `Case ${s + 1}.${i}`,
+    section_id: section.id,
+    custom_preconds: `Preconditions of ${s + 1}.${i}`,
+    refs: 'WCAG 2.4.3'
+  })));
+  const extra = extraCases.map(id => ({ id, title: `Case ${id}`, section_id: 99, custom_preconds: 'Moved' }));
+  const tests = [...cases, ...extra].map((testCase, i) => ({ id: 90000 + i, case_id: testCase.id, title: testCase.title }));
+  return { sections: sectionList, cases, extra, tests };
+}
+
+/**
+ * Create a TestRail service answering from a fake TestRail API with 250-item pages
+ * @param {Object} project - Project from buildProject()
+ * @param {Object} options - { fetchConcurrency, legacyArrays }
+ *   legacyArrays: answer list endpoints with plain arrays, like TestRail before 7.0
+ * @returns {Object} { testRail, calls }
+ */
+function createTestRail(project, { fetchConcurrency = 2, legacyArrays = false } = {}) {
+  const profileConfig = {
+    ...config,
+    testRail: { ...config.testRail, baseUrl: 'http://testrail.local', fetchConcurrency }
+  };
+  const testRail = new TestRailService(profileConfig, new MemoryCache(), null);
+  const calls = [];
+
+  const list = (endpoint, key, items, options) => {
+    if (legacyArrays) return items;
+    const offset = parseInt(options.offset) || 0;
+    const page = items.slice(offset, offset + PAGE_SIZE);
+    const filters = ['suite_id', 'section_id'].filter(name => options[name]).map(name => `&${name}=${options[name]}`).join('');
+    const next = offset + PAGE_SIZE < items.length ? `/api/v2/${endpoint}${filters}&limit=${PAGE_SIZE}&offset=${offset + PAGE_SIZE}` : null;
+    return { offset, limit: PAGE_SIZE, size: page.length, _links: { next, prev: null }, [key]: page };
+  };
+
+  testRail.http.defaults.adapter = async (requestConfig) => {
+    const [route, ...params] = requestConfig.url.split('index.php?')[1].split('&');
+    const [, method, id] = route.match(/^\/api\/v2\/(\w+)\/(\d+)$/);
+    const options = Object.fromEntries(params.map(param => param.split('=')));
+    calls.push([method, parseInt(id), options]);
+
+    const data = {
+      get_run: () => ({ id: 42, project_id: 1, suite_id: 2 }),
+      get_tests: () => list(`get_tests/${id}`, 'tests', project.tests, options),
+      get_sections: () => list(`get_sections/${id}`, 'sections', project.sections, options),
+      get_cases: () => list(`get_cases/${id}`, 'cases', project.cases.filter(c => !options.section_id || c.section_id === parseInt(options.section_id)), options),
+      get_case: () => [...project.cases, ...project.extra].find(c => c.id === parseInt(id))
+    }[method]();
+    return { data, status: 200, statusText: 'OK', headers: {}, config: requestConfig };
+  };
+
+  return { testRail, calls };
+}
+
+describe('TestRailService', () => {
+  it('follows _links.next through every page of a run', async () => {
+    const project = buildProject();
+    const { testRail, calls } = createTestRail(project);
+
+    const tests = await testRail.getTests(42);
+    assert.equal(tests.length, 600);
+    assert.deepEqual(calls.map(([method, id, options]) => [method, id, options.offset]), [
+      ['get_tests', 42, undefined],
+      ['get_tests', 42, '250'],
+      ['get_tests', 42, '500']
+    ]);
+  });
+
+  it('reads case details from the suite\'s pages and fetches the rest one by one', async () => {
+    const project = buildProject({ extraCases: [7001] });
+    const { testRail, calls } = createTestRail(project);
+
+    const details = await testRail.getTestsWithDetails(42);
+    assert.equal(details.length, 601);
+    assert.deepEqual(details[0], {
+      test_id: 90000,
+      case_id: 1000,
+      title: 'Case 1.0',
+      section_id: 10,
+      custom_steps_separated: [],
+      custom_preconds: 'Preconditions of 1.0',
+      custom_expected: '',
+      refs: 'WCAG 2.4.3'
+    });
+    assert.equal(details[600].custom_preconds, 'Moved');
+
+    const count = method => calls.filter(([name]) => name === method).length;
+    assert.deepEqual([count('get_tests'), count('get_run'), count('get_sections'), count('get_cases'), count('get_case')], [3, 1, 0, 3, 1]);
+    assert.deepEqual(calls.filter(([name]) => name === 'get_cases').map(([, id, options]) => [id, options.suite_id, options.section_id, options.offset]), [
+      [1, '2', undefined, undefined],
+      [1, '2', undefined, '250'],
+      [1, '2', undefined, '500']
+    ]);
+
+    // Served from the cache the second time
+    await testRail.getTestsWithDetails(42);
+    assert.equal(calls.length, 8);
+  });
+
+  it('stops paging the suite once every case of the run is found', async () => {
+    const project = buildProject();
+    project.tests = project.tests.slice(0, 3);
+    const { testRail, calls } = createTestRail(project);
+
+    const details = await testRail.getTestsWithDetails(42);
+    assert.deepEqual(details.map(test => test.title), ['Case 1.0', 'Case 1.1', 'Case 1.2']);
+    assert.deepEqual(calls.map(([method]) => method), ['get_tests', 'get_run', 'get_cases']);
+  });
+
+  it('fetches the cases missing from the suite a few at a time', async () => {
+    const project = buildProject({ sections: 1, casesPerSection: 1, extraCases: [7001, 7002, 7003, 7004] });
+    const { testRail, calls } = createTestRail(project, { fetchConcurrency: 3 });
+    const getCase = testRail.getCase.bind(testRail);
+    const state = { inFlight: 0, maxInFlight: 0 };
+    testRail.getCase = async caseId => {
+      state.maxInFlight = Math.max(state.maxInFlight, ++state.inFlight);
+      try {
+        return await getCase(caseId);
+      } finally {
+        state.inFlight--;
+      }
+    };
+
+    const details = await testRail.getTestsWithDetails(42);
+    assert.deepEqual(details.map(test => test.case_id), [1000, 7001, 7002, 7003, 7004]);
+    assert.deepEqual(calls.map(([method]) => method), ['get_tests', 'get_run', 'get_cases', 'get_case', 'get_case', 'get_case', 'get_case']);
+    assert.equal(state.maxInFlight, 3);
+  });
+
+  it('lets an open circuit through instead of answering that no test has the bug', async () => {
+    const project = buildProject({ sections: 1, casesPerSection: 2 });
+    const { testRail } = createTestRail(project);
+    const results = [];
+    testRail.http.get = async url => {
+      if (url.includes('get_results/')) {
+        throw Object.assign(new Error('Circuit open for testrail.local, retry in 60s'), { code: 'ECIRCUITOPEN', circuitOpen: true });
+      }
+      return { data: url.includes('get_tests/') ? project.tests : results };
+    };
+
+    await assert.rejects(testRail.findTestsWithBug(42, 'QA-101'), error => error.circuitOpen === true);
+    await assert.rejects(testRail.isBugAlreadyLinked(90000, 'QA-101'), error => error.circuitOpen === true);
+  });
+
+  it('accepts list endpoints that answer with a plain array', async () => {
+    const project = buildProject({ sections: 1, casesPerSection: 300 });
+    const { testRail, calls } = createTestRail(project, { legacyArrays: true });
+
+    assert.equal((await testRail.getTests(42)).length, 300);
+    assert.equal((await testRail.getCases(1, 2, 10)).length, 300);
+    assert.equal(calls.length, 2);
+  });
+});
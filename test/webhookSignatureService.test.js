@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const WebhookSignatureService = require('../services/webhookSignatureService').constructor;
+
+const SECRET = 'current-secret';
+const PREVIOUS = 'previous-secret';
+
+/**
+ * Create a verifier with the current and previous secrets and a 5-minute replay window
+ * @param {Object} options - { allowLegacySecret, maxAgeSeconds }
+ * @returns {WebhookSignatureService} Verifier
+ */
+function createVerifier({ allowLegacySecret = true, maxAgeSeconds = 300 } = {}) {
+  const verifier = new WebhookSignatureService();
+  verifier.secrets = [{ name: 'current', value: SECRET }, { name: 'previous', value: PREVIOUS }];
+  verifier.maxAgeMs = maxAgeSeconds * 1000;
+  verifier.allowLegacySecret = allowLegacySecret;
+  return verifier;
+}
+
+/**
+ * Build a delivery as the JSON parser leaves it: raw body, parsed body and headers
+ * @param {Object} payload - Webhook payload
+ * @param {Object} options - { secret, headers } secret: sign with it (null for unsigned)
+ * @returns {Object} Request
+ */
+function delivery(payload, { secret = SECRET, headers = {} } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  const signature = secret ? { 'x-hub-signature': `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}` } : {};
+  return { rawBody, body: JSON.parse(rawBody), headers: { ...signature, ...headers } };
+}
+
+const event = (timestamp = Date.now()) => ({ webhookEvent: 'jira:issue_updated', timestamp, issue: { key: 'QA-101' } });
+
+describe('WebhookSignatureService', () => {
+  it('accepts deliveries signed with the current or the previous secret', () => {
+    const verifier = createVerifier();
+
+    assert.deepEqual(verifier.verify(delivery(event())), { valid: true, secret: 'current' });
+    assert.deepEqual(verifier.verify(delivery(event(), { secret: PREVIOUS })), { valid: true, secret: 'previous' });
+    assert.equal(verifier.getStats().acceptedWithPreviousSecret, 1);
+  });
+
+  it('rejects unsigned, malformed and wrongly signed deliveries', () => {
+    const verifier = createVerifier();
+
+    assert.equal(verifier.verify(delivery(event(), { secret: null })).reason, 'missing_signature');
+    assert.equal(verifier.verify(delivery(event(), { headers: { 'x-hub-signature': 'sha1=abc' } })).reason, 'malformed_signature');
+    assert.equal(verifier.verify(delivery(event(), { secret: 'guessed' })).reason, 'invalid_signature');
+
+    // A signed body that was changed afterwards
+    const tampered = delivery(event());
+    tampered.rawBody = Buffer.from(tampered.rawBody.toString().replace('QA-101', 'QA-999'));
+    assert.equal(verifier.verify(tampered).reason, 'invalid_signature');
+    assert.equal(verifier.getStats().totalRejected, 4);
+  });
+
+  it('rejects a replayed delivery even when it comes with a fresh timestamp header', () => {
+    const verifier = createVerifier();
+    const captured = event(Date.now() - 10 * 60 * 1000);
+
+    assert.equal(verifier.verify(delivery(captured)).reason, 'stale_timestamp');
+    assert.equal(verifier.verify(delivery(captured, { headers: { 'x-webhook-timestamp': String(Date.now()) } })).reason, 'stale_timestamp');
+    assert.equal(verifier.verify(delivery(event(Date.now() + 10 * 60 * 1000))).reason, 'future_timestamp');
+  });
+
+  it('reads the payload timestamp in seconds or milliseconds and requires one', () => {
+    const verifier = createVerifier();
+
+    assert.equal(verifier.verify(delivery(event(Math.floor(Date.now() / 1000)))).valid, true);
+    assert.equal(verifier.verify(delivery({ webhookEvent: 'jira:issue_updated' }, { headers: { 'x-webhook-timestamp': String(Date.now()) } })).reason, 'missing_timestamp');
+    assert.equal(verifier.verify(delivery(event('yesterday'))).reason, 'malformed_timestamp');
+
+    // WEBHOOK_MAX_AGE_SECONDS=0 turns replay protection off
+    assert.equal(createVerifier({ maxAgeSeconds: 0 }).verify(delivery(event(0))).valid, true);
+  });
+
+  it('accepts the plain secret header until the legacy header is turned off', () => {
+    const request = delivery(event(), { secret: null, headers: { 'x-webhook-secret': SECRET } });
+    const verifier = createVerifier();
+
+    assert.deepEqual(verifier.verify(request), { valid: true, secret: 'legacy' });
+    assert.equal(verifier.getStats().acceptedWithLegacySecret, 1);
+    assert.equal(verifier.verify({ ...request, headers: { 'x-webhook-secret': 'guessed' } }).reason, 'missing_signature');
+    assert.equal(createVerifier({ allowLegacySecret: false }).verify(request).reason, 'missing_signature');
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const WorkflowRulesService = require('../services/workflowRulesService').constructor;
+
+const EXAMPLE_FILE = path.join(__dirname, '..', 'workflow-rules.example.yml');
+
+/**
+ * Create a rules service for the default configuration
+ * @param {string|null} rulesFile - Rules file to load (null for the default rules)
+ * @returns {WorkflowRulesService} Loaded service
+ */
+function createRules(rulesFile = null) {
+  const rules = new WorkflowRulesService({ ...config, workflow: { ...config.workflow, rulesFile } });
+  rules.load();
+  return rules;
+}
+
+/**
+ * Build a status-change webhook
+ * @param {Object} options - { key, issueType, from, to, labels, components }
+ * @returns {Object} Webhook payload
+ */
+function transition({ key = 'QA-101', issueType = 'Bug', from = 'In Progress', to, labels = [], components = [] }) {
+  return {
+    webhookEvent: 'jira:issue_updated',
+    issue: { key, fields: { issuetype: { name: issueType }, labels, components: components.map(name => ({ name })) } },
+    changelog: { items: [{ field: 'status', fromString: from, toString: to }] }
+  };
+}
+
+/**
+ * Name of the rule a webhook matches
+ * @param {WorkflowRulesService} rules - Rules service
+ * @param {Object} webhookEvent - Webhook payload
+ * @returns {string|null} Rule name
+ */
+function matchedRule(rules, webhookEvent) {
+  return rules.findMatchingRule(rules.extractEvent(webhookEvent))?.name || null;
+}
+
+/**
+ * Write a rules file to a temporary directory
+ * @param {Object} definition - Rules definition
+ * @returns {string} File path
+ */
+function writeRules(definition) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rules-')), 'rules.json');
+  fs.writeFileSync(file, JSON.stringify(definition));
+  return file;
+}
+
+describe('WorkflowRulesService', () => {
+  it('reproduces the status mappings without a rules file', () => {
+    const rules = createRules();
+
+    assert.equal(rules.getRules().source, 'default');
+    assert.equal(matchedRule(rules, transition({ from: config.jira.statusQAInProgress, to: config.jira.statusReadyForDev })), 'bug-reopened');
+    assert.equal(matchedRule(rules, transition({ to: config.jira.statusReadyForDev })), 'bug-created');
+    assert.equal(matchedRule(rules, transition({ to: config.jira.statusQueuedMerged })), 'bug-resolved');
+    assert.equal(matchedRule(rules, transition({ to: 'Closed' })), null);
+  });
+
+  it('loads the example file, where the first matching rule wins', () => {
+    const rules = createRules(EXAMPLE_FILE);
+
+    assert.equal(matchedRule(rules, transition({ from: 'QA In Progress', to: 'Ready for Dev' })), 'bug-reopened');
+    assert.equal(matchedRule(rules, transition({ to: 'Ready for Dev' })), 'bug-created');
+    assert.equal(matchedRule(rules, transition({ to: 'Queued Merged to Release' })), 'bug-resolved');
+    assert.equal(matchedRule(rules, transition({ key: 'MOB-7', issueType: 'Defect', to: 'Triaged' })), 'mobile-created');
+    assert.equal(matchedRule(rules, transition({ key: 'MOB-7', issueType: 'Defect', to: 'closed' })), 'mobile-resolved');
+    assert.equal(matchedRule(rules, transition({ key: 'QA-101', issueType: 'Bug', to: 'Triaged' })), null);
+  });
+
+  it('lets the example ignore rule stop the broader rules below it', () => {
+    const rules = createRules(EXAMPLE_FILE);
+
+    assert.equal(matchedRule(rules, transition({ key: 'MOB-7', labels: ['spike'], to: 'Ready for Dev' })), 'mobile-skip-spikes');
+    assert.equal(matchedRule(rules, transition({ key: 'MOB-7', issueType: 'Defect', labels: ['Investigation'], to: 'Triaged' })), 'mobile-skip-spikes');
+    // Only in MOB: a spike elsewhere follows the default workflow
+    assert.equal(matchedRule(rules, transition({ key: 'QA-101', labels: ['spike'], to: 'Ready for Dev' })), 'bug-created');
+
+    const explained = rules.explain(transition({ key: 'MOB-7', labels: ['spike'], to: 'Ready for Dev' }));
+    assert.equal(explained.action, 'ignore');
+    assert.deepEqual(explained.evaluations.filter(e => e.matched).map(e => e.rule), ['mobile-skip-spikes', 'bug-created']);
+  });
+
+  it('matches any listed label or component and ignores a transition without a status change', () => {
+    const rules = createRules(writeRules({ rules: [
+      { name: 'a11y', match: { toStatus: 'Blocked', components: ['Accessibility', 'Forms'] }, action: 'ignore' },
+      { name: 'any-blocked', match: { toStatus: 'Blocked' }, action: 'create' }
+    ] }));
+
+    assert.equal(matchedRule(rules, transition({ to: 'Blocked', components: ['Checkout', 'Forms'] })), 'a11y');
+    assert.equal(matchedRule(rules, transition({ to: 'Blocked', components: ['Checkout'] })), 'any-blocked');
+    assert.equal(rules.extractEvent({ issue: { key: 'QA-1' }, changelog: { items: [{ field: 'assignee' }] } }), null);
+  });
+
+  it('refuses to load an invalid rules file and lists every problem', () => {
+    const file = writeRules({ rules: [
+      { name: 'one', match: { toStatus: 'Done' }, action: 'close' },
+      { name: 'one', match: { status: 'Done' }, action: 'resolve' },
+      { name: 'custom', match: { toStatus: 'Done' }, action: 'custom', module: './missing.js' }
+    ] });
+
+    assert.throws(() => createRules(file), error => {
+      assert.match(error.message, /rules\[0\] \(one\): action must be one of create, resolve, reopen, ignore, custom \(got "close"\)/);
+      assert.match(error.message, /rules\[1\] \(one\): duplicate rule name "one"/);
+      assert.match(error.message, /rules\[1\] \(one\): unknown match field "status"/);
+      assert.match(error.message, /rules\[1\] \(one\): match.toStatus is required/);
+      assert.match(error.message, /rules\[2\] \(custom\): module ".\/missing.js" not found/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,733 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Requiring the workflow service creates the module singletons; the OpenAI client
+// refuses to construct without a key even though these tests never call it
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const WorkflowService = require('../services/workflowService').constructor;
+const TestManagementAdapter = require('../services/testManagementAdapter').constructor;
+const ApprovalService = require('../services/approvalService').constructor;
+const { FakeJira, FakeTestRail, FakeZephyrScale, FakeAI, FakeLearning, FakePlaywright, STATUS_PASSED, STATUS_FAILED } = require('./helpers/fakes');
+
+const TESTS = [
+  { id: 9001, case_id: 501, title: 'Keyboard focus order follows the visual order' },
+  { id: 9002, case_id: 502, title: 'Form errors are identified and announced' },
+  { id: 9003, case_id: 503, title: 'Page has a descriptive title' }
+];
+
+const ISSUES = {
+  'QA-101': { summary: 'Focus jumps to the footer', status: 'Ready for Dev', description: 'Tab from First name lands on the footer' },
+  'QA-102': { summary: 'Payment error is not announced', status: 'Ready for Dev' },
+  'QA-99': { summary: 'Error summary announced twice', status: 'Closed' }
+};
+
+function match(testId, confidence = 0.92) {
+  const test = TESTS.find(t => t.id === testId);
+  return { test_id: String(test.id), case_id: String(test.case_id), title: test.title, confidence, reasoning: `Matches "${test.title}"` };
+}
+
+/**
+ * Build a WorkflowService on fakes, with the real adapter routing to the fake TestRail
+ * In dual and shadow mode the fake Zephyr Scale is the secondary system, mapped by case ID ({ C501: 'QA-T1' })
+ * With system 'zephyrscale' the fake Zephyr Scale is the primary system
+ */
+function createWorkflow({ runId = '42', results = [], aiResponses = [], linkedTests = {}, multiMatch = false, approval = false, rollbackService = undefined, system = 'testrail', mode = 'single', zephyrScale = new FakeZephyrScale(), mapping = {} } = {}) {
+  const profileConfig = {
+    ...config,
+    server: { ...config.server, dryRunMode: false },
+    openai: { ...config.openai, enableMultiMatch: multiMatch, confidenceThreshold: 0.7 },
+    testManagement: { system, mode, secondary: system === 'testrail' ? 'zephyrscale' : 'testrail' },
+    testRail: { ...config.testRail, statusPassed: STATUS_PASSED, statusFailed: STATUS_FAILED },
+    approval: { ...config.approval, enabled: approval, dir: fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-')), candidates: 3 }
+  };
+  const jiraService = new FakeJira({ issues: ISSUES, runId });
+  const testRailService = new FakeTestRail({ tests: TESTS, results });
+  const aiService = new FakeAI(aiResponses);
+  const learningService = new FakeLearning(linkedTests);
+  const playwrightService = new FakePlaywright(testRailService);
+  const testMapping = { load() {}, translate: id => mapping[id] || null };
+  const testMgmt = new TestManagementAdapter(profileConfig, { jiraService, testRailService, zephyrScaleService: zephyrScale, testMapping });
+  const approvalService = new ApprovalService(profileConfig);
+  // Ranks the run in its own order, less similar the further down
+  const retrievalService = {
+    outcomes: [],
+    async rank(bugData, tests) {
+      return tests.map((test, i) => ({ test, score: 0.5 - i * 0.1 }));
+    },
+    async recordOutcome(bugKey, testIds, source) {
+      this.outcomes.push({ bugKey, testIds, source });
+    }
+  };
+
+  return {
+    workflow: new WorkflowService(profileConfig, { jiraService, testMgmt, testRailService, aiService, learningService, playwrightService, retrievalService, approvalService, rollbackService }),
+    jira: jiraService,
+    testRail: testRailService,
+    zephyrScale,
+    ai: aiService,
+    learning: learningService,
+    playwright: playwrightService,
+    retrieval: retrievalService,
+    approvals: approvalService
+  };
+}
+
+describe('handleBugCreated', () => {
+  it('fails the matched test and reports it on the bug', async () => {
+    const ctx = createWorkflow({ aiResponses: [match(9001)] });
+
+    const result = await ctx.workflow.handleBugCreated('QA-101');
+
+    assert.equal(result.success, true);
+    assert.equal(result.runKey, '42');
+    assert.deepEqual(ctx.ai.calls[0].bugData, {
+      key: 'QA-101',
+      summary: 'Focus jumps to the footer',
+      description: 'Tab from First name lands on the footer',
+      wcagCategory: null
+    });
+    assert.equal(ctx.testRail.latest(9001).status_id, STATUS_FAILED);
+    assert.equal(ctx.testRail.latest(9001).defects, 'QA-101');
+
+    const comments = ctx.jira.getComments('QA-101');
+    assert.equal(comments.length, 1);
+    assert.match(comments[0], /✅ TestRail Updated/);
+    assert.match(comments[0], /Status: Failed/);
+    assert.match(comments[0], /Run: 42\nTest ID: 9001/);
+    assert.match(comments[0], /AI Confidence: 92\.0%/);
+    assert.deepEqual(ctx.learning.outcomes, [
+      { bugKey: 'QA-101', runId: '42', testId: '9001', outcome: 'failed', workflow: 'bug-created' }
+    ]);
+  });
+
+  it('asks for verification when the match is below the confidence threshold', async () => {
+    const ctx = createWorkflow({ aiResponses: [match(9002, 0.55)] });
+
+    const result = await ctx.workflow.handleBugCreated('QA-101');
+
+    assert.equal(result.success, true);
+    assert.equal(result.results[0].lowConfidence, true);
+    assert.equal(ctx.testRail.latest(9002).defects, 'QA-101');
+
+    const [warning, update] = ctx.jira.getComments('QA-101');
+    assert.match(warning, /Low Confidence: 55\.0%/);
+    assert.match(warning, /CORRECT: <test_id>/);
+    assert.match(update, /✅ TestRail Updated/);
+  });
+
+  it('does not add a result when the bug is already linked to the test', async () => {
+    const ctx = createWorkflow({
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }],
+      aiResponses: [match(9001)]
+    });
+
+    const result = await ctx.workflow.handleBugCreated('QA-101');
+
+    assert.equal(result.results[0].skipped, true);
+    assert.equal(ctx.testRail.results.length, 1);
+    const [comment] = ctx.jira.getComments('QA-101');
+    assert.match(comment, /Status: Already Linked/);
+    assert.match(comment, /Bug was already linked to this test case/);
+  });
+
+  it('fails every test of a multi-match and lists them in one comment', async () => {
+    const ctx = createWorkflow({
+      multiMatch: true,
+      results: [{ test_id: 9002, status_id: STATUS_FAILED, defects: 'QA-101' }],
+      aiResponses: [[match(9001), match(9002, 0.81)]]
+    });
+
+    const result = await ctx.workflow.handleBugCreated('QA-101');
+
+    assert.equal(result.success, true);
+    assert.equal(result.matches.length, 2);
+    assert.equal(ctx.testRail.latest(9001).defects, 'QA-101');
+    assert.equal((await ctx.testRail.getResults(9002)).length, 1);
+
+    const comments = ctx.jira.getComments('QA-101');
+    assert.equal(comments.length, 1);
+    assert.match(comments[0], /Multiple Matches/);
+    assert.match(comments[0], /1\. ✅ Failed - Keyboard focus order/);
+    assert.match(comments[0], /2\. ⚠️ Already Linked - Form errors/);
+    assert.match(comments[0], /Tests Linked: 1 \| Already Linked: 1/);
+  });
+
+  it('explains on the bug when the parent task has no run', async () => {
+    const ctx = createWorkflow({ runId: null, aiResponses: [match(9001)] });
+
+    const result = await ctx.workflow.handleBugCreated('QA-101');
+
+    assert.equal(result.success, false);
+    assert.equal(ctx.ai.calls.length, 0);
+    assert.match(ctx.jira.getComments('QA-101')[0], /❌ Could not find TestRail Run/);
+  });
+
+  it('throws unexpected failures so the job queue retries them', async () => {
+    const ctx = createWorkflow({ aiResponses: [] });
+
+    await assert.rejects(ctx.workflow.handleBugCreated('QA-101'), /FakeAI has no more responses queued/);
+    assert.deepEqual(ctx.jira.getComments('QA-101'), []);
+  });
+});
+
+describe('handleBugResolved', () => {
+  it('passes a test whose only bug was resolved', async () => {
+    const ctx = createWorkflow({
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }]
+    });
+
+    const result = await ctx.workflow.handleBugResolved('QA-101');
+
+    assert.equal(result.success, true);
+    assert.equal(result.runKey, '42');
+    assert.deepEqual(result.testIds, [9001]);
+    assert.equal(ctx.testRail.latest(9001).status_id, STATUS_PASSED);
+    assert.match(ctx.testRail.latest(9001).comment, /Bug resolved: QA-101 - Focus jumps to the footer\. Removed bug QA-101\./);
+    assert.match(ctx.jira.getComments('QA-101')[0], /Test 9001 marked as Passed/);
+    assert.deepEqual(ctx.learning.outcomes, [
+      { bugKey: 'QA-101', runId: '42', testId: 9001, outcome: 'passed', workflow: 'bug-resolved' }
+    ]);
+  });
+
+  it('keeps the test failed while another linked bug is still active', async () => {
+    const ctx = createWorkflow({
+      results: [
+        { test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' },
+        { test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-102' }
+      ]
+    });
+
+    const result = await ctx.workflow.handleBugResolved('QA-101');
+
+    assert.equal(result.results[0].result.status, 'Failed');
+    assert.deepEqual(result.results[0].result.activeBugs, ['QA-102']);
+    assert.equal(ctx.testRail.results.length, 2);
+    const [comment] = ctx.jira.getComments('QA-101');
+    assert.match(comment, /Test 9001 still has active bugs/);
+    assert.match(comment, /- QA-102: Ready for Dev - Payment error is not announced/);
+  });
+
+  it('passes the test when the other linked bugs are closed', async () => {
+    const ctx = createWorkflow({
+      results: [
+        { test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' },
+        { test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-99' }
+      ]
+    });
+
+    await ctx.workflow.handleBugResolved('QA-101');
+
+    assert.equal(ctx.testRail.latest(9001).status_id, STATUS_PASSED);
+    assert.match(ctx.testRail.latest(9001).comment, /No active bugs remain/);
+  });
+
+  it('leaves a test alone when its latest result already passed', async () => {
+    const ctx = createWorkflow({
+      results: [
+        { test_id: 9001, status_id: STATUS_PASSED, defects: '' },
+        { test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }
+      ]
+    });
+
+    const result = await ctx.workflow.handleBugResolved('QA-101');
+
+    assert.equal(result.results[0].result.skipped, true);
+    assert.equal(ctx.testRail.results.length, 2);
+    assert.match(ctx.jira.getComments('QA-101')[0], /Already Passed/);
+  });
+
+  it('summarizes each test when several are linked', async () => {
+    const ctx = createWorkflow({
+      results: [
+        { test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' },
+        { test_id: 9002, status_id: STATUS_FAILED, defects: 'QA-101,QA-102' }
+      ]
+    });
+
+    await ctx.workflow.handleBugResolved('QA-101');
+
+    const [comment] = ctx.jira.getComments('QA-101');
+    assert.match(comment, /• Test 9001: Marked as Passed/);
+    assert.match(comment, /• Test 9002: Still Failed \(1 active bug\(s\)\)/);
+    assert.match(comment, /Passed: 1 \| Still Failed: 1/);
+  });
+
+  it('explains when no test has the bug linked', async () => {
+    const ctx = createWorkflow();
+
+    const result = await ctx.workflow.handleBugResolved('QA-101');
+
+    assert.equal(result.success, false);
+    assert.match(ctx.jira.getComments('QA-101')[0], /Was this bug processed through Bug Created workflow\?/);
+  });
+});
+
+describe('dual and shadow mode', () => {
+  const ZEPHYR_TESTS = [{ key: 'QA-T1', title: TESTS[0].title }, { key: 'QA-T2', title: TESTS[1].title }];
+
+  it('mirrors a resolved bug\'s Passed result to the secondary system in dual mode', async () => {
+    const ctx = createWorkflow({
+      mode: 'dual',
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }],
+      zephyrScale: new FakeZephyrScale({ tests: ZEPHYR_TESTS, executions: [{ testCaseKey: 'QA-T1', status: 'Fail', defects: ['QA-101'] }] }),
+      mapping: { C501: 'QA-T1' }
+    });
+
+    await ctx.workflow.handleBugResolved('QA-101');
+
+    assert.equal(ctx.testRail.latest(9001).status_id, STATUS_PASSED);
+    assert.equal(ctx.zephyrScale.latest('QA-T1').status, 'Pass');
+    assert.deepEqual(ctx.zephyrScale.latest('QA-T1').defects, []);
+    assert.match(ctx.jira.getComments('QA-101')[0], /Test 9001 marked as Passed\.\nTest Management:\n• TestRail \(primary\): Passed - 9001\n• Zephyr Scale \(secondary\): Passed - QA-T1/);
+  });
+
+  it('only reports the secondary Passed result in shadow mode', async () => {
+    const ctx = createWorkflow({
+      mode: 'shadow',
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }],
+      zephyrScale: new FakeZephyrScale({ tests: ZEPHYR_TESTS, executions: [{ testCaseKey: 'QA-T1', status: 'Fail', defects: ['QA-101'] }] }),
+      mapping: { C501: 'QA-T1' }
+    });
+
+    await ctx.workflow.handleBugResolved('QA-101');
+
+    assert.equal(ctx.testRail.latest(9001).status_id, STATUS_PASSED);
+    assert.equal(ctx.zephyrScale.executions.length, 1);
+    assert.match(ctx.jira.getComments('QA-101')[0], /Zephyr Scale \(shadow\): Would mark Passed - QA-T1 \(not written\)/);
+  });
+
+  it('mirrors a corrected match to the secondary system in dual mode', async () => {
+    const ctx = createWorkflow({
+      mode: 'dual',
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }],
+      zephyrScale: new FakeZephyrScale({ tests: ZEPHYR_TESTS }),
+      mapping: { C501: 'QA-T1', C502: 'QA-T2' }
+    });
+
+    await ctx.workflow.handleCorrection('QA-101', 'CORRECT: C502');
+
+    assert.equal(ctx.testRail.latest(9002).defects, 'QA-101');
+    assert.equal(ctx.zephyrScale.latest('QA-T2').status, 'Fail');
+    assert.deepEqual(ctx.zephyrScale.latest('QA-T2').defects, ['QA-101']);
+    assert.match(ctx.jira.getComments('QA-101')[0], /\(C502\) - Linked\n   Test Management:\n   • TestRail \(primary\): Failed - 9002\n   • Zephyr Scale \(secondary\): Failed - QA-T2/);
+  });
+});
+
+describe('Zephyr Scale primary', () => {
+  const ZEPHYR_TESTS = [{ key: 'QA-T1', title: TESTS[0].title }, { key: 'QA-T2', title: TESTS[1].title }];
+
+  it('passes a test case whose only bug was resolved', async () => {
+    const ctx = createWorkflow({
+      system: 'zephyrscale',
+      zephyrScale: new FakeZephyrScale({ tests: ZEPHYR_TESTS, executions: [{ testCaseKey: 'QA-T1', status: 'Fail', defects: ['QA-101'] }] })
+    });
+
+    const result = await ctx.workflow.handleBugResolved('QA-101');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.testIds, ['QA-T1']);
+    assert.equal(ctx.zephyrScale.latest('QA-T1').status, 'Pass');
+    assert.match(ctx.zephyrScale.latest('QA-T1').comment, /Bug resolved: QA-101 - Focus jumps to the footer\. Removed bug QA-101\./);
+    assert.match(ctx.jira.getComments('QA-101')[0], /✅ Zephyr Scale Marked as Passed\n\nTest QA-T1 marked as Passed\./);
+    assert.equal(ctx.testRail.results.length, 0);
+  });
+
+  it('keeps a test case failed while another linked bug is still active', async () => {
+    const ctx = createWorkflow({
+      system: 'zephyrscale',
+      zephyrScale: new FakeZephyrScale({
+        tests: ZEPHYR_TESTS,
+        executions: [
+          { testCaseKey: 'QA-T1', status: 'Fail', defects: ['QA-102'] },
+          { testCaseKey: 'QA-T1', status: 'Fail', defects: ['QA-101'] }
+        ]
+      })
+    });
+
+    const result = await ctx.workflow.handleBugResolved('QA-101');
+
+    assert.deepEqual(result.results[0].result.activeBugs, ['QA-102']);
+    assert.equal(ctx.zephyrScale.executions.length, 2);
+    assert.match(ctx.jira.getComments('QA-101')[0], /Test QA-T1 still has active bugs/);
+  });
+
+  it('moves a correction by test key and unlinks the bug from the wrong test case', async () => {
+    const ctx = createWorkflow({
+      system: 'zephyrscale',
+      zephyrScale: new FakeZephyrScale({ tests: ZEPHYR_TESTS, executions: [{ testCaseKey: 'QA-T1', status: 'Fail', defects: ['QA-101'] }] })
+    });
+
+    const result = await ctx.workflow.handleCorrection('QA-101', 'CORRECT: qa-t2');
+
+    assert.deepEqual(result.correctTests, [{ testId: 'QA-T2', caseId: 'QA-T2', title: 'QA-T2' }]);
+    assert.equal(ctx.zephyrScale.latest('QA-T2').status, 'Fail');
+    assert.deepEqual(ctx.zephyrScale.latest('QA-T2').defects, ['QA-101']);
+    assert.equal(await ctx.zephyrScale.isBugAlreadyLinked('QA-T1', 'QA-101'), false);
+    assert.deepEqual(ctx.playwright.removed, []);
+    assert.match(ctx.jira.getComments('QA-101')[0], /1\. QA-T2 \(QA-T2\) - Linked\n\n✓ Removed from 1 incorrect result\(s\)/);
+  });
+});
+
+describe('handleBugReopened', () => {
+  it('re-fails the tests recorded in learning data', async () => {
+    const ctx = createWorkflow({
+      linkedTests: { 'QA-101': [{ test_id: '9001', case_id: '501', title: TESTS[0].title }] }
+    });
+
+    const result = await ctx.workflow.handleBugReopened('QA-101', 'QA In Progress');
+
+    assert.deepEqual(result, { success: true, testsUpdated: 1, testsSkipped: 0 });
+    assert.equal(ctx.ai.calls.length, 0);
+    assert.equal(ctx.testRail.latest(9001).status_id, STATUS_FAILED);
+    assert.match(ctx.testRail.latest(9001).comment, /Bug QA-101 re-opened/);
+    assert.match(ctx.jira.getComments('QA-101')[0], /1 test case\(s\) marked as Failed:\n• Keyboard focus order/);
+  });
+
+  it('skips recorded tests that still carry the bug', async () => {
+    const ctx = createWorkflow({
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }],
+      linkedTests: { 'QA-101': [{ test_id: '9001', case_id: '501', title: TESTS[0].title }] }
+    });
+
+    const result = await ctx.workflow.handleBugReopened('QA-101', 'QA In Progress');
+
+    assert.equal(result.testsSkipped, 1);
+    assert.equal(ctx.testRail.results.length, 1);
+    assert.match(ctx.jira.getComments('QA-101')[0], /1 test case\(s\) already Failed with this bug/);
+  });
+
+  it('falls back to AI matching when there is no learning data', async () => {
+    const ctx = createWorkflow({ aiResponses: [match(9003, 0.8)] });
+
+    const result = await ctx.workflow.handleBugReopened('QA-101', 'QA In Progress');
+
+    assert.deepEqual(result, { success: true, testsUpdated: 1, testsSkipped: 0, aiMatched: true });
+    assert.equal(ctx.ai.calls[0].testCases.length, TESTS.length);
+    assert.equal(ctx.testRail.latest(9003).defects, 'QA-101');
+    const [comment] = ctx.jira.getComments('QA-101');
+    assert.match(comment, /AI Matched/);
+    assert.match(comment, /Page has a descriptive title \(Test ID: 9003, Confidence: 80\.0%\)/);
+  });
+
+  it('stops when the fallback cannot find the run', async () => {
+    const ctx = createWorkflow({ runId: null });
+
+    const result = await ctx.workflow.handleBugReopened('QA-101', 'QA In Progress');
+
+    assert.equal(result.success, false);
+    assert.equal(ctx.ai.calls.length, 0);
+  });
+});
+
+describe('backend outage', () => {
+  const circuitOpen = () => Object.assign(new Error('Circuit open for testrail.local, retry in 60s'), { code: 'ECIRCUITOPEN', circuitOpen: true });
+
+  it('Bug Resolved throws instead of reporting an error on the bug', async () => {
+    const ctx = createWorkflow({
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }]
+    });
+    ctx.testRail.getResults = async () => { throw circuitOpen(); };
+
+    await assert.rejects(ctx.workflow.handleBugResolved('QA-101'), error => error.circuitOpen === true);
+    assert.deepEqual(ctx.jira.getComments('QA-101'), []);
+    assert.equal(ctx.testRail.results.length, 1);
+  });
+
+  it('Bug Re-opened throws instead of skipping the tests it could not update', async () => {
+    const ctx = createWorkflow({
+      linkedTests: { 'QA-101': [{ test_id: '9001', case_id: '501', title: TESTS[0].title }] }
+    });
+    ctx.testRail.addResult = async () => { throw circuitOpen(); };
+
+    await assert.rejects(ctx.workflow.handleBugReopened('QA-101', 'QA In Progress'), error => error.circuitOpen === true);
+    assert.deepEqual(ctx.jira.getComments('QA-101'), []);
+    assert.deepEqual(ctx.learning.outcomes, []);
+  });
+
+  it('Correction throws when the wrong test cannot be cleaned up', async () => {
+    const ctx = createWorkflow({
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }]
+    });
+    ctx.testRail.getResults = async () => { throw circuitOpen(); };
+
+    await assert.rejects(ctx.workflow.handleCorrection('QA-101', 'CORRECT: C502'), error => error.circuitOpen === true);
+    assert.deepEqual(ctx.jira.getComments('QA-101'), []);
+  });
+});
+
+describe('handleCorrection', () => {
+  it('CORRECT moves the bug to the given test and removes it from the wrong one', async () => {
+    const ctx = createWorkflow({
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }]
+    });
+
+    const result = await ctx.workflow.handleCorrection('QA-101', 'CORRECT: C502');
+
+    assert.equal(result.success, true);
+    assert.equal(result.mode, 'CORRECT');
+    assert.deepEqual(result.correctTests, [{ testId: 9002, caseId: 502, title: TESTS[1].title }]);
+    assert.deepEqual(ctx.playwright.removed, [{ testId: '9001', bugId: 'QA-101', updated: 1 }]);
+    assert.equal(await ctx.testRail.isBugAlreadyLinked(9001, 'QA-101'), false);
+    assert.equal(ctx.testRail.latest(9002).defects, 'QA-101');
+    assert.equal(ctx.learning.corrections[0].correct_test_id, '9002');
+    assert.equal(ctx.learning.corrections[0].run_id, '42');
+    assert.deepEqual(ctx.learning.outcomes.map(o => [o.testId, o.outcome]), [['9001', 'removed'], [9002, 'failed']]);
+
+    const [comment] = ctx.jira.getComments('QA-101');
+    assert.match(comment, /Correction Applied \(CORRECT Mode\)/);
+    assert.match(comment, /1\. Form errors are identified and announced \(C502\) - Linked/);
+    assert.match(comment, /Removed from 1 incorrect result\(s\)/);
+  });
+
+  it('ADD links another test and keeps the existing one', async () => {
+    const ctx = createWorkflow({
+      results: [{ test_id: 9001, status_id: STATUS_FAILED, defects: 'QA-101' }]
+    });
+
+    const result = await ctx.workflow.handleCorrection('QA-101', 'ADD: C502, C503');
+
+    assert.equal(result.mode, 'ADD');
+    assert.equal(result.correctTests.length, 2);
+    assert.equal(ctx.playwright.removed.length, 0);
+    assert.equal(await ctx.testRail.isBugAlreadyLinked(9001, 'QA-101'), true);
+    assert.equal(ctx.testRail.latest(9003).defects, 'QA-101');
+    assert.doesNotMatch(ctx.jira.getComments('QA-101')[0], /Removed from/);
+  });
+
+  it('does not re-link a test that already has the bug', async () => {
+    const ctx = createWorkflow({
+      results: [{ test_id: 9002, status_id: STATUS_FAILED, defects: 'QA-101' }]
+    });
+
+    await ctx.workflow.handleCorrection('QA-101', 'CORRECT: C502');
+
+    assert.equal(ctx.testRail.results.length, 1);
+    assert.equal(ctx.playwright.removed.length, 0);
+    assert.match(ctx.jira.getComments('QA-101')[0], /\(C502\) - Already linked/);
+  });
+
+  it('rejects comments without a case ID', async () => {
+    const ctx = createWorkflow();
+
+    assert.match((await ctx.workflow.handleCorrection('QA-101', 'CORRECT C502')).error, /Invalid correction format/);
+    assert.match((await ctx.workflow.handleCorrection('QA-101', 'CORRECT: ')).error, /No valid case IDs found/);
+    assert.equal(ctx.jira.getComments('QA-101').length, 0);
+  });
+
+  it('rejects case IDs that are not in the run', async () => {
+    const ctx = createWorkflow();
+
+    const result = await ctx.workflow.handleCorrection('QA-101', 'CORRECT: C999');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /None of the specified test cases found in run 42/);
+  });
+});
+
+describe('Approval mode', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  it('holds a low-confidence match instead of writing it and lists ranked candidates', async () => {
+    const ctx = createWorkflow({ approval: true, aiResponses: [match(9002, 0.55)] });
+
+    const result = await ctx.workflow.handleBugCreated('QA-101');
+
+    assert.equal(result.success, true);
+    assert.equal(result.results.length, 0);
+    assert.equal(ctx.testRail.results.length, 0);
+
+    const approval = ctx.approvals.get(result.pendingApproval);
+    assert.equal(approval.status, 'pending');
+    assert.deepEqual(approval.candidates.map(c => [c.rank, c.test_id, c.source]), [[1, '9002', 'ai'], [2, '9001', 'retrieval'], [3, '9003', 'retrieval']]);
+    assert.deepEqual(ctx.learning.outcomes.map(o => o.outcome), ['held']);
+
+    const [comment] = ctx.jira.getComments('QA-101');
+    assert.match(comment, /Review Needed - TestRail Not Updated/);
+    assert.match(comment, /1\. Form errors are identified and announced\n   Test ID: 9002 \| Confidence: 55\.0%/);
+    assert.match(comment, /2\. Keyboard focus order follows the visual order\n   Test ID: 9001 \| Similarity: 0\.50/);
+    assert.match(comment, /Reply APPROVE <number>/);
+  });
+
+  it('writes confident matches of a multi-match and holds the rest', async () => {
+    const ctx = createWorkflow({ approval: true, multiMatch: true, aiResponses: [[match(9001), match(9002, 0.6)]] });
+
+    const result = await ctx.workflow.handleBugCreated('QA-101');
+
+    assert.deepEqual(result.matches.map(m => m.test_id), ['9001']);
+    assert.equal(ctx.testRail.latest(9001).defects, 'QA-101');
+    assert.equal(ctx.testRail.latest(9002), undefined);
+    assert.ok(result.pendingApproval);
+
+    const [review, update] = ctx.jira.getComments('QA-101');
+    assert.match(review, /1\. Form errors/);
+    assert.match(update, /✅ TestRail Updated/);
+  });
+
+  it('reuses the open approval when a Bug Created job is retried', async () => {
+    const ctx = createWorkflow({ approval: true, multiMatch: true, aiResponses: [[match(9001), match(9002, 0.6)], [match(9001), match(9002, 0.6)]] });
+    const first = await ctx.workflow.handleBugCreated('QA-101');
+
+    const retried = await ctx.workflow.handleBugCreated('QA-101');
+
+    assert.equal(retried.pendingApproval, first.pendingApproval);
+    assert.equal(ctx.approvals.list({ issueKey: 'QA-101' }).length, 1);
+    assert.equal(ctx.jira.getComments('QA-101').filter(comment => /Review Needed/.test(comment)).length, 1);
+    assert.deepEqual(ctx.learning.outcomes.map(o => o.outcome), ['failed', 'held', 'already-linked']);
+  });
+
+  it('writes the candidate a reviewer approves and learns from a non-AI pick', async () => {
+    const ctx = createWorkflow({ approval: true, aiResponses: [match(9002, 0.55)] });
+    await ctx.workflow.handleBugCreated('QA-101');
+
+    const decision = ctx.workflow.parseApprovalCommand('APPROVE 2\nThe focus test is the right one');
+    const result = await ctx.workflow.handleApproval('QA-101', decision, 'Rita Reviewer');
+
+    assert.equal(result.success, true);
+    assert.equal(ctx.testRail.latest(9001).status_id, STATUS_FAILED);
+    assert.equal(ctx.testRail.latest(9001).defects, 'QA-101');
+    assert.match(ctx.testRail.latest(9001).comment, /approved by Rita Reviewer/);
+    assert.equal(ctx.testRail.latest(9002), undefined);
+    assert.equal(ctx.learning.corrections[0].correct_test_id, '9001');
+    assert.deepEqual(ctx.retrieval.outcomes, [{ bugKey: 'QA-101', testIds: ['9001'], source: 'correction' }]);
+    assert.deepEqual(ctx.learning.outcomes.map(o => [o.outcome, o.workflow]), [['held', 'bug-created'], ['failed', 'approval']]);
+    assert.match(ctx.jira.getComments('QA-101')[1], /Match Approved by Rita Reviewer\n\n2\. ✅ Failed - Keyboard focus order/);
+    assert.deepEqual(ctx.learning.matches, []);
+
+    const again = await ctx.workflow.handleApproval('QA-101', decision, 'Rita Reviewer');
+    assert.equal(again.success, false);
+    assert.match(ctx.jira.getComments('QA-101')[2], /No match is waiting for approval on QA-101/);
+  });
+
+  it('puts the approval back to pending when the write fails, so it can be approved again', async () => {
+    const ctx = createWorkflow({ approval: true, aiResponses: [match(9002, 0.55)] });
+    const { pendingApproval } = await ctx.workflow.handleBugCreated('QA-101');
+    const addResult = ctx.testRail.addResult.bind(ctx.testRail);
+    ctx.testRail.addResult = async () => { throw new Error('TestRail returned 500'); };
+
+    const decision = ctx.workflow.parseApprovalCommand('APPROVE 1');
+    await assert.rejects(ctx.workflow.handleApproval('QA-101', decision, 'Rita Reviewer'), /TestRail returned 500/);
+    const approval = ctx.approvals.get(pendingApproval);
+    assert.equal(approval.status, 'pending');
+    assert.equal(approval.lastError, 'TestRail returned 500');
+    assert.equal(ctx.approvals.getPending('QA-101').id, pendingApproval);
+
+    ctx.testRail.addResult = addResult;
+    const result = await ctx.workflow.handleApproval('QA-101', decision, 'Rita Reviewer');
+    assert.equal(result.success, true);
+    assert.equal(ctx.approvals.get(pendingApproval).status, 'approved');
+    assert.equal(ctx.testRail.latest(9002).defects, 'QA-101');
+    // The approved AI match is learned from once, after it was written
+    assert.deepEqual(ctx.learning.matches.map(m => [m.match.test_id, m.match.confidence]), [['9002', 0.55]]);
+  });
+
+  it('writes nothing on REJECT or an unknown candidate number', async () => {
+    const ctx = createWorkflow({ approval: true, aiResponses: [match(9002, 0.55)] });
+    const { pendingApproval } = await ctx.workflow.handleBugCreated('QA-101');
+
+    const invalid = await ctx.workflow.handleApproval('QA-101', ctx.workflow.parseApprovalCommand('approve 7'));
+    assert.match(invalid.error, /Choose a candidate between 1 and 3 \(got 7\)/);
+    assert.equal(ctx.approvals.get(pendingApproval).status, 'pending');
+
+    await ctx.workflow.handleApproval('QA-101', ctx.workflow.parseApprovalCommand('REJECT'));
+    assert.equal(ctx.approvals.get(pendingApproval).status, 'rejected');
+    assert.equal(ctx.testRail.results.length, 0);
+    assert.match(ctx.jira.getComments('QA-101').at(-1), /Match Rejected/);
+  });
+
+  it('only reads commands at the start of a comment', () => {
+    const { workflow } = createWorkflow();
+
+    assert.deepEqual(workflow.parseApprovalCommand('APPROVE'), { action: 'approve', ranks: [1] });
+    assert.deepEqual(workflow.parseApprovalCommand('  Approve 1, 3, 3'), { action: 'approve', ranks: [1, 3] });
+    assert.equal(workflow.parseApprovalCommand('⏸️ Review Needed\nReply APPROVE <number>'), null);
+    assert.equal(workflow.parseApprovalCommand('APPROVED by QA'), null);
+  });
+
+  it('reminds once, then expires the approval without writing', async () => {
+    const ctx = createWorkflow({ approval: true, aiResponses: [match(9002, 0.55)] });
+    const { pendingApproval } = await ctx.workflow.handleBugCreated('QA-101');
+    const createdAt = Date.parse(ctx.approvals.get(pendingApproval).createdAt);
+
+    assert.deepEqual(await ctx.workflow.processApprovalTimeouts(createdAt + HOUR_MS), { reminded: 0, expired: 0 });
+    assert.deepEqual(await ctx.workflow.processApprovalTimeouts(createdAt + 25 * HOUR_MS), { reminded: 1, expired: 0 });
+    assert.deepEqual(await ctx.workflow.processApprovalTimeouts(createdAt + 26 * HOUR_MS), { reminded: 0, expired: 0 });
+    assert.match(ctx.jira.getComments('QA-101')[1], /Reminder: Review Needed/);
+
+    assert.deepEqual(await ctx.workflow.processApprovalTimeouts(createdAt + 72 * HOUR_MS), { reminded: 0, expired: 1 });
+    assert.equal(ctx.approvals.get(pendingApproval).status, 'expired');
+    assert.match(ctx.jira.getComments('QA-101')[2], /Approval Expired\n\nNo reviewer decided within 72 hours/);
+    assert.equal(ctx.testRail.results.length, 0);
+  });
+
+  it('does not re-fail held matches nobody approved when the bug is re-opened', async () => {
+    const ctx = createWorkflow({
+      approval: true,
+      aiResponses: [match(9002, 0.55)],
+      linkedTests: { 'QA-101': [{ test_id: '9002', case_id: '502', title: TESTS[1].title }, { test_id: '9003', case_id: '503', title: TESTS[2].title }] }
+    });
+    await ctx.workflow.handleBugCreated('QA-101');
+    await ctx.workflow.handleApproval('QA-101', { action: 'reject', ranks: [] });
+
+    const result = await ctx.workflow.handleBugReopened('QA-101', 'Queued merge to Release');
+
+    assert.equal(result.testsUpdated, 1);
+    assert.equal(ctx.testRail.latest(9003).defects, 'QA-101');
+    assert.equal(ctx.testRail.latest(9002), undefined);
+  });
+});
+
+describe('Rollback', () => {
+  /**
+   * Rollback stand-in returning a fixed plan
+   * @param {Array} steps - Planned steps
+   * @returns {Object} Rollback service
+   */
+  function fakeRollback(steps) {
+    return {
+      calls: [],
+      async rollback(issueKey, { dryRun }) {
+        this.calls.push({ issueKey, dryRun });
+        return {
+          issueKey,
+          auditEnabled: true,
+          dryRun,
+          steps: steps.map(step => ({ system: 'testrail', ...step, ...(dryRun ? {} : { outcome: step.outcome || 'reverted' }) })),
+          learning: { matches: 1, corrections: 0 }
+        };
+      }
+    };
+  }
+
+  it('only reads UNDO at the start of a comment', () => {
+    const { workflow } = createWorkflow();
+
+    assert.deepEqual(workflow.parseUndoCommand('UNDO'), { preview: false });
+    assert.deepEqual(workflow.parseUndoCommand('undo preview'), { preview: true });
+    assert.equal(workflow.parseUndoCommand('🔍 Rollback Preview\nReply UNDO to apply this plan.'), null);
+    assert.equal(workflow.parseUndoCommand('UNDONE'), null);
+  });
+
+  it('posts the plan on UNDO PREVIEW and the outcome of each step on UNDO', async () => {
+    const rollbackService = fakeRollback([
+      { action: 'restore-result', description: 'Add a Passed result to test 9001', skipped: null },
+      { action: 'restore-result', description: 'Add a Retest result to test 9002', skipped: 'Test 9002 has a newer result', outcome: 'skipped' }
+    ]);
+    const ctx = createWorkflow({ rollbackService });
+
+    await ctx.workflow.handleRollback('QA-101', true);
+    const preview = ctx.jira.getComments('QA-101')[0];
+    assert.match(preview, /^🔍 Rollback Preview/);
+    assert.match(preview, /TestRail:\n1\. Add a Passed result to test 9001\n2\. Add a Retest result to test 9002 - will be skipped: Test 9002 has a newer result/);
+    assert.match(preview, /Learning: delete 1 match\(es\)/);
+
+    const result = await ctx.workflow.handleRollback('QA-101');
+    assert.equal(result.success, true);
+    assert.deepEqual(rollbackService.calls.map(c => c.dryRun), [true, false]);
+    assert.match(ctx.jira.getComments('QA-101')[1], /^↩️ Rollback Complete\n\nTestRail:\n1\. ✅ Add a Passed result to test 9001\n2\. ⏭️ Add a Retest/);
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AxiosError } = require('axios');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const config = require('../config');
+const XrayService = require('../services/xrayService').constructor;
+const { FakeAudit } = require('./helpers/fakes');
+
+const EXECUTION = { key: 'QA-200', id: '20200' };
+const BUG = { key: 'QA-101', id: '10101' };
+
+/**
+ * Cache stand-in: entries kept in memory
+ */
+class MemoryCache {
+  static getTestsCacheKey(executionKey) {
+    return `tests_run_${executionKey}`;
+  }
+
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, value);
+  }
+}
+
+/**
+ * Build the GraphQL tests of the execution: QA-T1 ... QA-T<count>
+ * @param {number} count - Number of tests
+ * @returns {Array} GraphQL test objects
+ */
+function buildTests(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    issueId: String(30000 + i),
+    jira: {
+      key: `QA-T${i + 1}`,
+      summary: `Test ${i + 1}`,
+      description: { type: 'doc', content: [
+        { type: 'paragraph', content: [{ type: 'text', text: `Checks thing ${i + 1}` }] },
+        { type: 'bulletList', content: [{ type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Tab order' }, { type: 'text', text: 'matches the layout' }] }] }] }
+      ] },
+      labels: ['a11y'],
+      components: [{ name: 'Checkout' }]
+    },
+    testType: { name: 'Manual' },
+    steps: [{ action: 'Press Tab', data: 'Checkout page', result: 'Focus moves to First name' }],
+    preconditions: { results: [{ definition: 'Cart contains one item', jira: { key: 'QA-P1' } }] }
+  }));
+}
+
+/**
+ * Create an Xray Cloud service answering from a fake Xray Cloud API and JIRA site
+ * @param {Object} options - { tests, run, expireToken }
+ *   run: the test run getTestRun returns; expireToken: reject the first token once with 401
+ * @returns {Object} { xray, calls, imports, audit }
+ */
+function createXray({ tests = buildTests(3), run = null, expireToken = false } = {}) {
+  const profileConfig = {
+    ...config,
+    server: { ...config.server, dryRunMode: false },
+    xray: {
+      ...config.xray,
+      deployment: 'cloud',
+      baseUrl: 'http://jira.local',
+      cloudBaseUrl: 'http://xray.local',
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      statusPass: 'PASSED',
+      statusFail: 'FAILED'
+    }
+  };
+  const audit = new FakeAudit();
+  const xray = new XrayService(profileConfig, new MemoryCache(), audit);
+  const calls = [];
+  const imports = [];
+  let tokens = 0;
+
+  const reply = (requestConfig, status, data) => {
+    const response = { data, status, statusText: String(status), headers: {}, config: requestConfig };
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_REQUEST, requestConfig, null, response);
+    }
+    return response;
+  };
+
+  xray.http.defaults.adapter = async (requestConfig) => {
+    const url = new URL(requestConfig.url);
+    const body = requestConfig.data ? JSON.parse(requestConfig.data) : null;
+    const operation = body?.query?.match(/^query (\w+)/)?.[1];
+    calls.push([requestConfig.method.toUpperCase(), `${url.host}${url.pathname}`, operation || null]);
+
+    if (url.host === 'xray.local') {
+      if (url.pathname === '/api/v2/authenticate') {
+        assert.deepEqual(body, { client_id: 'client-id', client_secret: 'client-secret' });
+        return reply(requestConfig, 200, `"token-${++tokens}"`);
+      }
+      const authorization = requestConfig.headers.Authorization || requestConfig.headers.get?.('Authorization');
+      if (expireToken && authorization === 'Bearer token-1') {
+        return reply(requestConfig, 401, { error: 'Expired token' });
+      }
+      assert.match(authorization, /^Bearer token-\d$/);
+
+      if (url.pathname === '/api/v2/import/execution') {
+        imports.push(body);
+        return reply(requestConfig, 200, { id: EXECUTION.id, key: EXECUTION.key });
+      }
+      if (operation === 'XrayExecutionTests') {
+        const { start, limit, jql } = body.variables;
+        assert.equal(jql, `key = "${EXECUTION.key}"`);
+        return reply(requestConfig, 200, { data: { getTestExecutions: { results: [{
+          issueId: EXECUTION.id,
+          tests: { total: tests.length, results: tests.slice(start, start + limit) }
+        }] } } });
+      }
+      if (operation === 'XrayTestRun') {
+        assert.deepEqual(body.variables, { testIssueId: '30000', testExecIssueId: EXECUTION.id });
+        return reply(requestConfig, 200, { data: { getTestRun: run } });
+      }
+      return reply(requestConfig, 200, { errors: [{ message: `Unknown query ${operation}` }] });
+    }
+
+    // JIRA: defect IDs are looked up by search, links created as on Server
+    if (url.pathname === '/rest/api/3/search') {
+      return reply(requestConfig, 200, { issues: [{ id: BUG.id, key: BUG.key }] });
+    }
+    if (url.pathname === '/rest/api/3/issueLink') {
+      return reply(requestConfig, 201, {});
+    }
+    return reply(requestConfig, 404, { errorMessages: ['Issue does not exist'] });
+  };
+
+  return { xray, calls, imports, audit };
+}
+
+describe('XrayService (cloud)', () => {
+  it('reads the tests of an execution with their steps and preconditions through paged GraphQL', async () => {
+    const { xray, calls } = createXray({ tests: buildTests(150) });
+
+    const tests = await xray.getTestsWithDetails(EXECUTION.key);
+    assert.equal(tests.length, 150);
+    assert.deepEqual(tests[0], {
+      test_id: 'QA-T1',
+      case_id: 'QA-T1',
+      key: 'QA-T1',
+      title: 'Test 1',
+      description: 'Checks thing 1 Tab order matches the layout',
+      test_type: 'Manual',
+      steps: [{ action: 'Press Tab', data: 'Checkout page', expected: 'Focus moves to First name' }],
+      preconditions: 'Cart contains one item',
+      labels: ['a11y'],
+      components: ['Checkout']
+    });
+    assert.deepEqual(calls, [
+      ['POST', 'xray.local/api/v2/authenticate', null],
+      ['POST', 'xray.local/api/v2/graphql', 'XrayExecutionTests'],
+      ['POST', 'xray.local/api/v2/graphql', 'XrayExecutionTests']
+    ]);
+
+    const plain = await xray.getTests(EXECUTION.key);
+    assert.deepEqual(plain.map(test => [test.key, test.title]).slice(0, 2), [['QA-T1', 'Test 1'], ['QA-T2', 'Test 2']]);
+    assert.equal(calls.filter(([, target]) => target.endsWith('/authenticate')).length, 1);
+  });
+
+  it('maps the test run status and its defect IDs to issue keys', async () => {
+    const run = { id: 'run-1', status: { name: 'FAILED' }, comment: 'Focus is lost', defects: [BUG.id], startedOn: null, finishedOn: '2026-01-05T10:00:00Z' };
+    const { xray } = createXray({ run });
+
+    await xray.getTests(EXECUTION.key); // Remembers the issue IDs
+    assert.deepEqual(await xray.getTestRuns('QA-T1', EXECUTION.key), [
+      { id: 'run-1', status: 'FAILED', comment: 'Focus is lost', defects: [BUG.key], startedOn: null, finishedOn: '2026-01-05T10:00:00Z' }
+    ]);
+
+    const empty = createXray({ run: null });
+    await empty.xray.getTests(EXECUTION.key);
+    assert.deepEqual(await empty.xray.getTestRuns('QA-T1', EXECUTION.key), []);
+  });
+
+  it('records results and defects with the REST import and links the bug to the test', async () => {
+    const { xray, calls, imports, audit } = createXray({ expireToken: true });
+
+    await xray.markAsFailed('QA-T1', EXECUTION.key, 'Bug QA-101 found', [BUG.key]);
+    assert.deepEqual(imports, [{
+      testExecutionKey: EXECUTION.key,
+      tests: [{ testKey: 'QA-T1', status: 'FAILED', comment: 'Bug QA-101 found', defects: [BUG.key] }]
+    }]);
+    assert.deepEqual(calls.map(([method, target]) => `${method} ${target}`), [
+      'POST xray.local/api/v2/authenticate',
+      'POST xray.local/api/v2/import/execution',
+      'POST xray.local/api/v2/authenticate',
+      'POST xray.local/api/v2/import/execution',
+      'POST jira.local/rest/api/3/issueLink'
+    ]);
+    assert.deepEqual(audit.entries.map(entry => [entry.system, entry.operation, entry.success]), [
+      ['xray', 'import-execution', true],
+      ['xray', 'link-issue', true]
+    ]);
+  });
+
+  it('reports GraphQL errors and missing credentials', async () => {
+    const { xray } = createXray();
+    await assert.rejects(xray.graphql('query XrayUnknown { nothing }'), /Xray GraphQL error: Unknown query XrayUnknown/);
+
+    xray.config = { ...xray.config, xray: { ...xray.config.xray, clientSecret: undefined } };
+    xray.cloudToken = null;
+    await assert.rejects(xray.getTestsWithDetails(EXECUTION.key), /XRAY_CLIENT_ID and XRAY_CLIENT_SECRET are required/);
+  });
+});
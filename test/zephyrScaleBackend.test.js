@@ -0,0 +1,317 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const backends = require('../services/backends');
+const ZephyrScaleService = require('../services/zephyrScaleService').constructor;
+const TestManagementAdapter = require('../services/testManagementAdapter').constructor;
+const { loadHttpFixtures } = require('./helpers/httpFixtures');
+const { FakeAudit, FakeTestRail, STATUS_FAILED } = require('./helpers/fakes');
+
+const ISSUE_IDS = { 'QA-101': '10042', 'QA-102': '10043' };
+
+class FakeCache {
+  static getTestsCacheKey(runId) {
+    return `tests-run-${runId}`;
+  }
+
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, value);
+  }
+}
+
+/**
+ * JIRA stand-in: the bug's parent task is QA-1, which names the cycle in a comment
+ */
+function createFakeJira({ cycleField = null, comment = 'Test Cycle: QA-R1' } = {}) {
+  return {
+    async getIssue(keyOrId) {
+      const key = Object.keys(ISSUE_IDS).find(k => ISSUE_IDS[k] === keyOrId) || keyOrId;
+      return { id: ISSUE_IDS[key] || '99999', key, fields: { customfield_20000: cycleField } };
+    },
+    async getParentIssue() {
+      return { key: 'QA-1' };
+    },
+    async findInComments(issueKey, patterns) {
+      for (const pattern of patterns) {
+        const match = comment.match(pattern);
+        if (match) return match[1];
+      }
+      return null;
+    },
+    extractTextFromComment(body) {
+      return typeof body === 'string' ? body : body.content.map(p => p.content.map(t => t.text).join('')).join('\n');
+    }
+  };
+}
+
+function createBackend({ dryRunMode = false, jira = createFakeJira(), zephyrScale = {}, audit = new FakeAudit() } = {}) {
+  const profileConfig = {
+    ...config,
+    server: { ...config.server, dryRunMode },
+    testManagement: { system: 'zephyrscale', mode: 'single' },
+    zephyrScale: { ...config.zephyrScale, apiToken: 'test-token', rateLimitMs: 0, ...zephyrScale }
+  };
+  const zephyrScaleService = new ZephyrScaleService(profileConfig, new FakeCache(), jira, audit);
+  const fixtures = loadHttpFixtures('zephyr-scale/cycle-QA-R1.json');
+  zephyrScaleService.http.defaults.adapter = fixtures.adapter;
+
+  return {
+    profileConfig,
+    zephyrScaleService,
+    audit,
+    calls: fixtures.calls,
+    backend: backends.create('zephyrscale', profileConfig, { zephyrScaleService })
+  };
+}
+
+describe('backend registry', () => {
+  it('registers the built-in backends', () => {
+    assert.deepEqual(backends.getNames(), ['testrail', 'xray', 'zephyrscale']);
+  });
+
+  it('rejects unknown systems with the registered names', () => {
+    assert.throws(() => backends.create('qtest', config), /Use one of: testrail, xray, zephyrscale/);
+  });
+
+  it('rejects backends that do not implement the contract', () => {
+    backends.register('broken', () => ({ displayName: 'Broken', findRun: async () => null }));
+    assert.throws(() => backends.create('broken', config), /missing: getTests, getTestsWithDetails/);
+    backends.factories.delete('broken');
+  });
+});
+
+describe('Zephyr Scale backend', () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createBackend();
+  });
+
+  it('uses Zephyr Scale terminology', () => {
+    assert.equal(ctx.backend.displayName, 'Zephyr Scale');
+    assert.equal(ctx.backend.runLabel, 'Test Cycle');
+    assert.equal(ctx.backend.testLabel, 'Test Case Key');
+  });
+
+  it('finds the test cycle in the parent task comments', async () => {
+    assert.equal(await ctx.backend.findRun('QA-101'), 'QA-R1');
+  });
+
+  it('prefers the test cycle custom field on the parent task', async () => {
+    const { backend } = createBackend({
+      jira: createFakeJira({ cycleField: ' qa-r7 ', comment: 'Test Cycle: QA-R1' }),
+      zephyrScale: { cycleKeyField: 'customfield_20000' }
+    });
+    assert.equal(await backend.findRun('QA-101'), 'QA-R7');
+  });
+
+  it('lists each test case in the cycle once, following pagination', async () => {
+    const tests = await ctx.backend.getTests('QA-R1');
+    assert.deepEqual(tests.map(t => t.key), ['QA-T1', 'QA-T2']);
+    assert.deepEqual(ctx.calls.filter(c => c.path === '/testexecutions').map(c => c.query.startAt), ['0', '2']);
+  });
+
+  it('returns test details in the shape used for AI matching', async () => {
+    const tests = await ctx.backend.getTestsWithDetails('QA-R1');
+
+    assert.equal(tests.length, 2);
+    assert.deepEqual(tests[0], {
+      test_id: 'QA-T1',
+      case_id: 'QA-T1',
+      key: 'QA-T1',
+      title: 'Keyboard focus order follows the visual order in checkout',
+      description: 'Verify that Tab moves focus through the checkout form in visual order.\nWCAG 2.4.3 Focus Order',
+      preconditions: 'Cart contains one item and the user is on Checkout',
+      steps: [
+        { action: 'Press Tab from the page heading', data: '', expected: 'Focus moves to First name' },
+        { action: 'Keep pressing Tab', data: '', expected: 'Focus reaches Pay now last' }
+      ],
+      labels: ['accessibility', 'keyboard'],
+      priority: 'High'
+    });
+    assert.equal(tests[1].preconditions, '');
+  });
+
+  it('serves repeated detail requests from the cache', async () => {
+    await ctx.backend.getTestsWithDetails('QA-R1');
+    const callCount = ctx.calls.length;
+
+    await ctx.backend.getTestsWithDetails('QA-R1');
+    assert.equal(ctx.calls.length, callCount);
+  });
+
+  it('returns result history newest first with status names and defects', async () => {
+    const results = await ctx.backend.getResults('QA-T1');
+
+    assert.deepEqual(results.map(r => [r.key, r.status]), [['QA-E1', 'Fail'], ['QA-E0', 'Pass']]);
+    assert.deepEqual(results[0].defects, ['QA-101']);
+    assert.deepEqual(results[1].defects, []);
+    assert.deepEqual(ctx.backend.summarizeResult(results[0]), { status: 'Failed', defects: ['QA-101'] });
+  });
+
+  it('reports each test case\'s latest status with the bugs on all its executions', async () => {
+    const states = await ctx.backend.getTestStates('QA-R1');
+
+    assert.deepEqual(states, [
+      { testId: 'QA-T1', title: null, status: 'Failed', defects: ['QA-101'] },
+      { testId: 'QA-T2', title: null, status: 'Passed', defects: [] }
+    ]);
+  });
+
+  it('records a failed execution and links the bug by issue ID', async () => {
+    const result = await ctx.backend.recordResult('QA-T2', 'QA-R1', 'Failed', 'Bug filed: QA-102 - Error not announced', ['QA-102']);
+
+    assert.deepEqual(result, { id: 1003, test_key: 'QA-T2', status: 'Fail', defects: ['QA-102'] });
+    assert.deepEqual(ctx.calls.map(c => `${c.method} ${c.path}`), [
+      'POST /testexecutions',
+      'POST /testexecutions/1003/links/issues'
+    ]);
+  });
+
+  it('audits the execution and its bug link', async () => {
+    await ctx.backend.recordResult('QA-T2', 'QA-R1', 'Failed', 'Bug filed: QA-102 - Error not announced', ['QA-102']);
+
+    assert.deepEqual(ctx.audit.entries.map(e => [e.system, e.operation, e.target, e.issueKey]), [
+      ['zephyrscale', 'add-execution', 'test case QA-T2 in QA-R1', undefined],
+      ['zephyrscale', 'link-issue', 'execution 1003', 'QA-102']
+    ]);
+    assert.equal(ctx.audit.entries[0].request.statusName, 'Fail');
+    assert.deepEqual(ctx.audit.entries[0].after, { execution: 1003, status: 'Fail' });
+  });
+
+  it('does not call the API in dry-run mode', async () => {
+    const { backend, calls } = createBackend({ dryRunMode: true });
+    const result = await backend.recordResult('QA-T2', 'QA-R1', 'Failed', 'comment', ['QA-102']);
+
+    assert.equal(result.dry_run, true);
+    assert.equal(calls.length, 0);
+  });
+
+  it('detects a bug already linked to an execution of the test case', async () => {
+    assert.equal(await ctx.backend.isBugAlreadyLinked('QA-T1', 'QA-101'), true);
+    assert.equal(await ctx.backend.isBugAlreadyLinked('QA-T2', 'QA-101'), false);
+  });
+
+  it('finds the tests in a cycle that a bug is linked to', async () => {
+    assert.deepEqual(await ctx.backend.findTestsWithBug('QA-R1', 'QA-101'), ['QA-T1']);
+    assert.deepEqual(await ctx.backend.findTestsWithBug('QA-R1', 'QA-102'), []);
+  });
+
+  it('unlinks a bug from a test case', async () => {
+    assert.deepEqual(await ctx.backend.unlinkIssue('QA-T1', 'QA-101'), { success: true });
+    assert.equal(ctx.calls.at(-1).method, 'DELETE');
+    assert.equal(ctx.calls.at(-1).path, '/links/7100');
+  });
+
+  it('surfaces API errors', async () => {
+    await assert.rejects(ctx.backend.getTestDetails('QA-T9'), /status code 404/);
+  });
+
+  it('maps tests by test case key for dual-write mode', async () => {
+    assert.equal(await ctx.backend.getMappingKey('QA-T2'), 'QA-T2');
+    assert.equal(await ctx.backend.findTestByMappingKey('QA-R1', 'QA-T2'), 'QA-T2');
+    assert.equal(await ctx.backend.findTestByMappingKey('QA-R1', 'QA-T5'), null);
+  });
+});
+
+describe('adapter with the Zephyr Scale backend', () => {
+  it('routes calls and labels through the backend', async () => {
+    const { profileConfig, zephyrScaleService } = createBackend();
+    const adapter = new TestManagementAdapter(profileConfig, { zephyrScaleService });
+
+    assert.equal(adapter.getSystemName(), 'Zephyr Scale');
+    assert.equal(adapter.getIdentifierLabel(), 'Test Cycle');
+    assert.equal(adapter.getTestIdentifierLabel(), 'Test Case Key');
+    assert.equal(await adapter.findRunOrExecutionKey('QA-101'), 'QA-R1');
+
+    const result = await adapter.markAsFailed('QA-T2', 'QA-R1', 'Bug filed: QA-102 - Error not announced', 'QA-102');
+    assert.equal(result.status, 'Fail');
+  });
+});
+
+describe('adapter in dual and shadow mode', () => {
+  /**
+   * TestRail primary with a Zephyr Scale secondary replaying the recorded cycle
+   * C1001 maps to QA-T2 (recorded), C1002 to QA-T1 (not recorded: its write fails), C1003 is unmapped
+   */
+  function createDualAdapter(mode, { comment } = {}) {
+    const jira = { ...createFakeJira({ comment }), findRunId: async () => '42' };
+    const { profileConfig, zephyrScaleService, calls } = createBackend({ jira });
+    const testRailService = new FakeTestRail({
+      tests: [{ id: 501, case_id: 1001 }, { id: 502, case_id: 1002 }, { id: 503, case_id: 1003 }]
+    });
+    const testMapping = {
+      load() {},
+      translate: id => ({ C1001: 'QA-T2', C1002: 'QA-T1' })[id] || null
+    };
+    const adapter = new TestManagementAdapter(
+      { ...profileConfig, testManagement: { system: 'testrail', mode, secondary: 'zephyrscale' } },
+      { jiraService: jira, testRailService, zephyrScaleService, testMapping }
+    );
+    return { adapter, testRailService, calls };
+  }
+
+  const writes = calls => calls.filter(c => c.method !== 'GET').map(c => `${c.method} ${c.path}`);
+
+  it('writes the result to both systems in dual mode', async () => {
+    const { adapter, testRailService, calls } = createDualAdapter('dual');
+
+    const result = await adapter.markAsFailed('501', '42', 'Bug filed: QA-102 - Error not announced', 'QA-102');
+
+    assert.deepEqual(testRailService.results.map(r => [r.test_id, r.status_id, r.defects]), [[501, STATUS_FAILED, 'QA-102']]);
+    assert.deepEqual(writes(calls), ['POST /testexecutions', 'POST /testexecutions/1003/links/issues']);
+    assert.deepEqual(result.backends.map(b => [b.system, b.role, b.testId, b.outcome]), [
+      ['TestRail', 'primary', '501', 'updated'],
+      ['Zephyr Scale', 'secondary', 'QA-T2', 'updated']
+    ]);
+  });
+
+  it('only logs the secondary write in shadow mode and writes the primary once', async () => {
+    const { adapter, testRailService, calls } = createDualAdapter('shadow');
+
+    const result = await adapter.markAsFailed('501', '42', 'Bug filed: QA-102 - Error not announced', 'QA-102');
+
+    assert.equal(testRailService.results.length, 1);
+    assert.deepEqual(writes(calls), []);
+    assert.deepEqual(result.backends[1], { system: 'Zephyr Scale', role: 'shadow', testId: 'QA-T2', status: 'Failed', outcome: 'shadow' });
+  });
+
+  it('keeps the primary result when the secondary write fails', async () => {
+    const { adapter, testRailService } = createDualAdapter('dual');
+
+    const result = await adapter.markAsFailed('502', '42', 'Bug filed: QA-102 - Error not announced', 'QA-102');
+
+    assert.equal(result.status_id, STATUS_FAILED);
+    assert.equal(testRailService.results.length, 1);
+    assert.equal(result.backends[1].outcome, 'error');
+    assert.match(result.backends[1].error, /No recorded interaction for POST \/testexecutions/);
+  });
+
+  it('reports an unmapped test or a missing secondary run without failing the primary write', async () => {
+    const unmapped = await createDualAdapter('dual').adapter.markAsPassed('503', '42', 'Fixed', '');
+    assert.equal(unmapped.backends[1].outcome, 'unmapped');
+    assert.equal(unmapped.backends[1].reason, 'C1003 is not in the mapping table');
+
+    const { adapter, testRailService } = createDualAdapter('shadow', { comment: 'No cycle here' });
+    const noRun = await adapter.markAsFailed('501', '42', 'Bug filed: QA-102 - Error not announced', 'QA-102');
+    assert.equal(testRailService.results.length, 1);
+    assert.equal(noRun.backends[1].outcome, 'error');
+    assert.equal(noRun.backends[1].error, 'Could not find Zephyr Scale Test Cycle for QA-102');
+  });
+
+  it('refuses a secondary system equal to the primary', () => {
+    const { profileConfig } = createBackend();
+    assert.throws(
+      () => new TestManagementAdapter({ ...profileConfig, testManagement: { system: 'testrail', mode: 'dual', secondary: 'TestRail' } }, { testMapping: { load() {} } }),
+      /TEST_MANAGEMENT_SECONDARY must differ from TEST_MANAGEMENT_SYSTEM \(testrail\)/
+    );
+  });
+});